@@ -25,21 +25,24 @@ cloudinary.config({
  * Upload an image buffer to Cloudinary
  * @function uploadToCloudinary
  * @param {Buffer} fileBuffer - The binary buffer of the image to upload
+ * @param {Object} [options]
+ * @param {string} [options.resourceType='image'] - Cloudinary resource type; 'auto' lets Cloudinary detect it, e.g. for PDFs
  * @returns {Promise<Object>} A promise that resolves to the Cloudinary upload result
  * @property {string} result.public_id - The public ID of the uploaded image
  * @property {string} result.secure_url - The HTTPS URL of the uploaded image
  * @property {number} result.bytes - The size of the uploaded image in bytes
  * @property {string} result.format - The format of the uploaded image
+ * @property {string} result.resource_type - The resource type the file was stored as
  * @throws {Error} If the upload fails
  * @example
  * // Upload an image from a multer buffer
  * const result = await uploadToCloudinary(req.file.buffer);
  * console.log(result.secure_url); // https://res.cloudinary.com/cloud-name/image/upload/v1234567890/abcdef.jpg
  */
-const uploadToCloudinary = (fileBuffer) => {
+const uploadToCloudinary = (fileBuffer, { resourceType = 'image' } = {}) => {
   return new Promise((resolve, reject) => {
     const stream = cloudinary.uploader.upload_stream(
-      { resource_type: 'image' },
+      { resource_type: resourceType },
       (error, result) => {
         if (error) return reject(error);
         resolve(result);
@@ -54,6 +57,8 @@ const uploadToCloudinary = (fileBuffer) => {
  * Delete an image from Cloudinary by its public ID
  * @function deleteFromCloudinary
  * @param {string} publicId - The public ID of the image to delete
+ * @param {Object} [options]
+ * @param {string} [options.resourceType='image'] - Resource type the file was stored as
  * @returns {Promise<Object>} A promise that resolves to the Cloudinary deletion result
  * @property {string} result.result - "ok" if the deletion was successful
  * @throws {Error} If the deletion fails
@@ -64,10 +69,10 @@ const uploadToCloudinary = (fileBuffer) => {
  *   console.log('Image deleted successfully');
  * }
  */
-const deleteFromCloudinary = (publicId) => {
+const deleteFromCloudinary = (publicId, { resourceType = 'image' } = {}) => {
     return new Promise((resolve, reject) => {
         cloudinary.uploader.destroy(publicId,
-            {resource_type: 'image'},
+            {resource_type: resourceType},
             (error, result) => {
             if (error) return reject(error);
             resolve(result);
@@ -0,0 +1,17 @@
+/**
+ * @module config/delayConfig
+ * @description Thresholds for the background delay monitor, read from environment variables
+ */
+const { numberFromEnv, booleanFromEnv } = require('./env');
+
+module.exports = {
+    // How often active jobs are checked
+    checkIntervalSeconds: numberFromEnv('DELAY_CHECK_INTERVAL_SECONDS', 60),
+    // An active job with no coordinate update for this long is at risk
+    staleAfterMinutes: numberFromEnv('DELAY_STALE_AFTER_MINUTES', 20),
+    // A vehicle that stays within `stationaryRadiusM` for this long is at risk
+    stationaryAfterMinutes: numberFromEnv('DELAY_STATIONARY_AFTER_MINUTES', 30),
+    stationaryRadiusM: numberFromEnv('DELAY_STATIONARY_RADIUS_M', 100),
+    // Move in-transit jobs to `delayed` once they are expected to miss their deadline
+    autoEscalate: booleanFromEnv('DELAY_AUTO_ESCALATE', true),
+};
@@ -0,0 +1,15 @@
+/**
+ * @module config/dispatchConfig
+ * @description Tunable settings for driver dispatch, read from environment variables
+ */
+const { numberFromEnv } = require('./env');
+
+module.exports = {
+    // Drivers with this many jobs in-transit or delayed are not offered new work
+    maxActiveJobsPerDriver: numberFromEnv('DISPATCH_MAX_ACTIVE_JOBS', 3),
+    // Number of candidates returned by the nearest-driver lookup by default
+    candidateLimit: numberFromEnv('DISPATCH_CANDIDATE_LIMIT', 10),
+    // Each open job a driver already has counts as this many extra kilometres
+    // when the dispatch engine scores candidates
+    loadPenaltyKm: numberFromEnv('DISPATCH_LOAD_PENALTY_KM', 5),
+};
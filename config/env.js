@@ -0,0 +1,42 @@
+/**
+ * @module config/env
+ * @description Helpers for reading typed settings from environment variables
+ */
+
+/**
+ * Reads a numeric environment variable, falling back to a default
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Value used when the variable is unset or not a number
+ * @returns {number}
+ */
+const numberFromEnv = (name, fallback) => {
+    const value = parseFloat(process.env[name]);
+    return isNaN(value) ? fallback : value;
+};
+
+/**
+ * Reads a boolean environment variable ("true"/"1" or "false"/"0"), falling back to a default
+ * @param {string} name - Environment variable name
+ * @param {boolean} fallback - Value used when the variable is unset or not recognised
+ * @returns {boolean}
+ */
+const booleanFromEnv = (name, fallback) => {
+    const value = String(process.env[name] || "").toLowerCase();
+    if (["true", "1"].includes(value)) return true;
+    if (["false", "0"].includes(value)) return false;
+    return fallback;
+};
+
+/**
+ * Reads a string environment variable, falling back to a default
+ * @param {string} name - Environment variable name
+ * @param {string} fallback - Value used when the variable is unset or empty
+ * @returns {string}
+ */
+const stringFromEnv = (name, fallback) => process.env[name]?.trim() || fallback;
+
+module.exports = {
+    numberFromEnv,
+    booleanFromEnv,
+    stringFromEnv,
+};
@@ -0,0 +1,13 @@
+/**
+ * @module config/fleetConfig
+ * @description When vehicle services and driver documents count as coming up, read from environment variables
+ */
+const { numberFromEnv } = require('./env');
+
+module.exports = {
+    // A service due within this many days or kilometres is listed as upcoming
+    serviceDueSoonDays: numberFromEnv('FLEET_SERVICE_DUE_SOON_DAYS', 14),
+    serviceDueSoonKm: numberFromEnv('FLEET_SERVICE_DUE_SOON_KM', 500),
+    // Default window of the expiring driver documents list
+    documentExpiryWindowDays: numberFromEnv('FLEET_DOCUMENT_EXPIRY_WINDOW_DAYS', 30),
+};
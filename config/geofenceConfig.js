@@ -0,0 +1,17 @@
+/**
+ * @module config/geofenceConfig
+ * @description Default geofence settings around pickup and dropoff points, read
+ * from environment variables. Jobs can override each of them.
+ */
+const { numberFromEnv, booleanFromEnv } = require('./env');
+
+module.exports = {
+    // Radius in metres around the pickup point that counts as "at pickup"
+    pickupRadiusM: numberFromEnv('GEOFENCE_PICKUP_RADIUS_M', 150),
+    // Radius in metres around the dropoff point that counts as "at dropoff"
+    dropoffRadiusM: numberFromEnv('GEOFENCE_DROPOFF_RADIUS_M', 150),
+    // Move pending jobs to in-transit when the vehicle leaves the pickup fence
+    autoAdvance: booleanFromEnv('GEOFENCE_AUTO_ADVANCE', false),
+    // Largest radius a job may configure
+    maxRadiusM: numberFromEnv('GEOFENCE_MAX_RADIUS_M', 5000),
+};
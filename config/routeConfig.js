@@ -0,0 +1,20 @@
+/**
+ * @module config/routeConfig
+ * @description Weights for the route sequence optimiser, read from environment variables
+ */
+const { numberFromEnv } = require('./env');
+
+module.exports = {
+    // Minutes spent at each pickup or dropoff before driving on
+    serviceMinutes: numberFromEnv('ROUTE_SERVICE_MINUTES', 5),
+    // Each minute a stop is reached after its time window counts as this many kilometres
+    latePenaltyKmPerMinute: numberFromEnv('ROUTE_LATE_PENALTY_KM_PER_MINUTE', 1),
+    // Each hour an urgent stop waits to be reached counts as this many kilometres
+    urgentPenaltyKmPerHour: numberFromEnv('ROUTE_URGENT_PENALTY_KM_PER_HOUR', 10),
+    // Upper bound on improving moves applied to a route
+    maxImprovementPasses: numberFromEnv('ROUTE_MAX_IMPROVEMENT_PASSES', 200),
+    // Longer routes keep the nearest-neighbour order, as improving them would block the server too long
+    maxImprovedStops: numberFromEnv('ROUTE_MAX_IMPROVED_STOPS', 30),
+    // Wall-clock time improving one route may take; the best order found so far is used after it
+    maxImprovementMs: numberFromEnv('ROUTE_MAX_IMPROVEMENT_MS', 250),
+};
@@ -0,0 +1,10 @@
+/**
+ * @module config/timeConfig
+ * @description Business time zone, read from environment variables
+ */
+const { stringFromEnv } = require('./env');
+
+module.exports = {
+    // IANA zone whose calendar days "today", "tomorrow" and the dashboard's daily counts follow
+    timeZone: stringFromEnv('BUSINESS_TIME_ZONE', 'Asia/Kathmandu'),
+};
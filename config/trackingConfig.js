@@ -0,0 +1,21 @@
+/**
+ * @module config/trackingConfig
+ * @description Settings for customer-facing tracking links and ETA estimates,
+ * read from environment variables
+ */
+const { numberFromEnv } = require('./env');
+
+module.exports = {
+    // Tracking links keep working for this many days after a job is delivered or cancelled
+    linkDaysAfterCompletion: numberFromEnv('TRACKING_LINK_DAYS_AFTER_COMPLETION', 3),
+    // Public base URL the tracking path is appended to, e.g. https://track.example.com;
+    // falls back to this API's own host
+    linkBaseUrl: process.env.TRACKING_LINK_BASE_URL || null,
+    // Speed assumed when a job has no usable recent breadcrumbs; Nepal's
+    // highways rarely allow much more than this on average
+    averageSpeedKmh: numberFromEnv('TRACKING_AVERAGE_SPEED_KMH', 25),
+    // Only breadcrumbs recorded this recently are used to measure speed
+    speedWindowMinutes: numberFromEnv('TRACKING_SPEED_WINDOW_MINUTES', 15),
+    // Measured speeds below this (traffic jams, stops) fall back to the average
+    minSpeedKmh: numberFromEnv('TRACKING_MIN_SPEED_KMH', 5),
+};
@@ -0,0 +1,115 @@
+const Job = require("../models/job.model");
+const TrackPoint = require("../models/trackPoint.model");
+const {
+    parseDateRange,
+    buildJobKpiPipeline,
+    buildDistancePipeline,
+    toKpis,
+} = require("../utils/analytics");
+
+/**
+ * Retrieves performance KPIs for all jobs created in a date range, or for
+ * one driver's jobs
+ *
+ * @async
+ * @function getPerformance
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.from] - Start of the range (default: seven days before `to`)
+ * @param {string} [req.query.to] - End of the range, exclusive (default: now)
+ * @param {string} [req.query.driverId] - Only report on this driver's jobs
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the KPIs or error message
+ * @throws {Error} If server error occurs during aggregation
+ *
+ * @description
+ * Jobs count towards the range they were created in; distance driven counts
+ * breadcrumbs recorded in the range.
+ */
+exports.getPerformance = async (req, res) => {
+    const { driverId } = req.query;
+
+    let range;
+    try {
+        range = parseDateRange(req.query);
+    } catch (error) {
+        return res.status(400).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    try {
+        const [[counts], [distance]] = await Promise.all([
+            Job.aggregate(buildJobKpiPipeline(range, { driverId })),
+            TrackPoint.aggregate(buildDistancePipeline(range, { driverId })),
+        ]);
+
+        return res.status(200).json({
+            success: true,
+            range,
+            driverId: driverId || null,
+            kpis: toKpis(counts, distance?.distanceKm)
+        });
+    } catch (error) {
+        console.error(error);
+        return res.status(500).json({
+            success: false,
+            message: "Internal Server Error"
+        });
+    }
+};
+
+/**
+ * Retrieves performance KPIs per driver for jobs created in a date range
+ *
+ * @async
+ * @function getDriverKpis
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.from] - Start of the range (default: seven days before `to`)
+ * @param {string} [req.query.to] - End of the range, exclusive (default: now)
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with one KPI entry per driver, most deliveries first
+ * @throws {Error} If server error occurs during aggregation
+ */
+exports.getDriverKpis = async (req, res) => {
+    let range;
+    try {
+        range = parseDateRange(req.query);
+    } catch (error) {
+        return res.status(400).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    try {
+        const [groups, distances] = await Promise.all([
+            Job.aggregate(buildJobKpiPipeline(range, { perDriver: true })),
+            TrackPoint.aggregate(buildDistancePipeline(range, { perDriver: true })),
+        ]);
+
+        const distanceByDriver = new Map(distances.map(({ _id, distanceKm }) => [String(_id), distanceKm]));
+        const drivers = groups
+            .map((group) => ({
+                driverId: group._id,
+                driverName: group.driverName || null,
+                ...toKpis(group, distanceByDriver.get(String(group._id)) || 0),
+            }))
+            .sort((a, b) => b.byStatus.delivered - a.byStatus.delivered || b.totalJobs - a.totalJobs);
+
+        return res.status(200).json({
+            success: true,
+            range,
+            count: drivers.length,
+            drivers
+        });
+    } catch (error) {
+        console.error(error);
+        return res.status(500).json({
+            success: false,
+            message: "Internal Server Error"
+        });
+    }
+};
@@ -1,4 +1,8 @@
 const Job = require("../models/job.model");
+const TrackPoint = require("../models/trackPoint.model");
+const { downsampleTrack, toGeoJSONLineString, toGPX } = require("../utils/track");
+const { buildLocationUpdate, recordJobLocation } = require("../utils/jobLocation");
+const { getJobEta } = require("../utils/eta");
 
 /**
  * Updates the current live coordinates for a specific job
@@ -12,18 +16,28 @@ const Job = require("../models/job.model");
  * @param {Object} req.body.currentCoords - Current coordinates object
  * @param {number} req.body.currentCoords.latitude - Current latitude
  * @param {number} req.body.currentCoords.longitude - Current longitude
+ * @param {number} [req.body.speed] - Speed in km/h reported by the device
+ * @param {number} [req.body.heading] - Heading in degrees reported by the device
+ * @param {number} [req.body.accuracy] - GPS accuracy in metres reported by the device
  * @param {Object} res - Express response object
  * @returns {Object} JSON response with updated job or error message
  * @throws {Error} If server error occurs during update
+ *
+ * @description
+ * Besides overwriting the job's current coordinates, every valid point is
+ * stored in the job's breadcrumb trail, checked against the pickup and
+ * dropoff geofences and pushed to live subscribers.
  */
 exports.updateLiveCoordinate = async (req, res) => {
     const jobId = req.params.jobId;
-    const { currentCoords } = req.body;
+    const { currentCoords, speed, heading, accuracy } = req.body;
 
     try {
+        const { currentLocation, update } = buildLocationUpdate(currentCoords);
+
         const updatedJob = await Job.findByIdAndUpdate(
             jobId,
-            { currentCoords },
+            update,
             { new: true }
         );
 
@@ -34,10 +48,12 @@ exports.updateLiveCoordinate = async (req, res) => {
             });
         }
 
+        const job = await recordJobLocation(updatedJob, currentLocation, { speed, heading, accuracy });
+
         return res.status(200).json({
             success: true,
             message: "Job updated successfully",
-            job: updatedJob
+            job
         });
     } catch (error) {
         console.error(error);
@@ -57,7 +73,7 @@ exports.updateLiveCoordinate = async (req, res) => {
  * @param {Object} req.params - Request parameters
  * @param {string} req.params.jobId - ID of the job to retrieve coordinates for
  * @param {Object} res - Express response object
- * @returns {Object} JSON response with current coordinates or error message
+ * @returns {Object} JSON response with current coordinates, progress and ETA, or error message
  * @throws {Error} If server error occurs during retrieval
  */
 exports.getLiveCoordinate = async (req,res) => {
@@ -73,6 +89,7 @@ exports.getLiveCoordinate = async (req,res) => {
         res.status(200).json({
             success:true,
             coordinate:job.currentCoords,
+            ...(await getJobEta(job)),
         })
     }catch(error){
         console.error(error);
@@ -180,5 +197,94 @@ exports.getAllCoordinates = async (req, res) => {
     }
 };
 
+/**
+ * Retrieves the GPS breadcrumb trail recorded for a specific job
+ *
+ * @async
+ * @function getTrack
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Request parameters
+ * @param {string} req.params.jobId - ID of the job to retrieve the trail for
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.from] - Only include points recorded at or after this time
+ * @param {string} [req.query.to] - Only include points recorded at or before this time
+ * @param {number} [req.query.maxPoints] - Downsample the trail to at most this many points
+ * @param {string} [req.query.format] - Output format: json (default), geojson or gpx
+ * @param {Object} res - Express response object
+ * @returns {Object|string} JSON trail, GeoJSON LineString feature or GPX document
+ * @throws {Error} If server error occurs during retrieval
+ */
+exports.getTrack = async (req, res) => {
+    const jobId = req.params.jobId;
+    const { from, to, maxPoints, format = "json" } = req.query;
+
+    if (!["json", "geojson", "gpx"].includes(format)) {
+        return res.status(400).json({
+            success: false,
+            message: "Format must be one of json, geojson or gpx"
+        });
+    }
 
+    const recordedAt = {};
+    if (from) recordedAt.$gte = new Date(from);
+    if (to) recordedAt.$lte = new Date(to);
+    if (Object.values(recordedAt).some((date) => isNaN(date.getTime()))) {
+        return res.status(400).json({
+            success: false,
+            message: "Invalid from or to date"
+        });
+    }
 
+    try {
+        const job = await Job.findById(jobId, { _id: 1 }).lean();
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                message: "Job not found"
+            });
+        }
+
+        const query = { jobId: job._id };
+        if (Object.keys(recordedAt).length) {
+            query.recordedAt = recordedAt;
+        }
+
+        const allPoints = await TrackPoint.find(query, {
+            latitude: 1,
+            longitude: 1,
+            speed: 1,
+            heading: 1,
+            accuracy: 1,
+            recordedAt: 1,
+            _id: 0
+        }).sort({ recordedAt: 1 }).lean();
+        const points = downsampleTrack(allPoints, parseInt(maxPoints, 10));
+
+        if (format === "geojson") {
+            res.header("Content-Type", "application/geo+json");
+            res.attachment(`track-${jobId}.geojson`);
+            return res.send(JSON.stringify(toGeoJSONLineString(points, { jobId })));
+        }
+
+        if (format === "gpx") {
+            res.header("Content-Type", "application/gpx+xml");
+            res.attachment(`track-${jobId}.gpx`);
+            return res.send(toGPX(points, `Job ${jobId}`));
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: "Track fetched successfully",
+            jobId: job._id,
+            totalPoints: allPoints.length,
+            count: points.length,
+            points
+        });
+    } catch (error) {
+        console.error(error);
+        return res.status(500).json({
+            success: false,
+            message: "Internal Server Error"
+        });
+    }
+};
@@ -1,209 +1,1416 @@
 const Job = require('../models/job.model');
 const User = require('../models/user.model');
+const Vehicle = require('../models/vehicle.model');
 const mongoose = require('mongoose'); // FIXED: Added missing import
 const PDFDocument = require('pdfkit');
 const fs = require('fs');
 const path = require('path');
+const { pipeline } = require('stream');
+const { uploadToCloudinary, deleteFromCloudinary } = require('../config/cloudinaryConfig');
+const { MONGO_EARTH_RADIUS_KM, toGeoPoint, parseLatLng, parsePolygon } = require('../utils/geo');
+const { OPEN_STATUSES, findDriverCandidates, getDriverPosition } = require('../utils/driverLocator');
+const { autoAssignJob, dispatchUnassignedJobs } = require('../utils/dispatchEngine');
+const { JOB_STATUSES, canTransition, canDriverTransition, transitionJobStatus } = require('../utils/jobStatus');
+const { getJobEta, withEta } = require('../utils/eta');
+const { getGeofenceSettings, parseGeofenceSettings, buildTimeline } = require('../utils/geofence');
+const { startOfDay, buildDueFilter, formatTimeWindow } = require('../utils/timeWindow');
+const delayConfig = require('../config/delayConfig');
+const { parseListOptions, buildDateRangeFilter, paginate, PAGINATION_HEADER } = require('../utils/pagination');
+const { buildTextSearch, sortByRelevance } = require('../utils/search');
+const { prepareJob } = require('../utils/jobInput');
+const { readImportFile } = require('../utils/jobImport');
+const { EXPORT_FORMATS, EXPORT_PROJECTION, createExportTransform } = require('../utils/jobExport');
+const { currentStopIndex, canTransitionStop, hasOpenStops, statusFromStops } = require('../utils/jobStops');
+const { buildRouteStops, optimizeRoute } = require('../utils/routeOptimizer');
+const { checkDriverLicence } = require('../utils/driverDocuments');
+const { checkVehicleForJob, toVehicleInfo } = require('../utils/vehicle');
+const { publishJobEvent } = require('../utils/liveEvents');
 
 /**
- * Checks if coordinates are within Nepal's geographical boundaries
+ * Creates a new job entry
+ * Jobs sent without a driver, or with `autoAssign: true`, are created
+ * unassigned and handed to the dispatch engine. An optional `geofence`
+ * object overrides the default geofence radii and auto-advance setting.
+ * Optional `pickupWindow` and `deliveryWindow` ({ earliest, latest }) schedule
+ * the job; `promisedBy` defaults to the end of the delivery window.
+ * `vehicleId` puts the job on a vehicle; without one it goes on the vehicle
+ * the driver is using, if any
+ */
+exports.createJob = async (req, res) => {
+  try {
+    const createdBy = { id: req.user.id, role: req.user.role };
+
+    let prepared;
+    try {
+      prepared = await prepareJob(req.body, createdBy);
+    } catch (error) {
+      if (!error.status) throw error;
+      return res.status(error.status).json({
+          success: false,
+          message: error.message
+      });
+    }
+
+    const savedJob = await new Job(prepared.job).save();
+    if (!prepared.autoAssign) {
+      return res.status(201).json(savedJob);
+    }
+
+    const { job } = await autoAssignJob(savedJob, createdBy);
+    res.status(201).json(job);
+  } catch (err) {
+    console.error('Error creating job:', err.message);
+    res.status(500).json({ message: 'Failed to create job', error: err.message });
+  }
+};
+
+/**
+ * Ways a bulk import can treat invalid rows: import nothing, or import the valid rows
+ */
+const IMPORT_MODES = ['atomic', 'partial'];
+
+/**
+ * Imports jobs in bulk from an uploaded CSV or JSON file
+ * Every row is validated with the same rules as createJob and problems are
+ * reported per row, numbered from 1 without the CSV header. With
+ * `mode=atomic` (the default) nothing is imported unless every row is
+ * valid; `mode=partial` imports the valid rows. `dryRun=true` only
+ * validates. Imported jobs without a driver go to the dispatch engine
+ */
+exports.importJobs = async (req, res) => {
+  const { mode = 'atomic' } = req.query;
+  const dryRun = req.query.dryRun === 'true';
+
+  if (!req.file) {
+    return res.status(400).json({ success: false, message: "An import file is required" });
+  }
+  if (!IMPORT_MODES.includes(mode)) {
+    return res.status(400).json({ success: false, message: "mode must be atomic or partial" });
+  }
+
+  let rows;
+  try {
+    rows = readImportFile(req.file);
+  } catch (err) {
+    return res.status(400).json({ success: false, message: err.message });
+  }
+
+  try {
+    const createdBy = { id: req.user.id, role: req.user.role };
+    // Manifests repeat the same few drivers and vehicles, so each is looked up once
+    const drivers = new Map();
+    const findDriver = (id) => {
+      if (!drivers.has(id)) drivers.set(id, User.findById(id));
+      return drivers.get(id);
+    };
+    const vehicles = new Map();
+    const findVehicle = (filter) => {
+      const key = JSON.stringify(filter);
+      if (!vehicles.has(key)) vehicles.set(key, Vehicle.findOne(filter));
+      return vehicles.get(key);
+    };
+
+    const valid = [];
+    const errors = [];
+    for (const [index, { input, error }] of rows.entries()) {
+      const row = index + 1;
+      if (error) {
+        errors.push({ row, message: error });
+        continue;
+      }
+      try {
+        const prepared = await prepareJob(input, createdBy, { findDriver, findVehicle });
+        const doc = new Job(prepared.job);
+        const validationError = doc.validateSync();
+        if (validationError) throw validationError;
+        valid.push({ row, doc, autoAssign: prepared.autoAssign });
+      } catch (err) {
+        errors.push({ row, message: err.message });
+      }
+    }
+
+    const report = { mode, dryRun, total: rows.length, valid: valid.length };
+    if (dryRun) {
+      return res.status(200).json({ success: true, ...report, invalid: errors.length, errors });
+    }
+    if (valid.length === 0 || (mode === 'atomic' && errors.length)) {
+      return res.status(400).json({
+          success: false,
+          message: `No jobs were imported because ${errors.length} row(s) are invalid`,
+          ...report,
+          invalid: errors.length,
+          errors
+      });
+    }
+
+    const docs = valid.map(({ doc }) => doc);
+    let inserted;
+    try {
+      inserted = await Job.insertMany(docs, { ordered: mode === 'atomic' });
+    } catch (err) {
+      if (mode === 'atomic') {
+        // insertMany isn't transactional, so undo whatever made it in
+        await Job.deleteMany({ _id: { $in: docs.map((doc) => doc._id) } });
+        throw err;
+      }
+      if (!err.writeErrors) throw err;
+      err.writeErrors.forEach((writeError) => {
+        errors.push({ row: valid[writeError.index].row, message: writeError.errmsg });
+      });
+      errors.sort((a, b) => a.row - b.row);
+      inserted = err.insertedDocs || [];
+    }
+
+    const toAssign = new Set(valid.filter((item) => item.autoAssign).map((item) => String(item.doc._id)));
+    let autoAssigned = 0;
+    for (const job of inserted) {
+      if (!toAssign.has(String(job._id))) continue;
+      const { assigned } = await autoAssignJob(job, createdBy);
+      if (assigned) autoAssigned += 1;
+    }
+
+    res.status(201).json({
+      success: true,
+      ...report,
+      imported: inserted.length,
+      autoAssigned,
+      invalid: errors.length,
+      errors,
+      jobIds: inserted.map((job) => job._id)
+    });
+  } catch (err) {
+    console.error('Error importing jobs:', err);
+    res.status(500).json({ message: 'Failed to import jobs', error: err.message });
+  }
+};
+
+/**
+ * Job position fields that can be used in geospatial filters
+ */
+const GEO_FIELDS = {
+  pickup: 'pickupInfo.location',
+  dropoff: 'dropoffInfo.location',
+  current: 'currentLocation',
+};
+
+/**
+ * Builds a geospatial filter from `near`/`radiusKm` or `polygon` query parameters
+ * Returns null when no geo filter was requested and throws on invalid input
+ */
+const buildGeoFilter = ({ near, radiusKm, polygon, geoField = 'current' }) => {
+  if (!near && !polygon) return null;
+
+  const field = GEO_FIELDS[geoField];
+  if (!field) {
+    throw new Error("geoField must be one of pickup, dropoff or current");
+  }
+
+  if (polygon) {
+    const geometry = parsePolygon(polygon);
+    if (!geometry) {
+      throw new Error("polygon must be at least three 'lat,lng' points separated by ';'");
+    }
+    return { [field]: { $geoWithin: { $geometry: geometry } } };
+  }
+
+  const center = parseLatLng(near);
+  const radius = radiusKm === undefined ? 10 : parseFloat(radiusKm);
+  if (!center) {
+    throw new Error("near must be a 'lat,lng' pair");
+  }
+  if (isNaN(radius) || radius <= 0) {
+    throw new Error("radiusKm must be a positive number");
+  }
+  return {
+    [field]: {
+      $geoWithin: {
+        $centerSphere: [[center.longitude, center.latitude], radius / MONGO_EARTH_RADIUS_KM]
+      }
+    }
+  };
+};
+
+/**
+ * Keys job lists can be sorted by and fields they can be narrowed to
+ */
+const JOB_SORT_KEYS = ['createdAt', 'updatedAt', 'status', 'isUrgent', 'promisedBy'];
+const JOB_FIELD_KEYS = [
+  'driverInfo', 'assignment', 'vehicleInfo', 'pickupInfo', 'dropoffInfo', 'stops', 'currentCoords', 'lastLocationAt',
+  'status', 'statusHistory', 'proofOfDelivery', 'note', 'addOns', 'isUrgent', 'pickupWindow',
+  'deliveryWindow', 'promisedBy', 'risk', 'geofenceEvents', 'createdAt', 'updatedAt',
+];
+
+/**
+ * Builds the status, `isUrgent`, `driverId` and created/updated date range
+ * conditions shared by the job list endpoints. Throws on invalid input
+ */
+const buildJobListFilter = (params) => {
+  const query = buildDateRangeFilter(params, { created: 'createdAt', updated: 'updatedAt' });
+
+  if (params.driverId) {
+    query['driverInfo.id'] = params.driverId;
+  }
+
+  if (params.vehicleId) {
+    query['vehicleInfo.id'] = params.vehicleId;
+  }
+
+  if (params.status) {
+    query.status = params.status.includes(',') ? { $in: params.status.split(',') } : params.status;
+  }
+
+  if (params.isUrgent !== undefined) {
+    if (!['true', 'false'].includes(params.isUrgent)) {
+      throw new Error("isUrgent must be true or false");
+    }
+    query.isUrgent = params.isUrgent === 'true';
+  }
+
+  return query;
+};
+
+/**
+ * Builds the query for getJobs and exportJobs from their shared filters:
+ * the list filters plus location, `due` and `search`. Throws on invalid input
+ */
+const buildJobQuery = (params) => {
+  const query = {
+    ...buildJobListFilter(params),
+    ...buildGeoFilter(params),
+  };
+  const dueFilter = buildDueFilter(params);
+  if (dueFilter) {
+    query.$and = [dueFilter];
+  }
+  const textSearch = buildTextSearch(params.search);
+  if (textSearch) {
+    Object.assign(query, textSearch);
+  }
+  return query;
+};
+
+/**
+ * Sends a paginated job listing, adding progress and ETA unless specific
+ * fields were selected
+ * The body stays the bare array these endpoints have always returned; the
+ * pagination metadata goes in the X-Pagination header as JSON.
+ */
+const sendJobList = async (res, query, options) => {
+  const { docs, pagination } = await paginate(Job, query, options);
+  res.set(PAGINATION_HEADER, JSON.stringify(pagination));
+  res.status(200).json(options.projection ? docs : await withEta(docs));
+};
+
+/**
+ * Retrieves jobs with optional filtering by status (comma-separated for several),
+ * search terms and location
+ * `search` uses the job text index over driver, pickup and dropoff names,
+ * e-mails and phone numbers and the note, matching whole words and numbers
+ * only; results come best match first unless a sort is given.
+ * Location filters match jobs whose pickup, dropoff or current position
+ * (`geoField`) lies within `radiusKm` of `near`, or inside `polygon`.
+ * `due` (today, tomorrow or overdue) filters on the delivery window, or on
+ * the pickup window with `dueBy=pickup`.
+ * Results are paginated (page/limit or cursor), with the metadata in the
+ * X-Pagination header, and can be sorted, narrowed to `fields` and filtered
+ * by `isUrgent`, `driverId` and created/updated date ranges
+ */
+exports.getJobs = async (req, res) => {
+  try {
+    let query;
+    let options;
+    try {
+      options = parseListOptions(req.query, { sortKeys: JOB_SORT_KEYS, fieldKeys: JOB_FIELD_KEYS });
+      query = buildJobQuery(req.query);
+      if (query.$text) {
+        options = sortByRelevance(options, req.query);
+      }
+    } catch (err) {
+      return res.status(400).json({ success: false, message: err.message });
+    }
+
+    await sendJobList(res, query, options);
+
+  } catch (err) {
+    console.error('Error fetching jobs:', err);
+    res.status(500).json({ message: 'Failed to fetch jobs', error: err.message });
+  }
+};
+
+/**
+ * Streams every job matching the getJobs filters as a file, newest first
+ * `format` is csv (default), excel (CSV for Excel), ndjson or geojson (a
+ * FeatureCollection of pickup and dropoff points). Documents are streamed
+ * from a cursor, so exports of any size use little memory
+ */
+exports.exportJobs = async (req, res) => {
+  const { format = 'csv' } = req.query;
+  const exportFormat = EXPORT_FORMATS[format];
+  if (!exportFormat) {
+    return res.status(400).json({
+        success: false,
+        message: `format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}`
+    });
+  }
+
+  let query;
+  try {
+    query = buildJobQuery(req.query);
+  } catch (err) {
+    return res.status(400).json({ success: false, message: err.message });
+  }
+
+  const cursor = Job.find(query, EXPORT_PROJECTION).sort({ createdAt: -1, _id: -1 }).lean().cursor();
+  const output = pipeline(cursor, createExportTransform(format), (err) => {
+    if (!err) return;
+    console.error('Error exporting jobs:', err);
+    if (!res.headersSent) {
+      res.removeHeader('Content-Disposition');
+      res.type('json');
+      res.status(500).json({ message: 'Failed to export jobs', error: err.message });
+    } else {
+      // Cut the download short so it isn't mistaken for a complete file
+      res.destroy(err);
+    }
+  });
+
+  res.attachment(`jobs-${new Date().toISOString().slice(0, 10)}.${exportFormat.extension}`);
+  res.type(exportFormat.contentType);
+  res.on('close', () => cursor.destroy());
+  output.pipe(res);
+};
+
+/**
+ * Ranks drivers by distance from a pickup point for dispatch
+ * Uses each driver's freshest known position (location ping or latest job
+ * position) and skips drivers already carrying `maxActiveJobs` active jobs
+ */
+exports.getNearestDrivers = async (req, res) => {
+    const { latitude, longitude, maxActiveJobs, limit } = req.query;
+    const point = toGeoPoint(latitude, longitude);
+
+    if (!point) {
+        return res.status(400).json({
+            success: false,
+            message: "Valid latitude and longitude are required"
+        });
+    }
+
+    const options = {};
+    if (maxActiveJobs !== undefined) options.maxActiveJobs = parseInt(maxActiveJobs, 10);
+    if (limit !== undefined) options.limit = parseInt(limit, 10);
+    if (Object.values(options).some((value) => isNaN(value) || value < 1)) {
+        return res.status(400).json({
+            success: false,
+            message: "maxActiveJobs and limit must be positive numbers"
+        });
+    }
+
+    try {
+        const candidates = await findDriverCandidates(
+            { latitude: point.coordinates[1], longitude: point.coordinates[0] },
+            options
+        );
+
+        return res.status(200).json({
+            success: true,
+            count: candidates.length,
+            candidates
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: "Internal Server Error"
+        });
+    }
+};
+
+/**
+ * Suggests the order a driver should visit the pickups and dropoffs of
+ * their open jobs, with the distance and ETA of each leg
+ * The route starts from `start` ("latitude,longitude") or else the driver's
+ * last known position. Pickups come before their dropoffs, late arrivals
+ * against time windows are avoided and urgent jobs are favoured. Drivers
+ * can only plan their own route
+ */
+exports.getDriverRoute = async (req, res) => {
+    const { driverId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(driverId)) {
+        return res.status(400).json({
+            success: false,
+            message: "Invalid driver ID"
+        });
+    }
+
+    if (req.user.role !== 'admin' && String(req.user.id) !== String(driverId)) {
+        return res.status(403).json({
+            success: false,
+            message: "You can only plan your own route"
+        });
+    }
+
+    const start = req.query.start === undefined ? null : parseLatLng(req.query.start);
+    if (req.query.start !== undefined && !start) {
+        return res.status(400).json({
+            success: false,
+            message: "start must be \"latitude,longitude\""
+        });
+    }
+
+    try {
+        const driver = await User.findById(driverId);
+        if (!driver || driver.role !== 'driver') {
+            return res.status(404).json({
+                success: false,
+                message: "Driver Not Found"
+            });
+        }
+
+        const jobs = await Job.find({ 'driverInfo.id': driverId, status: { $in: OPEN_STATUSES } }).lean();
+        const origin = start ? { ...start, source: 'query' } : await getDriverPosition(driver);
+        const route = optimizeRoute(buildRouteStops(jobs), {
+            start: origin && { latitude: origin.latitude, longitude: origin.longitude },
+        });
+
+        return res.status(200).json({
+            success: true,
+            driverId,
+            start: origin,
+            jobCount: jobs.length,
+            ...route
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: "Internal Server Error"
+        });
+    }
+};
+
+/**
+ * Runs the dispatch engine for a single unassigned pending job
+ */
+exports.autoAssign = async (req, res) => {
+    const jobId = req.params.jobId;
+    try {
+        const job = await Job.findById(jobId).lean();
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                message: "Job Not Found"
+            });
+        }
+
+        if (job.driverInfo || job.status !== 'pending') {
+            return res.status(400).json({
+                success: false,
+                message: "Only unassigned pending jobs can be auto-assigned"
+            });
+        }
+
+        const result = await autoAssignJob(job, { id: req.user.id, role: req.user.role });
+        return res.status(200).json({
+            success: true,
+            assigned: result.assigned,
+            message: result.reason,
+            job: result.job
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: "Internal Server Error"
+        });
+    }
+};
+
+/**
+ * Runs the dispatch engine for every unassigned pending job
+ */
+exports.dispatchUnassigned = async (req, res) => {
+    try {
+        const results = await dispatchUnassignedJobs({ id: req.user.id, role: req.user.role });
+        const summarize = ({ job, reason }) => ({
+            jobId: job._id,
+            driverInfo: job.driverInfo,
+            isUrgent: job.isUrgent,
+            reason
+        });
+
+        return res.status(200).json({
+            success: true,
+            total: results.length,
+            assigned: results.filter((result) => result.assigned).map(summarize),
+            unassigned: results.filter((result) => !result.assigned).map(summarize)
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: "Internal Server Error"
+        });
+    }
+};
+
+/**
+ * Manually assigns (or reassigns) a job to a driver, overriding dispatch
+ * The job moves to the vehicle the driver is using, which must be able to
+ * carry it. Responds 409 if the job's status or driver changed meanwhile.
+ */
+exports.assignDriver = async (req, res) => {
+    const jobId = req.params.jobId;
+    const { driverId, reason } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(driverId)) {
+        return res.status(400).json({
+            success: false,
+            message: "Invalid driver ID"
+        });
+    }
+
+    try {
+        const driver = await User.findById(driverId);
+        if (!driver || driver.role !== 'driver') {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid or Non-driver User",
+            });
+        }
+
+        const licenceProblem = checkDriverLicence(driver);
+        if (licenceProblem) {
+            return res.status(400).json({ success: false, message: licenceProblem });
+        }
+
+        const job = await Job.findById(jobId);
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                message: "Job Not Found"
+            });
+        }
+
+        if (['delivered', 'cancelled'].includes(job.status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot reassign a job that is ${job.status}`
+            });
+        }
+
+        if (job.tripId) {
+            return res.status(400).json({
+                success: false,
+                message: "Cannot reassign a job that is on a trip"
+            });
+        }
+
+        // The job goes on the vehicle the new driver is using
+        const vehicle = await Vehicle.findOne({ 'driverInfo.id': String(driver._id) });
+        const vehicleProblem = vehicle && checkVehicleForJob(vehicle, job.addOns);
+        if (vehicleProblem) {
+            return res.status(400).json({ success: false, message: vehicleProblem });
+        }
+
+        // Only applies while the job still has the status and driver read
+        // above, so a concurrent reassignment or status change isn't overwritten
+        const updatedJob = await Job.findOneAndUpdate(
+            { _id: jobId, status: job.status, 'driverInfo.id': job.driverInfo?.id ?? null },
+            {
+                driverInfo: {
+                    id: String(driver._id),
+                    name: `${driver.firstName} ${driver.lastName}`,
+                    phone: driver.phone,
+                },
+                vehicleInfo: vehicle ? toVehicleInfo(vehicle) : null,
+                assignment: {
+                    method: job.driverInfo ? 'override' : 'manual',
+                    reason: reason || null,
+                    previousDriverId: job.driverInfo?.id || null,
+                    assignedBy: { id: req.user.id, role: req.user.role },
+                    assignedAt: new Date(),
+                },
+            },
+            { new: true }
+        );
+
+        if (!updatedJob) {
+            return res.status(409).json({
+                success: false,
+                message: "Job was changed by another request, please retry"
+            });
+        }
+
+        publishJobEvent("assignment", updatedJob);
+
+        return res.status(200).json({
+            success: true,
+            message: "Driver assigned successfully",
+            job: updatedJob
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: "Internal Server Error"
+        });
+    }
+};
+
+/**
+ * Summarises the job board for the admin dashboard: counts per status, jobs
+ * created and delivered today, urgent open jobs, active jobs without a
+ * recent location update and the busiest drivers
+ * Each figure is its own query starting from an indexed condition, so the
+ * dashboard doesn't scan the whole job history.
+ */
+exports.getSummary = async (req, res) => {
+    const now = new Date();
+    const today = startOfDay(now);
+    const staleBefore = new Date(now.getTime() - delayConfig.staleAfterMinutes * 60 * 1000);
+    const activeStatuses = ['in-transit', 'delayed'];
+    const openStatuses = ['pending', ...activeStatuses];
+    const staleMatch = {
+        status: { $in: activeStatuses },
+        $or: [{ lastLocationAt: null }, { lastLocationAt: { $lt: staleBefore } }]
+    };
+
+    try {
+        const [statusCounts, createdToday, deliveredToday, urgentOpen, staleCount, staleJobs, topActiveDrivers] = await Promise.all([
+            Promise.all(JOB_STATUSES.map((status) => Job.countDocuments({ status }))),
+            Job.countDocuments({ createdAt: { $gte: today } }),
+            Job.countDocuments({
+                statusHistory: { $elemMatch: { to: 'delivered', changedAt: { $gte: today } } },
+                status: 'delivered'
+            }),
+            Job.countDocuments({ status: { $in: openStatuses }, isUrgent: true }),
+            Job.countDocuments(staleMatch),
+            Job.find(staleMatch, { status: 1, driverInfo: 1, lastLocationAt: 1, isUrgent: 1 })
+                .sort({ lastLocationAt: 1 })
+                .limit(10)
+                .lean(),
+            Job.aggregate([
+                { $match: { status: { $in: activeStatuses }, 'driverInfo.id': { $ne: null } } },
+                {
+                    $group: {
+                        _id: '$driverInfo.id',
+                        name: { $first: '$driverInfo.name' },
+                        activeJobs: { $sum: 1 },
+                        urgentJobs: { $sum: { $cond: ['$isUrgent', 1, 0] } }
+                    }
+                },
+                { $sort: { activeJobs: -1, urgentJobs: -1 } },
+                { $limit: 5 }
+            ])
+        ]);
+
+        const byStatus = {};
+        JOB_STATUSES.forEach((status, index) => {
+            byStatus[status] = statusCounts[index];
+        });
+
+        return res.status(200).json({
+            success: true,
+            summary: {
+                total: Object.values(byStatus).reduce((sum, total) => sum + total, 0),
+                byStatus,
+                createdToday,
+                deliveredToday,
+                urgentOpen,
+                staleLocations: {
+                    thresholdMinutes: delayConfig.staleAfterMinutes,
+                    count: staleCount,
+                    jobs: staleJobs
+                },
+                topActiveDrivers: topActiveDrivers.map(({ _id, ...driver }) => ({ driverId: _id, ...driver })),
+                generatedAt: now
+            }
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: "Internal Server Error"
+        });
+    }
+};
+
+/**
+ * Lists open jobs the delay monitor has flagged, most severe first
+ */
+exports.getAtRiskJobs = async (req, res) => {
+    const { level } = req.query;
+
+    if (level && !['at-risk', 'delayed'].includes(level)) {
+        return res.status(400).json({
+            success: false,
+            message: "level must be at-risk or delayed"
+        });
+    }
+
+    try {
+        const query = {
+            risk: { $ne: null },
+            status: { $in: ['pending', 'in-transit', 'delayed'] },
+        };
+        if (level) {
+            query['risk.level'] = level;
+        }
+
+        const jobs = await Job.find(query, {
+            status: 1,
+            driverInfo: 1,
+            pickupInfo: 1,
+            dropoffInfo: 1,
+            promisedBy: 1,
+            lastLocationAt: 1,
+            isUrgent: 1,
+            risk: 1,
+        }).sort({ 'risk.severity': -1 }).lean();
+
+        return res.status(200).json({
+            success: true,
+            count: jobs.length,
+            jobs
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: "Internal Server Error"
+        });
+    }
+};
+
+/**
+ * Retrieves all jobs for a specific driver
+ * Supports the same pagination, sorting, field and date filters as getJobs
+ * FIXED: Parameter extraction bug
  */
-const isWithinNepal = (lat, lon) => {
-    const latitude = parseFloat(lat);
-    const longitude = parseFloat(lon);
+exports.getJobsForDriver = async (req, res) => {
+  const { driverId } = req.params; // FIXED: Was destructuring from req.params.id
+
+  if (!driverId) {
+    return res.status(400).json({ 
+        success: false,
+        message: "driverId parameter is required" 
+    });
+  }
+
+  let query;
+  let options;
+  try {
+    options = parseListOptions(req.query, { sortKeys: JOB_SORT_KEYS, fieldKeys: JOB_FIELD_KEYS });
+    query = { ...buildJobListFilter(req.query), 'driverInfo.id': driverId };
+  } catch (err) {
+    return res.status(400).json({ success: false, message: err.message });
+  }
+
+  try {
+    await sendJobList(res, query, options);
+  } catch (err) {
+    console.error('Error fetching jobs for driver:', err);
+    res.status(500).json({ message: 'Failed to fetch jobs', error: err.message });
+  }
+};
+
+/**
+ * Retrieves a specific job by ID, with its progress and ETA
+ */
+exports.getJobById = async (req, res) => {
+    const jobId = req.params.jobId;
+    try {
+        const job = await Job.findById(jobId).lean();
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                message: 'Job Not Found',
+            });
+        }
+        return res.status(200).json({
+            success: true,
+            job: { ...job, ...(await getJobEta(job)) }
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: "Internal Server Error",
+        });
+    }
+};
+
+/**
+ * Updates the status of a specific job
+ * Only transitions allowed by the job lifecycle are accepted, and every
+ * change is recorded in the job's status history
+ */
+exports.updateStatus = async (req, res) => {
+    const jobId = req.params.jobId;
+    const { status, reason } = req.body;
+    
+    try {
+        if (!status || !JOB_STATUSES.includes(status)) {
+            return res.status(400).json({ 
+                success: false,
+                message: "Invalid or missing status" 
+            });
+        }
+        
+        const job = await Job.findById(jobId);
+
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                message: "Job Not Found"
+            });
+        }
+
+        if (!canTransition(job.status, status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot change status from ${job.status} to ${status}`
+            });
+        }
+
+        if (status === 'delivered' && hasOpenStops(job)) {
+            return res.status(400).json({
+                success: false,
+                message: "Complete every stop before delivering the job"
+            });
+        }
+
+        const updatedJob = await transitionJobStatus(job, status, {
+            changedBy: { id: req.user.id, role: req.user.role },
+            reason,
+        });
+
+        if (!updatedJob) {
+            return res.status(409).json({
+                success: false,
+                message: "Job status was changed by another request, please retry"
+            });
+        }
+        
+        return res.status(200).json({
+            message: "job Updated Successfully",
+            job: updatedJob
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false, // FIXED: Was status: false
+            message: "Internal Server error"
+        });
+    }
+};
+
+/**
+ * Updates the status of a job from the driver app
+ * Drivers may only move jobs assigned to them through the driver-permitted
+ * transitions (pickup, delay with a reason, delivery); admins keep the full
+ * lifecycle
+ */
+exports.updateDriverStatus = async (req, res) => {
+    const jobId = req.params.jobId;
+    const { status, reason } = req.body;
+    const isAdmin = req.user.role === 'admin';
+
+    try {
+        if (!status || !JOB_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid or missing status"
+            });
+        }
+
+        if (status === 'delayed' && !reason) {
+            return res.status(400).json({
+                success: false,
+                message: "A reason is required when reporting a delay"
+            });
+        }
+
+        const job = await Job.findById(jobId);
+
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                message: "Job Not Found"
+            });
+        }
+
+        if (!isAdmin && String(job.driverInfo?.id) !== String(req.user.id)) {
+            return res.status(403).json({
+                success: false,
+                message: "You can only update jobs assigned to you"
+            });
+        }
+
+        const allowed = isAdmin ? canTransition(job.status, status) : canDriverTransition(job.status, status);
+        if (!allowed) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot change status from ${job.status} to ${status}`
+            });
+        }
+
+        if (status === 'delivered' && hasOpenStops(job)) {
+            return res.status(400).json({
+                success: false,
+                message: "Complete every stop before delivering the job"
+            });
+        }
 
-    if (isNaN(latitude) || isNaN(longitude)) return false;
+        const updatedJob = await transitionJobStatus(job, status, {
+            changedBy: { id: req.user.id, role: req.user.role },
+            reason,
+        });
 
-    return (
-        latitude >= 26.347 &&
-        latitude <= 30.447 &&
-        longitude >= 80.058 &&
-        longitude <= 88.201
-    );
+        if (!updatedJob) {
+            return res.status(409).json({
+                success: false,
+                message: "Job status was changed by another request, please retry"
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: "Job status updated successfully",
+            job: updatedJob
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: "Internal Server Error"
+        });
+    }
 };
 
 /**
- * Validates that both pickup and dropoff locations are within Nepal
+ * Retrieves the status change history of a specific job, oldest first
  */
-const validateNepalCoordinates = (pickupInfo, dropoffInfo) => {
-    const pickupValid = isWithinNepal(pickupInfo.latitude, pickupInfo.longitude);
-    const dropoffValid = isWithinNepal(dropoffInfo.latitude, dropoffInfo.longitude);
+exports.getStatusHistory = async (req, res) => {
+    const jobId = req.params.jobId;
+    try {
+        const job = await Job.findById(jobId, { status: 1, statusHistory: 1, geofenceEvents: 1 }).lean();
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                message: "Job Not Found"
+            });
+        }
 
-    if (!pickupValid || !dropoffValid) {
-        throw new Error("Pickup or Dropoff coordinates must be within Nepal.");
+        return res.status(200).json({
+            success: true,
+            jobId: job._id,
+            status: job.status,
+            history: job.statusHistory || [],
+            timeline: buildTimeline(job)
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: "Internal Server Error"
+        });
     }
 };
 
 /**
- * Creates a new job entry
+ * Retrieves a job's geofence settings, current fence state and recorded
+ * arrival/departure events
  */
-exports.createJob = async (req, res) => {
-  try {
-    const {
-      driverInfo,
-      pickupInfo,
-      dropoffInfo,
-      currentCoords,
-      status,
-      note,
-      addOns,
-    } = req.body;
+exports.getGeofenceEvents = async (req, res) => {
+    const jobId = req.params.jobId;
+    const { fence, type } = req.query;
+    try {
+        const job = await Job.findById(jobId, { geofence: 1, geofenceState: 1, geofenceEvents: 1 }).lean();
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                message: "Job Not Found"
+            });
+        }
+
+        const events = (job.geofenceEvents || []).filter((event) =>
+            (!fence || event.fence === fence) && (!type || event.type === type)
+        );
+
+        return res.status(200).json({
+            success: true,
+            jobId: job._id,
+            settings: getGeofenceSettings(job),
+            state: {
+                pickup: Boolean(job.geofenceState?.pickup),
+                dropoff: Boolean(job.geofenceState?.dropoff)
+            },
+            events
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: "Internal Server Error"
+        });
+    }
+};
+
+/**
+ * Overrides the geofence radii or auto-advance setting of a job
+ * Sending null for a field reverts it to the configured default
+ */
+exports.updateGeofenceSettings = async (req, res) => {
+    const jobId = req.params.jobId;
 
-    if (!mongoose.Types.ObjectId.isValid(driverInfo.id)) {
-        return res.status(400).json({ 
-            success: false, 
-            message: "Invalid driver ID" 
+    let settings;
+    try {
+        settings = parseGeofenceSettings(req.body);
+    } catch (error) {
+        return res.status(400).json({
+            success: false,
+            message: error.message
         });
     }
 
-    const driver = await User.findById(driverInfo.id);
-    if (!driver || driver.role !== 'driver') {
+    if (Object.keys(settings).length === 0) {
         return res.status(400).json({
             success: false,
-            message: "Invalid or Non-driver User",
+            message: "Provide pickupRadiusM, dropoffRadiusM or autoAdvance"
         });
     }
 
-    validateNepalCoordinates(pickupInfo, dropoffInfo);
+    try {
+        const $set = {};
+        Object.entries(settings).forEach(([key, value]) => {
+            $set[`geofence.${key}`] = value;
+        });
 
-    const newJob = new Job({
-      driverInfo,
-      pickupInfo,
-      dropoffInfo,
-      currentCoords,
-      status,
-      note,
-      addOns,
-    });
+        const updatedJob = await Job.findByIdAndUpdate(jobId, { $set }, { new: true }).lean();
+        if (!updatedJob) {
+            return res.status(404).json({
+                success: false,
+                message: "Job Not Found"
+            });
+        }
 
-    const savedJob = await newJob.save();
-    res.status(201).json(savedJob);
-  } catch (err) {
-    console.error('Error creating job:', err.message);
-    res.status(500).json({ message: 'Failed to create job', error: err.message });
-  }
+        return res.status(200).json({
+            success: true,
+            message: "Geofence settings updated successfully",
+            settings: getGeofenceSettings(updatedJob)
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: "Internal Server Error"
+        });
+    }
 };
 
 /**
- * Retrieves jobs with optional filtering by status and search terms
+ * Checks the proof of delivery fields of a multipart request: recipient
+ * name, `signature` image, at least one of `photos` and the hand-over point.
+ * Returns an error message, or null when the proof is complete
  */
-exports.getJobs = async (req, res) => {
-  const { status, search } = req.query;
-
-  try {
-    const query = {};
-
-    if (status) {
-      query.status = status;
+const checkProofInput = (req) => {
+    if (!req.body.recipientName || !req.files?.signature?.[0] || !req.files?.photos?.length) {
+        return "Recipient name, signature and at least one photo are required";
     }
-
-    if (search) {
-      const regex = new RegExp(search, 'i');
-      query.$or = [
-        { 'pickupInfo.name': regex },
-        { 'dropoffInfo.name': regex },
-        { 'pickupInfo.email': regex },
-        { 'dropoffInfo.phone': regex },
-        { 'driverInfo.name': regex },
-        { 'driverInfo.phone': regex }
-      ];
+    if (isNaN(parseFloat(req.body.latitude)) || isNaN(parseFloat(req.body.longitude))) {
+        return "Valid latitude and longitude of the hand-over are required";
     }
-
-    const jobs = await Job.find(query).sort({ createdAt: -1 }).lean();
-    res.status(200).json(jobs);
-
-  } catch (err) {
-    console.error('Error fetching jobs:', err);
-    res.status(500).json({ message: 'Failed to fetch jobs', error: err.message });
-  }
+    return null;
 };
 
 /**
- * Retrieves all jobs for a specific driver
- * FIXED: Parameter extraction bug
+ * Uploads the images of a checked proof of delivery and builds the proof
+ * Returns the proof and a function that deletes the uploads again
  */
-exports.getJobsForDriver = async (req, res) => {
-  const { driverId } = req.params; // FIXED: Was destructuring from req.params.id
-
-  if (!driverId) {
-    return res.status(400).json({ 
-        success: false,
-        message: "driverId parameter is required" 
-    });
-  }
+const uploadProof = async (req) => {
+    const [signature, ...photos] = await Promise.all(
+        [req.files.signature[0], ...req.files.photos].map((file) => uploadToCloudinary(file.buffer))
+    );
+    const toImage = (result) => ({ url: result.secure_url, publicId: result.public_id });
 
-  try {
-    const jobs = await Job.find({ 'driverInfo.id': driverId }).sort({ createdAt: -1 }).lean();
-    res.status(200).json(jobs);
-  } catch (err) {
-    console.error('Error fetching jobs for driver:', err);
-    res.status(500).json({ message: 'Failed to fetch jobs', error: err.message });
-  }
+    return {
+        proof: {
+            recipientName: req.body.recipientName,
+            signature: toImage(signature),
+            photos: photos.map(toImage),
+            location: { latitude: parseFloat(req.body.latitude), longitude: parseFloat(req.body.longitude) },
+            capturedBy: { id: req.user.id, role: req.user.role },
+            capturedAt: new Date(),
+        },
+        discard: () => Promise.all([signature, ...photos].map((result) => deleteFromCloudinary(result.public_id))),
+    };
 };
 
 /**
- * Retrieves a specific job by ID
+ * Records proof of delivery for a job and marks it delivered
+ * Expects a multipart form with a `signature` image, one or more `photos`,
+ * the recipient's name and the GPS point where the parcel was handed over.
+ * Multi-stop jobs record proof per dropoff through updateStop instead
  */
-exports.getJobById = async (req, res) => {
+exports.submitProofOfDelivery = async (req, res) => {
     const jobId = req.params.jobId;
+    const { recipientName } = req.body;
+    const isAdmin = req.user.role === 'admin';
+
+    const proofError = checkProofInput(req);
+    if (proofError) {
+        return res.status(400).json({
+            success: false,
+            message: proofError
+        });
+    }
+
     try {
-        const job = await Job.findById(jobId).lean();
+        const job = await Job.findById(jobId);
         if (!job) {
             return res.status(404).json({
                 success: false,
-                message: 'Job Not Found',
+                message: "Job Not Found"
             });
         }
-        return res.status(200).json({
+
+        if (!isAdmin && String(job.driverInfo?.id) !== String(req.user.id)) {
+            return res.status(403).json({
+                success: false,
+                message: "You can only deliver jobs assigned to you"
+            });
+        }
+
+        if (job.stops?.length) {
+            return res.status(400).json({
+                success: false,
+                message: "Multi-stop jobs are delivered stop by stop"
+            });
+        }
+
+        if (job.proofOfDelivery) {
+            return res.status(400).json({
+                success: false,
+                message: "Proof of delivery has already been recorded"
+            });
+        }
+
+        if (job.status !== 'delivered' && !canTransition(job.status, 'delivered')) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot deliver a job that is ${job.status}`
+            });
+        }
+
+        const { proof: proofOfDelivery, discard } = await uploadProof(req);
+
+        const updatedJob = job.status === 'delivered'
+            ? await Job.findByIdAndUpdate(jobId, { proofOfDelivery }, { new: true })
+            : await transitionJobStatus(job, 'delivered', {
+                changedBy: { id: req.user.id, role: req.user.role },
+                reason: `Delivered to ${recipientName}`,
+                set: { proofOfDelivery },
+            });
+
+        if (!updatedJob) {
+            await discard();
+            return res.status(409).json({
+                success: false,
+                message: "Job status was changed by another request, please retry"
+            });
+        }
+
+        return res.status(201).json({
             success: true,
-            job
+            message: "Proof of delivery recorded",
+            proofOfDelivery: updatedJob.proofOfDelivery,
+            job: updatedJob
         });
     } catch (error) {
         console.error(error);
         res.status(500).json({
             success: false,
-            message: "Internal Server Error",
+            message: "Internal Server Error"
         });
     }
 };
 
 /**
- * Updates the status of a specific job
+ * Updates one stop of a multi-stop job from the driver app
+ * Stops are worked in order, so only the first open stop can change.
+ * `status` is arrived, completed or failed (with a `reason`). Completing a
+ * dropoff needs the same proof as a delivery. The job goes in transit with
+ * its first completed stop and is delivered once every stop is done
  */
-exports.updateStatus = async (req, res) => {
-    const jobId = req.params.jobId;
-    const { status } = req.body;
-    
+exports.updateStop = async (req, res) => {
+    const { jobId, stopId } = req.params;
+    const { status, reason } = req.body;
+    const isAdmin = req.user.role === 'admin';
+    const changedBy = { id: req.user.id, role: req.user.role };
+
+    if (!['arrived', 'completed', 'failed'].includes(status)) {
+        return res.status(400).json({
+            success: false,
+            message: "status must be arrived, completed or failed"
+        });
+    }
+
+    if (status === 'failed' && !reason) {
+        return res.status(400).json({
+            success: false,
+            message: "A reason is required when a stop fails"
+        });
+    }
+
     try {
-        if (!status || !["pending", "in-transit", "delayed", "delivered", "cancelled"].includes(status)) {
-            return res.status(400).json({ 
+        const job = await Job.findById(jobId);
+        if (!job) {
+            return res.status(404).json({
                 success: false,
-                message: "Invalid or missing status" 
+                message: "Job Not Found"
             });
         }
-        
-        const updatedJob = await Job.findByIdAndUpdate(
-            jobId,
-            { status },
+
+        if (!isAdmin && String(job.driverInfo?.id) !== String(req.user.id)) {
+            return res.status(403).json({
+                success: false,
+                message: "You can only update jobs assigned to you"
+            });
+        }
+
+        if (['delivered', 'cancelled'].includes(job.status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot update stops of a job that is ${job.status}`
+            });
+        }
+
+        const stops = job.stops || [];
+        const index = stops.findIndex((stop) => String(stop._id) === String(stopId));
+        if (index === -1) {
+            return res.status(404).json({
+                success: false,
+                message: "Stop Not Found"
+            });
+        }
+
+        const stop = stops[index];
+        if (!canTransitionStop(stop.status, status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot change stop from ${stop.status} to ${status}`
+            });
+        }
+
+        const current = currentStopIndex(stops);
+        if (index !== current) {
+            return res.status(400).json({
+                success: false,
+                message: `Stop ${current + 1} must be completed first`
+            });
+        }
+
+        const needsProof = status === 'completed' && stop.type === 'dropoff';
+        const proofError = needsProof && checkProofInput(req);
+        if (proofError) {
+            return res.status(400).json({
+                success: false,
+                message: proofError
+            });
+        }
+
+        const now = new Date();
+        const path = `stops.${index}`;
+        const $set = { [`${path}.status`]: status };
+        if (status === 'arrived') {
+            $set[`${path}.arrivedAt`] = now;
+        } else {
+            $set[`${path}.completedAt`] = now;
+            $set[`${path}.completedBy`] = changedBy;
+            if (status === 'failed') $set[`${path}.failureReason`] = reason;
+        }
+
+        const upload = needsProof ? await uploadProof(req) : null;
+        if (upload) {
+            $set[`${path}.proof`] = upload.proof;
+        }
+
+        let updatedJob = await Job.findOneAndUpdate(
+            { _id: job._id, [`${path}.status`]: stop.status },
+            { $set },
             { new: true }
         );
 
         if (!updatedJob) {
+            if (upload) await upload.discard();
+            return res.status(409).json({
+                success: false,
+                message: "Stop was changed by another request, please retry"
+            });
+        }
+
+        // A pending job whose last stop closes moves through in-transit to delivered
+        let nextStatus = statusFromStops(updatedJob.status, updatedJob.stops);
+        while (nextStatus && canTransition(updatedJob.status, nextStatus)) {
+            const transitioned = await transitionJobStatus(updatedJob, nextStatus, {
+                changedBy,
+                reason: `Stop ${index + 1} (${stop.name}) ${status}`,
+            });
+            if (!transitioned) break;
+            updatedJob = transitioned;
+            nextStatus = statusFromStops(updatedJob.status, updatedJob.stops);
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: "Stop updated successfully",
+            stop: updatedJob.stops[index],
+            job: updatedJob
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: "Internal Server Error"
+        });
+    }
+};
+
+/**
+ * Retrieves the proof of delivery recorded for a job
+ */
+exports.getProofOfDelivery = async (req, res) => {
+    const jobId = req.params.jobId;
+    try {
+        const job = await Job.findById(jobId, { status: 1, proofOfDelivery: 1 }).lean();
+        if (!job) {
             return res.status(404).json({
                 success: false,
                 message: "Job Not Found"
             });
         }
-        
+
+        if (!job.proofOfDelivery) {
+            return res.status(404).json({
+                success: false,
+                message: "No proof of delivery recorded for this job"
+            });
+        }
+
         return res.status(200).json({
-            message: "job Updated Successfully",
-            job: updatedJob
+            success: true,
+            jobId: job._id,
+            status: job.status,
+            proofOfDelivery: job.proofOfDelivery
         });
     } catch (error) {
         console.error(error);
         res.status(500).json({
-            success: false, // FIXED: Was status: false
-            message: "Internal Server error"
+            success: false,
+            message: "Internal Server Error"
         });
     }
 };
@@ -234,24 +1441,55 @@ exports.generateJobPDF = async (req, res) => {
         doc.moveDown();
 
         doc.fontSize(14).text(`Driver Info:`);
-        doc.text(`  Name: ${job.driverInfo.name}`);
-        doc.text(`  Phone: ${job.driverInfo.phone}`);
+        doc.text(`  Name: ${job.driverInfo?.name || 'Unassigned'}`);
+        doc.text(`  Phone: ${job.driverInfo?.phone || 'N/A'}`);
         doc.moveDown();
 
-        doc.text(`Pickup Info:`);
-        doc.text(`  Name: ${job.pickupInfo.name}`);
-        doc.text(`  Phone: ${job.pickupInfo.phone}`);
-        doc.text(`  Email: ${job.pickupInfo.email || 'N/A'}`);
-        doc.text(`  Latitude: ${job.pickupInfo.latitude}`);
-        doc.text(`  Longitude: ${job.pickupInfo.longitude}`);
+        doc.text(`Vehicle Info:`);
+        doc.text(`  Plate Number: ${job.vehicleInfo?.plateNumber || 'Not assigned'}`);
+        doc.text(`  Type: ${job.vehicleInfo?.type || 'N/A'}`);
         doc.moveDown();
 
-        doc.text(`Dropoff Info:`);
-        doc.text(`  Name: ${job.dropoffInfo.name}`);
-        doc.text(`  Phone: ${job.dropoffInfo.phone}`);
-        doc.text(`  Email: ${job.dropoffInfo.email || 'N/A'}`);
-        doc.text(`  Latitude: ${job.dropoffInfo.latitude}`);
-        doc.text(`  Longitude: ${job.dropoffInfo.longitude}`);
+        if (job.stops?.length) {
+            doc.text(`Stops:`);
+            job.stops.forEach((stop, index) => {
+                const type = stop.type === 'pickup' ? 'Pickup' : 'Dropoff';
+                doc.text(`  ${index + 1}. ${type}: ${stop.name} (${stop.status})`);
+                doc.text(`     Phone: ${stop.phone}`);
+                doc.text(`     Email: ${stop.email || 'N/A'}`);
+                doc.text(`     Latitude: ${stop.latitude}, Longitude: ${stop.longitude}`);
+                if (stop.note) doc.text(`     Note: ${stop.note}`);
+                if (stop.arrivedAt) doc.text(`     Arrived At: ${stop.arrivedAt}`);
+                if (stop.completedAt) doc.text(`     ${stop.status === 'failed' ? 'Failed' : 'Completed'} At: ${stop.completedAt}`);
+                if (stop.failureReason) doc.text(`     Reason: ${stop.failureReason}`);
+                if (stop.proof) {
+                    doc.text(`     Received By: ${stop.proof.recipientName}`);
+                    doc.text(`     Signature: ${stop.proof.signature.url}`);
+                }
+            });
+            doc.moveDown();
+        } else {
+            doc.text(`Pickup Info:`);
+            doc.text(`  Name: ${job.pickupInfo.name}`);
+            doc.text(`  Phone: ${job.pickupInfo.phone}`);
+            doc.text(`  Email: ${job.pickupInfo.email || 'N/A'}`);
+            doc.text(`  Latitude: ${job.pickupInfo.latitude}`);
+            doc.text(`  Longitude: ${job.pickupInfo.longitude}`);
+            doc.moveDown();
+
+            doc.text(`Dropoff Info:`);
+            doc.text(`  Name: ${job.dropoffInfo.name}`);
+            doc.text(`  Phone: ${job.dropoffInfo.phone}`);
+            doc.text(`  Email: ${job.dropoffInfo.email || 'N/A'}`);
+            doc.text(`  Latitude: ${job.dropoffInfo.latitude}`);
+            doc.text(`  Longitude: ${job.dropoffInfo.longitude}`);
+            doc.moveDown();
+        }
+
+        doc.text(`Schedule:`);
+        doc.text(`  Pickup Window: ${formatTimeWindow(job.pickupWindow)}`);
+        doc.text(`  Delivery Window: ${formatTimeWindow(job.deliveryWindow)}`);
+        doc.text(`  Promised By: ${job.promisedBy ? new Date(job.promisedBy).toLocaleString() : 'N/A'}`);
         doc.moveDown();
 
         doc.text(`Status: ${job.status}`);
@@ -262,6 +1500,20 @@ exports.generateJobPDF = async (req, res) => {
         doc.text(`Created At: ${job.createdAt}`);
         doc.text(`Updated At: ${job.updatedAt}`);
 
+        if (job.proofOfDelivery) {
+            const proof = job.proofOfDelivery;
+            doc.moveDown();
+            doc.text(`Proof of Delivery:`);
+            doc.text(`  Recipient: ${proof.recipientName}`);
+            doc.text(`  Delivered At: ${proof.capturedAt}`);
+            doc.text(`  Latitude: ${proof.location.latitude}`);
+            doc.text(`  Longitude: ${proof.location.longitude}`);
+            doc.text(`  Signature: ${proof.signature.url}`);
+            proof.photos.forEach((photo, index) => {
+                doc.text(`  Photo ${index + 1}: ${photo.url}`);
+            });
+        }
+
         doc.end();
 
         return res.status(200).json({
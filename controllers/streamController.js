@@ -0,0 +1,120 @@
+const Job = require("../models/job.model");
+const { subscribe } = require("../utils/liveEvents");
+
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+const INACTIVE_STATUSES = ["delivered", "cancelled"];
+
+/**
+ * Opens a Server-Sent Events stream and forwards every job event accepted
+ * by `filter` until the client disconnects
+ *
+ * @function openStream
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} filter - Returns true for events this client should receive
+ * @returns {void}
+ */
+const openStream = (req, res, filter) => {
+    res.status(200).set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        "Connection": "keep-alive",
+        "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+    res.write("retry: 5000\n\n");
+    res.write(`event: connected\ndata: ${JSON.stringify({ at: new Date().toISOString() })}\n\n`);
+
+    const unsubscribe = subscribe((event) => {
+        if (filter(event)) {
+            res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+        }
+    });
+
+    // Comment lines keep proxies from closing an idle connection
+    const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_INTERVAL_MS);
+
+    req.on("close", () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+};
+
+/**
+ * Streams live location, status and assignment updates for a single job
+ *
+ * @async
+ * @function streamJob
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Request parameters
+ * @param {string} req.params.jobId - ID of the job to subscribe to
+ * @param {Object} req.user - Authenticated user from auth middleware
+ * @param {Object} res - Express response object
+ * @returns {void} An open event stream or JSON error message
+ * @throws {Error} If server error occurs while looking up the job
+ */
+exports.streamJob = async (req, res) => {
+    const jobId = req.params.jobId;
+    try {
+        const job = await Job.findById(jobId, { driverInfo: 1 }).lean();
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                message: "Job not found"
+            });
+        }
+
+        if (req.user.role !== "admin" && String(job.driverInfo?.id) !== String(req.user.id)) {
+            return res.status(403).json({
+                success: false,
+                message: "You can only follow jobs assigned to you"
+            });
+        }
+
+        openStream(req, res, (event) => event.jobId === String(job._id));
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: "Internal Server Error"
+        });
+    }
+};
+
+/**
+ * Streams live location, status and assignment updates for every job of one driver
+ *
+ * @function streamDriver
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Request parameters
+ * @param {string} req.params.driverId - ID of the driver to subscribe to
+ * @param {Object} req.user - Authenticated user from auth middleware
+ * @param {Object} res - Express response object
+ * @returns {void} An open event stream or JSON error message
+ */
+exports.streamDriver = (req, res) => {
+    const driverId = req.params.driverId;
+
+    if (req.user.role !== "admin" && driverId !== String(req.user.id)) {
+        return res.status(403).json({
+            success: false,
+            message: "You can only follow your own jobs"
+        });
+    }
+
+    openStream(req, res, (event) => event.driverId === driverId);
+};
+
+/**
+ * Streams live updates for all active jobs
+ * Location updates of delivered or cancelled jobs are dropped, but the status
+ * change that closes a job is still sent so dashboards can remove it.
+ *
+ * @function streamActiveJobs
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {void} An open event stream
+ */
+exports.streamActiveJobs = (req, res) => {
+    openStream(req, res, (event) => event.type === "status" || !INACTIVE_STATUSES.includes(event.status));
+};
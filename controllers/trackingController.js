@@ -0,0 +1,175 @@
+const Job = require("../models/job.model");
+const trackingConfig = require("../config/trackingConfig");
+const {
+    generateTrackingToken,
+    hashTrackingToken,
+    getTrackingLinkExpiry,
+    toTrackingView,
+} = require("../utils/trackingLink");
+const { getJobEta } = require("../utils/eta");
+
+/**
+ * Builds the public URL a tracking token is shared under
+ */
+const buildTrackingUrl = (req, token) => {
+    const base = trackingConfig.linkBaseUrl || `${req.protocol}://${req.get("host")}/api/v1`;
+    return `${base.replace(/\/$/, "")}/track/${token}`;
+};
+
+/**
+ * Creates a tracking link for a job, replacing any existing one
+ *
+ * @async
+ * @function createTrackingLink
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Request parameters
+ * @param {string} req.params.jobId - ID of the job to share
+ * @param {Object} req.user - Authenticated admin from auth middleware
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the token and public URL or error message
+ * @throws {Error} If server error occurs while saving the link
+ *
+ * @description
+ * The raw token is only returned here; the job stores a hash of it. Creating
+ * a new link invalidates the previous one.
+ */
+exports.createTrackingLink = async (req, res) => {
+    const jobId = req.params.jobId;
+    try {
+        const job = await Job.findById(jobId, { status: 1, statusHistory: 1, updatedAt: 1 }).lean();
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                message: "Job not found"
+            });
+        }
+
+        const expiresAt = getTrackingLinkExpiry(job);
+        if (expiresAt && expiresAt <= new Date()) {
+            return res.status(400).json({
+                success: false,
+                message: `Job was ${job.status} too long ago to be shared`
+            });
+        }
+
+        const { token, tokenHash } = generateTrackingToken();
+        await Job.findByIdAndUpdate(jobId, {
+            trackingLink: {
+                tokenHash,
+                createdBy: { id: req.user.id, role: req.user.role },
+                createdAt: new Date(),
+                revokedAt: null,
+            }
+        });
+
+        return res.status(201).json({
+            success: true,
+            message: "Tracking link created successfully",
+            token,
+            url: buildTrackingUrl(req, token),
+            expiresAt
+        });
+    } catch (error) {
+        console.error(error);
+        return res.status(500).json({
+            success: false,
+            message: "Internal Server Error"
+        });
+    }
+};
+
+/**
+ * Revokes a job's tracking link so it stops working immediately
+ *
+ * @async
+ * @function revokeTrackingLink
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Request parameters
+ * @param {string} req.params.jobId - ID of the job whose link is revoked
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response confirming revocation or error message
+ * @throws {Error} If server error occurs while revoking the link
+ */
+exports.revokeTrackingLink = async (req, res) => {
+    const jobId = req.params.jobId;
+    try {
+        const job = await Job.findById(jobId, { trackingLink: 1 }).lean();
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                message: "Job not found"
+            });
+        }
+        if (!job.trackingLink || job.trackingLink.revokedAt) {
+            return res.status(404).json({
+                success: false,
+                message: "Job has no active tracking link"
+            });
+        }
+
+        await Job.findByIdAndUpdate(jobId, { "trackingLink.revokedAt": new Date() });
+
+        return res.status(200).json({
+            success: true,
+            message: "Tracking link revoked successfully"
+        });
+    } catch (error) {
+        console.error(error);
+        return res.status(500).json({
+            success: false,
+            message: "Internal Server Error"
+        });
+    }
+};
+
+/**
+ * Shows the public, redacted tracking view for a tracking token
+ *
+ * @async
+ * @function getTrackingView
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Request parameters
+ * @param {string} req.params.token - Token from the shared tracking link
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the tracking view or error message
+ * @throws {Error} If server error occurs during retrieval
+ *
+ * @description
+ * Unknown and revoked tokens are indistinguishable (404); tokens of jobs that
+ * completed longer ago than the configured grace period return 410.
+ */
+exports.getTrackingView = async (req, res) => {
+    try {
+        const job = await Job.findOne({
+            "trackingLink.tokenHash": hashTrackingToken(req.params.token),
+            "trackingLink.revokedAt": null,
+        }).lean();
+
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                message: "Tracking link not found"
+            });
+        }
+
+        const expiresAt = getTrackingLinkExpiry(job);
+        if (expiresAt && expiresAt <= new Date()) {
+            return res.status(410).json({
+                success: false,
+                message: "Tracking link has expired"
+            });
+        }
+
+        res.set("Cache-Control", "no-store");
+        return res.status(200).json({
+            success: true,
+            tracking: toTrackingView(job, await getJobEta(job))
+        });
+    } catch (error) {
+        console.error(error);
+        return res.status(500).json({
+            success: false,
+            message: "Internal Server Error"
+        });
+    }
+};
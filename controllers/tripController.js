@@ -0,0 +1,475 @@
+const Trip = require('../models/trip.model');
+const Job = require('../models/job.model');
+const User = require('../models/user.model');
+const Vehicle = require('../models/vehicle.model');
+const mongoose = require('mongoose');
+const { parseListOptions, buildDateRangeFilter, paginate } = require('../utils/pagination');
+const { buildLocationUpdate, recordJobLocation } = require('../utils/jobLocation');
+const {
+    TRIP_STATUSES,
+    OPEN_TRIP_STATUSES,
+    FINISHED_JOB_STATUSES,
+    parseTripJobIds,
+    checkTripJobs,
+    orderTripJobs,
+} = require('../utils/trip');
+const { checkVehicleForJob, toVehicleInfo } = require('../utils/vehicle');
+const { checkDriverLicence } = require('../utils/driverDocuments');
+
+const TRIP_SORT_KEYS = ['plannedStart', 'createdAt', 'updatedAt'];
+
+/**
+ * Whether the requesting user may see and ping a trip: admins, or the
+ * trip's own driver
+ */
+const canAccessTrip = (user, trip) => user.role === 'admin' || String(trip.driverInfo.id) === String(user.id);
+
+/**
+ * Loads a trip's jobs in trip order
+ */
+const loadTripJobs = async (trip) => {
+    const jobs = await Job.find({ _id: { $in: trip.jobs } }).lean();
+    return orderTripJobs(trip, jobs);
+};
+
+/**
+ * Creates a trip grouping jobs on one driver's run
+ * `jobIds` gives the order the jobs are worked in. Jobs must be open, not on
+ * another trip and either unassigned or already assigned to the trip's
+ * driver; unassigned jobs are assigned to the driver with the trip.
+ * `vehicleId` is optional and must name an active vehicle fitted for every
+ * job's add-ons; the jobs then record it as their vehicle
+ */
+exports.createTrip = async (req, res) => {
+    const { driverId, vehicleId, plannedStart, note } = req.body;
+    const createdBy = { id: req.user.id, role: req.user.role };
+
+    let jobIds;
+    try {
+        jobIds = parseTripJobIds(req.body.jobIds);
+    } catch (error) {
+        return res.status(400).json({ success: false, message: error.message });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(driverId)) {
+        return res.status(400).json({
+            success: false,
+            message: "Invalid driver ID"
+        });
+    }
+
+    const start = new Date(plannedStart);
+    if (!plannedStart || isNaN(start.getTime())) {
+        return res.status(400).json({
+            success: false,
+            message: "plannedStart must be a valid date"
+        });
+    }
+
+    if (vehicleId && !mongoose.Types.ObjectId.isValid(vehicleId)) {
+        return res.status(400).json({
+            success: false,
+            message: "Invalid vehicle ID"
+        });
+    }
+
+    try {
+        const driver = await User.findById(driverId);
+        if (!driver || driver.role !== 'driver') {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid or Non-driver User",
+            });
+        }
+
+        const licenceProblem = checkDriverLicence(driver);
+        if (licenceProblem) {
+            return res.status(400).json({ success: false, message: licenceProblem });
+        }
+
+        let vehicle = null;
+        if (vehicleId) {
+            vehicle = await Vehicle.findById(vehicleId);
+            if (!vehicle) {
+                return res.status(404).json({
+                    success: false,
+                    message: "Vehicle Not Found"
+                });
+            }
+            const vehicleError = checkVehicleForJob(vehicle);
+            if (vehicleError) {
+                return res.status(400).json({ success: false, message: vehicleError });
+            }
+        }
+
+        const jobs = await Job.find({ _id: { $in: jobIds } }).lean();
+        if (jobs.length !== jobIds.length) {
+            const found = jobs.map((job) => String(job._id));
+            return res.status(404).json({
+                success: false,
+                message: `Jobs not found: ${jobIds.filter((id) => !found.includes(id)).join(', ')}`
+            });
+        }
+
+        const jobError = checkTripJobs(jobs, driverId, vehicle);
+        if (jobError) {
+            return res.status(400).json({ success: false, message: jobError });
+        }
+
+        const driverInfo = {
+            id: String(driver._id),
+            name: `${driver.firstName} ${driver.lastName}`,
+            phone: driver.phone,
+        };
+        const vehicleInfo = vehicle ? toVehicleInfo(vehicle) : null;
+        const trip = await new Trip({
+            driverInfo,
+            vehicle: vehicleInfo,
+            plannedStart: start,
+            jobs: jobIds,
+            note,
+            createdBy,
+        }).save();
+
+        // Claim the jobs only if no other trip took them since they were checked
+        const claimed = await Job.updateMany(
+            { _id: { $in: jobIds }, tripId: null },
+            { $set: { tripId: trip._id } }
+        );
+        if (claimed.modifiedCount !== jobIds.length) {
+            await Job.updateMany({ tripId: trip._id }, { $set: { tripId: null } });
+            await Trip.deleteOne({ _id: trip._id });
+            return res.status(409).json({
+                success: false,
+                message: "Some jobs were added to another trip meanwhile, please retry"
+            });
+        }
+
+        if (vehicleInfo) {
+            await Job.updateMany({ tripId: trip._id }, { $set: { vehicleInfo } });
+        }
+
+        await Job.updateMany(
+            { _id: { $in: jobIds }, driverInfo: null },
+            {
+                $set: {
+                    driverInfo,
+                    assignment: {
+                        method: 'manual',
+                        reason: 'Added to trip',
+                        assignedBy: createdBy,
+                        assignedAt: new Date(),
+                    },
+                },
+            }
+        );
+
+        return res.status(201).json({
+            success: true,
+            message: "Trip created successfully",
+            trip
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: "Internal Server Error"
+        });
+    }
+};
+
+/**
+ * Lists trips, latest planned start first by default
+ * Filters by `status` (comma-separated for several), `driverId` and a
+ * plannedFrom/plannedTo range; paginated like the job list
+ */
+exports.getTrips = async (req, res) => {
+    const { status, driverId } = req.query;
+
+    let query;
+    let options;
+    try {
+        options = parseListOptions(req.query, { sortKeys: TRIP_SORT_KEYS, defaultSort: '-plannedStart' });
+        query = buildDateRangeFilter(req.query, { planned: 'plannedStart', created: 'createdAt' });
+        if (status) {
+            const statuses = status.split(',').map((value) => value.trim());
+            const unknown = statuses.filter((value) => !TRIP_STATUSES.includes(value));
+            if (unknown.length) {
+                throw new Error(`status must be one of ${TRIP_STATUSES.join(', ')}`);
+            }
+            query.status = { $in: statuses };
+        }
+        if (driverId) {
+            query['driverInfo.id'] = driverId;
+        }
+    } catch (error) {
+        return res.status(400).json({ success: false, message: error.message });
+    }
+
+    try {
+        const { docs: trips, pagination } = await paginate(Trip, query, options);
+        res.status(200).json({ success: true, trips, pagination });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: "Internal Server Error"
+        });
+    }
+};
+
+/**
+ * Retrieves a trip with its jobs in trip order
+ * Drivers can only see their own trips
+ */
+exports.getTripById = async (req, res) => {
+    try {
+        const trip = await Trip.findById(req.params.tripId).lean();
+        if (!trip || !canAccessTrip(req.user, trip)) {
+            return res.status(404).json({
+                success: false,
+                message: "Trip Not Found"
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            trip,
+            jobs: await loadTripJobs(trip)
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: "Internal Server Error"
+        });
+    }
+};
+
+/**
+ * Retrieves the requesting driver's current trip: the one in progress, or
+ * else the next planned one
+ */
+exports.getCurrentTrip = async (req, res) => {
+    try {
+        // "in-progress" sorts before "planned", so a started trip wins
+        const trip = await Trip.findOne({
+            'driverInfo.id': String(req.user.id),
+            status: { $in: OPEN_TRIP_STATUSES },
+        }).sort({ status: 1, plannedStart: 1 }).lean();
+
+        if (!trip) {
+            return res.status(404).json({
+                success: false,
+                message: "No current trip"
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            trip,
+            jobs: await loadTripJobs(trip)
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: "Internal Server Error"
+        });
+    }
+};
+
+/**
+ * Changes the order a trip's jobs are worked in
+ * `jobIds` must list exactly the jobs already on the trip
+ */
+exports.reorderTrip = async (req, res) => {
+    let jobIds;
+    try {
+        jobIds = parseTripJobIds(req.body.jobIds);
+    } catch (error) {
+        return res.status(400).json({ success: false, message: error.message });
+    }
+
+    try {
+        const trip = await Trip.findById(req.params.tripId);
+        if (!trip) {
+            return res.status(404).json({
+                success: false,
+                message: "Trip Not Found"
+            });
+        }
+
+        if (!OPEN_TRIP_STATUSES.includes(trip.status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot reorder a trip that is ${trip.status}`
+            });
+        }
+
+        const current = trip.jobs.map(String);
+        if (jobIds.length !== current.length || jobIds.some((id) => !current.includes(id))) {
+            return res.status(400).json({
+                success: false,
+                message: "jobIds must list exactly the jobs on the trip"
+            });
+        }
+
+        const updatedTrip = await Trip.findOneAndUpdate(
+            { _id: trip._id, status: { $in: OPEN_TRIP_STATUSES } },
+            { $set: { jobs: jobIds } },
+            { new: true }
+        );
+        if (!updatedTrip) {
+            return res.status(409).json({
+                success: false,
+                message: "Trip was closed by another request"
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: "Trip reordered successfully",
+            trip: updatedTrip
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: "Internal Server Error"
+        });
+    }
+};
+
+/**
+ * Closes a trip at the end of a run
+ * A trip that started is completed and one that never did is cancelled.
+ * Jobs still open are released from the trip so they can go on another one
+ */
+exports.closeTrip = async (req, res) => {
+    const { reason } = req.body;
+
+    try {
+        const trip = await Trip.findById(req.params.tripId);
+        if (!trip) {
+            return res.status(404).json({
+                success: false,
+                message: "Trip Not Found"
+            });
+        }
+
+        if (!OPEN_TRIP_STATUSES.includes(trip.status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Trip is already ${trip.status}`
+            });
+        }
+
+        const updatedTrip = await Trip.findOneAndUpdate(
+            { _id: trip._id, status: trip.status },
+            {
+                $set: {
+                    status: trip.status === 'planned' ? 'cancelled' : 'completed',
+                    closedAt: new Date(),
+                    closedBy: { id: req.user.id, role: req.user.role },
+                    closeReason: reason || null,
+                },
+            },
+            { new: true }
+        );
+        if (!updatedTrip) {
+            return res.status(409).json({
+                success: false,
+                message: "Trip was changed by another request, please retry"
+            });
+        }
+
+        const released = await Job.updateMany(
+            { tripId: trip._id, status: { $nin: FINISHED_JOB_STATUSES } },
+            { $set: { tripId: null } }
+        );
+
+        res.status(200).json({
+            success: true,
+            message: "Trip closed successfully",
+            trip: updatedTrip,
+            releasedJobs: released.modifiedCount
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: "Internal Server Error"
+        });
+    }
+};
+
+/**
+ * Applies one location ping to a trip and every open job on it, as
+ * PATCH /coordinate/updateCoord/:jobId does for a single job
+ * The first ping starts a planned trip. Accepts the same optional `speed`,
+ * `heading` and `accuracy` readings
+ */
+exports.updateTripLocation = async (req, res) => {
+    const { currentCoords, speed, heading, accuracy } = req.body;
+
+    const { currentLocation, update } = buildLocationUpdate(currentCoords);
+    if (!currentLocation) {
+        return res.status(400).json({
+            success: false,
+            message: "Valid currentCoords latitude and longitude are required"
+        });
+    }
+
+    try {
+        const trip = await Trip.findById(req.params.tripId);
+        if (!trip || !canAccessTrip(req.user, trip)) {
+            return res.status(404).json({
+                success: false,
+                message: "Trip Not Found"
+            });
+        }
+
+        if (!OPEN_TRIP_STATUSES.includes(trip.status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot track a trip that is ${trip.status}`
+            });
+        }
+
+        const tripUpdate = trip.status === 'planned'
+            ? { ...update, status: 'in-progress', startedAt: new Date() }
+            : update;
+        // A trip closed since it was read must not be reopened by a late ping
+        const updatedTrip = await Trip.findOneAndUpdate(
+            { _id: trip._id, status: trip.status },
+            { $set: tripUpdate },
+            { new: true }
+        );
+        if (!updatedTrip) {
+            return res.status(409).json({
+                success: false,
+                message: "Trip was changed by another request, please retry"
+            });
+        }
+
+        const openJobs = { _id: { $in: trip.jobs }, status: { $nin: FINISHED_JOB_STATUSES } };
+        await Job.updateMany(openJobs, { $set: update });
+        const jobs = await Job.find(openJobs);
+        const readings = { speed, heading, accuracy };
+        const updatedJobs = await Promise.all(jobs.map((job) => recordJobLocation(job, currentLocation, readings)));
+
+        res.status(200).json({
+            success: true,
+            message: "Trip location updated successfully",
+            trip: updatedTrip,
+            jobs: orderTripJobs(trip, updatedJobs)
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: "Internal Server Error"
+        });
+    }
+};
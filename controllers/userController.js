@@ -1,7 +1,24 @@
 const User = require('../models/user.model');
 const bcrypt = require("bcryptjs");
 const { Parser } = require('json2csv');
-const { uploadToCloudinary } = require('../config/cloudinaryConfig');
+const { uploadToCloudinary, deleteFromCloudinary } = require('../config/cloudinaryConfig');
+const fleetConfig = require('../config/fleetConfig');
+const { toGeoPoint } = require('../utils/geo');
+const { parseListOptions, buildDateRangeFilter, paginate } = require('../utils/pagination');
+const { buildTextSearch, sortByRelevance } = require('../utils/search');
+const {
+    DOCUMENT_TYPES,
+    parseDocumentInput,
+    describeDocument,
+    listExpiringDocuments,
+} = require('../utils/driverDocuments');
+
+const USER_SORT_KEYS = ['createdAt', 'updatedAt', 'firstName', 'lastName', 'email'];
+const USER_FIELD_KEYS = [
+    'firstName', 'lastName', 'email', 'phone', 'role', 'profileImage',
+    'vehicleCapabilities', 'lastLocationAt', 'createdAt', 'updatedAt',
+];
+const MAX_EXPIRY_WINDOW_DAYS = 365;
 
 /**
  * Retrieves the profile information for the authenticated user
@@ -188,6 +205,62 @@ exports.uploadAvatar = async (req, res) => {
     }
 };
 
+/**
+ * Records the authenticated driver's current position
+ * Used by dispatch to find drivers near a pickup even when they have no active job
+ * 
+ * @async
+ * @function updateLocation
+ * @param {Object} req - Express request object
+ * @param {Object} req.user - Authenticated user information from auth middleware
+ * @param {string} req.user.id - ID of the authenticated user
+ * @param {Object} req.body - Request body
+ * @param {number} req.body.latitude - Current latitude
+ * @param {number} req.body.longitude - Current longitude
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the stored location or error message
+ * @throws {Error} If server error occurs during update
+ */
+exports.updateLocation = async (req, res) => {
+    const { latitude, longitude } = req.body;
+    const lastLocation = toGeoPoint(latitude, longitude);
+
+    if (!lastLocation) {
+        return res.status(400).json({
+            success: false,
+            message: "Valid latitude and longitude are required"
+        });
+    }
+
+    try {
+        const user = await User.findByIdAndUpdate(
+            req.user.id,
+            { lastLocation, lastLocationAt: new Date() },
+            { new: true },
+        ).select('lastLocation lastLocationAt');
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: "Location updated",
+            lastLocation: user.lastLocation,
+            lastLocationAt: user.lastLocationAt
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: "Internal Server Error"
+        });
+    }
+};
+
 /**
  * Changes the password for the authenticated user
  * 
@@ -247,34 +320,41 @@ exports.changePassword = async (req, res) => {
  * @param {Object} req - Express request object
  * @param {Object} req.query - Query parameters
  * @param {string} [req.query.role] - Filter users by role (admin/driver)
- * @param {string} [req.query.search] - Search term to filter users
+ * @param {string} [req.query.search] - Search term matched against names, e-mail and phone; results come best match first unless a sort is given
+ * @param {string} [req.query.createdFrom] - Only users created at or after this date
+ * @param {string} [req.query.createdTo] - Only users created at or before this date
+ * @param {number} [req.query.page] - Page number (default 1)
+ * @param {number} [req.query.limit] - Users per page (default 20, at most 100)
+ * @param {string} [req.query.cursor] - Cursor from a previous response, for cursor pagination
+ * @param {string} [req.query.sort] - Sort key, prefixed with "-" for descending (default -createdAt)
+ * @param {string} [req.query.fields] - Comma-separated fields to return
  * @param {Object} res - Express response object
- * @returns {Object} JSON response with users and stats or error message
+ * @returns {Object} JSON response with users, stats and pagination metadata or error message
  * @throws {Error} If server error occurs during retrieval
  */
 exports.getUsers = async (req, res) => {
     const { role, search } = req.query;
 
+    let query;
+    let options;
     try {
-        const query = {};
-
+        options = parseListOptions(req.query, { sortKeys: USER_SORT_KEYS, fieldKeys: USER_FIELD_KEYS });
+        query = buildDateRangeFilter(req.query, { created: 'createdAt', updated: 'updatedAt' });
+        const textSearch = buildTextSearch(search);
+        if (textSearch) {
+            Object.assign(query, textSearch);
+            options = sortByRelevance(options, req.query);
+        }
+    } catch (err) {
+        return res.status(400).json({ message: err.message });
+    }
 
+    try {
         if (role) {
             query.role = role;
         }
 
-        if (search) {
-            const regex = new RegExp(search, 'i');
-
-            query.$or = [
-                { firstName: regex },
-                { lastName: regex },
-                { email: regex },
-                { phone: regex }
-            ];
-        }
-
-        const users = await User.find(query).select('-password').sort({ createdAt: -1 }).lean();
+        const { docs: users, pagination } = await paginate(User, query, options, '-password');
 
         const stats = {
             total: await User.countDocuments(),
@@ -282,7 +362,7 @@ exports.getUsers = async (req, res) => {
             admins: await User.countDocuments({ role: 'admin' })
         };
 
-        res.status(200).json({ users, stats });
+        res.status(200).json({ users, stats, pagination });
 
     } catch (err) {
         console.error("Error fetching users:", err);
@@ -321,3 +401,267 @@ exports.exportDrivers = async (req, res) => {
         res.status(500).json({ message: 'Server Error while exporting drivers' });
     }
 };
+
+/**
+ * Whether the requesting user may manage a user's documents: admins, or
+ * drivers for their own
+ */
+const canManageDocuments = (user, userId) => user.role === 'admin' || String(user.id) === String(userId);
+
+/**
+ * Uploads a driver's licence, bluebook or insurance document, replacing
+ * any earlier one of the same type
+ *
+ * @async
+ * @function uploadDocument
+ * @param {Object} req - Express request object
+ * @param {string} req.params.userId - ID of the driver
+ * @param {string} req.params.type - licence, bluebook or insurance
+ * @param {Object} req.body - Document details
+ * @param {string} req.body.number - Document number
+ * @param {string} req.body.expiresAt - Expiry date
+ * @param {Object} req.file - JPEG, PNG or PDF scan from the documentUpload middleware
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the stored document or error message
+ * @throws {Error} If server error occurs during upload
+ *
+ * @description
+ * Drivers upload their own documents and admins upload them on a driver's
+ * behalf. The previous file is removed from Cloudinary once the new one is
+ * stored.
+ */
+exports.uploadDocument = async (req, res) => {
+    const { userId, type } = req.params;
+
+    if (!canManageDocuments(req.user, userId)) {
+        return res.status(403).json({
+            success: false,
+            message: "Drivers can only manage their own documents"
+        });
+    }
+
+    if (!DOCUMENT_TYPES.includes(type)) {
+        return res.status(400).json({
+            success: false,
+            message: `Document type must be one of ${DOCUMENT_TYPES.join(', ')}`
+        });
+    }
+
+    let details;
+    try {
+        details = parseDocumentInput(req.body);
+    } catch (error) {
+        return res.status(400).json({ success: false, message: error.message });
+    }
+
+    if (!req.file) {
+        return res.status(400).json({ success: false, message: 'No file uploaded' });
+    }
+
+    try {
+        const user = await User.findById(userId);
+        if (!user) {
+            return res.status(404).json({ success: false, message: 'User not found' });
+        }
+        if (user.role !== 'driver') {
+            return res.status(400).json({
+                success: false,
+                message: "Documents are only kept for drivers"
+            });
+        }
+
+        const result = await uploadToCloudinary(req.file.buffer, { resourceType: 'auto' });
+        const document = {
+            type,
+            ...details,
+            file: {
+                url: result.secure_url,
+                publicId: result.public_id,
+                resourceType: result.resource_type,
+                format: result.format,
+            },
+            uploadedBy: { id: req.user.id, role: req.user.role },
+            uploadedAt: new Date(),
+        };
+
+        // Replace in place or append, only if no other request did so meanwhile;
+        // a replace must still find the file it read, or that file would be orphaned
+        const previous = (user.documents || []).find((existing) => existing.type === type);
+        const updatedUser = previous
+            ? await User.findOneAndUpdate(
+                { _id: user._id, documents: { $elemMatch: { type, 'file.publicId': previous.file.publicId } } },
+                { $set: { 'documents.$': document } },
+                { new: true }
+            )
+            : await User.findOneAndUpdate(
+                { _id: user._id, 'documents.type': { $ne: type } },
+                { $push: { documents: document } },
+                { new: true }
+            );
+
+        if (!updatedUser) {
+            await deleteFromCloudinary(document.file.publicId, { resourceType: document.file.resourceType });
+            return res.status(409).json({
+                success: false,
+                message: "Documents were changed by another request, please retry"
+            });
+        }
+
+        if (previous) {
+            await deleteFromCloudinary(previous.file.publicId, { resourceType: previous.file.resourceType })
+                .catch((error) => console.error(error));
+        }
+
+        res.status(200).json({
+            success: true,
+            message: "Document uploaded successfully",
+            document: describeDocument(document)
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: "Internal Server Error"
+        });
+    }
+};
+
+/**
+ * Lists a driver's documents with how long each has left
+ *
+ * @async
+ * @function getDocuments
+ * @param {Object} req - Express request object
+ * @param {string} req.params.userId - ID of the driver
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the documents or error message
+ * @throws {Error} If server error occurs during retrieval
+ */
+exports.getDocuments = async (req, res) => {
+    const { userId } = req.params;
+
+    if (!canManageDocuments(req.user, userId)) {
+        return res.status(403).json({
+            success: false,
+            message: "Drivers can only manage their own documents"
+        });
+    }
+
+    try {
+        const user = await User.findById(userId).select('documents').lean();
+        if (!user) {
+            return res.status(404).json({ success: false, message: 'User not found' });
+        }
+
+        const now = new Date();
+        res.status(200).json({
+            success: true,
+            documents: (user.documents || []).map((document) => describeDocument(document, now))
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: "Internal Server Error"
+        });
+    }
+};
+
+/**
+ * Removes one of a driver's documents and its file (admin function)
+ *
+ * @async
+ * @function deleteDocument
+ * @param {Object} req - Express request object
+ * @param {string} req.params.userId - ID of the driver
+ * @param {string} req.params.type - licence, bluebook or insurance
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with success or error message
+ * @throws {Error} If server error occurs during deletion
+ */
+exports.deleteDocument = async (req, res) => {
+    const { userId, type } = req.params;
+
+    try {
+        // The update returns the user as it was, so the removed file is known
+        const user = await User.findOneAndUpdate(
+            { _id: userId, 'documents.type': type },
+            { $pull: { documents: { type } } }
+        );
+        const removed = user?.documents.find((document) => document.type === type);
+        if (!removed) {
+            return res.status(404).json({ success: false, message: 'Document not found' });
+        }
+
+        await deleteFromCloudinary(removed.file.publicId, { resourceType: removed.file.resourceType })
+            .catch((error) => console.error(error));
+
+        res.status(200).json({
+            success: true,
+            message: "Document deleted successfully"
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: "Internal Server Error"
+        });
+    }
+};
+
+/**
+ * Lists driver documents that have expired or expire within a number of
+ * days, soonest first (admin function)
+ *
+ * @async
+ * @function getExpiringDocuments
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {number} [req.query.days] - Days ahead to look (default from FLEET_DOCUMENT_EXPIRY_WINDOW_DAYS, at most 365)
+ * @param {string} [req.query.type] - Only documents of this type
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the documents and their drivers or error message
+ * @throws {Error} If server error occurs during retrieval
+ */
+exports.getExpiringDocuments = async (req, res) => {
+    const { type } = req.query;
+    const days = req.query.days === undefined ? fleetConfig.documentExpiryWindowDays : Number(req.query.days);
+
+    if (!Number.isInteger(days) || days < 0 || days > MAX_EXPIRY_WINDOW_DAYS) {
+        return res.status(400).json({
+            success: false,
+            message: `days must be a whole number between 0 and ${MAX_EXPIRY_WINDOW_DAYS}`
+        });
+    }
+    if (type && !DOCUMENT_TYPES.includes(type)) {
+        return res.status(400).json({
+            success: false,
+            message: `type must be one of ${DOCUMENT_TYPES.join(', ')}`
+        });
+    }
+
+    try {
+        const now = new Date();
+        const until = new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+        const expiring = { expiresAt: { $lte: until } };
+        if (type) {
+            expiring.type = type;
+        }
+
+        const drivers = await User.find({ role: 'driver', documents: { $elemMatch: expiring } })
+            .select('firstName lastName phone documents')
+            .lean();
+
+        res.status(200).json({
+            success: true,
+            until,
+            documents: listExpiringDocuments(drivers, { until, type, now })
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: "Internal Server Error"
+        });
+    }
+};
@@ -0,0 +1,315 @@
+const Vehicle = require('../models/vehicle.model');
+const User = require('../models/user.model');
+const Job = require('../models/job.model');
+const mongoose = require('mongoose');
+const { OPEN_STATUSES } = require('../utils/driverLocator');
+const { parseListOptions, paginate } = require('../utils/pagination');
+const { VEHICLE_TYPES, VEHICLE_STATUSES, parseVehicleInput } = require('../utils/vehicle');
+
+const VEHICLE_SORT_KEYS = ['plateNumber', 'createdAt', 'updatedAt'];
+const NO_CAPABILITIES = { heavyItem: false, fragileItems: false };
+
+/**
+ * Answers a duplicate plate number with a 409, anything else with a 500
+ */
+const handleSaveError = (error, res) => {
+    if (error.code === 11000) {
+        return res.status(409).json({
+            success: false,
+            message: "A vehicle with this plate number already exists"
+        });
+    }
+    console.error(error);
+    return res.status(500).json({
+        success: false,
+        message: "Internal Server Error"
+    });
+};
+
+/**
+ * Copies a vehicle's supports onto its driver, where the dispatch engine
+ * reads them
+ */
+const syncDriverCapabilities = (driverId, supports) => User.findByIdAndUpdate(driverId, {
+    vehicleCapabilities: {
+        heavyItem: Boolean(supports?.heavyItem),
+        fragileItems: Boolean(supports?.fragileItems),
+    },
+});
+
+/**
+ * Adds a vehicle to the fleet
+ * `plateNumber` and `type` are required; `capacity` ({ weightKg, volumeM3 }),
+ * `supports` ({ fragileItems, heavyItem }), `status` and `note` are optional
+ */
+exports.createVehicle = async (req, res) => {
+    let fields;
+    try {
+        fields = parseVehicleInput(req.body);
+    } catch (error) {
+        return res.status(400).json({ success: false, message: error.message });
+    }
+
+    try {
+        const vehicle = await new Vehicle(fields).save();
+        return res.status(201).json({
+            success: true,
+            message: "Vehicle created successfully",
+            vehicle
+        });
+    } catch (error) {
+        return handleSaveError(error, res);
+    }
+};
+
+/**
+ * Lists vehicles, filtered by `status`, `type`, `supports` (heavyItem,
+ * fragileItems or both, comma-separated) and `assigned` (true or false)
+ */
+exports.getVehicles = async (req, res) => {
+    const { status, type, supports, assigned } = req.query;
+
+    let query = {};
+    let options;
+    try {
+        options = parseListOptions(req.query, { sortKeys: VEHICLE_SORT_KEYS, defaultSort: 'plateNumber' });
+        if (status) {
+            if (!VEHICLE_STATUSES.includes(status)) {
+                throw new Error(`status must be one of ${VEHICLE_STATUSES.join(', ')}`);
+            }
+            query.status = status;
+        }
+        if (type) {
+            if (!VEHICLE_TYPES.includes(type)) {
+                throw new Error(`type must be one of ${VEHICLE_TYPES.join(', ')}`);
+            }
+            query.type = type;
+        }
+        if (supports) {
+            supports.split(',').map((value) => value.trim()).forEach((key) => {
+                if (!Object.keys(NO_CAPABILITIES).includes(key)) {
+                    throw new Error("supports must list heavyItem and/or fragileItems");
+                }
+                query[`supports.${key}`] = true;
+            });
+        }
+        if (assigned !== undefined) {
+            if (!['true', 'false'].includes(assigned)) {
+                throw new Error("assigned must be true or false");
+            }
+            query.driverInfo = assigned === 'true' ? { $ne: null } : null;
+        }
+    } catch (error) {
+        return res.status(400).json({ success: false, message: error.message });
+    }
+
+    try {
+        const { docs: vehicles, pagination } = await paginate(Vehicle, query, options);
+        res.status(200).json({ success: true, vehicles, pagination });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: "Internal Server Error"
+        });
+    }
+};
+
+/**
+ * Retrieves a vehicle
+ */
+exports.getVehicleById = async (req, res) => {
+    try {
+        const vehicle = await Vehicle.findById(req.params.vehicleId).lean();
+        if (!vehicle) {
+            return res.status(404).json({
+                success: false,
+                message: "Vehicle Not Found"
+            });
+        }
+        res.status(200).json({ success: true, vehicle });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: "Internal Server Error"
+        });
+    }
+};
+
+/**
+ * Updates a vehicle's details; only the fields sent change
+ * New supports are copied to the vehicle's driver. Jobs keep the vehicle
+ * they were created with
+ */
+exports.updateVehicle = async (req, res) => {
+    let fields;
+    try {
+        fields = parseVehicleInput(req.body, { partial: true });
+    } catch (error) {
+        return res.status(400).json({ success: false, message: error.message });
+    }
+
+    if (Object.keys(fields).length === 0) {
+        return res.status(400).json({
+            success: false,
+            message: "No vehicle fields to update"
+        });
+    }
+
+    try {
+        const vehicle = await Vehicle.findByIdAndUpdate(
+            req.params.vehicleId,
+            { $set: fields },
+            { new: true, runValidators: true }
+        );
+        if (!vehicle) {
+            return res.status(404).json({
+                success: false,
+                message: "Vehicle Not Found"
+            });
+        }
+
+        if (vehicle.driverInfo) {
+            await syncDriverCapabilities(vehicle.driverInfo.id, vehicle.supports);
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: "Vehicle updated successfully",
+            vehicle
+        });
+    } catch (error) {
+        return handleSaveError(error, res);
+    }
+};
+
+/**
+ * Removes a vehicle from the fleet
+ * Vehicles still carrying open jobs can't be removed; their driver loses
+ * the vehicle's capabilities
+ */
+exports.deleteVehicle = async (req, res) => {
+    try {
+        const vehicle = await Vehicle.findById(req.params.vehicleId);
+        if (!vehicle) {
+            return res.status(404).json({
+                success: false,
+                message: "Vehicle Not Found"
+            });
+        }
+
+        const openJobs = await Job.countDocuments({ 'vehicleInfo.id': String(vehicle._id), status: { $in: OPEN_STATUSES } });
+        if (openJobs > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Vehicle is carrying ${openJobs} open job(s)`
+            });
+        }
+
+        await Vehicle.deleteOne({ _id: vehicle._id });
+        if (vehicle.driverInfo) {
+            await syncDriverCapabilities(vehicle.driverInfo.id, NO_CAPABILITIES);
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: "Vehicle deleted successfully"
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: "Internal Server Error"
+        });
+    }
+};
+
+/**
+ * Assigns a vehicle to a driver, or frees it with `driverId: null`
+ * A driver uses one vehicle at a time, so any vehicle they had is freed.
+ * The driver's vehicle capabilities follow the vehicle. Vehicles in
+ * maintenance can't be assigned
+ */
+exports.assignVehicleDriver = async (req, res) => {
+    const { driverId } = req.body;
+
+    if (driverId !== null && !mongoose.Types.ObjectId.isValid(driverId)) {
+        return res.status(400).json({
+            success: false,
+            message: "driverId must be a driver ID or null"
+        });
+    }
+
+    try {
+        const vehicle = await Vehicle.findById(req.params.vehicleId);
+        if (!vehicle) {
+            return res.status(404).json({
+                success: false,
+                message: "Vehicle Not Found"
+            });
+        }
+
+        const previousDriverId = vehicle.driverInfo?.id || null;
+
+        if (driverId === null) {
+            const updatedVehicle = await Vehicle.findByIdAndUpdate(vehicle._id, { driverInfo: null }, { new: true });
+            if (previousDriverId) {
+                await syncDriverCapabilities(previousDriverId, NO_CAPABILITIES);
+            }
+            return res.status(200).json({
+                success: true,
+                message: "Vehicle unassigned successfully",
+                vehicle: updatedVehicle
+            });
+        }
+
+        if (vehicle.status !== 'active') {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot assign a vehicle that is ${vehicle.status}`
+            });
+        }
+
+        const driver = await User.findById(driverId);
+        if (!driver || driver.role !== 'driver') {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid or Non-driver User",
+            });
+        }
+
+        await Vehicle.updateMany(
+            { 'driverInfo.id': String(driver._id), _id: { $ne: vehicle._id } },
+            { driverInfo: null }
+        );
+        const updatedVehicle = await Vehicle.findByIdAndUpdate(
+            vehicle._id,
+            {
+                driverInfo: {
+                    id: String(driver._id),
+                    name: `${driver.firstName} ${driver.lastName}`,
+                    phone: driver.phone,
+                },
+            },
+            { new: true }
+        );
+
+        await syncDriverCapabilities(driver._id, updatedVehicle.supports);
+        if (previousDriverId && previousDriverId !== String(driver._id)) {
+            await syncDriverCapabilities(previousDriverId, NO_CAPABILITIES);
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: "Vehicle assigned successfully",
+            vehicle: updatedVehicle
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: "Internal Server Error"
+        });
+    }
+};
@@ -0,0 +1,252 @@
+const Vehicle = require('../models/vehicle.model');
+const VehicleLog = require('../models/vehicleLog.model');
+const mongoose = require('mongoose');
+const fleetConfig = require('../config/fleetConfig');
+const { uploadToCloudinary, deleteFromCloudinary } = require('../config/cloudinaryConfig');
+const { parseListOptions, buildDateRangeFilter, paginate } = require('../utils/pagination');
+const { parseDateRange } = require('../utils/analytics');
+const {
+    LOG_KINDS,
+    parseLogInput,
+    serviceReminder,
+    buildCostPipeline,
+    toCostReport,
+} = require('../utils/vehicleLog');
+
+const LOG_SORT_KEYS = ['occurredAt', 'createdAt'];
+const REMINDER_STATUSES = ['overdue', 'upcoming'];
+
+const LOGGED_MESSAGES = {
+    fuel: "Fuel fill-up logged successfully",
+    maintenance: "Service logged successfully",
+    expense: "Expense logged successfully",
+};
+
+/**
+ * Keeps the vehicle's odometer at its highest reading and, for services,
+ * its next service at the latest one logged; back-dated services don't
+ * replace a later one
+ */
+const recordReadings = async (vehicleId, log) => {
+    if (log.odometerKm !== null) {
+        await Vehicle.updateOne({ _id: vehicleId }, { $max: { odometerKm: log.odometerKm } });
+    }
+    if (log.kind === 'maintenance') {
+        await Vehicle.updateOne(
+            { _id: vehicleId, $or: [{ nextService: null }, { 'nextService.servicedAt': { $lte: log.occurredAt } }] },
+            {
+                $set: {
+                    nextService: {
+                        servicedAt: log.occurredAt,
+                        dueOdometerKm: log.service.nextDueOdometerKm,
+                        dueDate: log.service.nextDueDate,
+                    },
+                },
+            }
+        );
+    }
+};
+
+/**
+ * Validates and stores one log of the given kind, uploading its receipt
+ * image when one was sent
+ */
+const addLog = async (req, res, kind) => {
+    let fields;
+    try {
+        fields = parseLogInput(kind, req.body);
+    } catch (error) {
+        return res.status(400).json({ success: false, message: error.message });
+    }
+
+    try {
+        const vehicle = await Vehicle.findById(req.params.vehicleId);
+        if (!vehicle) {
+            return res.status(404).json({
+                success: false,
+                message: "Vehicle Not Found"
+            });
+        }
+
+        let receipt = null;
+        if (req.file) {
+            const result = await uploadToCloudinary(req.file.buffer);
+            receipt = { url: result.secure_url, publicId: result.public_id };
+        }
+
+        let log;
+        try {
+            log = await new VehicleLog({
+                ...fields,
+                vehicleId: vehicle._id,
+                receipt,
+                loggedBy: { id: req.user.id, role: req.user.role },
+            }).save();
+        } catch (error) {
+            if (receipt) await deleteFromCloudinary(receipt.publicId);
+            throw error;
+        }
+
+        await recordReadings(vehicle._id, log);
+
+        return res.status(201).json({
+            success: true,
+            message: LOGGED_MESSAGES[kind],
+            log
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: "Internal Server Error"
+        });
+    }
+};
+
+/**
+ * Logs a fuel fill-up: `litres`, `pricePerLitre` in NPR and `odometerKm`,
+ * with optional `occurredAt` and `note`
+ */
+exports.logFuel = (req, res) => addLog(req, res, 'fuel');
+
+/**
+ * Logs a service: `description`, `amount` in NPR and `odometerKm`, with
+ * optional `nextDueOdometerKm` and `nextDueDate` for the next service,
+ * `occurredAt` and `note`
+ */
+exports.logMaintenance = (req, res) => addLog(req, res, 'maintenance');
+
+/**
+ * Logs another expense: `category` and `amount` in NPR, with optional
+ * `description`, `odometerKm`, `occurredAt`, `note` and a `receipt` image
+ */
+exports.logExpense = (req, res) => addLog(req, res, 'expense');
+
+/**
+ * Lists a vehicle's logs, latest first by default
+ * Filters by `kind` and an occurredFrom/occurredTo range
+ */
+exports.getVehicleLogs = async (req, res) => {
+    const { vehicleId } = req.params;
+    const { kind } = req.query;
+
+    let query;
+    let options;
+    try {
+        if (!mongoose.Types.ObjectId.isValid(vehicleId)) {
+            throw new Error("Invalid vehicle ID");
+        }
+        options = parseListOptions(req.query, { sortKeys: LOG_SORT_KEYS, defaultSort: '-occurredAt' });
+        query = buildDateRangeFilter(req.query, { occurred: 'occurredAt' });
+        if (kind) {
+            if (!LOG_KINDS.includes(kind)) {
+                throw new Error(`kind must be one of ${LOG_KINDS.join(', ')}`);
+            }
+            query.kind = kind;
+        }
+    } catch (error) {
+        return res.status(400).json({ success: false, message: error.message });
+    }
+    query.vehicleId = vehicleId;
+
+    try {
+        const vehicle = await Vehicle.findById(vehicleId);
+        if (!vehicle) {
+            return res.status(404).json({
+                success: false,
+                message: "Vehicle Not Found"
+            });
+        }
+
+        const { docs: logs, pagination } = await paginate(VehicleLog, query, options);
+        res.status(200).json({ success: true, logs, pagination });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: "Internal Server Error"
+        });
+    }
+};
+
+/**
+ * Lists vehicles whose next service is overdue or coming up, overdue first
+ * `status` narrows the list to overdue or upcoming services
+ */
+exports.getServiceReminders = async (req, res) => {
+    const { status } = req.query;
+    if (status && !REMINDER_STATUSES.includes(status)) {
+        return res.status(400).json({
+            success: false,
+            message: `status must be one of ${REMINDER_STATUSES.join(', ')}`
+        });
+    }
+
+    try {
+        const vehicles = await Vehicle.find({ nextService: { $ne: null } }).lean();
+        const options = {
+            now: new Date(),
+            dueSoonDays: fleetConfig.serviceDueSoonDays,
+            dueSoonKm: fleetConfig.serviceDueSoonKm,
+        };
+
+        const reminders = vehicles
+            .map((vehicle) => ({
+                vehicle: {
+                    id: String(vehicle._id),
+                    plateNumber: vehicle.plateNumber,
+                    type: vehicle.type,
+                    status: vehicle.status,
+                    odometerKm: vehicle.odometerKm,
+                    driverInfo: vehicle.driverInfo,
+                },
+                lastServicedAt: vehicle.nextService.servicedAt,
+                ...serviceReminder(vehicle, options),
+            }))
+            .filter((reminder) => reminder.status && (!status || reminder.status === status))
+            .sort((a, b) => REMINDER_STATUSES.indexOf(a.status) - REMINDER_STATUSES.indexOf(b.status)
+                || (a.dueDate || Infinity) - (b.dueDate || Infinity));
+
+        res.status(200).json({ success: true, reminders });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: "Internal Server Error"
+        });
+    }
+};
+
+/**
+ * Reports running costs and cost per km for each vehicle with logs in a
+ * from/to range (default: the last seven days), highest total cost first
+ * `vehicleId` narrows the report to one vehicle
+ */
+exports.getCostPerKm = async (req, res) => {
+    const { vehicleId } = req.query;
+
+    let range;
+    try {
+        range = parseDateRange(req.query);
+        if (vehicleId && !mongoose.Types.ObjectId.isValid(vehicleId)) {
+            throw new Error("Invalid vehicle ID");
+        }
+    } catch (error) {
+        return res.status(400).json({ success: false, message: error.message });
+    }
+
+    try {
+        const rows = await VehicleLog.aggregate(buildCostPipeline(range, { vehicleId }));
+        res.status(200).json({
+            success: true,
+            range,
+            vehicles: rows.map(toCostReport)
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: "Internal Server Error"
+        });
+    }
+};
@@ -0,0 +1,64 @@
+/**
+ * @module middleware/documentUpload
+ * @description Multer middleware for driver documents: the image types
+ * middleware/multer.js accepts, or PDF
+ * @requires multer
+ * @requires path
+ */
+const multer = require('multer');
+const path = require('path');
+
+/**
+ * Largest document accepted, in bytes
+ * @constant {number}
+ */
+const MAX_DOCUMENT_FILE_SIZE = 10 * 1024 * 1024;
+
+/**
+ * Accepts JPEG, JPG, PNG and PDF files, checking both the extension and the
+ * MIME type
+ *
+ * @function fileFilter
+ * @param {Object} req - Express request object
+ * @param {Object} file - File object containing information about the uploaded file
+ * @param {Function} cb - Callback function to indicate if the file should be accepted
+ * @returns {void}
+ */
+const fileFilter = (req, file, cb) => {
+    const allowedTypes = /jpeg|jpg|png|pdf/;
+    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
+    const mimetype = allowedTypes.test(file.mimetype);
+    if (extname && mimetype) {
+        return cb(null, true);
+    }
+    cb(new Error('Only JPEG, PNG or PDF documents are allowed'));
+};
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    fileFilter,
+    limits: { fileSize: MAX_DOCUMENT_FILE_SIZE, files: 1 },
+});
+
+/**
+ * Reads a single document from the `file` field into `req.file`,
+ * answering upload problems with a 400
+ *
+ * @function documentUpload
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const documentUpload = (req, res, next) => {
+    upload.single('file')(req, res, (err) => {
+        if (err) {
+            const message = err.code === 'LIMIT_FILE_SIZE'
+                ? `Documents must be at most ${MAX_DOCUMENT_FILE_SIZE / (1024 * 1024)} MB`
+                : err.message;
+            return res.status(400).json({ success: false, message });
+        }
+        next();
+    });
+};
+
+module.exports = documentUpload;
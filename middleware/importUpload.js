@@ -0,0 +1,60 @@
+/**
+ * @module middleware/importUpload
+ * @description Multer middleware for bulk import files (CSV or JSON)
+ * @requires multer
+ * @requires path
+ */
+const multer = require('multer');
+const path = require('path');
+
+/**
+ * Largest import file accepted, in bytes
+ * @constant {number}
+ */
+const MAX_IMPORT_FILE_SIZE = 2 * 1024 * 1024;
+
+/**
+ * Accepts .csv and .json files only
+ *
+ * @function fileFilter
+ * @param {Object} req - Express request object
+ * @param {Object} file - File object containing information about the uploaded file
+ * @param {Function} cb - Callback function to indicate if the file should be accepted
+ * @returns {void}
+ */
+const fileFilter = (req, file, cb) => {
+    const extname = path.extname(file.originalname).toLowerCase();
+    if (extname === '.csv' || extname === '.json') {
+        return cb(null, true);
+    }
+    cb(new Error('Only CSV or JSON files are allowed'));
+};
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    fileFilter,
+    limits: { fileSize: MAX_IMPORT_FILE_SIZE, files: 1 },
+});
+
+/**
+ * Reads a single import file from the `file` field into `req.file`,
+ * answering upload problems with a 400
+ *
+ * @function importUpload
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const importUpload = (req, res, next) => {
+    upload.single('file')(req, res, (err) => {
+        if (err) {
+            const message = err.code === 'LIMIT_FILE_SIZE'
+                ? `Import files must be at most ${MAX_IMPORT_FILE_SIZE / (1024 * 1024)} MB`
+                : err.message;
+            return res.status(400).json({ success: false, message });
+        }
+        next();
+    });
+};
+
+module.exports = importUpload;
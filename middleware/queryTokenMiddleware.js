@@ -0,0 +1,22 @@
+/**
+ * Copies a JWT passed as `?token=` into the Authorization header
+ * Browsers' EventSource cannot send custom headers, so streaming routes accept
+ * the token in the query string and then run the usual auth middleware.
+ * Only use this on streaming routes: query strings end up in access logs.
+ *
+ * @function queryTokenMiddleware
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.token] - JWT token
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void} Always calls the next middleware
+ */
+const queryTokenMiddleware = (req, res, next) => {
+    if (!req.headers.authorization && typeof req.query.token === "string") {
+        req.headers.authorization = `Bearer ${req.query.token}`;
+    }
+    next();
+};
+
+module.exports = queryTokenMiddleware;
@@ -1,4 +1,7 @@
 const mongoose = require("mongoose");
+const { toGeoPoint } = require("../utils/geo");
+const { normalizePhone, syncPhoneKeyOnUpdate } = require("../utils/search");
+const pointSchema = require("./point.schema");
 
 const locationSchema = new mongoose.Schema({
   name: { 
@@ -13,48 +16,349 @@ const locationSchema = new mongoose.Schema({
     type: String 
 },
   longitude: { 
-    type: String, 
+    type: Number, 
     required: true 
 },
   latitude: { 
-    type: String, 
+    type: Number, 
     required: true 
-}
+},
+  location: {
+    type: pointSchema,
+    default: null
+  }
+}, { _id: false });
+
+const statusChangeSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    default: null
+  },
+  to: {
+    type: String,
+    required: true
+  },
+  changedBy: {
+    id: { type: String, default: null },
+    role: { type: String, default: null }
+  },
+  reason: {
+    type: String,
+    default: null
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const uploadedImageSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true
+  },
+  publicId: {
+    type: String,
+    required: true
+  }
+}, { _id: false });
+
+const proofOfDeliverySchema = new mongoose.Schema({
+  recipientName: {
+    type: String,
+    required: true
+  },
+  signature: {
+    type: uploadedImageSchema,
+    required: true
+  },
+  photos: {
+    type: [uploadedImageSchema],
+    default: []
+  },
+  location: {
+    latitude: { type: Number, required: true },
+    longitude: { type: Number, required: true }
+  },
+  capturedBy: {
+    id: { type: String, default: null },
+    role: { type: String, default: null }
+  },
+  capturedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// One waypoint of a multi-stop job, worked in array order
+const stopSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ["pickup", "dropoff"],
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  phone: {
+    type: String,
+    required: true
+  },
+  email: {
+    type: String
+  },
+  note: {
+    type: String,
+    default: null
+  },
+  latitude: {
+    type: Number,
+    required: true
+  },
+  longitude: {
+    type: Number,
+    required: true
+  },
+  location: {
+    type: pointSchema,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ["pending", "arrived", "completed", "failed"],
+    default: "pending"
+  },
+  arrivedAt: {
+    type: Date,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  // Why a stop could not be completed
+  failureReason: {
+    type: String,
+    default: null
+  },
+  completedBy: {
+    id: { type: String, default: null },
+    role: { type: String, default: null }
+  },
+  // Hand-over proof, required when completing a dropoff
+  proof: {
+    type: proofOfDeliverySchema,
+    default: null
+  }
+});
+
+const driverInfoSchema = new mongoose.Schema({
+  id: { 
+      type: String, 
+      required: true 
+  },
+  name: { 
+      type: String, 
+      required: true 
+  },
+  phone: { 
+      type: String, 
+      required: true 
+  }
+}, { _id: false });
+
+// Snapshot of the vehicle carrying the job
+const vehicleInfoSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true
+  },
+  plateNumber: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    required: true
+  }
+}, { _id: false });
+
+const assignmentSchema = new mongoose.Schema({
+  method: {
+    type: String,
+    enum: ["manual", "auto", "override"],
+    required: true
+  },
+  // Why this driver was chosen, in words dispatchers can read back
+  reason: {
+    type: String,
+    default: null
+  },
+  distanceKm: {
+    type: Number,
+    default: null
+  },
+  score: {
+    type: Number,
+    default: null
+  },
+  previousDriverId: {
+    type: String,
+    default: null
+  },
+  assignedBy: {
+    id: { type: String, default: null },
+    role: { type: String, default: null }
+  },
+  assignedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const geofenceEventSchema = new mongoose.Schema({
+  fence: {
+    type: String,
+    enum: ["pickup", "dropoff"],
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ["arrival", "departure"],
+    required: true
+  },
+  latitude: Number,
+  longitude: Number,
+  // Distance from the fence centre when the event was detected
+  distanceM: Number,
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const timeWindowSchema = new mongoose.Schema({
+  earliest: {
+    type: Date,
+    required: true
+  },
+  latest: {
+    type: Date,
+    required: true
+  }
+}, { _id: false });
+
+const riskReasonSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    enum: ["stale-location", "stationary", "eta-past-deadline", "deadline-passed"],
+    required: true
+  },
+  message: String,
+  // How far past the threshold the job is
+  minutesOver: Number
+}, { _id: false });
+
+// Set by the delay monitor while a job looks like it will be late
+const riskSchema = new mongoose.Schema({
+  level: {
+    type: String,
+    enum: ["at-risk", "delayed"],
+    required: true
+  },
+  severity: {
+    type: Number,
+    default: 0
+  },
+  reasons: {
+    type: [riskReasonSchema],
+    default: []
+  },
+  detectedAt: {
+    type: Date,
+    default: Date.now
+  },
+  checkedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Only a hash of the token is stored, so a database leak doesn't expose live links
+const trackingLinkSchema = new mongoose.Schema({
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  createdBy: {
+    id: { type: String, default: null },
+    role: { type: String, default: null }
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
 }, { _id: false });
 
 const jobSchema = mongoose.Schema({
+  // Null while a job is waiting to be dispatched
   driverInfo: {
-    id: { 
-        type: String, 
-        required: true 
-    },
-    name: { 
-        type: String, 
-        required: true 
-    },
-    phone: { 
-        type: String, 
-        required: true 
-    }
+    type: driverInfoSchema,
+    default: null
+  },
+  assignment: {
+    type: assignmentSchema,
+    default: null
+  },
+  vehicleInfo: {
+    type: vehicleInfoSchema,
+    default: null
   },
   pickupInfo: locationSchema,
   dropoffInfo: locationSchema,
+  // Ordered waypoints of a multi-stop job; pickupInfo and dropoffInfo then
+  // hold its first pickup and last dropoff
+  stops: {
+    type: [stopSchema],
+    default: []
+  },
   currentCoords: {
     longitude: { 
-        type: String, 
+        type: Number, 
         default: null 
     },
     latitude: { 
-        type: String, 
+        type: Number, 
         default: null 
     }
   },
+  currentLocation: {
+    type: pointSchema,
+    default: null
+  },
+  lastLocationAt: {
+    type: Date,
+    default: null
+  },
   status: {
     type: String,
     enum: ["pending", "in-transit", "delayed", "delivered", "cancelled"],
     default: "pending",
     required: true
   },
+  statusHistory: {
+    type: [statusChangeSchema],
+    default: []
+  },
+  proofOfDelivery: {
+    type: proofOfDeliverySchema,
+    default: null
+  },
   note: { type: String, 
     default:null
   },
@@ -65,8 +369,123 @@ const jobSchema = mongoose.Schema({
   isUrgent: {
     type: Boolean,
     default: false
+  },
+  pickupWindow: {
+    type: timeWindowSchema,
+    default: null
+  },
+  deliveryWindow: {
+    type: timeWindowSchema,
+    default: null
+  },
+  // Deadline the customer was promised for delivery; defaults to the end of
+  // the delivery window
+  promisedBy: {
+    type: Date,
+    default: null
+  },
+  risk: {
+    type: riskSchema,
+    default: null
+  },
+  trackingLink: {
+    type: trackingLinkSchema,
+    default: null
+  },
+  // Per-job overrides of config/geofenceConfig; null uses the default
+  geofence: {
+    pickupRadiusM: { type: Number, default: null },
+    dropoffRadiusM: { type: Number, default: null },
+    autoAdvance: { type: Boolean, default: null }
+  },
+  // Whether the vehicle was last seen inside each fence
+  geofenceState: {
+    pickup: { type: Boolean, default: false },
+    dropoff: { type: Boolean, default: false }
+  },
+  geofenceEvents: {
+    type: [geofenceEventSchema],
+    default: []
+  },
+  // The trip carrying this job; a job is on at most one open trip
+  tripId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Trip",
+    default: null
+  },
+  // Normalised phone numbers, so searches match any formatting of a number
+  phoneKeys: {
+    pickup: { type: String, default: null },
+    dropoff: { type: String, default: null },
+    driver: { type: String, default: null }
   }
 }, { timestamps: true });
 
+jobSchema.index({ "pickupInfo.location": "2dsphere" });
+jobSchema.index({ "dropoffInfo.location": "2dsphere" });
+jobSchema.index({ currentLocation: "2dsphere" });
+jobSchema.index({ "trackingLink.tokenHash": 1 }, { sparse: true });
+jobSchema.index({ "risk.severity": -1 });
+jobSchema.index({ tripId: 1 }, { sparse: true });
+jobSchema.index({ "vehicleInfo.id": 1, status: 1 });
+jobSchema.index({ "deliveryWindow.latest": 1, status: 1 });
+jobSchema.index({ "pickupWindow.latest": 1, status: 1 });
+jobSchema.index({ status: 1, lastLocationAt: 1 });
+jobSchema.index({ createdAt: -1 });
+jobSchema.index({ "statusHistory.to": 1, "statusHistory.changedAt": 1 });
+jobSchema.index({
+  "driverInfo.name": "text",
+  "pickupInfo.name": "text",
+  "dropoffInfo.name": "text",
+  "pickupInfo.email": "text",
+  "dropoffInfo.email": "text",
+  "phoneKeys.pickup": "text",
+  "phoneKeys.dropoff": "text",
+  "phoneKeys.driver": "text",
+  note: "text"
+}, {
+  name: "job_search",
+  // Names and numbers shouldn't be stemmed or dropped as stop words
+  default_language: "none",
+  weights: {
+    "driverInfo.name": 10,
+    "pickupInfo.name": 10,
+    "dropoffInfo.name": 10,
+    "phoneKeys.pickup": 10,
+    "phoneKeys.dropoff": 10,
+    "phoneKeys.driver": 10,
+    "pickupInfo.email": 5,
+    "dropoffInfo.email": 5,
+    note: 1
+  }
+});
+
+// Keep the GeoJSON points in sync with the latitude/longitude fields
+jobSchema.pre("validate", function (next) {
+  ["pickupInfo", "dropoffInfo"].forEach((key) => {
+    if (this[key]) {
+      this[key].location = toGeoPoint(this[key].latitude, this[key].longitude);
+    }
+  });
+  (this.stops || []).forEach((stop) => {
+    stop.location = toGeoPoint(stop.latitude, stop.longitude);
+  });
+  this.currentLocation = toGeoPoint(this.currentCoords?.latitude, this.currentCoords?.longitude);
+  this.phoneKeys = {
+    pickup: normalizePhone(this.pickupInfo?.phone),
+    dropoff: normalizePhone(this.dropoffInfo?.phone),
+    driver: normalizePhone(this.driverInfo?.phone)
+  };
+  next();
+});
+
+// Updates that bypass validation (driver assignment) keep the phone keys in sync here
+jobSchema.pre(["findOneAndUpdate", "updateOne", "updateMany"], function () {
+  const update = this.getUpdate();
+  syncPhoneKeyOnUpdate(update, "pickupInfo.phone", "phoneKeys.pickup");
+  syncPhoneKeyOnUpdate(update, "dropoffInfo.phone", "phoneKeys.dropoff");
+  syncPhoneKeyOnUpdate(update, "driverInfo.phone", "phoneKeys.driver");
+});
+
 
 module.exports = mongoose.model("Job", jobSchema);
@@ -0,0 +1,19 @@
+const mongoose = require("mongoose");
+
+/**
+ * GeoJSON Point, shared by every model that stores a position
+ */
+const pointSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ["Point"],
+    default: "Point"
+  },
+  // GeoJSON order: [longitude, latitude]
+  coordinates: {
+    type: [Number],
+    required: true
+  }
+}, { _id: false });
+
+module.exports = pointSchema;
@@ -0,0 +1,43 @@
+const mongoose = require("mongoose");
+
+const trackPointSchema = new mongoose.Schema({
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Job",
+    required: true
+  },
+  driverId: {
+    type: String,
+    default: null
+  },
+  latitude: {
+    type: Number,
+    required: true
+  },
+  longitude: {
+    type: Number,
+    required: true
+  },
+  // Speed in km/h, heading in degrees from north and accuracy in metres,
+  // as reported by the device
+  speed: {
+    type: Number,
+    default: null
+  },
+  heading: {
+    type: Number,
+    default: null
+  },
+  accuracy: {
+    type: Number,
+    default: null
+  },
+  recordedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+trackPointSchema.index({ jobId: 1, recordedAt: 1 });
+
+module.exports = mongoose.model("TrackPoint", trackPointSchema);
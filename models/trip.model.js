@@ -0,0 +1,100 @@
+const mongoose = require("mongoose");
+const pointSchema = require("./point.schema");
+
+const tripDriverSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  phone: {
+    type: String,
+    required: true
+  }
+}, { _id: false });
+
+const tripVehicleSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true
+  },
+  plateNumber: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    required: true
+  }
+}, { _id: false });
+
+// One driver's run carrying several jobs, worked in the order of `jobs`
+const tripSchema = new mongoose.Schema({
+  driverInfo: {
+    type: tripDriverSchema,
+    required: true
+  },
+  vehicle: {
+    type: tripVehicleSchema,
+    default: null
+  },
+  plannedStart: {
+    type: Date,
+    required: true
+  },
+  jobs: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Job"
+  }],
+  status: {
+    type: String,
+    enum: ["planned", "in-progress", "completed", "cancelled"],
+    default: "planned",
+    required: true
+  },
+  note: {
+    type: String,
+    default: null
+  },
+  // Last position reported for the trip; every open job on it gets the same ping
+  currentCoords: {
+    latitude: { type: Number, default: null },
+    longitude: { type: Number, default: null }
+  },
+  currentLocation: {
+    type: pointSchema,
+    default: null
+  },
+  lastLocationAt: {
+    type: Date,
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  closedAt: {
+    type: Date,
+    default: null
+  },
+  closeReason: {
+    type: String,
+    default: null
+  },
+  createdBy: {
+    id: { type: String, default: null },
+    role: { type: String, default: null }
+  },
+  closedBy: {
+    id: { type: String, default: null },
+    role: { type: String, default: null }
+  }
+}, { timestamps: true });
+
+tripSchema.index({ "driverInfo.id": 1, status: 1, plannedStart: 1 });
+tripSchema.index({ plannedStart: -1 });
+
+module.exports = mongoose.model("Trip", tripSchema);
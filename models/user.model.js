@@ -1,4 +1,43 @@
 const mongoose = require("mongoose");
+const pointSchema = require("./point.schema");
+const { normalizePhone, syncPhoneKeyOnUpdate } = require("../utils/search");
+
+const documentFileSchema = new mongoose.Schema({
+    url:{ type:String, required:true },
+    publicId:{ type:String, required:true },
+    // Cloudinary stores images and PDFs under different resource types
+    resourceType:{ type:String, default:"image" },
+    format:{ type:String, default:null },
+},{ _id:false });
+
+// A compliance document a driver holds; one of each type
+const driverDocumentSchema = new mongoose.Schema({
+    type:{
+        type:String,
+        enum:["licence","bluebook","insurance"],
+        required:true
+    },
+    number:{
+        type:String,
+        required:true
+    },
+    expiresAt:{
+        type:Date,
+        required:true
+    },
+    file:{
+        type:documentFileSchema,
+        required:true
+    },
+    uploadedBy:{
+        id:{ type:String, required:true },
+        role:{ type:String, required:true },
+    },
+    uploadedAt:{
+        type:Date,
+        default:Date.now
+    }
+},{ _id:false });
 
 const userSchema = new mongoose.Schema({
     firstName: {
@@ -34,10 +73,48 @@ const userSchema = new mongoose.Schema({
         type:String,
         enum:["admin","driver"],
         default:"driver",
+    },
+    // What the driver's vehicle can carry, used by the dispatch engine
+    vehicleCapabilities:{
+        heavyItem:{ type:Boolean, default:false },
+        fragileItems:{ type:Boolean, default:false },
+    },
+    lastLocation:{
+        type:pointSchema,
+        default:null,
+    },
+    lastLocationAt:{
+        type:Date,
+        default:null,
+    },
+    // Normalised phone number, so searches match any formatting of it
+    phoneKey:{
+        type:String,
+        default:null,
+    },
+    documents:{
+        type:[driverDocumentSchema],
+        default:[],
     }
 
 
 },{timestamps:true});
 
+userSchema.index(
+    { firstName:"text", lastName:"text", email:"text", phoneKey:"text" },
+    { name:"user_search", default_language:"none", weights:{ firstName:10, lastName:10, phoneKey:10, email:5 } }
+);
+
+userSchema.index({ "documents.type":1, "documents.expiresAt":1 });
+
+userSchema.pre("save", function (next) {
+    this.phoneKey = normalizePhone(this.phone);
+    next();
+});
+
+userSchema.pre(["findOneAndUpdate", "updateOne", "updateMany"], function () {
+    syncPhoneKeyOnUpdate(this.getUpdate(), "phone", "phoneKey");
+});
+
 
 module.exports = mongoose.model('User',userSchema);
\ No newline at end of file
@@ -0,0 +1,85 @@
+const mongoose = require("mongoose");
+
+const vehicleDriverSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  phone: {
+    type: String,
+    required: true
+  }
+}, { _id: false });
+
+// Next service due after the latest logged service, by reading or by date
+const nextServiceSchema = new mongoose.Schema({
+  servicedAt: {
+    type: Date,
+    required: true
+  },
+  dueOdometerKm: {
+    type: Number,
+    default: null
+  },
+  dueDate: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
+const vehicleSchema = new mongoose.Schema({
+  // Stored upper case so "ba 2 pa 1234" and "BA 2 PA 1234" are the same vehicle
+  plateNumber: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    uppercase: true
+  },
+  type: {
+    type: String,
+    enum: ["bike", "car", "van", "pickup", "truck"],
+    required: true
+  },
+  capacity: {
+    weightKg: { type: Number, default: null },
+    volumeM3: { type: Number, default: null }
+  },
+  supports: {
+    fragileItems: { type: Boolean, default: false },
+    heavyItem: { type: Boolean, default: false }
+  },
+  status: {
+    type: String,
+    enum: ["active", "in-maintenance"],
+    default: "active",
+    required: true
+  },
+  // The driver currently using the vehicle; a driver has at most one
+  driverInfo: {
+    type: vehicleDriverSchema,
+    default: null
+  },
+  // Highest odometer reading logged against the vehicle
+  odometerKm: {
+    type: Number,
+    default: null
+  },
+  nextService: {
+    type: nextServiceSchema,
+    default: null
+  },
+  note: {
+    type: String,
+    default: null
+  }
+}, { timestamps: true });
+
+vehicleSchema.index({ "driverInfo.id": 1 }, { sparse: true });
+vehicleSchema.index({ status: 1, type: 1 });
+
+module.exports = mongoose.model("Vehicle", vehicleSchema);
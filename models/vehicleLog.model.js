@@ -0,0 +1,121 @@
+const mongoose = require("mongoose");
+
+const imageSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true
+  },
+  publicId: {
+    type: String,
+    required: true
+  }
+}, { _id: false });
+
+const fuelSchema = new mongoose.Schema({
+  litres: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // NPR per litre
+  pricePerLitre: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
+const serviceSchema = new mongoose.Schema({
+  description: {
+    type: String,
+    required: true
+  },
+  nextDueOdometerKm: {
+    type: Number,
+    default: null
+  },
+  nextDueDate: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
+const expenseSchema = new mongoose.Schema({
+  category: {
+    type: String,
+    required: true
+  },
+  description: {
+    type: String,
+    default: null
+  }
+}, { _id: false });
+
+const loggedBySchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true
+  },
+  role: {
+    type: String,
+    required: true
+  }
+}, { _id: false });
+
+// One running cost of a vehicle: a fuel fill-up, a service or another expense
+const vehicleLogSchema = new mongoose.Schema({
+  vehicleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Vehicle",
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: ["fuel", "maintenance", "expense"],
+    required: true
+  },
+  occurredAt: {
+    type: Date,
+    required: true
+  },
+  odometerKm: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  // Total cost in NPR
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  fuel: {
+    type: fuelSchema,
+    default: null
+  },
+  service: {
+    type: serviceSchema,
+    default: null
+  },
+  expense: {
+    type: expenseSchema,
+    default: null
+  },
+  receipt: {
+    type: imageSchema,
+    default: null
+  },
+  note: {
+    type: String,
+    default: null
+  },
+  loggedBy: {
+    type: loggedBySchema,
+    required: true
+  }
+}, { timestamps: true });
+
+vehicleLogSchema.index({ vehicleId: 1, occurredAt: -1 });
+vehicleLogSchema.index({ occurredAt: 1, kind: 1 });
+
+module.exports = mongoose.model("VehicleLog", vehicleLogSchema);
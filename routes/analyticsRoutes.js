@@ -0,0 +1,41 @@
+const express = require("express");
+const router = express.Router();
+const analyticsController = require("../controllers/analyticsController");
+const adminMiddleware = require("../middleware/adminMiddleware");
+
+/**
+ * Analytics routes
+ * @module routes/analyticsRoutes
+ * @description Admin reports on delivery performance and driver KPIs
+ */
+
+/**
+ * Retrieve performance KPIs for a date range, overall or for one driver
+ *
+ * @name GET /performance
+ * @function
+ * @memberof module:routes/analyticsRoutes
+ * @param {string} [req.query.from] - Start of the range (default: seven days ago)
+ * @param {string} [req.query.to] - End of the range, exclusive (default: now)
+ * @param {string} [req.query.driverId] - Only report on this driver's jobs
+ * @param {Function} adminMiddleware - Authentication middleware for admin users
+ * @param {Function} analyticsController.getPerformance - Controller function to compute the KPIs
+ * @returns {Object} JSON response with jobs by status, rates, durations and distance driven
+ */
+router.get('/performance', adminMiddleware, analyticsController.getPerformance);
+
+/**
+ * Retrieve performance KPIs per driver for a date range
+ *
+ * @name GET /drivers
+ * @function
+ * @memberof module:routes/analyticsRoutes
+ * @param {string} [req.query.from] - Start of the range (default: seven days ago)
+ * @param {string} [req.query.to] - End of the range, exclusive (default: now)
+ * @param {Function} adminMiddleware - Authentication middleware for admin users
+ * @param {Function} analyticsController.getDriverKpis - Controller function to compute the KPIs
+ * @returns {Object} JSON response with one KPI entry per driver
+ */
+router.get('/drivers', adminMiddleware, analyticsController.getDriverKpis);
+
+module.exports = router;
@@ -44,16 +44,34 @@ router.get('/getCoord/:jobId', commonMiddleware, coordinateController.getCoordin
 
 /**
  * Retrieve all coordinates (pickup, dropoff, current) for a job
- * This endpoint is public and doesn't require authentication
+ * Customers should be sent a tracking link (POST /job/:jobId/trackingLink) instead
  * 
  * @name GET /getAllCoord/:jobId
  * @function
  * @memberof module:routes/coordinateRoutes
  * @param {string} :jobId - ID of the job to get all coordinates for
+ * @param {Function} commonMiddleware - Authentication middleware for drivers and admins
  * @param {Function} coordinateController.getAllCoordinates - Controller function to get all coordinates
  * @returns {Object} JSON response with all coordinate data or error message
  */
-router.get('/getAllCoord/:jobId', coordinateController.getAllCoordinates);
+router.get('/getAllCoord/:jobId', commonMiddleware, coordinateController.getAllCoordinates);
+
+/**
+ * Retrieve the GPS breadcrumb trail recorded for a job
+ *
+ * @name GET /track/:jobId
+ * @function
+ * @memberof module:routes/coordinateRoutes
+ * @param {string} :jobId - ID of the job to get the trail for
+ * @param {string} [req.query.from] - Start of the time range
+ * @param {string} [req.query.to] - End of the time range
+ * @param {number} [req.query.maxPoints] - Maximum number of points to return
+ * @param {string} [req.query.format] - json (default), geojson or gpx
+ * @param {Function} commonMiddleware - Authentication middleware for drivers and admins
+ * @param {Function} coordinateController.getTrack - Controller function to get the trail
+ * @returns {Object|File} JSON trail, GeoJSON or GPX download, or error message
+ */
+router.get('/track/:jobId', commonMiddleware, coordinateController.getTrack);
 
 /**
  * Coordinate routes
@@ -5,6 +5,11 @@ const authRoutes = require("./authRoutes");
 const jobRoutes = require('./jobRoutes');
 const coordinateRoutes = require('./coordinateRoutes');
 const userRoutes = require('../routes/userRoutes');
+const streamRoutes = require('./streamRoutes');
+const trackingRoutes = require('./trackingRoutes');
+const analyticsRoutes = require('./analyticsRoutes');
+const tripRoutes = require('./tripRoutes');
+const vehicleRoutes = require('./vehicleRoutes');
 
 /**
  * Central router module that combines all application routes
@@ -45,4 +50,39 @@ router.use('/coordinate', coordinateRoutes);
  */
 router.use('/user', userRoutes);
 
+/**
+ * Live update routes - streams job location and status changes
+ * @name stream-routes
+ * @path {GET} /stream
+ */
+router.use('/stream', streamRoutes);
+
+/**
+ * Public tracking routes - redacted job view behind shareable links
+ * @name tracking-routes
+ * @path {GET} /track
+ */
+router.use('/track', trackingRoutes);
+
+/**
+ * Analytics routes - delivery performance and driver KPIs for admins
+ * @name analytics-routes
+ * @path {GET} /analytics
+ */
+router.use('/analytics', analyticsRoutes);
+
+/**
+ * Trip routes - groups jobs into driver runs with one live location
+ * @name trip-routes
+ * @path {GET|POST|PATCH} /trip
+ */
+router.use('/trip', tripRoutes);
+
+/**
+ * Vehicle routes - the fleet and which driver uses each vehicle
+ * @name vehicle-routes
+ * @path {GET|POST|PATCH|DELETE} /vehicle
+ */
+router.use('/vehicle', vehicleRoutes);
+
 module.exports = router;
\ No newline at end of file
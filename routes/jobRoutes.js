@@ -1,7 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const jobController = require('../controllers/jobController');
+const trackingController = require('../controllers/trackingController');
 const adminMiddleware = require('../middleware/adminMiddleware');
+const commonMiddleware = require('../middleware/commonMiddleware');
+const upload = require('../middleware/multer');
+const importUpload = require('../middleware/importUpload');
 
 /**
  * Job management routes
@@ -11,6 +15,8 @@ const adminMiddleware = require('../middleware/adminMiddleware');
 
 /**
  * Create a new job
+ * Jobs without `driverInfo`, or with `autoAssign: true`, are assigned by the dispatch engine.
+ * Multi-stop jobs send an ordered `stops` list instead of pickupInfo and dropoffInfo
  * 
  * @name POST /createJob
  * @function
@@ -21,6 +27,23 @@ const adminMiddleware = require('../middleware/adminMiddleware');
  */
 router.post('/createJob', adminMiddleware, jobController.createJob);
 
+/**
+ * Import jobs in bulk from a CSV or JSON file
+ * Rows are validated like POST /createJob and errors are reported per row
+ *
+ * @name POST /import
+ * @function
+ * @memberof module:routes/jobRoutes
+ * @param {Object} req.query - Import options
+ * @param {string} [req.query.mode] - atomic (default) imports nothing if any row is invalid; partial imports the valid rows
+ * @param {string} [req.query.dryRun] - "true" to validate without importing
+ * @param {Function} adminMiddleware - Authentication middleware for admin users
+ * @param {Function} importUpload - Multer middleware for the `file` field (.csv or .json, at most 2 MB)
+ * @param {Function} jobController.importJobs - Controller function to import the jobs
+ * @returns {Object} JSON response with import counts, per-row errors and the new job IDs or error message
+ */
+router.post('/import', adminMiddleware, importUpload, jobController.importJobs);
+
 /**
  * Retrieve all jobs with optional filtering
  * 
@@ -29,12 +52,105 @@ router.post('/createJob', adminMiddleware, jobController.createJob);
  * @memberof module:routes/jobRoutes
  * @param {Object} req.query - Optional query parameters for filtering
  * @param {string} [req.query.status] - Filter jobs by status
- * @param {string} [req.query.search] - Search term to filter jobs
+ * @param {string} [req.query.search] - Words, phone number or e-mail to search names, contacts and notes for (best match first unless sorted).
+ * Whole words and whole phone numbers only: "Ram" does not find "Ramesh" and the last digits of a number do not find it
+ * @param {string} [req.query.due] - Only jobs due today or tomorrow, or overdue
+ * @param {string} [req.query.dueBy] - Window the due filter checks: delivery (default) or pickup
+ * @param {string} [req.query.isUrgent] - Only urgent (true) or non-urgent (false) jobs
+ * @param {string} [req.query.driverId] - Only jobs assigned to this driver
+ * @param {string} [req.query.createdFrom] - Only jobs created at or after this date (also createdTo, updatedFrom, updatedTo)
+ * @param {number} [req.query.page] - Page number (default 1)
+ * @param {number} [req.query.limit] - Jobs per page (default 20, at most 100)
+ * @param {string} [req.query.cursor] - nextCursor from a previous page; `paginate=cursor` starts cursor pagination
+ * @param {string} [req.query.sort] - Sort key, prefixed with "-" for descending (default -createdAt)
+ * @param {string} [req.query.fields] - Comma-separated fields to return; progress and ETA are only added without it
  * @param {Function} jobController.getJobs - Controller function to retrieve jobs
- * @returns {Object} JSON response with jobs data or error message
+ * @returns {Array} JSON array of jobs, with the pagination metadata (page, total, hasNextPage, nextCursor...)
+ * as JSON in the X-Pagination header, or error message
  */
 router.get('/', jobController.getJobs);
 
+/**
+ * Export jobs as a file, streamed
+ *
+ * @name GET /export
+ * @function
+ * @memberof module:routes/jobRoutes
+ * @param {Object} req.query - Same filters as GET / (status, search, isUrgent, driverId, date ranges, location, due)
+ * @param {string} [req.query.format] - csv (default), excel, ndjson or geojson
+ * @param {Function} adminMiddleware - Authentication middleware for admin users
+ * @param {Function} jobController.exportJobs - Controller function to stream the export
+ * @returns {Object} File download in the requested format or JSON error message
+ */
+router.get('/export', adminMiddleware, jobController.exportJobs);
+
+/**
+ * Rank available drivers by distance from a pickup point
+ *
+ * @name GET /nearestDrivers
+ * @function
+ * @memberof module:routes/jobRoutes
+ * @param {number} req.query.latitude - Pickup latitude
+ * @param {number} req.query.longitude - Pickup longitude
+ * @param {number} [req.query.maxActiveJobs] - Exclude drivers with this many active jobs
+ * @param {number} [req.query.limit] - Maximum number of candidates
+ * @param {Function} adminMiddleware - Authentication middleware for admin users
+ * @param {Function} jobController.getNearestDrivers - Controller function to rank drivers
+ * @returns {Object} JSON response with ranked candidates, their distance and workload
+ */
+router.get('/nearestDrivers', adminMiddleware, jobController.getNearestDrivers);
+
+/**
+ * Suggest the order to visit the pickups and dropoffs of a driver's open jobs
+ *
+ * @name GET /route/:driverId
+ * @function
+ * @memberof module:routes/jobRoutes
+ * @param {string} :driverId - ID of the driver
+ * @param {string} [req.query.start] - "latitude,longitude" to start from; defaults to the driver's last known position
+ * @param {Function} commonMiddleware - Authentication middleware for drivers and admins
+ * @param {Function} jobController.getDriverRoute - Controller function to plan the route
+ * @returns {Object} JSON response with the ordered stops, total distance and duration or error message
+ */
+router.get('/route/:driverId', commonMiddleware, jobController.getDriverRoute);
+
+/**
+ * Run the dispatch engine for all unassigned pending jobs
+ *
+ * @name POST /dispatch
+ * @function
+ * @memberof module:routes/jobRoutes
+ * @param {Function} adminMiddleware - Authentication middleware for admin users
+ * @param {Function} jobController.dispatchUnassigned - Controller function to dispatch jobs
+ * @returns {Object} JSON response listing assigned and still unassigned jobs with reasons
+ */
+router.post('/dispatch', adminMiddleware, jobController.dispatchUnassigned);
+
+/**
+ * Retrieve the admin dashboard summary of the job board
+ *
+ * @name GET /summary
+ * @function
+ * @memberof module:routes/jobRoutes
+ * @param {Function} adminMiddleware - Authentication middleware for admin users
+ * @param {Function} jobController.getSummary - Controller function to build the summary
+ * @returns {Object} JSON response with status counts, today's totals, urgent and stale jobs and top drivers
+ */
+router.get('/summary', adminMiddleware, jobController.getSummary);
+
+/**
+ * List open jobs flagged by the delay monitor, most severe first
+ *
+ * @name GET /atRisk
+ * @function
+ * @memberof module:routes/jobRoutes
+ * @param {string} [req.query.level] - Only jobs at this level (at-risk or delayed)
+ * @param {Function} adminMiddleware - Authentication middleware for admin users
+ * @param {Function} jobController.getAtRiskJobs - Controller function to list flagged jobs
+ * @returns {Object} JSON response with flagged jobs and their detected reasons
+ */
+router.get('/atRisk', adminMiddleware, jobController.getAtRiskJobs);
+
 /**
  * Retrieve all jobs for a specific driver
  * 
@@ -42,8 +158,10 @@ router.get('/', jobController.getJobs);
  * @function
  * @memberof module:routes/jobRoutes
  * @param {string} :driverId - ID of the driver to get jobs for
+ * @param {Object} [req.query] - Same pagination, sorting, field and date filters as GET /
  * @param {Function} jobController.getJobsForDriver - Controller function to get driver's jobs
- * @returns {Object} JSON response with driver's jobs or error message
+ * @returns {Array} JSON array of the driver's jobs, with the pagination metadata in the X-Pagination header,
+ * or error message
  */
 router.get('/getJobForDriver/:driverId', jobController.getJobsForDriver);
 
@@ -59,6 +177,62 @@ router.get('/getJobForDriver/:driverId', jobController.getJobsForDriver);
  */
 router.get('/getJobById/:jobId', jobController.getJobById);
 
+/**
+ * Run the dispatch engine for one unassigned pending job
+ *
+ * @name POST /:jobId/autoAssign
+ * @function
+ * @memberof module:routes/jobRoutes
+ * @param {string} :jobId - ID of the job to assign
+ * @param {Function} adminMiddleware - Authentication middleware for admin users
+ * @param {Function} jobController.autoAssign - Controller function to auto-assign the job
+ * @returns {Object} JSON response with the job and the reason for the choice
+ */
+router.post('/:jobId/autoAssign', adminMiddleware, jobController.autoAssign);
+
+/**
+ * Assign a job to a specific driver, overriding any earlier assignment
+ *
+ * @name PATCH /:jobId/assign
+ * @function
+ * @memberof module:routes/jobRoutes
+ * @param {string} :jobId - ID of the job to assign
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.driverId - ID of the driver to assign
+ * @param {string} [req.body.reason] - Why the assignment was made or overridden
+ * @param {Function} adminMiddleware - Authentication middleware for admin users
+ * @param {Function} jobController.assignDriver - Controller function to assign the driver
+ * @returns {Object} JSON response with the updated job or error message
+ */
+router.patch('/:jobId/assign', adminMiddleware, jobController.assignDriver);
+
+/**
+ * Create a shareable public tracking link for a job
+ * Any previous link for the job stops working.
+ *
+ * @name POST /:jobId/trackingLink
+ * @function
+ * @memberof module:routes/jobRoutes
+ * @param {string} :jobId - ID of the job to share
+ * @param {Function} adminMiddleware - Authentication middleware for admin users
+ * @param {Function} trackingController.createTrackingLink - Controller function to create the link
+ * @returns {Object} JSON response with the token and URL or error message
+ */
+router.post('/:jobId/trackingLink', adminMiddleware, trackingController.createTrackingLink);
+
+/**
+ * Revoke a job's public tracking link
+ *
+ * @name DELETE /:jobId/trackingLink
+ * @function
+ * @memberof module:routes/jobRoutes
+ * @param {string} :jobId - ID of the job whose link is revoked
+ * @param {Function} adminMiddleware - Authentication middleware for admin users
+ * @param {Function} trackingController.revokeTrackingLink - Controller function to revoke the link
+ * @returns {Object} JSON response confirming revocation or error message
+ */
+router.delete('/:jobId/trackingLink', adminMiddleware, trackingController.revokeTrackingLink);
+
 /**
  * Update the status of a job
  * 
@@ -68,12 +242,139 @@ router.get('/getJobById/:jobId', jobController.getJobById);
  * @param {string} :jobId - ID of the job to update
  * @param {Object} req.body - Request body
  * @param {string} req.body.status - New status for the job
+ * @param {string} [req.body.reason] - Optional reason recorded in the status history
  * @param {Function} adminMiddleware - Authentication middleware for admin users
  * @param {Function} jobController.updateStatus - Controller function to update job status
  * @returns {Object} JSON response with updated job data or error message
  */
 router.patch('/:jobId/status', adminMiddleware, jobController.updateStatus);
 
+/**
+ * Update the status of a job from the driver app
+ * Drivers may only update their own jobs through driver-permitted transitions
+ *
+ * @name PATCH /:jobId/driver-status
+ * @function
+ * @memberof module:routes/jobRoutes
+ * @param {string} :jobId - ID of the job to update
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.status - New status for the job (in-transit, delayed or delivered)
+ * @param {string} [req.body.reason] - Reason for the change, required when reporting a delay
+ * @param {Function} commonMiddleware - Authentication middleware for drivers and admins
+ * @param {Function} jobController.updateDriverStatus - Controller function to update job status
+ * @returns {Object} JSON response with updated job data or error message
+ */
+router.patch('/:jobId/driver-status', commonMiddleware, jobController.updateDriverStatus);
+
+/**
+ * Retrieve the status change history of a job, along with a timeline that
+ * merges status changes and geofence events
+ *
+ * @name GET /:jobId/history
+ * @function
+ * @memberof module:routes/jobRoutes
+ * @param {string} :jobId - ID of the job to get the history for
+ * @param {Function} commonMiddleware - Authentication middleware for drivers and admins
+ * @param {Function} jobController.getStatusHistory - Controller function to get the status history
+ * @returns {Object} JSON response with the job's status history or error message
+ */
+router.get('/:jobId/history', commonMiddleware, jobController.getStatusHistory);
+
+/**
+ * Retrieve the geofence settings, state and arrival/departure events of a job
+ *
+ * @name GET /:jobId/geofence
+ * @function
+ * @memberof module:routes/jobRoutes
+ * @param {string} :jobId - ID of the job to get the events for
+ * @param {string} [req.query.fence] - Only events of this fence (pickup or dropoff)
+ * @param {string} [req.query.type] - Only events of this type (arrival or departure)
+ * @param {Function} commonMiddleware - Authentication middleware for drivers and admins
+ * @param {Function} jobController.getGeofenceEvents - Controller function to get the events
+ * @returns {Object} JSON response with settings, state and events or error message
+ */
+router.get('/:jobId/geofence', commonMiddleware, jobController.getGeofenceEvents);
+
+/**
+ * Override the geofence settings of a job
+ *
+ * @name PATCH /:jobId/geofence
+ * @function
+ * @memberof module:routes/jobRoutes
+ * @param {string} :jobId - ID of the job to configure
+ * @param {Object} req.body - Request body
+ * @param {number|null} [req.body.pickupRadiusM] - Pickup fence radius in metres, null for the default
+ * @param {number|null} [req.body.dropoffRadiusM] - Dropoff fence radius in metres, null for the default
+ * @param {boolean|null} [req.body.autoAdvance] - Start the job when it leaves pickup, null for the default
+ * @param {Function} adminMiddleware - Authentication middleware for admin users
+ * @param {Function} jobController.updateGeofenceSettings - Controller function to update the settings
+ * @returns {Object} JSON response with the effective settings or error message
+ */
+router.patch('/:jobId/geofence', adminMiddleware, jobController.updateGeofenceSettings);
+
+/**
+ * Submit proof of delivery for a job and mark it delivered
+ *
+ * @name POST /:jobId/proof
+ * @function
+ * @memberof module:routes/jobRoutes
+ * @param {string} :jobId - ID of the job being delivered
+ * @param {Object} req.body - Multipart form fields
+ * @param {string} req.body.recipientName - Name of the person who received the parcel
+ * @param {number} req.body.latitude - Latitude of the hand-over point
+ * @param {number} req.body.longitude - Longitude of the hand-over point
+ * @param {Function} commonMiddleware - Authentication middleware for drivers and admins
+ * @param {Function} upload.fields - Multer middleware for the `signature` image and `photos` images
+ * @param {Function} jobController.submitProofOfDelivery - Controller function to record the proof
+ * @returns {Object} JSON response with the recorded proof and updated job or error message
+ */
+router.post(
+    '/:jobId/proof',
+    commonMiddleware,
+    upload.fields([{ name: 'signature', maxCount: 1 }, { name: 'photos', maxCount: 10 }]),
+    jobController.submitProofOfDelivery
+);
+
+/**
+ * Update one stop of a multi-stop job
+ * Only the first open stop can change; completing a dropoff needs the same proof as POST /:jobId/proof
+ *
+ * @name PATCH /:jobId/stops/:stopId
+ * @function
+ * @memberof module:routes/jobRoutes
+ * @param {string} :jobId - ID of the job
+ * @param {string} :stopId - ID of the stop
+ * @param {Object} req.body - Multipart form fields
+ * @param {string} req.body.status - arrived, completed or failed
+ * @param {string} [req.body.reason] - Why the stop failed, required for failed
+ * @param {string} [req.body.recipientName] - Name of the person who received the parcel at a dropoff
+ * @param {number} [req.body.latitude] - Latitude of the hand-over point at a dropoff
+ * @param {number} [req.body.longitude] - Longitude of the hand-over point at a dropoff
+ * @param {Function} commonMiddleware - Authentication middleware for drivers and admins
+ * @param {Function} upload.fields - Multer middleware for the `signature` image and `photos` images
+ * @param {Function} jobController.updateStop - Controller function to update the stop
+ * @returns {Object} JSON response with the updated stop and job or error message
+ */
+router.patch(
+    '/:jobId/stops/:stopId',
+    commonMiddleware,
+    upload.fields([{ name: 'signature', maxCount: 1 }, { name: 'photos', maxCount: 10 }]),
+    jobController.updateStop
+);
+
+/**
+ * Retrieve the proof of delivery recorded for a job
+ *
+ * @name GET /:jobId/proof
+ * @function
+ * @memberof module:routes/jobRoutes
+ * @param {string} :jobId - ID of the job
+ * @param {Function} commonMiddleware - Authentication middleware for drivers and admins
+ * @param {Function} jobController.getProofOfDelivery - Controller function to get the proof
+ * @returns {Object} JSON response with the proof of delivery or error message
+ */
+router.get('/:jobId/proof', commonMiddleware, jobController.getProofOfDelivery);
+
 /**
  * Generate PDF report for a specific job
  * 
@@ -0,0 +1,56 @@
+const express = require("express");
+const router = express.Router();
+const streamController = require("../controllers/streamController");
+const queryTokenMiddleware = require("../middleware/queryTokenMiddleware");
+const commonMiddleware = require("../middleware/commonMiddleware");
+const adminMiddleware = require("../middleware/adminMiddleware");
+
+/**
+ * Live update streaming routes (Server-Sent Events)
+ * @module routes/streamRoutes
+ * @description Push channels for job location and status changes. The JWT may be
+ * sent in the Authorization header or, for browser EventSource clients, as `?token=`.
+ */
+
+/**
+ * Subscribe to live updates of a single job
+ *
+ * @name GET /job/:jobId
+ * @function
+ * @memberof module:routes/streamRoutes
+ * @param {string} :jobId - ID of the job to follow
+ * @param {Function} queryTokenMiddleware - Accepts the token from the query string
+ * @param {Function} commonMiddleware - Authentication middleware for drivers and admins
+ * @param {Function} streamController.streamJob - Controller function that opens the stream
+ * @returns {EventStream} `location` and `status` events for the job
+ */
+router.get('/job/:jobId', queryTokenMiddleware, commonMiddleware, streamController.streamJob);
+
+/**
+ * Subscribe to live updates of all jobs assigned to a driver
+ *
+ * @name GET /driver/:driverId
+ * @function
+ * @memberof module:routes/streamRoutes
+ * @param {string} :driverId - ID of the driver to follow
+ * @param {Function} queryTokenMiddleware - Accepts the token from the query string
+ * @param {Function} commonMiddleware - Authentication middleware for drivers and admins
+ * @param {Function} streamController.streamDriver - Controller function that opens the stream
+ * @returns {EventStream} `location` and `status` events for the driver's jobs
+ */
+router.get('/driver/:driverId', queryTokenMiddleware, commonMiddleware, streamController.streamDriver);
+
+/**
+ * Subscribe to live updates of all active jobs (admin only)
+ *
+ * @name GET /active
+ * @function
+ * @memberof module:routes/streamRoutes
+ * @param {Function} queryTokenMiddleware - Accepts the token from the query string
+ * @param {Function} adminMiddleware - Authentication middleware for admin users
+ * @param {Function} streamController.streamActiveJobs - Controller function that opens the stream
+ * @returns {EventStream} `location` and `status` events for every active job
+ */
+router.get('/active', queryTokenMiddleware, adminMiddleware, streamController.streamActiveJobs);
+
+module.exports = router;
@@ -0,0 +1,25 @@
+const express = require("express");
+const router = express.Router();
+const trackingController = require("../controllers/trackingController");
+
+/**
+ * Public tracking routes
+ * @module routes/trackingRoutes
+ * @description Customer-facing tracking links. These routes need no login;
+ * access is granted by the random token in the link, which admins create per job.
+ */
+
+/**
+ * Retrieve the redacted tracking view of a job
+ * This endpoint is public and doesn't require authentication
+ *
+ * @name GET /:token
+ * @function
+ * @memberof module:routes/trackingRoutes
+ * @param {string} :token - Token from the shared tracking link
+ * @param {Function} trackingController.getTrackingView - Controller function to get the tracking view
+ * @returns {Object} JSON response with status, position and masked names, or error message
+ */
+router.get('/:token', trackingController.getTrackingView);
+
+module.exports = router;
@@ -0,0 +1,117 @@
+const express = require('express');
+const router = express.Router();
+const tripController = require('../controllers/tripController');
+const adminMiddleware = require('../middleware/adminMiddleware');
+const commonMiddleware = require('../middleware/commonMiddleware');
+
+/**
+ * Trip routes
+ * @module routes/tripRoutes
+ * @description API routes for grouping jobs into driver trips and tracking them
+ */
+
+/**
+ * Create a trip grouping jobs on one driver's run
+ *
+ * @name POST /
+ * @function
+ * @memberof module:routes/tripRoutes
+ * @param {Object} req.body - Trip details
+ * @param {string} req.body.driverId - ID of the driver
+ * @param {string[]} req.body.jobIds - Jobs in the order they will be worked
+ * @param {string} req.body.plannedStart - When the run is planned to start
+ * @param {string} [req.body.vehicleId] - ID of an active vehicle for the run
+ * @param {string} [req.body.note] - Free-text note
+ * @param {Function} adminMiddleware - Authentication middleware for admin users
+ * @param {Function} tripController.createTrip - Controller function to create the trip
+ * @returns {Object} JSON response with the created trip or error message
+ */
+router.post('/', adminMiddleware, tripController.createTrip);
+
+/**
+ * List trips
+ *
+ * @name GET /
+ * @function
+ * @memberof module:routes/tripRoutes
+ * @param {string} [req.query.status] - Trip status, comma-separated for several
+ * @param {string} [req.query.driverId] - Only trips of this driver
+ * @param {string} [req.query.plannedFrom] - Planned start on or after this date
+ * @param {string} [req.query.plannedTo] - Planned start on or before this date
+ * @param {Function} adminMiddleware - Authentication middleware for admin users
+ * @param {Function} tripController.getTrips - Controller function to list trips
+ * @returns {Object} JSON response with trips and pagination or error message
+ */
+router.get('/', adminMiddleware, tripController.getTrips);
+
+/**
+ * Retrieve the requesting driver's current trip with its jobs
+ *
+ * @name GET /current
+ * @function
+ * @memberof module:routes/tripRoutes
+ * @param {Function} commonMiddleware - Authentication middleware for drivers and admins
+ * @param {Function} tripController.getCurrentTrip - Controller function to get the current trip
+ * @returns {Object} JSON response with the trip and its ordered jobs or error message
+ */
+router.get('/current', commonMiddleware, tripController.getCurrentTrip);
+
+/**
+ * Retrieve a trip with its jobs in trip order
+ *
+ * @name GET /:tripId
+ * @function
+ * @memberof module:routes/tripRoutes
+ * @param {string} :tripId - ID of the trip
+ * @param {Function} commonMiddleware - Authentication middleware for drivers and admins
+ * @param {Function} tripController.getTripById - Controller function to get the trip
+ * @returns {Object} JSON response with the trip and its ordered jobs or error message
+ */
+router.get('/:tripId', commonMiddleware, tripController.getTripById);
+
+/**
+ * Change the order of a trip's jobs
+ *
+ * @name PATCH /:tripId/jobs
+ * @function
+ * @memberof module:routes/tripRoutes
+ * @param {string} :tripId - ID of the trip
+ * @param {string[]} req.body.jobIds - The trip's jobs in their new order
+ * @param {Function} adminMiddleware - Authentication middleware for admin users
+ * @param {Function} tripController.reorderTrip - Controller function to reorder the trip
+ * @returns {Object} JSON response with the updated trip or error message
+ */
+router.patch('/:tripId/jobs', adminMiddleware, tripController.reorderTrip);
+
+/**
+ * Close a trip, releasing its open jobs
+ *
+ * @name PATCH /:tripId/close
+ * @function
+ * @memberof module:routes/tripRoutes
+ * @param {string} :tripId - ID of the trip
+ * @param {string} [req.body.reason] - Why the trip was closed
+ * @param {Function} adminMiddleware - Authentication middleware for admin users
+ * @param {Function} tripController.closeTrip - Controller function to close the trip
+ * @returns {Object} JSON response with the closed trip or error message
+ */
+router.patch('/:tripId/close', adminMiddleware, tripController.closeTrip);
+
+/**
+ * Report the trip's live location, updating every open job on it
+ *
+ * @name PATCH /:tripId/location
+ * @function
+ * @memberof module:routes/tripRoutes
+ * @param {string} :tripId - ID of the trip
+ * @param {Object} req.body.currentCoords - { latitude, longitude }
+ * @param {number} [req.body.speed] - Speed in km/h
+ * @param {number} [req.body.heading] - Heading in degrees
+ * @param {number} [req.body.accuracy] - GPS accuracy in metres
+ * @param {Function} commonMiddleware - Authentication middleware for drivers and admins
+ * @param {Function} tripController.updateTripLocation - Controller function to record the ping
+ * @returns {Object} JSON response with the trip and its updated jobs or error message
+ */
+router.patch('/:tripId/location', commonMiddleware, tripController.updateTripLocation);
+
+module.exports = router;
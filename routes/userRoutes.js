@@ -3,6 +3,7 @@ const { updateProfileValidation, changePasswordValidation } = require("../middle
 const router = express.Router();
 const userController = require("../controllers/userController");
 const upload = require('../middleware/multer');
+const documentUpload = require('../middleware/documentUpload');
 const commonMiddleware = require('../middleware/commonMiddleware');
 const adminMiddleware = require('../middleware/adminMiddleware');
 
@@ -52,6 +53,19 @@ router.patch('/uploadAvatar', commonMiddleware, upload.single('avatar'), userCon
  */
 router.patch('/changePassword',commonMiddleware , changePasswordValidation, userController.changePassword);
 
+/**
+ * Report the authenticated driver's current location
+ * 
+ * @name PATCH /location
+ * @function
+ * @memberof module:routes/userRoutes
+ * @param {Object} req.body - Request body with latitude and longitude
+ * @param {Function} commonMiddleware - Authentication middleware for drivers
+ * @param {Function} userController.updateLocation - Controller function to store the location
+ * @returns {Object} JSON response with the stored location or error message
+ */
+router.patch('/location', commonMiddleware, userController.updateLocation);
+
 /**
  * Update the authenticated user's own profile
  * 
@@ -85,9 +99,15 @@ router.patch('/updateUserProfile/:id', adminMiddleware, userController.updateUse
  * @memberof module:routes/userRoutes
  * @param {Object} req.query - Optional query parameters for filtering
  * @param {string} [req.query.role] - Filter users by role (admin/driver)
- * @param {string} [req.query.search] - Search term to filter users
+ * @param {string} [req.query.search] - Words, phone number or e-mail to search names and contacts for (best match first unless sorted).
+ * Whole words and whole phone numbers only, as for job search
+ * @param {string} [req.query.createdFrom] - Only users created at or after this date (also createdTo, updatedFrom, updatedTo)
+ * @param {number} [req.query.page] - Page number (default 1), or `cursor` / `paginate=cursor` for cursor pagination
+ * @param {number} [req.query.limit] - Users per page (default 20, at most 100)
+ * @param {string} [req.query.sort] - Sort key, prefixed with "-" for descending (default -createdAt)
+ * @param {string} [req.query.fields] - Comma-separated fields to return
  * @param {Function} userController.getUsers - Controller function to retrieve users
- * @returns {Object} JSON response with users data and stats or error message
+ * @returns {Object} JSON response with users data, stats and pagination metadata or error message
  */
 router.get('/getUsers',adminMiddleware, userController.getUsers);
 
@@ -103,4 +123,62 @@ router.get('/getUsers',adminMiddleware, userController.getUsers);
  */
 router.get('/exportDrivers', adminMiddleware, userController.exportDrivers);
 
+/**
+ * List driver documents that have expired or expire soon (admin only)
+ *
+ * @name GET /documents/expiring
+ * @function
+ * @memberof module:routes/userRoutes
+ * @param {number} [req.query.days] - Days ahead to look (default 30, at most 365)
+ * @param {string} [req.query.type] - licence, bluebook or insurance
+ * @param {Function} adminMiddleware - Authentication middleware for admins
+ * @param {Function} userController.getExpiringDocuments - Controller function to list expiring documents
+ * @returns {Object} JSON response with documents and their drivers, soonest expiry first, or error message
+ */
+router.get('/documents/expiring', adminMiddleware, userController.getExpiringDocuments);
+
+/**
+ * List a driver's documents
+ *
+ * @name GET /:userId/documents
+ * @function
+ * @memberof module:routes/userRoutes
+ * @param {string} :userId - ID of the driver
+ * @param {Function} commonMiddleware - Authentication middleware; drivers only see their own
+ * @param {Function} userController.getDocuments - Controller function to list the documents
+ * @returns {Object} JSON response with the documents or error message
+ */
+router.get('/:userId/documents', commonMiddleware, userController.getDocuments);
+
+/**
+ * Upload a driver's licence, bluebook or insurance document
+ *
+ * @name PUT /:userId/documents/:type
+ * @function
+ * @memberof module:routes/userRoutes
+ * @param {string} :userId - ID of the driver
+ * @param {string} :type - licence, bluebook or insurance
+ * @param {string} req.body.number - Document number
+ * @param {string} req.body.expiresAt - Expiry date
+ * @param {Function} commonMiddleware - Authentication middleware; drivers only upload their own
+ * @param {Function} documentUpload - Multer middleware for a JPEG, PNG or PDF `file`
+ * @param {Function} userController.uploadDocument - Controller function to store the document
+ * @returns {Object} JSON response with the stored document or error message
+ */
+router.put('/:userId/documents/:type', commonMiddleware, documentUpload, userController.uploadDocument);
+
+/**
+ * Remove a driver's document (admin only)
+ *
+ * @name DELETE /:userId/documents/:type
+ * @function
+ * @memberof module:routes/userRoutes
+ * @param {string} :userId - ID of the driver
+ * @param {string} :type - licence, bluebook or insurance
+ * @param {Function} adminMiddleware - Authentication middleware for admins
+ * @param {Function} userController.deleteDocument - Controller function to remove the document
+ * @returns {Object} JSON response with success or error message
+ */
+router.delete('/:userId/documents/:type', adminMiddleware, userController.deleteDocument);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,206 @@
+const express = require('express');
+const router = express.Router();
+const vehicleController = require('../controllers/vehicleController');
+const vehicleLogController = require('../controllers/vehicleLogController');
+const adminMiddleware = require('../middleware/adminMiddleware');
+const upload = require('../middleware/multer');
+
+/**
+ * Vehicle routes
+ * @module routes/vehicleRoutes
+ * @description API routes for managing the vehicle fleet, which driver uses each
+ * vehicle, and its fuel, maintenance and expense logs
+ */
+
+/**
+ * Add a vehicle to the fleet
+ *
+ * @name POST /
+ * @function
+ * @memberof module:routes/vehicleRoutes
+ * @param {Object} req.body - Vehicle details
+ * @param {string} req.body.plateNumber - Registration plate, unique across the fleet
+ * @param {string} req.body.type - bike, car, van, pickup or truck
+ * @param {Object} [req.body.capacity] - { weightKg, volumeM3 } the vehicle can carry
+ * @param {Object} [req.body.supports] - { fragileItems, heavyItem } the vehicle is fitted for
+ * @param {string} [req.body.status] - active (default) or in-maintenance
+ * @param {string} [req.body.note] - Free-text note
+ * @param {Function} adminMiddleware - Authentication middleware for admin users
+ * @param {Function} vehicleController.createVehicle - Controller function to create the vehicle
+ * @returns {Object} JSON response with the created vehicle or error message
+ */
+router.post('/', adminMiddleware, vehicleController.createVehicle);
+
+/**
+ * List vehicles
+ *
+ * @name GET /
+ * @function
+ * @memberof module:routes/vehicleRoutes
+ * @param {string} [req.query.status] - active or in-maintenance
+ * @param {string} [req.query.type] - Vehicle type
+ * @param {string} [req.query.supports] - heavyItem and/or fragileItems, comma-separated
+ * @param {string} [req.query.assigned] - true for vehicles with a driver, false for free ones
+ * @param {Function} adminMiddleware - Authentication middleware for admin users
+ * @param {Function} vehicleController.getVehicles - Controller function to list vehicles
+ * @returns {Object} JSON response with vehicles and pagination or error message
+ */
+router.get('/', adminMiddleware, vehicleController.getVehicles);
+
+/**
+ * List vehicles whose next service is overdue or coming up
+ *
+ * @name GET /service-reminders
+ * @function
+ * @memberof module:routes/vehicleRoutes
+ * @param {string} [req.query.status] - overdue or upcoming
+ * @param {Function} adminMiddleware - Authentication middleware for admin users
+ * @param {Function} vehicleLogController.getServiceReminders - Controller function to list service reminders
+ * @returns {Object} JSON response with reminders, overdue first, or error message
+ */
+router.get('/service-reminders', adminMiddleware, vehicleLogController.getServiceReminders);
+
+/**
+ * Report running costs and cost per km per vehicle
+ *
+ * @name GET /cost-per-km
+ * @function
+ * @memberof module:routes/vehicleRoutes
+ * @param {string} [req.query.from] - Start of the range (default: seven days before `to`)
+ * @param {string} [req.query.to] - End of the range, exclusive (default: now)
+ * @param {string} [req.query.vehicleId] - Only report on this vehicle
+ * @param {Function} adminMiddleware - Authentication middleware for admin users
+ * @param {Function} vehicleLogController.getCostPerKm - Controller function to build the report
+ * @returns {Object} JSON response with one cost entry per vehicle or error message
+ */
+router.get('/cost-per-km', adminMiddleware, vehicleLogController.getCostPerKm);
+
+/**
+ * Retrieve a vehicle
+ *
+ * @name GET /:vehicleId
+ * @function
+ * @memberof module:routes/vehicleRoutes
+ * @param {string} :vehicleId - ID of the vehicle
+ * @param {Function} adminMiddleware - Authentication middleware for admin users
+ * @param {Function} vehicleController.getVehicleById - Controller function to get the vehicle
+ * @returns {Object} JSON response with the vehicle or error message
+ */
+router.get('/:vehicleId', adminMiddleware, vehicleController.getVehicleById);
+
+/**
+ * Update a vehicle's details
+ *
+ * @name PATCH /:vehicleId
+ * @function
+ * @memberof module:routes/vehicleRoutes
+ * @param {string} :vehicleId - ID of the vehicle
+ * @param {Object} req.body - Any of the fields accepted by POST /
+ * @param {Function} adminMiddleware - Authentication middleware for admin users
+ * @param {Function} vehicleController.updateVehicle - Controller function to update the vehicle
+ * @returns {Object} JSON response with the updated vehicle or error message
+ */
+router.patch('/:vehicleId', adminMiddleware, vehicleController.updateVehicle);
+
+/**
+ * Assign a vehicle to a driver, or free it
+ *
+ * @name PATCH /:vehicleId/driver
+ * @function
+ * @memberof module:routes/vehicleRoutes
+ * @param {string} :vehicleId - ID of the vehicle
+ * @param {string|null} req.body.driverId - ID of the driver, or null to free the vehicle
+ * @param {Function} adminMiddleware - Authentication middleware for admin users
+ * @param {Function} vehicleController.assignVehicleDriver - Controller function to assign the vehicle
+ * @returns {Object} JSON response with the updated vehicle or error message
+ */
+router.patch('/:vehicleId/driver', adminMiddleware, vehicleController.assignVehicleDriver);
+
+/**
+ * Log a fuel fill-up
+ *
+ * @name POST /:vehicleId/fuel
+ * @function
+ * @memberof module:routes/vehicleRoutes
+ * @param {string} :vehicleId - ID of the vehicle
+ * @param {number} req.body.litres - Litres filled
+ * @param {number} req.body.pricePerLitre - Price per litre in NPR
+ * @param {number} req.body.odometerKm - Odometer reading at the fill-up
+ * @param {string} [req.body.occurredAt] - When the vehicle was filled (default: now)
+ * @param {string} [req.body.note] - Free-text note
+ * @param {Function} adminMiddleware - Authentication middleware for admin users
+ * @param {Function} vehicleLogController.logFuel - Controller function to log the fill-up
+ * @returns {Object} JSON response with the created log or error message
+ */
+router.post('/:vehicleId/fuel', adminMiddleware, vehicleLogController.logFuel);
+
+/**
+ * Log a maintenance service
+ *
+ * @name POST /:vehicleId/maintenance
+ * @function
+ * @memberof module:routes/vehicleRoutes
+ * @param {string} :vehicleId - ID of the vehicle
+ * @param {string} req.body.description - Work carried out
+ * @param {number} req.body.amount - Cost in NPR
+ * @param {number} req.body.odometerKm - Odometer reading at the service
+ * @param {number} [req.body.nextDueOdometerKm] - Reading the next service is due at
+ * @param {string} [req.body.nextDueDate] - Date the next service is due by
+ * @param {string} [req.body.occurredAt] - When the service was done (default: now)
+ * @param {string} [req.body.note] - Free-text note
+ * @param {Function} adminMiddleware - Authentication middleware for admin users
+ * @param {Function} vehicleLogController.logMaintenance - Controller function to log the service
+ * @returns {Object} JSON response with the created log or error message
+ */
+router.post('/:vehicleId/maintenance', adminMiddleware, vehicleLogController.logMaintenance);
+
+/**
+ * Log another expense, optionally with a photo of the receipt
+ *
+ * @name POST /:vehicleId/expenses
+ * @function
+ * @memberof module:routes/vehicleRoutes
+ * @param {string} :vehicleId - ID of the vehicle
+ * @param {string} req.body.category - Kind of expense, e.g. toll, parking, insurance
+ * @param {number} req.body.amount - Cost in NPR
+ * @param {string} [req.body.description] - What the expense was for
+ * @param {number} [req.body.odometerKm] - Odometer reading at the time
+ * @param {string} [req.body.occurredAt] - When the expense was incurred (default: now)
+ * @param {string} [req.body.note] - Free-text note
+ * @param {Function} adminMiddleware - Authentication middleware for admin users
+ * @param {Function} upload.single - Multer middleware for an optional `receipt` image
+ * @param {Function} vehicleLogController.logExpense - Controller function to log the expense
+ * @returns {Object} JSON response with the created log or error message
+ */
+router.post('/:vehicleId/expenses', adminMiddleware, upload.single('receipt'), vehicleLogController.logExpense);
+
+/**
+ * List a vehicle's fuel, maintenance and expense logs
+ *
+ * @name GET /:vehicleId/logs
+ * @function
+ * @memberof module:routes/vehicleRoutes
+ * @param {string} :vehicleId - ID of the vehicle
+ * @param {string} [req.query.kind] - fuel, maintenance or expense
+ * @param {string} [req.query.occurredFrom] - Logged for on or after this date
+ * @param {string} [req.query.occurredTo] - Logged for on or before this date
+ * @param {Function} adminMiddleware - Authentication middleware for admin users
+ * @param {Function} vehicleLogController.getVehicleLogs - Controller function to list the logs
+ * @returns {Object} JSON response with logs and pagination or error message
+ */
+router.get('/:vehicleId/logs', adminMiddleware, vehicleLogController.getVehicleLogs);
+
+/**
+ * Remove a vehicle from the fleet
+ *
+ * @name DELETE /:vehicleId
+ * @function
+ * @memberof module:routes/vehicleRoutes
+ * @param {string} :vehicleId - ID of the vehicle
+ * @param {Function} adminMiddleware - Authentication middleware for admin users
+ * @param {Function} vehicleController.deleteVehicle - Controller function to delete the vehicle
+ * @returns {Object} JSON response with success or error message
+ */
+router.delete('/:vehicleId', adminMiddleware, vehicleController.deleteVehicle);
+
+module.exports = router;
@@ -0,0 +1,73 @@
+/**
+ * Backfills the normalised phone keys used by full-text search
+ *
+ * Jobs and users created before search indexing have no `phoneKeys` /
+ * `phoneKey`. This fills them in from the stored phone numbers and then
+ * builds the `job_search` and `user_search` text indexes. Safe to run more
+ * than once.
+ *
+ * Usage: npm run migrate:search
+ */
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const connectDB = require('../config/db');
+const Job = require('../models/job.model');
+const User = require('../models/user.model');
+const { normalizePhone } = require('../utils/search');
+
+dotenv.config({ path: process.env.NODE_ENV === 'test' ? '.env.test' : '.env' });
+
+const BATCH_SIZE = 500;
+
+/**
+ * Writes one $set per document of a raw collection cursor in batches
+ */
+const backfill = async (Model, projection, buildSet) => {
+    const cursor = Model.collection.find({}, { projection });
+
+    let operations = [];
+    let updated = 0;
+    const flush = async () => {
+        await Model.collection.bulkWrite(operations, { ordered: false });
+        updated += operations.length;
+        operations = [];
+    };
+
+    for await (const doc of cursor) {
+        operations.push({ updateOne: { filter: { _id: doc._id }, update: { $set: buildSet(doc) } } });
+        if (operations.length === BATCH_SIZE) {
+            await flush();
+        }
+    }
+    if (operations.length) {
+        await flush();
+    }
+    return updated;
+};
+
+const migrate = async () => {
+    await connectDB();
+
+    const jobs = await backfill(Job, { pickupInfo: 1, dropoffInfo: 1, driverInfo: 1 }, (job) => ({
+        'phoneKeys.pickup': normalizePhone(job.pickupInfo?.phone),
+        'phoneKeys.dropoff': normalizePhone(job.dropoffInfo?.phone),
+        'phoneKeys.driver': normalizePhone(job.driverInfo?.phone)
+    }));
+    console.log(`Backfilled phone keys of ${jobs} jobs`);
+
+    const users = await backfill(User, { phone: 1 }, (user) => ({
+        phoneKey: normalizePhone(user.phone)
+    }));
+    console.log(`Backfilled phone keys of ${users} users`);
+
+    await Job.syncIndexes();
+    await User.syncIndexes();
+    console.log('Search indexes are in place');
+};
+
+migrate()
+    .catch((error) => {
+        console.error('Search backfill failed:', error);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,81 @@
+/**
+ * Migrates existing jobs to numeric coordinates with GeoJSON points
+ *
+ * Older jobs stored latitude/longitude as strings and had no GeoJSON fields.
+ * This converts the coordinates of `pickupInfo`, `dropoffInfo` and
+ * `currentCoords` to numbers, fills in `pickupInfo.location`,
+ * `dropoffInfo.location` and `currentLocation`, and then builds the
+ * 2dsphere indexes. Safe to run more than once.
+ *
+ * Usage: npm run migrate:locations
+ */
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const connectDB = require('../config/db');
+const Job = require('../models/job.model');
+const { toGeoPoint } = require('../utils/geo');
+
+dotenv.config({ path: process.env.NODE_ENV === 'test' ? '.env.test' : '.env' });
+
+const BATCH_SIZE = 500;
+
+const toNumber = (value) => {
+    const number = parseFloat(value);
+    return isNaN(number) ? null : number;
+};
+
+/**
+ * Builds the $set for one raw job document
+ */
+const buildUpdate = (job) => {
+    const $set = {};
+
+    ['pickupInfo', 'dropoffInfo'].forEach((key) => {
+        if (!job[key]) return;
+        $set[`${key}.latitude`] = toNumber(job[key].latitude);
+        $set[`${key}.longitude`] = toNumber(job[key].longitude);
+        $set[`${key}.location`] = toGeoPoint(job[key].latitude, job[key].longitude);
+    });
+
+    const current = job.currentCoords || {};
+    $set['currentCoords.latitude'] = toNumber(current.latitude);
+    $set['currentCoords.longitude'] = toNumber(current.longitude);
+    $set.currentLocation = toGeoPoint(current.latitude, current.longitude);
+
+    return $set;
+};
+
+const migrate = async () => {
+    await connectDB();
+
+    // Read through the raw collection so string values aren't cast away first
+    const cursor = Job.collection.find({}, {
+        projection: { pickupInfo: 1, dropoffInfo: 1, currentCoords: 1 }
+    });
+
+    let operations = [];
+    let migrated = 0;
+    for await (const job of cursor) {
+        operations.push({ updateOne: { filter: { _id: job._id }, update: { $set: buildUpdate(job) } } });
+        if (operations.length === BATCH_SIZE) {
+            await Job.collection.bulkWrite(operations, { ordered: false });
+            migrated += operations.length;
+            operations = [];
+        }
+    }
+    if (operations.length) {
+        await Job.collection.bulkWrite(operations, { ordered: false });
+        migrated += operations.length;
+    }
+    console.log(`Migrated coordinates of ${migrated} jobs`);
+
+    await Job.syncIndexes();
+    console.log('Geospatial indexes are in place');
+};
+
+migrate()
+    .catch((error) => {
+        console.error('Location migration failed:', error);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
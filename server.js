@@ -1,16 +1,19 @@
+const dotenv = require('dotenv');
+
+// Load the environment before any module reads its settings from it
+dotenv.config({ path: process.env.NODE_ENV === 'test' ? '.env.test' : '.env' });
+
 const express = require('express');
 const cors = require('cors');
-const dotenv = require('dotenv');
 const connectDB = require('./config/db');
 const routes = require("./routes/index");
+const { PAGINATION_HEADER } = require("./utils/pagination");
 const path = require("path");
 
-dotenv.config({ path: process.env.NODE_ENV === 'test' ? '.env.test' : '.env' });
-
 const app = express();
 
 app.use(express.json());
-app.use(cors());
+app.use(cors({ exposedHeaders: [PAGINATION_HEADER] }));
 
 if (process.env.NODE_ENV !== 'test') {
     connectDB();
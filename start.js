@@ -1,11 +1,13 @@
 const mongoose = require('mongoose');
 const app = require('./server');
 const connectDB = require('./config/db');
+const { startDelayMonitor } = require('./utils/delayMonitor');
 
 const PORT = process.env.PORT || 5000;
 
 const startServer = async () => {
     await connectDB();
+    startDelayMonitor();
     app.listen(PORT, '0.0.0.0', () => console.log(`Server running on port ${PORT}`));
 };
 
@@ -0,0 +1,174 @@
+const request = require('supertest');
+const app = require('../../server');
+const jwt = require('jsonwebtoken');
+const Job = require('../../models/job.model');
+const TrackPoint = require('../../models/trackPoint.model');
+
+// Mock dependencies
+jest.mock('../../models/job.model');
+jest.mock('../../models/user.model');
+jest.mock('../../models/trackPoint.model');
+jest.mock('../../config/db');
+
+// Set test environment variables
+process.env.JWT_SECRET = 'test-jwt-secret-key';
+process.env.NODE_ENV = 'test';
+
+describe('Analytics Endpoints', () => {
+  let adminToken, driverToken;
+  const driverId = '507f1f77bcf86cd799439012';
+
+  beforeAll(() => {
+    adminToken = jwt.sign({ id: '507f1f77bcf86cd799439011', role: 'admin' }, process.env.JWT_SECRET, { expiresIn: '1h' });
+    driverToken = jwt.sign({ id: driverId, role: 'driver' }, process.env.JWT_SECRET, { expiresIn: '1h' });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('GET /api/v1/analytics/performance', () => {
+    it('should compute KPIs for the requested range', async () => {
+      Job.aggregate.mockResolvedValue([{
+        _id: null,
+        totalJobs: 20,
+        pending: 2,
+        'in-transit': 1,
+        delayed: 1,
+        delivered: 14,
+        cancelled: 2,
+        urgentJobs: 5,
+        avgDurationMs: 95 * 60 * 1000,
+        onTimeEligible: 12,
+        onTime: 9
+      }]);
+      TrackPoint.aggregate.mockResolvedValue([{ _id: null, distanceKm: 812.346 }]);
+
+      const res = await request(app)
+        .get('/api/v1/analytics/performance?from=2025-06-01&to=2025-06-08')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.range).toEqual({ from: '2025-06-01T00:00:00.000Z', to: '2025-06-08T00:00:00.000Z' });
+      expect(res.body.kpis).toEqual({
+        totalJobs: 20,
+        byStatus: { pending: 2, 'in-transit': 1, delayed: 1, delivered: 14, cancelled: 2 },
+        completionRate: 70,
+        cancellationRate: 10,
+        onTimeRate: 75,
+        onTimeEligible: 12,
+        avgPickupToDeliveryMinutes: 95,
+        urgentShare: 25,
+        distanceKm: 812.3
+      });
+
+      const [pipeline] = Job.aggregate.mock.calls[0];
+      expect(pipeline[0]).toEqual({
+        $match: { createdAt: { $gte: new Date('2025-06-01'), $lt: new Date('2025-06-08') } }
+      });
+      // Jobs without any deadline must end up with a null one, not a missing one
+      expect(pipeline[1].$addFields.deadline).toEqual({ $ifNull: ['$promisedBy', '$deliveryWindow.latest', null] });
+      const [distancePipeline] = TrackPoint.aggregate.mock.calls[0];
+      expect(distancePipeline[0]).toEqual({
+        $match: { recordedAt: { $gte: new Date('2025-06-01'), $lt: new Date('2025-06-08') } }
+      });
+      expect(distancePipeline[1].$setWindowFields.partitionBy).toBe('$jobId');
+    });
+
+    it('should scope the report to one driver', async () => {
+      Job.aggregate.mockResolvedValue([]);
+      TrackPoint.aggregate.mockResolvedValue([]);
+
+      const res = await request(app)
+        .get(`/api/v1/analytics/performance?driverId=${driverId}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.driverId).toBe(driverId);
+      expect(Job.aggregate.mock.calls[0][0][0].$match['driverInfo.id']).toBe(driverId);
+      expect(TrackPoint.aggregate.mock.calls[0][0][0].$match.driverId).toBe(driverId);
+      // An empty range reports zeros rather than made-up rates
+      expect(res.body.kpis).toEqual(expect.objectContaining({
+        totalJobs: 0,
+        completionRate: null,
+        onTimeRate: null,
+        avgPickupToDeliveryMinutes: null,
+        distanceKm: 0
+      }));
+    });
+
+    it('should default to the last seven days', async () => {
+      Job.aggregate.mockResolvedValue([]);
+      TrackPoint.aggregate.mockResolvedValue([]);
+
+      const res = await request(app)
+        .get('/api/v1/analytics/performance')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      const from = new Date(res.body.range.from);
+      const to = new Date(res.body.range.to);
+      expect(to - from).toBe(7 * 24 * 60 * 60 * 1000);
+    });
+
+    it('should reject an empty or invalid range', async () => {
+      const res = await request(app)
+        .get('/api/v1/analytics/performance?from=2025-06-08&to=2025-06-01')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe('from must be before to');
+      expect(Job.aggregate).not.toHaveBeenCalled();
+    });
+
+    it('should be restricted to admins', async () => {
+      const res = await request(app)
+        .get('/api/v1/analytics/performance')
+        .set('Authorization', `Bearer ${driverToken}`);
+
+      expect(res.statusCode).toBe(403);
+    });
+
+    it('should handle aggregation errors', async () => {
+      Job.aggregate.mockRejectedValue(new Error('Database error'));
+      TrackPoint.aggregate.mockResolvedValue([]);
+
+      const res = await request(app)
+        .get('/api/v1/analytics/performance')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(500);
+    });
+  });
+
+  describe('GET /api/v1/analytics/drivers', () => {
+    it('should return KPIs per driver with their distance driven', async () => {
+      Job.aggregate.mockResolvedValue([
+        { _id: 'driver-a', driverName: 'Asha', totalJobs: 4, delivered: 2, cancelled: 1, onTimeEligible: 2, onTime: 2 },
+        { _id: 'driver-b', driverName: 'Bikash', totalJobs: 5, delivered: 5, onTimeEligible: 4, onTime: 3 }
+      ]);
+      TrackPoint.aggregate.mockResolvedValue([
+        { _id: 'driver-b', distanceKm: 120.04 },
+        { _id: 'driver-a', distanceKm: 33.33 }
+      ]);
+
+      const res = await request(app)
+        .get('/api/v1/analytics/drivers?from=2025-06-01&to=2025-06-08')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.count).toBe(2);
+      expect(res.body.drivers.map((driver) => driver.driverId)).toEqual(['driver-b', 'driver-a']);
+      expect(res.body.drivers[0]).toEqual(expect.objectContaining({
+        driverName: 'Bikash',
+        completionRate: 100,
+        onTimeRate: 75,
+        distanceKm: 120
+      }));
+      expect(res.body.drivers[1].cancellationRate).toBe(25);
+
+      const [pipeline] = Job.aggregate.mock.calls[0];
+      expect(pipeline[0].$match['driverInfo.id']).toEqual({ $ne: null });
+      expect(pipeline[pipeline.length - 1].$group._id).toBe('$driverInfo.id');
+    });
+  });
+});
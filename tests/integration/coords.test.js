@@ -3,10 +3,12 @@ const app = require('../../server');
 const jwt = require('jsonwebtoken');
 const Job = require('../../models/job.model');
 const User = require('../../models/user.model');
+const TrackPoint = require('../../models/trackPoint.model');
 
 // Mock dependencies
 jest.mock('../../models/job.model');
 jest.mock('../../models/user.model');
+jest.mock('../../models/trackPoint.model');
 jest.mock('../../config/db');
 
 // Set test environment variables
@@ -67,11 +69,43 @@ describe('Coordinate Controller Integration with Middleware', () => {
       expect(res.body.job).toEqual(updatedJob);
       expect(Job.findByIdAndUpdate).toHaveBeenCalledWith(
         jobId,
-        { currentCoords: { latitude: '27.7172', longitude: '85.3240' } },
+        {
+          currentCoords: { latitude: 27.7172, longitude: 85.324 },
+          currentLocation: { type: 'Point', coordinates: [85.324, 27.7172] },
+          lastLocationAt: expect.any(Date)
+        },
         { new: true }
       );
     });
 
+    it('should store each update in the breadcrumb trail', async () => {
+      Job.findByIdAndUpdate.mockResolvedValue({
+        _id: jobId,
+        driverInfo: { id: driverId },
+        currentCoords: { latitude: '27.7172', longitude: '85.3240' }
+      });
+
+      const res = await request(app)
+        .patch(`/api/v1/coordinate/updateCoord/${jobId}`)
+        .set('Authorization', `Bearer ${driverToken}`)
+        .send({
+          currentCoords: { latitude: '27.7172', longitude: '85.3240' },
+          speed: 42.5,
+          heading: 270
+        });
+
+      expect(res.statusCode).toBe(200);
+      expect(TrackPoint.create).toHaveBeenCalledWith({
+        jobId,
+        driverId,
+        latitude: 27.7172,
+        longitude: 85.324,
+        speed: 42.5,
+        heading: 270,
+        accuracy: null
+      });
+    });
+
     it('should return 401 without authorization header', async () => {
       const res = await request(app)
         .patch(`/api/v1/coordinate/updateCoord/${jobId}`)
@@ -146,6 +180,97 @@ describe('Coordinate Controller Integration with Middleware', () => {
     });
   });
 
+  describe('Geofence events on coordinate updates', () => {
+    // About 110 m north of the pickup point per 0.001 degree of latitude
+    const pickupInfo = { latitude: 27.7172, longitude: 85.3240 };
+    const dropoffInfo = { latitude: 28.2096, longitude: 83.9856 };
+
+    const pingAt = (latitude) => request(app)
+      .patch(`/api/v1/coordinate/updateCoord/${jobId}`)
+      .set('Authorization', `Bearer ${driverToken}`)
+      .send({ currentCoords: { latitude, longitude: 85.3240 } });
+
+    afterEach(() => {
+      Job.findOneAndUpdate.mockReset();
+    });
+
+    it('should record an arrival when the vehicle enters the pickup fence', async () => {
+      const job = { _id: jobId, status: 'pending', pickupInfo, dropoffInfo, geofenceState: { pickup: false, dropoff: false } };
+      Job.findByIdAndUpdate.mockResolvedValue(job);
+      Job.findOneAndUpdate.mockImplementation((filter, update) => Promise.resolve({ ...job, ...update.$set, geofenceEvents: update.$push.geofenceEvents.$each }));
+
+      const res = await pingAt(27.7180);
+
+      expect(res.statusCode).toBe(200);
+      expect(Job.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: jobId, 'geofenceState.pickup': { $ne: true }, 'geofenceState.dropoff': { $ne: true } },
+        {
+          $set: { geofenceState: { pickup: true, dropoff: false } },
+          $push: { geofenceEvents: { $each: [expect.objectContaining({ fence: 'pickup', type: 'arrival', distanceM: 89 })] } }
+        },
+        { new: true }
+      );
+      expect(res.body.job.geofenceEvents).toHaveLength(1);
+    });
+
+    it('should ignore jitter just outside the fence edge', async () => {
+      Job.findByIdAndUpdate.mockResolvedValue({
+        _id: jobId, status: 'pending', pickupInfo, dropoffInfo, geofenceState: { pickup: true, dropoff: false }
+      });
+
+      const res = await pingAt(27.7187);
+
+      expect(res.statusCode).toBe(200);
+      expect(Job.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should start a pending job when it leaves pickup and auto-advance is on', async () => {
+      const job = {
+        _id: jobId, status: 'pending', pickupInfo, dropoffInfo,
+        geofence: { autoAdvance: true },
+        geofenceState: { pickup: true, dropoff: false }
+      };
+      Job.findByIdAndUpdate.mockResolvedValue(job);
+      Job.findOneAndUpdate
+        .mockResolvedValueOnce(job)
+        .mockResolvedValueOnce({ ...job, status: 'in-transit' });
+
+      const res = await pingAt(27.7300);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.job.status).toBe('in-transit');
+      expect(Job.findOneAndUpdate).toHaveBeenLastCalledWith(
+        { _id: jobId, status: 'pending' },
+        {
+          $set: { status: 'in-transit' },
+          $push: {
+            statusHistory: expect.objectContaining({
+              from: 'pending',
+              to: 'in-transit',
+              changedBy: { id: null, role: 'system' },
+              reason: 'Left the pickup geofence'
+            })
+          }
+        },
+        { new: true }
+      );
+    });
+
+    it('should only record the departure when auto-advance is off', async () => {
+      const job = { _id: jobId, status: 'pending', pickupInfo, dropoffInfo, geofenceState: { pickup: true, dropoff: false } };
+      Job.findByIdAndUpdate.mockResolvedValue(job);
+      Job.findOneAndUpdate.mockResolvedValue(job);
+
+      const res = await pingAt(27.7300);
+
+      expect(res.statusCode).toBe(200);
+      expect(Job.findOneAndUpdate).toHaveBeenCalledTimes(1);
+      expect(Job.findOneAndUpdate.mock.calls[0][1].$push.geofenceEvents.$each[0]).toEqual(
+        expect.objectContaining({ fence: 'pickup', type: 'departure' })
+      );
+    });
+  });
+
   describe('GET /api/v1/coordinate/getLiveCoord/:jobId', () => {
     it('should get live coordinates with valid driver token', async () => {
       const job = {
@@ -158,6 +283,10 @@ describe('Coordinate Controller Integration with Middleware', () => {
         lean: jest.fn().mockResolvedValue(job)
       });
 
+      TrackPoint.find.mockReturnValue({
+        sort: jest.fn().mockReturnValue({ lean: jest.fn().mockResolvedValue([]) })
+      });
+
       const res = await request(app)
         .get(`/api/v1/coordinate/getLiveCoord/${jobId}`)
         .set('Authorization', `Bearer ${driverToken}`);
@@ -168,6 +297,38 @@ describe('Coordinate Controller Integration with Middleware', () => {
       expect(Job.findById).toHaveBeenCalledWith(jobId);
     });
 
+    it('should include progress and ETA for an active job', async () => {
+      Job.findById.mockReturnValue({
+        lean: jest.fn().mockResolvedValue({
+          _id: jobId,
+          status: 'in-transit',
+          pickupInfo: { latitude: 27.7, longitude: 85.3 },
+          dropoffInfo: { latitude: 27.8, longitude: 85.3 },
+          currentCoords: { latitude: 27.75, longitude: 85.3 }
+        })
+      });
+      TrackPoint.find.mockReturnValue({
+        sort: jest.fn().mockReturnValue({
+          lean: jest.fn().mockResolvedValue([
+            { jobId, latitude: 27.74, longitude: 85.3, recordedAt: new Date(Date.now() - 10 * 60000) },
+            { jobId, latitude: 27.75, longitude: 85.3, recordedAt: new Date() }
+          ])
+        })
+      });
+
+      const res = await request(app)
+        .get(`/api/v1/coordinate/getLiveCoord/${jobId}`)
+        .set('Authorization', `Bearer ${driverToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.progress).toBe(50);
+      expect(res.body.distanceRemaining).toBeCloseTo(5.56, 1);
+      // 1.11 km in 10 minutes, measured from the breadcrumb positions
+      expect(res.body.speedKmh).toBeCloseTo(6.7, 0);
+      expect(res.body.etaSource).toBe('breadcrumbs');
+      expect(new Date(res.body.eta).getTime()).toBeGreaterThan(Date.now());
+    });
+
     it('should return 401 without authorization header', async () => {
       const res = await request(app)
         .get(`/api/v1/coordinate/getLiveCoord/${jobId}`);
@@ -318,7 +479,7 @@ describe('Coordinate Controller Integration with Middleware', () => {
   });
 
   describe('GET /api/v1/coordinate/getAllCoord/:jobId', () => {
-    it('should get all coordinates without authentication (public endpoint)', async () => {
+    it('should get all coordinates for an authenticated user', async () => {
       const job = {
         _id: jobId,
         pickupInfo: {
@@ -344,7 +505,8 @@ describe('Coordinate Controller Integration with Middleware', () => {
       });
 
       const res = await request(app)
-        .get(`/api/v1/coordinate/getAllCoord/${jobId}`);
+        .get(`/api/v1/coordinate/getAllCoord/${jobId}`)
+        .set('Authorization', `Bearer ${adminToken}`);
 
       expect(res.statusCode).toBe(200);
       expect(res.body.success).toBe(true);
@@ -369,7 +531,8 @@ describe('Coordinate Controller Integration with Middleware', () => {
       });
 
       const res = await request(app)
-        .get(`/api/v1/coordinate/getAllCoord/${jobId}`);
+        .get(`/api/v1/coordinate/getAllCoord/${jobId}`)
+        .set('Authorization', `Bearer ${adminToken}`);
 
       expect(res.statusCode).toBe(404);
       expect(res.body.success).toBe(false);
@@ -382,14 +545,15 @@ describe('Coordinate Controller Integration with Middleware', () => {
       });
 
       const res = await request(app)
-        .get(`/api/v1/coordinate/getAllCoord/${jobId}`);
+        .get(`/api/v1/coordinate/getAllCoord/${jobId}`)
+        .set('Authorization', `Bearer ${adminToken}`);
 
       expect(res.statusCode).toBe(500);
       expect(res.body.success).toBe(false);
       expect(res.body.message).toBe('Internal Server Error');
     });
 
-    it('should work with authentication tokens (though not required)', async () => {
+    it('should work with driver tokens', async () => {
       const job = {
         _id: jobId,
         pickupInfo: { name: 'John', phone: '123', latitude: '27.7', longitude: '85.3' },
@@ -422,12 +586,21 @@ describe('Coordinate Controller Integration with Middleware', () => {
       });
 
       const res = await request(app)
-        .get(`/api/v1/coordinate/getAllCoord/${jobId}`);
+        .get(`/api/v1/coordinate/getAllCoord/${jobId}`)
+        .set('Authorization', `Bearer ${adminToken}`);
 
       expect(res.statusCode).toBe(200);
       expect(res.body.success).toBe(true);
       expect(res.body.data.currentCoords).toBe(null);
     });
+
+    it('should return 401 without a token', async () => {
+      const res = await request(app)
+        .get(`/api/v1/coordinate/getAllCoord/${jobId}`);
+
+      expect(res.statusCode).toBe(401);
+      expect(Job.findById).not.toHaveBeenCalled();
+    });
   });
 
   describe('Edge Cases and Error Handling', () => {
@@ -494,6 +667,93 @@ describe('Coordinate Controller Integration with Middleware', () => {
       expect(res.statusCode).toBe(200);
       expect(res.body.success).toBe(true);
       expect(res.body.job.currentCoords).toEqual({});
+      expect(TrackPoint.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/v1/coordinate/track/:jobId', () => {
+    const points = [
+      { latitude: 27.7172, longitude: 85.324, speed: 30, recordedAt: '2025-08-01T09:00:00.000Z' },
+      { latitude: 27.72, longitude: 85.33, speed: 35, recordedAt: '2025-08-01T09:05:00.000Z' },
+      { latitude: 27.73, longitude: 85.34, speed: 40, recordedAt: '2025-08-01T09:10:00.000Z' },
+      { latitude: 27.74, longitude: 85.35, speed: 20, recordedAt: '2025-08-01T09:15:00.000Z' },
+      { latitude: 27.75, longitude: 85.36, speed: 10, recordedAt: '2025-08-01T09:20:00.000Z' }
+    ];
+
+    beforeEach(() => {
+      Job.findById.mockReturnValue({
+        lean: jest.fn().mockResolvedValue({ _id: jobId })
+      });
+      TrackPoint.find.mockReturnValue({
+        sort: jest.fn().mockReturnValue({
+          lean: jest.fn().mockResolvedValue(points)
+        })
+      });
+    });
+
+    it('should return the trail within a time range', async () => {
+      const res = await request(app)
+        .get(`/api/v1/coordinate/track/${jobId}?from=2025-08-01T09:00:00Z&to=2025-08-01T10:00:00Z`)
+        .set('Authorization', `Bearer ${driverToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.count).toBe(5);
+      expect(TrackPoint.find).toHaveBeenCalledWith(
+        {
+          jobId,
+          recordedAt: {
+            $gte: new Date('2025-08-01T09:00:00Z'),
+            $lte: new Date('2025-08-01T10:00:00Z')
+          }
+        },
+        expect.any(Object)
+      );
+    });
+
+    it('should downsample the trail keeping the first and last points', async () => {
+      const res = await request(app)
+        .get(`/api/v1/coordinate/track/${jobId}?maxPoints=3`)
+        .set('Authorization', `Bearer ${driverToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.totalPoints).toBe(5);
+      expect(res.body.points).toEqual([points[0], points[2], points[4]]);
+    });
+
+    it('should export the trail as a GeoJSON LineString', async () => {
+      const res = await request(app)
+        .get(`/api/v1/coordinate/track/${jobId}?format=geojson`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(200);
+      const feature = JSON.parse(res.text);
+      expect(feature.geometry.type).toBe('LineString');
+      expect(feature.geometry.coordinates[0]).toEqual([85.324, 27.7172]);
+    });
+
+    it('should export the trail as GPX', async () => {
+      const res = await request(app)
+        .get(`/api/v1/coordinate/track/${jobId}?format=gpx`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.headers['content-type']).toContain('application/gpx+xml');
+      expect(res.text).toContain('<trkpt lat="27.7172" lon="85.324"><time>2025-08-01T09:00:00.000Z</time></trkpt>');
+    });
+
+    it('should reject an unknown format', async () => {
+      const res = await request(app)
+        .get(`/api/v1/coordinate/track/${jobId}?format=kml`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    it('should return 401 without authorization header', async () => {
+      const res = await request(app)
+        .get(`/api/v1/coordinate/track/${jobId}`);
+
+      expect(res.statusCode).toBe(401);
     });
   });
 });
\ No newline at end of file
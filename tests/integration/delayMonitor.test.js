@@ -0,0 +1,227 @@
+const request = require('supertest');
+const app = require('../../server');
+const jwt = require('jsonwebtoken');
+const Job = require('../../models/job.model');
+const TrackPoint = require('../../models/trackPoint.model');
+const { runDelayCheck } = require('../../utils/delayMonitor');
+
+// Mock dependencies
+jest.mock('../../models/job.model');
+jest.mock('../../models/user.model');
+jest.mock('../../models/trackPoint.model');
+jest.mock('../../config/db');
+
+// Set test environment variables
+process.env.JWT_SECRET = 'test-jwt-secret-key';
+process.env.NODE_ENV = 'test';
+
+const now = new Date('2025-06-01T12:00:00.000Z');
+const minutesAgo = (minutes) => new Date(now.getTime() - minutes * 60 * 1000);
+const minutesFromNow = (minutes) => new Date(now.getTime() + minutes * 60 * 1000);
+
+// Kathmandu to Pokhara, roughly 69 km from the destination
+const route = {
+  pickupInfo: { latitude: 27.7172, longitude: 85.3240 },
+  dropoffInfo: { latitude: 28.2096, longitude: 83.9856 },
+  currentCoords: { latitude: 27.8545, longitude: 84.5603 }
+};
+
+const mockJobs = (jobs) => {
+  Job.find.mockReturnValue({ lean: jest.fn().mockResolvedValue(jobs) });
+};
+
+const mockTrackPoints = (points) => {
+  TrackPoint.find.mockReturnValue({
+    sort: jest.fn().mockReturnValue({ lean: jest.fn().mockResolvedValue(points) })
+  });
+};
+
+/**
+ * Returns the risk written for a job by the last delay check
+ */
+const riskWrittenFor = (jobId) => {
+  const [operations] = Job.bulkWrite.mock.calls[0];
+  return operations.find((operation) => operation.updateOne.filter._id === jobId).updateOne.update.$set.risk;
+};
+
+describe('Delay Monitor', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Job.bulkWrite.mockResolvedValue({});
+    mockTrackPoints([]);
+  });
+
+  afterEach(() => {
+    Job.findOneAndUpdate.mockReset();
+  });
+
+  describe('runDelayCheck', () => {
+    it('should flag jobs that stopped reporting their location', async () => {
+      mockJobs([{ _id: 'stale', status: 'in-transit', ...route, lastLocationAt: minutesAgo(45) }]);
+
+      const result = await runDelayCheck(now);
+
+      expect(result).toEqual({ checked: 1, atRisk: 1, escalated: 0 });
+      expect(riskWrittenFor('stale')).toEqual(expect.objectContaining({
+        level: 'at-risk',
+        reasons: [expect.objectContaining({ code: 'stale-location', minutesOver: 25 })],
+        detectedAt: now,
+        checkedAt: now
+      }));
+    });
+
+    it('should flag vehicles that have been stationary too long', async () => {
+      mockJobs([{ _id: 'parked', status: 'in-transit', ...route, lastLocationAt: minutesAgo(1) }]);
+      mockTrackPoints([
+        { jobId: 'parked', latitude: 27.8000, longitude: 84.5000, recordedAt: minutesAgo(50) },
+        { jobId: 'parked', latitude: 27.8545, longitude: 84.5603, recordedAt: minutesAgo(40) },
+        { jobId: 'parked', latitude: 27.8548, longitude: 84.5604, recordedAt: minutesAgo(20) },
+        { jobId: 'parked', latitude: 27.8545, longitude: 84.5603, recordedAt: minutesAgo(1) }
+      ]);
+
+      await runDelayCheck(now);
+
+      expect(riskWrittenFor('parked').reasons).toEqual([
+        expect.objectContaining({ code: 'stationary', message: 'Vehicle has not moved for 39 minutes' })
+      ]);
+    });
+
+    it('should escalate in-transit jobs whose ETA passes the promised time', async () => {
+      const job = { _id: 'late', status: 'in-transit', ...route, lastLocationAt: minutesAgo(1), promisedBy: minutesFromNow(60) };
+      mockJobs([job]);
+      Job.findOneAndUpdate.mockResolvedValue({ ...job, status: 'delayed' });
+
+      const result = await runDelayCheck(now);
+
+      // About 69 km left at the 25 km/h fallback speed is well over an hour
+      expect(result.escalated).toBe(1);
+      expect(riskWrittenFor('late')).toEqual(expect.objectContaining({
+        level: 'delayed',
+        reasons: [expect.objectContaining({ code: 'eta-past-deadline' })]
+      }));
+      expect(Job.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'late', status: 'in-transit' },
+        expect.objectContaining({
+          $set: { status: 'delayed' },
+          $push: {
+            statusHistory: expect.objectContaining({
+              changedBy: { id: null, role: 'system' },
+              reason: expect.stringMatching(/minutes after the promised time/)
+            })
+          }
+        }),
+        { new: true }
+      );
+    });
+
+    it('should flag pending jobs whose deadline has passed without escalating them', async () => {
+      mockJobs([{ _id: 'overdue', status: 'pending', ...route, promisedBy: minutesAgo(30) }]);
+
+      const result = await runDelayCheck(now);
+
+      expect(result.escalated).toBe(0);
+      expect(riskWrittenFor('overdue').reasons[0].code).toBe('deadline-passed');
+      expect(TrackPoint.find).not.toHaveBeenCalled();
+      expect(Job.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should clear the risk of jobs that are back on track', async () => {
+      const detectedAt = minutesAgo(30);
+      mockJobs([
+        { _id: 'recovered', status: 'in-transit', ...route, lastLocationAt: minutesAgo(1), risk: { level: 'at-risk', detectedAt } },
+        { _id: 'fine', status: 'in-transit', ...route, lastLocationAt: minutesAgo(1), risk: null }
+      ]);
+
+      const result = await runDelayCheck(now);
+
+      expect(result.atRisk).toBe(0);
+      expect(Job.bulkWrite).toHaveBeenCalledWith(
+        [{ updateOne: { filter: { _id: 'recovered' }, update: { $set: { risk: null } } } }],
+        { ordered: false }
+      );
+    });
+
+    it('should keep the original detection time while a job stays at risk', async () => {
+      const detectedAt = minutesAgo(30);
+      mockJobs([{ _id: 'stale', status: 'in-transit', ...route, lastLocationAt: minutesAgo(45), risk: { level: 'at-risk', detectedAt } }]);
+
+      await runDelayCheck(now);
+
+      expect(riskWrittenFor('stale').detectedAt).toBe(detectedAt);
+    });
+
+    it('should only load the fields it checks', async () => {
+      mockJobs([]);
+
+      await runDelayCheck(now);
+
+      const [, projection] = Job.find.mock.calls[0];
+      expect(projection).toEqual(expect.objectContaining({ status: 1, promisedBy: 1, currentCoords: 1, risk: 1 }));
+      expect(projection).not.toHaveProperty('proofOfDelivery');
+    });
+
+    it('should keep a growing delay current between checks', async () => {
+      const job = { _id: 'overdue', status: 'pending', ...route, promisedBy: minutesAgo(2) };
+      mockJobs([job]);
+      await runDelayCheck(now);
+      const first = riskWrittenFor('overdue');
+
+      Job.bulkWrite.mockClear();
+      const later = new Date(now.getTime() + 120 * 60 * 1000);
+      mockJobs([{ ...job, risk: first }]);
+      await runDelayCheck(later);
+      const second = riskWrittenFor('overdue');
+
+      expect(first.reasons[0].message).toBe('Promised delivery time passed 2 minutes ago');
+      expect(second.reasons[0].message).toBe('Promised delivery time passed 122 minutes ago');
+      expect(second.reasons[0].minutesOver).toBe(122);
+      expect(second.severity).toBeGreaterThan(first.severity);
+      expect(second.detectedAt).toBe(now);
+      expect(second.checkedAt).toBe(later);
+    });
+  });
+
+  describe('GET /api/v1/job/atRisk', () => {
+    let adminToken, driverToken;
+
+    beforeAll(() => {
+      adminToken = jwt.sign({ id: '507f1f77bcf86cd799439011', role: 'admin' }, process.env.JWT_SECRET, { expiresIn: '1h' });
+      driverToken = jwt.sign({ id: '507f1f77bcf86cd799439012', role: 'driver' }, process.env.JWT_SECRET, { expiresIn: '1h' });
+    });
+
+    it('should list flagged open jobs sorted by severity', async () => {
+      const sort = jest.fn().mockReturnValue({
+        lean: jest.fn().mockResolvedValue([{ _id: 'late', risk: { level: 'delayed', severity: 90 } }])
+      });
+      Job.find.mockReturnValue({ sort });
+
+      const res = await request(app)
+        .get('/api/v1/job/atRisk?level=delayed')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.count).toBe(1);
+      expect(Job.find).toHaveBeenCalledWith(
+        { risk: { $ne: null }, status: { $in: ['pending', 'in-transit', 'delayed'] }, 'risk.level': 'delayed' },
+        expect.any(Object)
+      );
+      expect(sort).toHaveBeenCalledWith({ 'risk.severity': -1 });
+    });
+
+    it('should reject an unknown level', async () => {
+      const res = await request(app)
+        .get('/api/v1/job/atRisk?level=late')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    it('should be restricted to admins', async () => {
+      const res = await request(app)
+        .get('/api/v1/job/atRisk')
+        .set('Authorization', `Bearer ${driverToken}`);
+
+      expect(res.statusCode).toBe(403);
+    });
+  });
+});
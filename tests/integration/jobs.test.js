@@ -1,18 +1,56 @@
 const request = require('supertest');
 const express = require('express');
 const mongoose = require('mongoose');
+const { Readable } = require('stream');
 const jwt = require('jsonwebtoken');
 const Job = require('../../models/job.model');
 const User = require('../../models/user.model');
+const TrackPoint = require('../../models/trackPoint.model');
+const Vehicle = require('../../models/vehicle.model');
 const jobRoutes = require('../../routes/jobRoutes');
+const { subscribe } = require('../../utils/liveEvents');
 
 // Mock the models
 jest.mock('../../models/job.model');
 jest.mock('../../models/user.model');
+jest.mock('../../models/trackPoint.model');
+jest.mock('../../models/vehicle.model');
+
+// Mock Cloudinary config
+jest.mock('../../config/cloudinaryConfig', () => ({
+  uploadToCloudinary: jest.fn().mockResolvedValue({
+    secure_url: 'https://cloudinary.com/test-image.jpg',
+    public_id: 'test-image-id'
+  }),
+  deleteFromCloudinary: jest.fn().mockResolvedValue({ result: 'ok' })
+}));
 
 // Mock environment variables
 process.env.JWT_SECRET = 'test-jwt-secret-key';
 
+/**
+ * Mocks the Job.find().sort().skip().limit().lean() chain of paginated job
+ * lists; pass an Error to make the query fail
+ */
+const mockJobList = (result) => {
+  const chain = {
+    sort: jest.fn(() => chain),
+    skip: jest.fn(() => chain),
+    limit: jest.fn(() => chain),
+    lean: result instanceof Error
+      ? jest.fn().mockRejectedValue(result)
+      : jest.fn().mockResolvedValue(result)
+  };
+  Job.find.mockReturnValue(chain);
+  Job.countDocuments.mockResolvedValue(Array.isArray(result) ? result.length : 0);
+  return chain;
+};
+
+/**
+ * Reads the pagination metadata job lists send in the X-Pagination header
+ */
+const paginationOf = (res) => JSON.parse(res.headers['x-pagination']);
+
 const createTestApp = () => {
   const app = express();
   app.use(express.json());
@@ -52,6 +90,11 @@ describe('Job Controller Integration with Middleware', () => {
 
   beforeEach(() => {
     jest.clearAllMocks();
+    Vehicle.findOne.mockReset();
+    Vehicle.find.mockReturnValue({ lean: jest.fn().mockResolvedValue([]) });
+    TrackPoint.find.mockReturnValue({
+      sort: jest.fn().mockReturnValue({ lean: jest.fn().mockResolvedValue([]) })
+    });
   });
 
   describe('POST /api/v1/job/createJob', () => {
@@ -176,226 +219,2371 @@ describe('Job Controller Integration with Middleware', () => {
       expect(res.statusCode).toBe(500);
       expect(res.body.error).toMatch(/within Nepal/);
     });
-  });
-
-  describe('GET /api/v1/job', () => {
-    it('should retrieve all jobs (no auth required)', async () => {
-      const mockJobs = [
-        { _id: jobId, status: 'pending', driverInfo: { name: 'Driver 1' } },
-        { _id: 'job2', status: 'delivered', driverInfo: { name: 'Driver 2' } }
-      ];
 
-      Job.find.mockReturnValue({
-        sort: jest.fn().mockReturnValue({
-          lean: jest.fn().mockResolvedValue(mockJobs)
-        })
+    it('should not give jobs to a driver whose licence has expired', async () => {
+      User.findById.mockResolvedValue({
+        _id: driverId,
+        role: 'driver',
+        documents: [{ type: 'licence', number: '01-06-12345678', expiresAt: new Date('2026-01-15T00:00:00.000Z') }]
       });
 
       const res = await request(app)
-        .get('/api/v1/job');
+        .post('/api/v1/job/createJob')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          driverInfo: { id: driverId },
+          pickupInfo: { name: "Pickup", phone: "111", latitude: "27.7", longitude: "85.3" },
+          dropoffInfo: { name: "Dropoff", phone: "222", latitude: "27.8", longitude: "85.4" }
+        });
 
-      expect(res.statusCode).toBe(200);
-      expect(Array.isArray(res.body)).toBe(true);
-      expect(res.body).toHaveLength(2);
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe("Driver's licence expired on 2026-01-15");
+      expect(Job).not.toHaveBeenCalled();
     });
 
-    it('should filter jobs by status', async () => {
-      const mockJobs = [
-        { _id: jobId, status: 'pending', driverInfo: { name: 'Driver 1' } }
-      ];
+    describe('Vehicles', () => {
+      const vehicleId = '507f1f77bcf86cd799439045';
+      const van = { _id: vehicleId, plateNumber: 'BA 2 PA 1234', type: 'van', status: 'active', supports: { heavyItem: false } };
+      const jobBody = (overrides = {}) => ({
+        driverInfo: { id: driverId },
+        pickupInfo: { name: "Pickup", phone: "111", latitude: "27.7", longitude: "85.3" },
+        dropoffInfo: { name: "Dropoff", phone: "222", latitude: "27.8", longitude: "85.4" },
+        ...overrides
+      });
 
-      Job.find.mockReturnValue({
-        sort: jest.fn().mockReturnValue({
-          lean: jest.fn().mockResolvedValue(mockJobs)
+      beforeEach(() => {
+        User.findById.mockResolvedValue({ _id: driverId, role: 'driver', firstName: 'Test', lastName: 'Driver' });
+        Job.mockImplementation((data) => ({
+          save: jest.fn().mockResolvedValue({ _id: jobId, ...data })
+        }));
+      });
+
+      it('should put the job on the vehicle sent', async () => {
+        Vehicle.findOne.mockResolvedValue(van);
+
+        const res = await request(app)
+          .post('/api/v1/job/createJob')
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send(jobBody({ vehicleId }));
+
+        expect(res.statusCode).toBe(201);
+        expect(Vehicle.findOne).toHaveBeenCalledWith({ _id: vehicleId });
+        expect(res.body.vehicleInfo).toEqual({ id: vehicleId, plateNumber: 'BA 2 PA 1234', type: 'van' });
+      });
+
+      it("should default to the driver's vehicle", async () => {
+        Vehicle.findOne.mockResolvedValue(van);
+
+        const res = await request(app)
+          .post('/api/v1/job/createJob')
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send(jobBody());
+
+        expect(res.statusCode).toBe(201);
+        expect(Vehicle.findOne).toHaveBeenCalledWith({ 'driverInfo.id': driverId });
+        expect(res.body.vehicleInfo.plateNumber).toBe('BA 2 PA 1234');
+      });
+
+      it('should reject heavy items on a vehicle that cannot carry them', async () => {
+        Vehicle.findOne.mockResolvedValue(van);
+
+        const res = await request(app)
+          .post('/api/v1/job/createJob')
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send(jobBody({ vehicleId, addOns: { heavyItem: true } }));
+
+        expect(res.statusCode).toBe(400);
+        expect(res.body.message).toBe("Vehicle BA 2 PA 1234 can't carry heavy items");
+        expect(Job).not.toHaveBeenCalled();
+      });
+
+      it("should reject another driver's vehicle", async () => {
+        Vehicle.findOne.mockResolvedValue({ ...van, driverInfo: { id: '507f1f77bcf86cd799439046', name: 'Other', phone: '3' } });
+
+        const res = await request(app)
+          .post('/api/v1/job/createJob')
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send(jobBody({ vehicleId }));
+
+        expect(res.statusCode).toBe(400);
+        expect(res.body.message).toBe('Vehicle BA 2 PA 1234 is assigned to another driver');
+        expect(Job).not.toHaveBeenCalled();
+      });
+
+      it('should reject an unknown vehicle', async () => {
+        Vehicle.findOne.mockResolvedValue(null);
+
+        const res = await request(app)
+          .post('/api/v1/job/createJob')
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send(jobBody({ vehicleId }));
+
+        expect(res.statusCode).toBe(400);
+        expect(res.body.message).toBe('Vehicle not found');
+      });
+    });
+  });
+
+  describe('Dispatch engine', () => {
+    const closeId = new mongoose.Types.ObjectId().toString();
+    const busyId = new mongoose.Types.ObjectId().toString();
+    const pickupInfo = { name: "Pickup", phone: "111", latitude: 27.7, longitude: 85.3 };
+    const dropoffInfo = { name: "Dropoff", phone: "222", latitude: 27.8, longitude: 85.4 };
+
+    const mockDrivers = () => {
+      User.find.mockReturnValue({
+        select: jest.fn().mockReturnValue({
+          lean: jest.fn().mockResolvedValue([
+            { _id: closeId, firstName: 'Close', lastName: 'Driver', phone: '1', lastLocation: { type: 'Point', coordinates: [85.31, 27.7] }, lastLocationAt: new Date() },
+            { _id: busyId, firstName: 'Busy', lastName: 'Driver', phone: '2', lastLocation: { type: 'Point', coordinates: [85.3, 27.7] }, lastLocationAt: new Date() }
+          ])
         })
       });
+      Job.aggregate.mockImplementation((pipeline) => Promise.resolve(
+        // Workload query groups on status counts, the position query does not
+        pipeline[1].$group && pipeline[1].$group.open
+          ? [{ _id: busyId, pending: 2, active: 1, open: 3 }]
+          : []
+      ));
+      Job.findOneAndUpdate.mockImplementation((filter, update) => Promise.resolve({
+        _id: filter._id,
+        status: 'pending',
+        ...update.$set
+      }));
+    };
+
+    afterEach(() => {
+      Job.aggregate.mockReset();
+      Job.findOneAndUpdate.mockReset();
+    });
+
+    it('should auto-assign a job created without a driver', async () => {
+      mockDrivers();
+      Job.mockImplementation(() => ({
+        save: jest.fn().mockResolvedValue({ _id: jobId, pickupInfo, dropoffInfo, addOns: {}, isUrgent: false, status: 'pending', driverInfo: null })
+      }));
 
       const res = await request(app)
-        .get('/api/v1/job?status=pending');
+        .post('/api/v1/job/createJob')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ pickupInfo, dropoffInfo, addOns: {} });
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.driverInfo).toEqual({ id: closeId, name: 'Close Driver', phone: '1' });
+      expect(res.body.assignment.method).toBe('auto');
+      expect(res.body.assignment.reason).toMatch(/km from pickup/);
+      expect(Job.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: jobId, driverInfo: null, status: 'pending' },
+        expect.any(Object),
+        { new: true }
+      );
+    });
+
+    it('should only consider drivers whose vehicle suits heavy items', async () => {
+      mockDrivers();
+      Job.findById.mockReturnValue({
+        lean: jest.fn().mockResolvedValue({ _id: jobId, pickupInfo, addOns: { heavyItem: true }, status: 'pending', driverInfo: null })
+      });
+
+      const res = await request(app)
+        .post(`/api/v1/job/${jobId}/autoAssign`)
+        .set('Authorization', `Bearer ${adminToken}`);
 
       expect(res.statusCode).toBe(200);
-      expect(Job.find).toHaveBeenCalledWith({ status: 'pending' });
+      expect(res.body.assigned).toBe(true);
+      expect(User.find).toHaveBeenCalledWith({
+        'vehicleCapabilities.heavyItem': true,
+        documents: { $not: { $elemMatch: { type: 'licence', expiresAt: { $lte: expect.any(Date) } } } },
+        role: 'driver'
+      });
     });
-  });
 
-  describe('GET /api/v1/job/getJobForDriver/:driverId', () => {
-    it('should retrieve jobs for a specific driver (no auth required)', async () => {
-      const mockJobs = [
-        { _id: jobId, status: 'pending', driverInfo: { id: driverId, name: 'Driver 1' } }
-      ];
+    it('should keep the vehicle a job was created on and give it to that vehicle\'s driver', async () => {
+      mockDrivers();
+      const vehicleId = '507f1f77bcf86cd799439045';
+      const truck = {
+        _id: vehicleId, plateNumber: 'BA 2 PA 2222', type: 'truck', status: 'active', supports: {},
+        driverInfo: { id: busyId, name: 'Busy Driver', phone: '2' }
+      };
+      Vehicle.findOne.mockResolvedValue(truck);
+      Vehicle.findById.mockReturnValue({ lean: jest.fn().mockResolvedValue(truck) });
+      User.find.mockReturnValue({
+        select: jest.fn().mockReturnValue({
+          lean: jest.fn().mockResolvedValue([
+            { _id: busyId, firstName: 'Busy', lastName: 'Driver', phone: '2', lastLocation: { type: 'Point', coordinates: [85.3, 27.7] }, lastLocationAt: new Date() }
+          ])
+        })
+      });
+      Job.mockImplementation((data) => ({
+        save: jest.fn().mockResolvedValue({ _id: jobId, ...data })
+      }));
 
-      Job.find.mockReturnValue({
-        sort: jest.fn().mockReturnValue({
-          lean: jest.fn().mockResolvedValue(mockJobs)
+      const res = await request(app)
+        .post('/api/v1/job/createJob')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ pickupInfo, dropoffInfo, addOns: {}, vehicleId });
+
+      expect(res.statusCode).toBe(201);
+      expect(Vehicle.findById).toHaveBeenCalledWith(vehicleId);
+      expect(User.find.mock.calls[0][0]._id).toBe(busyId);
+      expect(Vehicle.find).not.toHaveBeenCalled();
+      const [, update] = Job.findOneAndUpdate.mock.calls[0];
+      expect(update.$set.driverInfo.id).toBe(busyId);
+      expect(update.$set.vehicleInfo).toEqual({ id: vehicleId, plateNumber: 'BA 2 PA 2222', type: 'truck' });
+    });
+
+    it('should leave a job unassigned when its vehicle has no driver', async () => {
+      const vehicleId = '507f1f77bcf86cd799439045';
+      Vehicle.findById.mockReturnValue({
+        lean: jest.fn().mockResolvedValue({ _id: vehicleId, plateNumber: 'BA 2 PA 2222', status: 'active', driverInfo: null })
+      });
+      Job.findById.mockReturnValue({
+        lean: jest.fn().mockResolvedValue({
+          _id: jobId, pickupInfo, addOns: {}, status: 'pending', driverInfo: null,
+          vehicleInfo: { id: vehicleId, plateNumber: 'BA 2 PA 2222', type: 'truck' }
         })
       });
 
       const res = await request(app)
-        .get(`/api/v1/job/getJobForDriver/${driverId}`);
+        .post(`/api/v1/job/${jobId}/autoAssign`)
+        .set('Authorization', `Bearer ${adminToken}`);
 
       expect(res.statusCode).toBe(200);
-      expect(Array.isArray(res.body)).toBe(true);
-      expect(Job.find).toHaveBeenCalledWith({ 'driverInfo.id': driverId });
+      expect(res.body.assigned).toBe(false);
+      expect(User.find).not.toHaveBeenCalled();
+      expect(Job.findOneAndUpdate).not.toHaveBeenCalled();
     });
-  });
 
-  describe('GET /api/v1/job/getJobById/:jobId', () => {
-    it('should retrieve a job by ID (no auth required)', async () => {
-      const mockJob = {
-        _id: jobId,
-        status: 'pending',
-        driverInfo: { id: driverId, name: 'Driver 1' }
-      };
+    it('should skip drivers whose vehicle cannot take the job', async () => {
+      mockDrivers();
+      Vehicle.find.mockReturnValue({
+        lean: jest.fn().mockResolvedValue([
+          { _id: 'vehicle-1', plateNumber: 'BA 2 PA 1111', type: 'van', status: 'in-maintenance', driverInfo: { id: closeId } },
+          { _id: 'vehicle-2', plateNumber: 'BA 2 PA 2222', type: 'truck', status: 'active', driverInfo: { id: busyId } }
+        ])
+      });
+      Job.findById.mockReturnValue({
+        lean: jest.fn().mockResolvedValue({ _id: jobId, pickupInfo, addOns: {}, status: 'pending', driverInfo: null })
+      });
+
+      const res = await request(app)
+        .post(`/api/v1/job/${jobId}/autoAssign`)
+        .set('Authorization', `Bearer ${adminToken}`);
 
+      expect(res.statusCode).toBe(200);
+      expect(res.body.assigned).toBe(true);
+      expect(Vehicle.find.mock.calls[0][0]['driverInfo.id'].$in.sort()).toEqual([closeId, busyId].sort());
+      const [, update] = Job.findOneAndUpdate.mock.calls[0];
+      expect(update.$set.driverInfo.id).toBe(busyId);
+      expect(update.$set.vehicleInfo).toEqual({ id: 'vehicle-2', plateNumber: 'BA 2 PA 2222', type: 'truck' });
+    });
+
+    it('should leave the job unassigned when no driver is available', async () => {
+      User.find.mockReturnValue({
+        select: jest.fn().mockReturnValue({ lean: jest.fn().mockResolvedValue([]) })
+      });
       Job.findById.mockReturnValue({
-        lean: jest.fn().mockResolvedValue(mockJob)
+        lean: jest.fn().mockResolvedValue({ _id: jobId, pickupInfo, addOns: {}, status: 'pending', driverInfo: null })
       });
 
       const res = await request(app)
-        .get(`/api/v1/job/getJobById/${jobId}`);
+        .post(`/api/v1/job/${jobId}/autoAssign`)
+        .set('Authorization', `Bearer ${adminToken}`);
 
       expect(res.statusCode).toBe(200);
-      expect(res.body.success).toBe(true);
-      expect(res.body.job._id).toBe(jobId);
+      expect(res.body.assigned).toBe(false);
+      expect(Job.findOneAndUpdate).not.toHaveBeenCalled();
     });
 
-    it('should return 404 if job not found', async () => {
+    it('should refuse to auto-assign a job that already has a driver', async () => {
       Job.findById.mockReturnValue({
-        lean: jest.fn().mockResolvedValue(null)
+        lean: jest.fn().mockResolvedValue({ _id: jobId, pickupInfo, status: 'pending', driverInfo: { id: driverId } })
       });
 
       const res = await request(app)
-        .get(`/api/v1/job/getJobById/${jobId}`);
+        .post(`/api/v1/job/${jobId}/autoAssign`)
+        .set('Authorization', `Bearer ${adminToken}`);
 
-      expect(res.statusCode).toBe(404);
-      expect(res.body.success).toBe(false);
-      expect(res.body.message).toBe('Job Not Found');
+      expect(res.statusCode).toBe(400);
     });
-  });
 
-  describe('PATCH /api/v1/job/:jobId/status', () => {
-    it('should update job status with admin token', async () => {
-      const updatedJob = {
-        _id: jobId,
-        status: 'delivered',
-        driverInfo: { id: driverId, name: 'Driver 1' }
-      };
+    it('should dispatch all unassigned pending jobs, urgent first', async () => {
+      mockDrivers();
+      const sort = jest.fn().mockReturnValue({
+        lean: jest.fn().mockResolvedValue([
+          { _id: 'urgent-job', pickupInfo, addOns: {}, isUrgent: true, status: 'pending', driverInfo: null },
+          { _id: 'normal-job', pickupInfo, addOns: {}, isUrgent: false, status: 'pending', driverInfo: null }
+        ])
+      });
+      Job.find.mockReturnValue({ sort });
+
+      const res = await request(app)
+        .post('/api/v1/job/dispatch')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.total).toBe(2);
+      expect(res.body.assigned.map((job) => job.jobId)).toEqual(['urgent-job', 'normal-job']);
+      expect(Job.find).toHaveBeenCalledWith({ driverInfo: null, status: 'pending' });
+      expect(sort).toHaveBeenCalledWith({ isUrgent: -1, createdAt: 1 });
+    });
 
-      Job.findByIdAndUpdate.mockResolvedValue(updatedJob);
+    it('should let admins override the assigned driver', async () => {
+      User.findById.mockResolvedValue({ _id: busyId, role: 'driver', firstName: 'Busy', lastName: 'Driver', phone: '2' });
+      Job.findById.mockResolvedValue({ _id: jobId, status: 'pending', driverInfo: { id: closeId } });
+      Job.findOneAndUpdate.mockImplementation((filter, update) => Promise.resolve({ _id: filter._id, ...update }));
+      const listener = jest.fn();
+      const unsubscribe = subscribe(listener);
 
       const res = await request(app)
-        .patch(`/api/v1/job/${jobId}/status`)
+        .patch(`/api/v1/job/${jobId}/assign`)
         .set('Authorization', `Bearer ${adminToken}`)
-        .send({ status: "delivered" });
+        .send({ driverId: busyId, reason: 'Customer asked for Busy' });
+      unsubscribe();
 
       expect(res.statusCode).toBe(200);
-      expect(res.body.job.status).toBe("delivered");
+      expect(res.body.job.driverInfo.id).toBe(busyId);
+      expect(res.body.job.assignment).toEqual(expect.objectContaining({
+        method: 'override',
+        previousDriverId: closeId,
+        reason: 'Customer asked for Busy'
+      }));
+      expect(res.body.job.vehicleInfo).toBeNull();
+      expect(Job.findOneAndUpdate.mock.calls[0][0]).toEqual({ _id: jobId, status: 'pending', 'driverInfo.id': closeId });
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({ type: 'assignment', jobId, driverId: busyId }));
     });
 
-    it('should return 401 without token for status update', async () => {
+    it('should not overwrite a job that changed while it was being assigned', async () => {
+      User.findById.mockResolvedValue({ _id: busyId, role: 'driver', firstName: 'Busy', lastName: 'Driver', phone: '2' });
+      Job.findById.mockResolvedValue({ _id: jobId, status: 'pending', driverInfo: null });
+      Job.findOneAndUpdate.mockResolvedValue(null);
+
       const res = await request(app)
-        .patch(`/api/v1/job/${jobId}/status`)
-        .send({ status: "delivered" });
+        .patch(`/api/v1/job/${jobId}/assign`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ driverId: busyId });
 
-      expect(res.statusCode).toBe(401);
-      expect(res.body.message).toBe("No token, authorization denied");
+      expect(res.statusCode).toBe(409);
+      expect(res.body.message).toBe('Job was changed by another request, please retry');
+      expect(Job.findOneAndUpdate.mock.calls[0][0]).toEqual({ _id: jobId, status: 'pending', 'driverInfo.id': null });
     });
 
-    it('should reject invalid status', async () => {
+    it('should move the job to the vehicle of the assigned driver', async () => {
+      User.findById.mockResolvedValue({ _id: busyId, role: 'driver', firstName: 'Busy', lastName: 'Driver', phone: '2' });
+      Job.findById.mockResolvedValue({ _id: jobId, status: 'pending', driverInfo: null, addOns: { fragileItems: true } });
+      Job.findOneAndUpdate.mockImplementation((filter, update) => Promise.resolve({ _id: filter._id, ...update }));
+      Vehicle.findOne.mockResolvedValue({
+        _id: 'vehicle-2', plateNumber: 'BA 2 PA 2222', type: 'van', status: 'active', supports: { fragileItems: true }
+      });
+
       const res = await request(app)
-        .patch(`/api/v1/job/${jobId}/status`)
+        .patch(`/api/v1/job/${jobId}/assign`)
         .set('Authorization', `Bearer ${adminToken}`)
-        .send({ status: "invalid" });
+        .send({ driverId: busyId });
 
-      expect(res.statusCode).toBe(400);
-      expect(res.body.message).toBe("Invalid or missing status");
+      expect(res.statusCode).toBe(200);
+      expect(Vehicle.findOne).toHaveBeenCalledWith({ 'driverInfo.id': busyId });
+      expect(res.body.job.vehicleInfo).toEqual({ id: 'vehicle-2', plateNumber: 'BA 2 PA 2222', type: 'van' });
     });
-  });
 
-  describe('PDF Generation Routes', () => {
-    describe('GET /api/v1/job/generate-pdf/:id', () => {
-      it('should generate PDF with admin token', async () => {
-        const mockJob = {
-          _id: jobId,
-          status: 'pending',
-          driverInfo: { name: 'Driver 1', phone: '123456789' },
-          pickupInfo: { name: 'Pickup', phone: '111', latitude: '27.7', longitude: '85.3' },
-          dropoffInfo: { name: 'Dropoff', phone: '222', latitude: '27.8', longitude: '85.4' },
-          note: 'Test job',
-          addOns: { fragileItems: false, heavyItem: false },
-          isUrgent: false,
-          createdAt: new Date(),
-          updatedAt: new Date()
-        };
+    it('should not assign a driver whose vehicle cannot carry the job', async () => {
+      User.findById.mockResolvedValue({ _id: busyId, role: 'driver', firstName: 'Busy', lastName: 'Driver', phone: '2' });
+      Job.findById.mockResolvedValue({ _id: jobId, status: 'pending', driverInfo: null, addOns: { heavyItem: true } });
+      Vehicle.findOne.mockResolvedValue({ _id: 'vehicle-2', plateNumber: 'BA 2 PA 2222', type: 'bike', status: 'active', supports: {} });
 
-        Job.findById.mockResolvedValue(mockJob);
+      const res = await request(app)
+        .patch(`/api/v1/job/${jobId}/assign`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ driverId: busyId });
 
-        const res = await request(app)
-          .get(`/api/v1/job/generate-pdf/${jobId}`)
-          .set('Authorization', `Bearer ${adminToken}`);
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe("Vehicle BA 2 PA 2222 can't carry heavy items");
+      expect(Job.findOneAndUpdate).not.toHaveBeenCalled();
+    });
 
-        expect(res.statusCode).toBe(200);
-        expect(res.body.message).toBe('PDF generated successfully');
-        expect(res.body.filePath).toContain(`job-${jobId}.pdf`);
+    it('should not assign a driver whose licence has expired', async () => {
+      User.findById.mockResolvedValue({
+        _id: busyId,
+        role: 'driver',
+        documents: [{ type: 'licence', number: '01-06-12345678', expiresAt: new Date('2026-01-15T00:00:00.000Z') }]
       });
 
-      it('should return 401 without token for PDF generation', async () => {
-        const res = await request(app)
-          .get(`/api/v1/job/generate-pdf/${jobId}`);
+      const res = await request(app)
+        .patch(`/api/v1/job/${jobId}/assign`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ driverId: busyId });
 
-        expect(res.statusCode).toBe(401);
-        expect(res.body.message).toBe("No token, authorization denied");
-      });
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe("Driver's licence expired on 2026-01-15");
+      expect(Job.findOneAndUpdate).not.toHaveBeenCalled();
+    });
 
-      it('should return 404 if job not found for PDF', async () => {
-        Job.findById.mockResolvedValue(null);
+    it('should not reassign a job that is on a trip', async () => {
+      User.findById.mockResolvedValue({ _id: busyId, role: 'driver', firstName: 'Busy', lastName: 'Driver', phone: '2' });
+      Job.findById.mockResolvedValue({ _id: jobId, status: 'pending', driverInfo: { id: closeId }, tripId: 'trip-1' });
 
-        const res = await request(app)
-          .get(`/api/v1/job/generate-pdf/${jobId}`)
-          .set('Authorization', `Bearer ${adminToken}`);
+      const res = await request(app)
+        .patch(`/api/v1/job/${jobId}/assign`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ driverId: busyId });
 
-        expect(res.statusCode).toBe(404);
-        expect(res.body.message).toBe("Job not found");
-      });
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe('Cannot reassign a job that is on a trip');
+      expect(Job.findOneAndUpdate).not.toHaveBeenCalled();
     });
 
-    describe('GET /api/v1/job/getAllJobsPdf', () => {
-      it('should get all job PDFs with admin token', async () => {
-        // Mock fs operations (would need to mock fs module)
-        const res = await request(app)
-          .get('/api/v1/job/getAllJobsPdf')
-          .set('Authorization', `Bearer ${adminToken}`);
-
-        // This might return 404 if pdfs directory doesn't exist, which is expected
-        expect([200, 404]).toContain(res.statusCode);
-      });
+    it('should not let drivers trigger dispatch', async () => {
+      const driverToken = jwt.sign({ id: driverId, role: 'driver' }, process.env.JWT_SECRET, { expiresIn: '1h' });
 
-      it('should return 401 without token for getAllJobsPdf', async () => {
-        const res = await request(app)
-          .get('/api/v1/job/getAllJobsPdf');
+      const res = await request(app)
+        .post('/api/v1/job/dispatch')
+        .set('Authorization', `Bearer ${driverToken}`);
 
-        expect(res.statusCode).toBe(401);
-        expect(res.body.message).toBe("No token, authorization denied");
-      });
+      expect(res.statusCode).toBe(403);
     });
   });
 
-  describe('Authentication Edge Cases', () => {
-    it('should handle malformed Authorization header', async () => {
-      const res = await request(app)
-        .post('/api/v1/job/createJob')
-        .set('Authorization', 'InvalidFormat')
-        .send({
-          driverInfo: { id: driverId }
-        });
+  describe('Bulk import', () => {
+    const header = 'driverId,pickupName,pickupPhone,pickupLatitude,pickupLongitude,dropoffName,dropoffPhone,dropoffLatitude,dropoffLongitude,isUrgent';
+    const csvRow = (overrides = {}) => {
+      const row = {
+        driverId: driverId,
+        pickupName: 'Warehouse',
+        pickupPhone: '9841000000',
+        pickupLatitude: '27.7',
+        pickupLongitude: '85.3',
+        dropoffName: 'Shop',
+        dropoffPhone: '9841000001',
+        dropoffLatitude: '27.8',
+        dropoffLongitude: '85.4',
+        isUrgent: 'no',
+        ...overrides
+      };
+      return header.split(',').map((column) => row[column]).join(',');
+    };
+    const csvFile = (...rows) => Buffer.from([header, ...rows].join('\n'));
+
+    const importFile = (buffer, filename, query = '') => request(app)
+      .post(`/api/v1/job/import${query}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .attach('file', buffer, filename);
+
+    beforeEach(() => {
+      User.findById.mockResolvedValue({ _id: driverId, role: 'driver', firstName: 'Test', lastName: 'Driver', phone: '9800000000' });
+      Job.mockImplementation((data) => ({
+        ...data,
+        _id: new mongoose.Types.ObjectId(),
+        validateSync: jest.fn()
+      }));
+      Job.insertMany.mockImplementation((docs) => Promise.resolve(docs));
+    });
 
-      expect(res.statusCode).toBe(401);
-      expect(res.body.message).toBe("No token, authorization denied");
+    afterEach(() => {
+      Job.mockReset();
+      Job.insertMany.mockReset();
+      User.findById.mockReset();
     });
 
-    it('should handle expired token', async () => {
-      const expiredPayload = {
-        id: adminId,
+    it('should import every row of a CSV manifest', async () => {
+      const res = await importFile(csvFile(csvRow(), csvRow({ isUrgent: 'yes' })), 'manifest.csv');
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body).toEqual(expect.objectContaining({
+        success: true,
+        mode: 'atomic',
+        total: 2,
+        valid: 2,
+        imported: 2,
+        invalid: 0,
+        errors: []
+      }));
+      expect(res.body.jobIds).toHaveLength(2);
+
+      const [docs, options] = Job.insertMany.mock.calls[0];
+      expect(options).toEqual({ ordered: true });
+      expect(docs[1]).toEqual(expect.objectContaining({
+        isUrgent: true,
+        driverInfo: { id: driverId, name: 'Test Driver', phone: '9800000000' },
+        pickupInfo: expect.objectContaining({ name: 'Warehouse', latitude: 27.7, longitude: 85.3 })
+      }));
+      // Both rows name the same driver, who is looked up once
+      expect(User.findById).toHaveBeenCalledTimes(1);
+    });
+
+    it('should import nothing in atomic mode when a row is invalid', async () => {
+      const res = await importFile(
+        csvFile(csvRow(), csvRow({ pickupLatitude: '40.0' }), csvRow({ isUrgent: 'maybe' })),
+        'manifest.csv'
+      );
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe('No jobs were imported because 2 row(s) are invalid');
+      expect(res.body.errors).toEqual([
+        { row: 2, message: 'Pickup or Dropoff coordinates must be within Nepal.' },
+        { row: 3, message: 'isUrgent must be true or false' }
+      ]);
+      expect(Job.insertMany).not.toHaveBeenCalled();
+    });
+
+    it('should import the valid rows in partial mode', async () => {
+      User.findById.mockImplementation((id) => Promise.resolve(
+        id === driverId ? { _id: driverId, role: 'driver', firstName: 'Test', lastName: 'Driver' } : { _id: id, role: 'admin' }
+      ));
+
+      const res = await importFile(
+        csvFile(csvRow(), csvRow({ driverId: adminId })),
+        'manifest.csv',
+        '?mode=partial'
+      );
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.imported).toBe(1);
+      expect(res.body.errors).toEqual([{ row: 2, message: 'Invalid or Non-driver User' }]);
+      expect(Job.insertMany.mock.calls[0][1]).toEqual({ ordered: false });
+    });
+
+    it('should only validate on a dry run', async () => {
+      const res = await importFile(csvFile(csvRow(), csvRow({ driverId: 'not-an-id' })), 'manifest.csv', '?dryRun=true');
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body).toEqual(expect.objectContaining({
+        dryRun: true,
+        total: 2,
+        valid: 1,
+        invalid: 1,
+        errors: [{ row: 2, message: 'Invalid driver ID' }]
+      }));
+      expect(Job.insertMany).not.toHaveBeenCalled();
+    });
+
+    it('should accept createJob bodies as JSON and dispatch jobs without a driver', async () => {
+      User.find.mockReturnValue({
+        select: jest.fn().mockReturnValue({ lean: jest.fn().mockResolvedValue([]) })
+      });
+      const jobs = [{
+        pickupInfo: { name: 'Warehouse', phone: '1', latitude: 27.7, longitude: 85.3 },
+        dropoffInfo: { name: 'Shop', phone: '2', latitude: 27.8, longitude: 85.4 },
+        deliveryWindow: { earliest: '2026-03-01T09:00:00.000Z', latest: '2026-03-01T17:00:00.000Z' }
+      }];
+
+      const res = await importFile(Buffer.from(JSON.stringify({ jobs })), 'manifest.json');
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.imported).toBe(1);
+      expect(res.body.autoAssigned).toBe(0);
+      expect(User.find).toHaveBeenCalledWith({
+        documents: { $not: { $elemMatch: { type: 'licence', expiresAt: { $lte: expect.any(Date) } } } },
+        role: 'driver'
+      });
+      expect(Job.insertMany.mock.calls[0][0][0].promisedBy).toEqual(new Date('2026-03-01T17:00:00.000Z'));
+    });
+
+    it('should report rows that fail model validation', async () => {
+      Job.mockImplementation((data) => ({
+        ...data,
+        validateSync: () => (data.pickupInfo.name ? undefined : new Error('Path `name` is required.'))
+      }));
+
+      const res = await importFile(csvFile(csvRow({ pickupName: '' })), 'manifest.csv', '?dryRun=true');
+
+      expect(res.body.errors).toEqual([{ row: 1, message: 'Path `name` is required.' }]);
+    });
+
+    it.each([
+      [Buffer.from('a,b\n1,2'), 'manifest.csv', 'Unknown columns: a, b'],
+      [Buffer.from('{"jobs": 5}'), 'manifest.json', 'JSON imports must be an array of jobs or { jobs: [...] }'],
+      [Buffer.from('[]'), 'manifest.json', 'The file has no jobs'],
+      [Buffer.from('{'), 'manifest.json', expect.stringMatching(/^Could not read the file/)],
+      [Buffer.from('x'), 'manifest.xlsx', 'Only CSV or JSON files are allowed']
+    ])('should reject an unusable file (%#)', async (buffer, filename, message) => {
+      const res = await importFile(buffer, filename);
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toEqual(message);
+    });
+
+    it('should require a file and a known mode', async () => {
+      const missing = await request(app)
+        .post('/api/v1/job/import')
+        .set('Authorization', `Bearer ${adminToken}`);
+      const badMode = await importFile(csvFile(csvRow()), 'manifest.csv', '?mode=some');
+
+      expect(missing.statusCode).toBe(400);
+      expect(missing.body.message).toBe('An import file is required');
+      expect(badMode.statusCode).toBe(400);
+      expect(badMode.body.message).toBe('mode must be atomic or partial');
+    });
+  });
+
+  describe('GET /api/v1/job', () => {
+    it('should retrieve all jobs (no auth required)', async () => {
+      const mockJobs = [
+        { _id: jobId, status: 'pending', driverInfo: { name: 'Driver 1' } },
+        { _id: 'job2', status: 'delivered', driverInfo: { name: 'Driver 2' } }
+      ];
+
+      mockJobList(mockJobs);
+
+      const res = await request(app)
+        .get('/api/v1/job');
+
+      expect(res.statusCode).toBe(200);
+      // The body stays the bare array clients have always read
+      expect(Array.isArray(res.body)).toBe(true);
+      expect(res.body).toHaveLength(2);
+      expect(paginationOf(res)).toEqual({
+        mode: 'page',
+        limit: 20,
+        sort: '-createdAt',
+        hasNextPage: false,
+        page: 1,
+        total: 2,
+        totalPages: 1
+      });
+    });
+
+    it('should filter jobs by status', async () => {
+      const mockJobs = [
+        { _id: jobId, status: 'pending', driverInfo: { name: 'Driver 1' } }
+      ];
+
+      mockJobList(mockJobs);
+
+      const res = await request(app)
+        .get('/api/v1/job?status=pending');
+
+      expect(res.statusCode).toBe(200);
+      expect(Job.find).toHaveBeenCalledWith({ status: 'pending' }, null);
+    });
+
+    it('should search the text index, best match first', async () => {
+      const chain = mockJobList([]);
+
+      const res = await request(app)
+        .get('/api/v1/job?search=Ram%20Thapa&status=pending');
+
+      expect(res.statusCode).toBe(200);
+      expect(Job.find).toHaveBeenCalledWith({ status: 'pending', $text: { $search: 'Ram Thapa' } }, null);
+      expect(chain.sort).toHaveBeenCalledWith({ score: { $meta: 'textScore' }, _id: -1 });
+      expect(paginationOf(res).sort).toBe('relevance');
+    });
+
+    it('should match whole words and numbers, not parts of them', async () => {
+      mockJobList([]);
+
+      await request(app).get('/api/v1/job?search=Ram');
+      await request(app).get('/api/v1/job?search=4567');
+
+      // Neither becomes a prefix or substring match: "Ramesh" and 9841234567 are not found
+      expect(Job.find.mock.calls[0][0]).toEqual({ $text: { $search: 'Ram' } });
+      expect(Job.find.mock.calls[1][0]).toEqual({ $text: { $search: '4567' } });
+    });
+
+    it('should not treat the search as a regular expression', async () => {
+      mockJobList([]);
+
+      const res = await request(app)
+        .get('/api/v1/job?search=(a%2B)%2B%5B');
+
+      expect(res.statusCode).toBe(200);
+      expect(Job.find).toHaveBeenCalledWith({ $text: { $search: '(a+)+[' } }, null);
+    });
+
+    it('should match phone numbers in any format', async () => {
+      mockJobList([]);
+
+      const res = await request(app)
+        .get(`/api/v1/job?search=${encodeURIComponent('+977 984-123-4567')}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(Job.find).toHaveBeenCalledWith({ $text: { $search: '9841234567' } }, null);
+    });
+
+    it('should search an e-mail address as one phrase', async () => {
+      mockJobList([]);
+
+      await request(app)
+        .get('/api/v1/job?search=ram@example.com');
+
+      expect(Job.find).toHaveBeenCalledWith({ $text: { $search: '"ram@example.com"' } }, null);
+    });
+
+    it('should keep an explicit sort when searching', async () => {
+      const chain = mockJobList([]);
+
+      const res = await request(app)
+        .get('/api/v1/job?search=Ram&sort=-promisedBy');
+
+      expect(res.statusCode).toBe(200);
+      expect(chain.sort).toHaveBeenCalledWith({ promisedBy: -1, _id: -1 });
+    });
+
+    it('should reject an overly long search', async () => {
+      const res = await request(app)
+        .get(`/api/v1/job?search=${'a'.repeat(101)}`);
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe('search must be at most 100 characters');
+    });
+  });
+
+  describe('GET /api/v1/job/export', () => {
+    const exportedJob = {
+      _id: '507f1f77bcf86cd799439041',
+      status: 'in-transit',
+      isUrgent: true,
+      driverInfo: { id: '507f1f77bcf86cd799439042', name: 'Hari Prasad', phone: '9800000000' },
+      vehicleInfo: { id: '507f1f77bcf86cd799439044', plateNumber: 'BA 2 PA 1234', type: 'van' },
+      pickupInfo: { name: 'Warehouse, Balaju', phone: '014412345', latitude: 27.7, longitude: 85.3 },
+      dropoffInfo: { name: 'Shop', phone: '9841000001', latitude: 27.8, longitude: 85.4 },
+      createdAt: new Date('2026-03-01T09:00:00.000Z')
+    };
+
+    const mockExportCursor = (stream) => {
+      const chain = {
+        sort: jest.fn(() => chain),
+        lean: jest.fn(() => chain),
+        cursor: jest.fn(() => stream)
+      };
+      Job.find.mockReturnValue(chain);
+      return chain;
+    };
+
+    // Collects the body as text whatever its content type
+    const readText = (res, callback) => {
+      let data = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => callback(null, data));
+    };
+
+    const exportJobs = (query = '') => request(app)
+      .get(`/api/v1/job/export${query}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .buffer(true)
+      .parse(readText);
+
+    it('should stream a CSV with flattened contact columns', async () => {
+      const chain = mockExportCursor(Readable.from([exportedJob]));
+
+      const res = await exportJobs('?status=in-transit');
+
+      expect(res.statusCode).toBe(200);
+      expect(res.headers['content-type']).toBe('text/csv; charset=utf-8');
+      expect(res.headers['content-disposition']).toMatch(/^attachment; filename="jobs-\d{4}-\d{2}-\d{2}\.csv"$/);
+      const [header, row] = res.body.split('\n');
+      expect(header).toMatch(/^"id","status","isUrgent","driverId","driverName","driverPhone","vehicleId","vehiclePlate","vehicleType","pickupName"/);
+      expect(row).toContain('"Hari Prasad","9800000000","507f1f77bcf86cd799439044","BA 2 PA 1234","van","Warehouse, Balaju","014412345"');
+      expect(Job.find).toHaveBeenCalledWith({ status: 'in-transit' }, { trackingLink: 0, phoneKeys: 0, __v: 0 });
+      expect(chain.sort).toHaveBeenCalledWith({ createdAt: -1, _id: -1 });
+    });
+
+    it('should apply the same filters as the job list', async () => {
+      mockExportCursor(Readable.from([]));
+
+      const res = await exportJobs('?search=Hari&driverId=507f1f77bcf86cd799439042&createdFrom=2026-03-01');
+
+      expect(res.statusCode).toBe(200);
+      expect(Job.find).toHaveBeenCalledWith({
+        'driverInfo.id': '507f1f77bcf86cd799439042',
+        createdAt: { $gte: new Date('2026-03-01') },
+        $text: { $search: 'Hari' }
+      }, expect.any(Object));
+    });
+
+    it('should keep text cells from being read as formulas', async () => {
+      mockExportCursor(Readable.from([{
+        ...exportedJob,
+        pickupInfo: { ...exportedJob.pickupInfo, name: '=HYPERLINK("http://evil.example")', phone: '+977-1-4412345' },
+        dropoffInfo: { ...exportedJob.dropoffInfo, name: '-SUM(A1)+1' },
+        note: '@SUM(A1)'
+      }]));
+
+      const res = await exportJobs();
+
+      const [, row] = res.body.split('\n');
+      expect(row).toContain('"\'=HYPERLINK(""http://evil.example"")"');
+      expect(row).toContain('"\'@SUM(A1)"');
+      expect(row).toContain('"\'-SUM(A1)+1"');
+      expect(row).toContain('"+977-1-4412345"');
+      expect(row).toContain('"9800000000"');
+    });
+
+    it('should write Excel-friendly CSV', async () => {
+      mockExportCursor(Readable.from([exportedJob]));
+
+      const res = await exportJobs('?format=excel');
+
+      expect(res.body.charCodeAt(0)).toBe(0xfeff);
+      expect(res.body).toContain('\r\n');
+      expect(res.body).toContain('"=""014412345"""');
+    });
+
+    it('should stream newline-delimited JSON', async () => {
+      mockExportCursor(Readable.from([exportedJob, { ...exportedJob, _id: '507f1f77bcf86cd799439043' }]));
+
+      const res = await exportJobs('?format=ndjson');
+
+      expect(res.headers['content-type']).toBe('application/x-ndjson; charset=utf-8');
+      const lines = res.body.trim().split('\n').map((line) => JSON.parse(line));
+      expect(lines.map((job) => job._id)).toEqual(['507f1f77bcf86cd799439041', '507f1f77bcf86cd799439043']);
+    });
+
+    it('should export pickup and dropoff points as GeoJSON', async () => {
+      mockExportCursor(Readable.from([exportedJob, { _id: 'no-coordinates', status: 'pending' }]));
+
+      const res = await exportJobs('?format=geojson');
+
+      expect(res.headers['content-type']).toBe('application/geo+json; charset=utf-8');
+      const collection = JSON.parse(res.body);
+      expect(collection.type).toBe('FeatureCollection');
+      expect(collection.features).toHaveLength(2);
+      expect(collection.features[0]).toEqual({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [85.3, 27.7] },
+        properties: {
+          jobId: '507f1f77bcf86cd799439041',
+          role: 'pickup',
+          name: 'Warehouse, Balaju',
+          phone: '014412345',
+          status: 'in-transit',
+          isUrgent: true,
+          driverName: 'Hari Prasad',
+          vehiclePlate: 'BA 2 PA 1234'
+        }
+      });
+      expect(collection.features[1].properties.role).toBe('dropoff');
+    });
+
+    it('should export one point per stop for multi-stop jobs', async () => {
+      mockExportCursor(Readable.from([{
+        ...exportedJob,
+        stops: [
+          { type: 'pickup', name: 'Warehouse', phone: '111', latitude: 27.7, longitude: 85.3, status: 'completed' },
+          { type: 'dropoff', name: 'Shop A', phone: '222', latitude: 27.71, longitude: 85.31, status: 'pending' },
+          { type: 'dropoff', name: 'Shop B', phone: '333', latitude: 27.72, longitude: 85.32, status: 'pending' }
+        ]
+      }]));
+
+      const res = await exportJobs('?format=geojson');
+
+      const { features } = JSON.parse(res.body);
+      expect(features.map((feature) => feature.properties.name)).toEqual(['Warehouse', 'Shop A', 'Shop B']);
+      expect(features[1].properties).toMatchObject({ role: 'dropoff', stopNumber: 2, stopStatus: 'pending' });
+    });
+
+    it('should answer with an error when the query fails before anything is sent', async () => {
+      mockExportCursor(new Readable({
+        read() {
+          this.destroy(new Error('Database connection failed'));
+        }
+      }));
+
+      const res = await exportJobs();
+
+      expect(res.statusCode).toBe(500);
+      expect(res.headers['content-disposition']).toBeUndefined();
+      expect(JSON.parse(res.body).message).toBe('Failed to export jobs');
+    });
+
+    it('should reject an unknown format or filter', async () => {
+      const badFormat = await exportJobs('?format=xlsx');
+      const badFilter = await exportJobs('?isUrgent=sometimes');
+
+      expect(badFormat.statusCode).toBe(400);
+      expect(JSON.parse(badFormat.body).message).toBe('format must be one of csv, excel, ndjson, geojson');
+      expect(badFilter.statusCode).toBe(400);
+      expect(Job.find).not.toHaveBeenCalled();
+    });
+
+    it('should be restricted to admins', async () => {
+      const driverToken = jwt.sign({ id: driverId, role: 'driver' }, process.env.JWT_SECRET, { expiresIn: '1h' });
+
+      const res = await request(app)
+        .get('/api/v1/job/export')
+        .set('Authorization', `Bearer ${driverToken}`);
+
+      expect(res.statusCode).toBe(403);
+    });
+  });
+
+  describe('Pagination, sorting and fields', () => {
+    const listedJob = (id, createdAt) => ({
+      _id: id,
+      status: 'pending',
+      createdAt: new Date(createdAt)
+    });
+
+    it('should return the requested page with totals', async () => {
+      const chain = mockJobList([
+        listedJob('507f1f77bcf86cd799439031', '2026-03-03T00:00:00.000Z'),
+        listedJob('507f1f77bcf86cd799439032', '2026-03-02T00:00:00.000Z'),
+        listedJob('507f1f77bcf86cd799439033', '2026-03-01T00:00:00.000Z')
+      ]);
+      Job.countDocuments.mockResolvedValue(7);
+
+      const res = await request(app)
+        .get('/api/v1/job?page=2&limit=2&sort=createdAt');
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body).toHaveLength(2);
+      expect(paginationOf(res)).toEqual({
+        mode: 'page',
+        limit: 2,
+        sort: 'createdAt',
+        hasNextPage: true,
+        page: 2,
+        total: 7,
+        totalPages: 4
+      });
+      expect(chain.sort).toHaveBeenCalledWith({ createdAt: 1, _id: 1 });
+      expect(chain.skip).toHaveBeenCalledWith(2);
+      expect(chain.limit).toHaveBeenCalledWith(3);
+    });
+
+    it('should hand out a cursor and continue after it', async () => {
+      mockJobList([
+        listedJob('507f1f77bcf86cd799439031', '2026-03-03T00:00:00.000Z'),
+        listedJob('507f1f77bcf86cd799439032', '2026-03-02T00:00:00.000Z')
+      ]);
+
+      const first = await request(app)
+        .get('/api/v1/job?paginate=cursor&limit=1&status=pending');
+
+      expect(first.statusCode).toBe(200);
+      expect(paginationOf(first)).toEqual({
+        mode: 'cursor',
+        limit: 1,
+        sort: '-createdAt',
+        hasNextPage: true,
+        nextCursor: expect.any(String)
+      });
+      expect(Job.countDocuments).not.toHaveBeenCalled();
+
+      mockJobList([listedJob('507f1f77bcf86cd799439032', '2026-03-02T00:00:00.000Z')]);
+      const next = await request(app)
+        .get(`/api/v1/job?cursor=${paginationOf(first).nextCursor}&limit=1&status=pending`);
+
+      expect(next.statusCode).toBe(200);
+      expect(paginationOf(next).hasNextPage).toBe(false);
+      expect(paginationOf(next).nextCursor).toBeNull();
+
+      const [filter] = Job.find.mock.calls[1];
+      const after = new Date('2026-03-03T00:00:00.000Z');
+      expect(filter.$and[0]).toEqual({ status: 'pending' });
+      expect(filter.$and[1].$or[0]).toEqual({ createdAt: { $lt: after } });
+      expect(filter.$and[1].$or[1].createdAt).toEqual(after);
+      expect(String(filter.$and[1].$or[1]._id.$lt)).toBe('507f1f77bcf86cd799439031');
+    });
+
+    it('should page across jobs without promisedBy', async () => {
+      const promised = new Date('2026-03-05T00:00:00.000Z');
+      mockJobList([
+        { _id: '507f1f77bcf86cd799439031', status: 'pending', promisedBy: null },
+        { _id: '507f1f77bcf86cd799439032', status: 'pending', promisedBy: null }
+      ]);
+
+      const ascending = await request(app)
+        .get('/api/v1/job?paginate=cursor&limit=1&sort=promisedBy');
+
+      expect(ascending.statusCode).toBe(200);
+      mockJobList([]);
+      await request(app)
+        .get(`/api/v1/job?cursor=${paginationOf(ascending).nextCursor}&limit=1&sort=promisedBy`);
+
+      // Nulls come first ascending: the rest of them, then every dated job
+      const [afterNull] = Job.find.mock.calls[1];
+      expect(afterNull.$and[1].$or).toHaveLength(2);
+      expect(afterNull.$and[1].$or[0].promisedBy).toBeNull();
+      expect(String(afterNull.$and[1].$or[0]._id.$gt)).toBe('507f1f77bcf86cd799439031');
+      expect(afterNull.$and[1].$or[1]).toEqual({ promisedBy: { $ne: null } });
+
+      mockJobList([
+        { _id: '507f1f77bcf86cd799439033', status: 'pending', promisedBy: promised },
+        { _id: '507f1f77bcf86cd799439031', status: 'pending', promisedBy: null }
+      ]);
+      const descending = await request(app)
+        .get('/api/v1/job?paginate=cursor&limit=1&sort=-promisedBy');
+
+      mockJobList([]);
+      await request(app)
+        .get(`/api/v1/job?cursor=${paginationOf(descending).nextCursor}&limit=1&sort=-promisedBy`);
+
+      // Nulls come last descending, so they follow every dated job
+      const [afterDated] = Job.find.mock.calls[3];
+      expect(afterDated.$and[1].$or[0]).toEqual({ promisedBy: { $lt: promised } });
+      expect(afterDated.$and[1].$or[2]).toEqual({ promisedBy: null });
+    });
+
+    it('should return only the selected fields without ETA', async () => {
+      mockJobList([{ _id: jobId, status: 'pending', createdAt: '2026-03-01T00:00:00.000Z' }]);
+
+      const res = await request(app)
+        .get('/api/v1/job?fields=status');
+
+      expect(res.statusCode).toBe(200);
+      expect(Job.find).toHaveBeenCalledWith({}, { status: 1, createdAt: 1 });
+      expect(res.body[0]).not.toHaveProperty('eta');
+    });
+
+    it('should filter by urgency and creation date', async () => {
+      mockJobList([]);
+
+      const res = await request(app)
+        .get('/api/v1/job?isUrgent=true&createdFrom=2026-03-01&createdTo=2026-03-31');
+
+      expect(res.statusCode).toBe(200);
+      expect(Job.find).toHaveBeenCalledWith({
+        isUrgent: true,
+        createdAt: { $gte: new Date('2026-03-01'), $lte: new Date('2026-03-31') }
+      }, null);
+    });
+
+    it.each([
+      ['sort=driverInfo', 'sort must be one of createdAt, updatedAt, status, isUrgent, promisedBy'],
+      ['limit=500', 'limit must be between 1 and 100'],
+      ['page=0', 'page must be a positive number'],
+      ['fields=status,password', 'Unknown fields: password'],
+      ['cursor=not-a-cursor', 'Invalid cursor'],
+      ['createdFrom=someday', 'createdFrom must be a valid date'],
+      ['isUrgent=maybe', 'isUrgent must be true or false']
+    ])('should reject %s', async (params, message) => {
+      const res = await request(app)
+        .get(`/api/v1/job?${params}`);
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe(message);
+      expect(Job.find).not.toHaveBeenCalled();
+    });
+
+    it('should paginate a driver\'s jobs too', async () => {
+      mockJobList([]);
+
+      const res = await request(app)
+        .get(`/api/v1/job/getJobForDriver/${driverId}?status=delivered&limit=5`);
+
+      expect(res.statusCode).toBe(200);
+      expect(paginationOf(res)).toEqual(expect.objectContaining({ limit: 5, total: 0 }));
+      expect(Job.find).toHaveBeenCalledWith({ status: 'delivered', 'driverInfo.id': driverId }, null);
+    });
+  });
+
+  describe('Delivery time windows', () => {
+    const jobBody = () => ({
+      driverInfo: { id: driverId, name: "Test Driver", phone: "1234567890" },
+      pickupInfo: { name: "Pickup", phone: "111", latitude: "27.7", longitude: "85.3" },
+      dropoffInfo: { name: "Dropoff", phone: "222", latitude: "27.8", longitude: "85.4" },
+      addOns: {}
+    });
+
+    it('should store the windows and promise delivery by the end of the delivery window', async () => {
+      User.findById.mockResolvedValue({ _id: driverId, role: 'driver' });
+      Job.mockImplementation((data) => ({ save: jest.fn().mockResolvedValue({ _id: jobId, ...data }) }));
+
+      const res = await request(app)
+        .post('/api/v1/job/createJob')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          ...jobBody(),
+          pickupWindow: { earliest: '2025-06-02T03:00:00.000Z', latest: '2025-06-02T05:00:00.000Z' },
+          deliveryWindow: { earliest: '2025-06-02T08:00:00.000Z', latest: '2025-06-02T11:00:00.000Z' }
+        });
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.deliveryWindow).toEqual({ earliest: '2025-06-02T08:00:00.000Z', latest: '2025-06-02T11:00:00.000Z' });
+      expect(res.body.promisedBy).toBe('2025-06-02T11:00:00.000Z');
+    });
+
+    it('should keep an explicit promisedBy', async () => {
+      User.findById.mockResolvedValue({ _id: driverId, role: 'driver' });
+      Job.mockImplementation((data) => ({ save: jest.fn().mockResolvedValue({ _id: jobId, ...data }) }));
+
+      const res = await request(app)
+        .post('/api/v1/job/createJob')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          ...jobBody(),
+          deliveryWindow: { earliest: '2025-06-02T08:00:00.000Z', latest: '2025-06-02T11:00:00.000Z' },
+          promisedBy: '2025-06-02T10:00:00.000Z'
+        });
+
+      expect(res.body.promisedBy).toBe('2025-06-02T10:00:00.000Z');
+    });
+
+    it.each([
+      [{ deliveryWindow: { earliest: '2025-06-02T11:00:00.000Z', latest: '2025-06-02T08:00:00.000Z' } }, 'deliveryWindow must not end before it starts'],
+      [{ pickupWindow: { earliest: 'soon' } }, 'pickupWindow needs valid earliest and latest dates'],
+      [{
+        pickupWindow: { earliest: '2025-06-02T09:00:00.000Z', latest: '2025-06-02T10:00:00.000Z' },
+        deliveryWindow: { earliest: '2025-06-02T06:00:00.000Z', latest: '2025-06-02T08:00:00.000Z' }
+      }, 'deliveryWindow must not end before pickupWindow starts']
+    ])('should reject invalid windows (%#)', async (windows, message) => {
+      User.findById.mockResolvedValue({ _id: driverId, role: 'driver' });
+
+      const res = await request(app)
+        .post('/api/v1/job/createJob')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ ...jobBody(), ...windows });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe(message);
+      expect(Job).not.toHaveBeenCalled();
+    });
+
+    it('should list open jobs whose delivery window has passed', async () => {
+      mockJobList([]);
+
+      const res = await request(app)
+        .get('/api/v1/job?due=overdue');
+
+      expect(res.statusCode).toBe(200);
+      expect(Job.find).toHaveBeenCalledWith({
+        $and: [{
+          'deliveryWindow.latest': { $lt: expect.any(Date) },
+          status: { $in: ['pending', 'in-transit', 'delayed'] }
+        }]
+      }, null);
+    });
+
+    it('should list jobs to pick up tomorrow', async () => {
+      mockJobList([]);
+
+      const res = await request(app)
+        .get('/api/v1/job?due=tomorrow&dueBy=pickup&status=pending');
+
+      expect(res.statusCode).toBe(200);
+      const [query] = Job.find.mock.calls[0];
+      expect(query.status).toBe('pending');
+      const { $gte, $lt } = query.$and[0]['pickupWindow.latest'];
+      // Midnight in Kathmandu, UTC+5:45
+      const kathmandu = new Date($gte.getTime() + (5 * 60 + 45) * 60 * 1000);
+      expect([kathmandu.getUTCHours(), kathmandu.getUTCMinutes()]).toEqual([0, 0]);
+      expect($lt.getTime() - $gte.getTime()).toBe(24 * 60 * 60 * 1000);
+      expect($gte.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it('should reject an unknown due filter', async () => {
+      const res = await request(app)
+        .get('/api/v1/job?due=yesterday');
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe('due must be one of today, tomorrow or overdue');
+    });
+  });
+
+  describe('GET /api/v1/job with location filters', () => {
+    beforeEach(() => {
+      mockJobList([]);
+    });
+
+    it('should find active jobs near a point', async () => {
+      const res = await request(app)
+        .get('/api/v1/job?status=in-transit,delayed&near=27.7005,83.4484&radiusKm=20');
+
+      expect(res.statusCode).toBe(200);
+      expect(Job.find).toHaveBeenCalledWith({
+        status: { $in: ['in-transit', 'delayed'] },
+        currentLocation: {
+          $geoWithin: { $centerSphere: [[83.4484, 27.7005], 20 / 6378.1] }
+        }
+      }, null);
+    });
+
+    it('should find jobs whose pickup is inside a polygon', async () => {
+      const res = await request(app)
+        .get('/api/v1/job?geoField=pickup&polygon=27.6,85.2;27.6,85.4;27.8,85.4;27.8,85.2');
+
+      expect(res.statusCode).toBe(200);
+      expect(Job.find).toHaveBeenCalledWith({
+        'pickupInfo.location': {
+          $geoWithin: {
+            $geometry: {
+              type: 'Polygon',
+              coordinates: [[[85.2, 27.6], [85.4, 27.6], [85.4, 27.8], [85.2, 27.8], [85.2, 27.6]]]
+            }
+          }
+        }
+      }, null);
+    });
+
+    it('should reject an invalid point', async () => {
+      const res = await request(app)
+        .get('/api/v1/job?near=butwal');
+
+      expect(res.statusCode).toBe(400);
+      expect(Job.find).not.toHaveBeenCalled();
+    });
+
+    it('should reject an unknown geo field', async () => {
+      const res = await request(app)
+        .get('/api/v1/job?near=27.7,83.4&geoField=warehouse');
+
+      expect(res.statusCode).toBe(400);
+    });
+  });
+
+  describe('GET /api/v1/job/nearestDrivers', () => {
+    const nearId = new mongoose.Types.ObjectId().toString();
+    const farId = new mongoose.Types.ObjectId().toString();
+    const busyId = new mongoose.Types.ObjectId().toString();
+    const unknownId = new mongoose.Types.ObjectId().toString();
+
+    beforeEach(() => {
+      User.find.mockReturnValue({
+        select: jest.fn().mockReturnValue({
+          lean: jest.fn().mockResolvedValue([
+            // Pokhara, from a recent location ping
+            { _id: farId, firstName: 'Far', lastName: 'Driver', phone: '1', lastLocation: { type: 'Point', coordinates: [83.9856, 28.2096] }, lastLocationAt: new Date() },
+            // Kathmandu, known only from their latest job
+            { _id: nearId, firstName: 'Near', lastName: 'Driver', phone: '2', lastLocation: null },
+            { _id: busyId, firstName: 'Busy', lastName: 'Driver', phone: '3', lastLocation: { type: 'Point', coordinates: [85.32, 27.71] }, lastLocationAt: new Date() },
+            { _id: unknownId, firstName: 'Unknown', lastName: 'Driver', phone: '4', lastLocation: null }
+          ])
+        })
+      });
+      Job.aggregate
+        .mockResolvedValueOnce([
+          { _id: nearId, pending: 1, active: 1, open: 2 },
+          { _id: busyId, pending: 0, active: 3, open: 3 }
+        ])
+        .mockResolvedValueOnce([
+          { _id: nearId, location: { type: 'Point', coordinates: [85.3240, 27.7172] }, at: new Date() }
+        ]);
+    });
+
+    afterEach(() => {
+      Job.aggregate.mockReset();
+    });
+
+    it('should rank available drivers by distance with their workload', async () => {
+      const res = await request(app)
+        .get('/api/v1/job/nearestDrivers?latitude=27.7000&longitude=85.3000')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.candidates.map((c) => c.driverId)).toEqual([nearId, farId]);
+      expect(res.body.candidates[0].position.source).toBe('job');
+      expect(res.body.candidates[0].workload).toEqual({ pending: 1, active: 1, open: 2 });
+      expect(res.body.candidates[0].distanceKm).toBeLessThan(5);
+      expect(res.body.candidates[1].distanceKm).toBeGreaterThan(100);
+    });
+
+    it('should honour a custom load limit', async () => {
+      const res = await request(app)
+        .get('/api/v1/job/nearestDrivers?latitude=27.7000&longitude=85.3000&maxActiveJobs=5')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.candidates.map((c) => c.driverId)).toContain(busyId);
+    });
+
+    it('should require a valid pickup point', async () => {
+      const res = await request(app)
+        .get('/api/v1/job/nearestDrivers?latitude=abc&longitude=85.3')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    it('should be restricted to admins', async () => {
+      const res = await request(app)
+        .get('/api/v1/job/nearestDrivers?latitude=27.7&longitude=85.3');
+
+      expect(res.statusCode).toBe(401);
+    });
+  });
+
+  describe('GET /api/v1/job/route/:driverId', () => {
+    let driverToken;
+    const routeJob = (id, pickup, dropoff, extra = {}) => ({
+      _id: id,
+      status: 'pending',
+      driverInfo: { id: driverId },
+      pickupInfo: { name: `Pickup ${id}`, phone: '111', latitude: pickup[0], longitude: pickup[1] },
+      dropoffInfo: { name: `Dropoff ${id}`, phone: '222', latitude: dropoff[0], longitude: dropoff[1] },
+      ...extra
+    });
+
+    beforeAll(() => {
+      driverToken = jwt.sign({ id: driverId, role: 'driver' }, process.env.JWT_SECRET, { expiresIn: '1h' });
+    });
+
+    beforeEach(() => {
+      User.findById.mockResolvedValue({ _id: driverId, role: 'driver', lastLocation: { type: 'Point', coordinates: [85.30, 27.70] }, lastLocationAt: new Date() });
+      Job.aggregate.mockReset();
+      Job.aggregate.mockResolvedValue([]);
+    });
+
+    it('should order stops by distance with pickups before dropoffs', async () => {
+      // All stops lie along one line out of town, so they are visited in distance order
+      Job.find.mockReturnValue({
+        lean: jest.fn().mockResolvedValue([
+          routeJob('job-b', [27.72, 85.32], [27.74, 85.34]),
+          routeJob('job-a', [27.71, 85.31], [27.75, 85.35]),
+          routeJob('job-c', [27.73, 85.33], [27.76, 85.36], { status: 'in-transit' })
+        ])
+      });
+
+      const res = await request(app)
+        .get(`/api/v1/job/route/${driverId}`)
+        .set('Authorization', `Bearer ${driverToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.start.source).toBe('ping');
+      expect(res.body.jobCount).toBe(3);
+      const ids = res.body.stops.map((stop) => stop.id);
+      expect(ids).toHaveLength(5);
+      expect(ids).not.toContain('job-c:pickup');
+      expect(ids.indexOf('job-a:pickup')).toBeLessThan(ids.indexOf('job-a:dropoff'));
+      expect(ids.indexOf('job-b:pickup')).toBeLessThan(ids.indexOf('job-b:dropoff'));
+      expect(ids[0]).toBe('job-a:pickup');
+      expect(res.body.stops.map((stop) => stop.sequence)).toEqual([1, 2, 3, 4, 5]);
+      expect(res.body.totalDistanceKm).toBe(res.body.stops[4].cumulativeKm);
+      expect(Job.find).toHaveBeenCalledWith({
+        'driverInfo.id': driverId,
+        status: { $in: ['pending', 'in-transit', 'delayed'] }
+      });
+    });
+
+    it('should visit an urgent job first when the detour is small', async () => {
+      Job.find.mockReturnValue({
+        lean: jest.fn().mockResolvedValue([
+          routeJob('near', [27.701, 85.301], [27.702, 85.302]),
+          routeJob('urgent', [27.705, 85.305], [27.706, 85.306], { isUrgent: true })
+        ])
+      });
+
+      const res = await request(app)
+        .get(`/api/v1/job/route/${driverId}?start=27.7,85.3`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.start).toEqual({ latitude: 27.7, longitude: 85.3, source: 'query' });
+      expect(res.body.stops.slice(0, 2).map((stop) => stop.id)).toEqual(['urgent:pickup', 'urgent:dropoff']);
+    });
+
+    it('should move a stop forward to meet its time window', async () => {
+      const now = Date.now();
+      Job.find.mockReturnValue({
+        lean: jest.fn().mockResolvedValue([
+          // 1 km south, against 8 km north for the dropoff due in 21 minutes
+          routeJob('close', [27.70, 85.30], [27.691, 85.30], { status: 'in-transit' }),
+          routeJob('due', [27.70, 85.30], [27.772, 85.30], {
+            status: 'in-transit',
+            deliveryWindow: { earliest: new Date(now - 3600000), latest: new Date(now + 21 * 60000) }
+          })
+        ])
+      });
+
+      const res = await request(app)
+        .get(`/api/v1/job/route/${driverId}?start=27.7,85.3`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.body.stops.map((stop) => stop.id)).toEqual(['due:dropoff', 'close:dropoff']);
+      expect(res.body.lateStops).toBe(0);
+    });
+
+    it('should hold the last dropoff of a multi-stop job to its promised time', async () => {
+      const promisedBy = new Date(Date.now() + 2 * 3600000);
+      Job.find.mockReturnValue({
+        lean: jest.fn().mockResolvedValue([{
+          _id: 'multi',
+          status: 'in-transit',
+          driverInfo: { id: driverId },
+          promisedBy,
+          stops: [
+            { type: 'pickup', name: 'Depot', phone: '111', latitude: 27.70, longitude: 85.30, status: 'completed' },
+            { type: 'dropoff', name: 'First', phone: '222', latitude: 27.71, longitude: 85.31, status: 'pending' },
+            { type: 'dropoff', name: 'Last', phone: '333', latitude: 27.72, longitude: 85.32, status: 'pending' }
+          ]
+        }])
+      });
+
+      const res = await request(app)
+        .get(`/api/v1/job/route/${driverId}?start=27.7,85.3`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.stops.map((stop) => stop.id)).toEqual(['multi:stop-2', 'multi:stop-3']);
+      expect(res.body.stops[0].window).toBeNull();
+      expect(res.body.stops[1].window).toEqual({ earliest: null, latest: promisedBy.toISOString() });
+    });
+
+    it('should leave out jobs whose pickup has no usable coordinates', async () => {
+      Job.find.mockReturnValue({
+        lean: jest.fn().mockResolvedValue([
+          routeJob('broken', ['north', 'east'], [27.74, 85.34]),
+          routeJob('fine', [27.71, 85.31], [27.72, 85.32])
+        ])
+      });
+
+      const res = await request(app)
+        .get(`/api/v1/job/route/${driverId}?start=27.7,85.3`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.stops.map((stop) => stop.id)).toEqual(['fine:pickup', 'fine:dropoff']);
+    });
+
+    it('should return an empty route when the driver has no open jobs', async () => {
+      Job.find.mockReturnValue({ lean: jest.fn().mockResolvedValue([]) });
+
+      const res = await request(app)
+        .get(`/api/v1/job/route/${driverId}`)
+        .set('Authorization', `Bearer ${driverToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.stops).toEqual([]);
+      expect(res.body.totalDistanceKm).toBe(0);
+    });
+
+    it('should not let drivers plan another driver\'s route', async () => {
+      const res = await request(app)
+        .get(`/api/v1/job/route/${adminId}`)
+        .set('Authorization', `Bearer ${driverToken}`);
+
+      expect(res.statusCode).toBe(403);
+    });
+
+    it('should reject an invalid start', async () => {
+      const res = await request(app)
+        .get(`/api/v1/job/route/${driverId}?start=kathmandu`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe('start must be "latitude,longitude"');
+    });
+  });
+
+  describe('GET /api/v1/job/summary', () => {
+    const mockSummary = ({ counts = {}, staleJobs = [], topActiveDrivers = [] } = {}) => {
+      Job.countDocuments.mockImplementation((filter) => {
+        if (typeof filter.status === 'string' && !filter.statusHistory) {
+          return Promise.resolve(counts.byStatus?.[filter.status] || 0);
+        }
+        if (filter.createdAt) return Promise.resolve(counts.createdToday || 0);
+        if (filter.statusHistory) return Promise.resolve(counts.deliveredToday || 0);
+        if (filter.isUrgent) return Promise.resolve(counts.urgentOpen || 0);
+        return Promise.resolve(counts.stale || 0);
+      });
+      const limit = jest.fn().mockReturnValue({ lean: jest.fn().mockResolvedValue(staleJobs) });
+      Job.find.mockReturnValue({ sort: jest.fn().mockReturnValue({ limit }) });
+      Job.aggregate.mockResolvedValue(topActiveDrivers);
+    };
+
+    afterEach(() => {
+      Job.countDocuments.mockReset();
+      Job.find.mockReset();
+      Job.aggregate.mockReset();
+    });
+
+    it('should summarise the job board from separate indexed queries', async () => {
+      mockSummary({
+        counts: {
+          byStatus: { pending: 4, 'in-transit': 3, delivered: 10 },
+          createdToday: 5,
+          deliveredToday: 2,
+          urgentOpen: 1,
+          stale: 1
+        },
+        staleJobs: [{ _id: jobId, status: 'in-transit', lastLocationAt: null }],
+        topActiveDrivers: [{ _id: driverId, name: 'Driver 1', activeJobs: 2, urgentJobs: 1 }]
+      });
+
+      const res = await request(app)
+        .get('/api/v1/job/summary')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.summary).toEqual(expect.objectContaining({
+        total: 17,
+        byStatus: { pending: 4, 'in-transit': 3, delayed: 0, delivered: 10, cancelled: 0 },
+        createdToday: 5,
+        deliveredToday: 2,
+        urgentOpen: 1,
+        staleLocations: { thresholdMinutes: 20, count: 1, jobs: [expect.objectContaining({ _id: jobId })] },
+        topActiveDrivers: [{ driverId, name: 'Driver 1', activeJobs: 2, urgentJobs: 1 }]
+      }));
+    });
+
+    it('should not scan the whole collection', async () => {
+      mockSummary();
+
+      await request(app)
+        .get('/api/v1/job/summary')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      const [pipeline] = Job.aggregate.mock.calls[0];
+      expect(pipeline[0]).toEqual({ $match: expect.objectContaining({ status: { $in: ['in-transit', 'delayed'] } }) });
+      Job.countDocuments.mock.calls.forEach(([filter]) => {
+        expect(Object.keys(filter).length).toBeGreaterThan(0);
+      });
+    });
+
+    it('should report zeros for an empty job board', async () => {
+      mockSummary();
+
+      const res = await request(app)
+        .get('/api/v1/job/summary')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.summary.total).toBe(0);
+      expect(res.body.summary.createdToday).toBe(0);
+      expect(res.body.summary.staleLocations.count).toBe(0);
+    });
+
+    it('should be restricted to admins', async () => {
+      const driverToken = jwt.sign({ id: driverId, role: 'driver' }, process.env.JWT_SECRET, { expiresIn: '1h' });
+
+      const res = await request(app)
+        .get('/api/v1/job/summary')
+        .set('Authorization', `Bearer ${driverToken}`);
+
+      expect(res.statusCode).toBe(403);
+    });
+  });
+
+  describe('GET /api/v1/job/getJobForDriver/:driverId', () => {
+    it('should retrieve jobs for a specific driver (no auth required)', async () => {
+      const mockJobs = [
+        { _id: jobId, status: 'pending', driverInfo: { id: driverId, name: 'Driver 1' } }
+      ];
+
+      mockJobList(mockJobs);
+
+      const res = await request(app)
+        .get(`/api/v1/job/getJobForDriver/${driverId}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(Array.isArray(res.body)).toBe(true);
+      expect(Job.find).toHaveBeenCalledWith({ 'driverInfo.id': driverId }, null);
+    });
+  });
+
+  describe('GET /api/v1/job/getJobById/:jobId', () => {
+    it('should retrieve a job by ID (no auth required)', async () => {
+      const mockJob = {
+        _id: jobId,
+        status: 'pending',
+        driverInfo: { id: driverId, name: 'Driver 1' }
+      };
+
+      Job.findById.mockReturnValue({
+        lean: jest.fn().mockResolvedValue(mockJob)
+      });
+
+      const res = await request(app)
+        .get(`/api/v1/job/getJobById/${jobId}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.success).toBe(true);
+      expect(res.body.job._id).toBe(jobId);
+    });
+
+    it('should return 404 if job not found', async () => {
+      Job.findById.mockReturnValue({
+        lean: jest.fn().mockResolvedValue(null)
+      });
+
+      const res = await request(app)
+        .get(`/api/v1/job/getJobById/${jobId}`);
+
+      expect(res.statusCode).toBe(404);
+      expect(res.body.success).toBe(false);
+      expect(res.body.message).toBe('Job Not Found');
+    });
+  });
+
+  describe('Progress and ETA', () => {
+    // Kathmandu to Pokhara, currently at Mugling
+    const activeJob = () => ({
+      _id: jobId,
+      status: 'in-transit',
+      pickupInfo: { latitude: 27.7172, longitude: 85.3240 },
+      dropoffInfo: { latitude: 28.2096, longitude: 83.9856 },
+      currentCoords: { latitude: 27.8545, longitude: 84.5603 }
+    });
+
+    it('should estimate the ETA from recent breadcrumb speeds', async () => {
+      Job.findById.mockReturnValue({ lean: jest.fn().mockResolvedValue(activeJob()) });
+      TrackPoint.find.mockReturnValue({
+        sort: jest.fn().mockReturnValue({
+          lean: jest.fn().mockResolvedValue([
+            { jobId, latitude: 27.85, longitude: 84.55, speed: 38, recordedAt: new Date(Date.now() - 60000) },
+            { jobId, latitude: 27.8545, longitude: 84.5603, speed: 42, recordedAt: new Date() }
+          ])
+        })
+      });
+
+      const before = Date.now();
+      const res = await request(app)
+        .get(`/api/v1/job/getJobById/${jobId}`);
+
+      expect(res.statusCode).toBe(200);
+      const { distanceTotal, distanceRemaining, progress, speedKmh, etaSource, eta } = res.body.job;
+      expect(distanceTotal).toBeCloseTo(142.39, 1);
+      expect(distanceRemaining).toBeCloseTo(68.85, 1);
+      expect(progress).toBe(52);
+      expect(speedKmh).toBe(40);
+      expect(etaSource).toBe('breadcrumbs');
+      const hoursAway = (new Date(eta).getTime() - before) / 3600000;
+      expect(hoursAway).toBeCloseTo(distanceRemaining / 40, 1);
+      expect(TrackPoint.find).toHaveBeenCalledWith(
+        { jobId: { $in: [jobId] }, recordedAt: { $gte: expect.any(Date) } },
+        expect.any(Object)
+      );
+    });
+
+    it('should fall back to the average speed without recent breadcrumbs', async () => {
+      mockJobList([activeJob()]);
+
+      const res = await request(app)
+        .get('/api/v1/job');
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body[0].etaSource).toBe('average');
+      expect(res.body[0].speedKmh).toBe(25);
+    });
+
+    it('should report the full distance and no ETA for pending jobs', async () => {
+      Job.findById.mockReturnValue({
+        lean: jest.fn().mockResolvedValue({ ...activeJob(), status: 'pending', currentCoords: { latitude: null, longitude: null } })
+      });
+
+      const res = await request(app)
+        .get(`/api/v1/job/getJobById/${jobId}`);
+
+      expect(res.body.job.progress).toBe(0);
+      expect(res.body.job.distanceRemaining).toBe(res.body.job.distanceTotal);
+      expect(res.body.job.eta).toBe(null);
+      expect(TrackPoint.find).not.toHaveBeenCalled();
+    });
+
+    it('should report delivered jobs as complete', async () => {
+      Job.findById.mockReturnValue({
+        lean: jest.fn().mockResolvedValue({ ...activeJob(), status: 'delivered' })
+      });
+
+      const res = await request(app)
+        .get(`/api/v1/job/getJobById/${jobId}`);
+
+      expect(res.body.job.progress).toBe(100);
+      expect(res.body.job.distanceRemaining).toBe(0);
+    });
+  });
+
+  describe('PATCH /api/v1/job/:jobId/status', () => {
+    it('should update job status with admin token', async () => {
+      const updatedJob = {
+        _id: jobId,
+        status: 'delivered',
+        driverInfo: { id: driverId, name: 'Driver 1' }
+      };
+
+      Job.findById.mockResolvedValue({ _id: jobId, status: 'in-transit' });
+      Job.findOneAndUpdate.mockResolvedValue(updatedJob);
+
+      const res = await request(app)
+        .patch(`/api/v1/job/${jobId}/status`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: "delivered", reason: "Handed over" });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.job.status).toBe("delivered");
+      expect(Job.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: jobId, status: 'in-transit' },
+        expect.objectContaining({
+          $set: { status: 'delivered' },
+          $push: {
+            statusHistory: expect.objectContaining({
+              from: 'in-transit',
+              to: 'delivered',
+              changedBy: { id: adminId, role: 'admin' },
+              reason: 'Handed over'
+            })
+          }
+        }),
+        { new: true }
+      );
+    });
+
+    it('should reject a transition the lifecycle does not allow', async () => {
+      Job.findById.mockResolvedValue({ _id: jobId, status: 'delivered' });
+
+      const res = await request(app)
+        .patch(`/api/v1/job/${jobId}/status`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: "pending" });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe("Cannot change status from delivered to pending");
+      expect(Job.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should return 409 if the status changed concurrently', async () => {
+      Job.findById.mockResolvedValue({ _id: jobId, status: 'pending' });
+      Job.findOneAndUpdate.mockResolvedValue(null);
+
+      const res = await request(app)
+        .patch(`/api/v1/job/${jobId}/status`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: "in-transit" });
+
+      expect(res.statusCode).toBe(409);
+      expect(res.body.success).toBe(false);
+    });
+
+    it('should return 404 if job not found for status update', async () => {
+      Job.findById.mockResolvedValue(null);
+
+      const res = await request(app)
+        .patch(`/api/v1/job/${jobId}/status`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: "in-transit" });
+
+      expect(res.statusCode).toBe(404);
+      expect(res.body.message).toBe("Job Not Found");
+    });
+
+    it('should return 401 without token for status update', async () => {
+      const res = await request(app)
+        .patch(`/api/v1/job/${jobId}/status`)
+        .send({ status: "delivered" });
+
+      expect(res.statusCode).toBe(401);
+      expect(res.body.message).toBe("No token, authorization denied");
+    });
+
+    it('should reject invalid status', async () => {
+      const res = await request(app)
+        .patch(`/api/v1/job/${jobId}/status`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: "invalid" });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe("Invalid or missing status");
+    });
+  });
+
+  describe('PATCH /api/v1/job/:jobId/driver-status', () => {
+    let driverToken;
+
+    beforeAll(() => {
+      driverToken = jwt.sign({ id: driverId, role: 'driver', email: 'driver@test.com' }, process.env.JWT_SECRET, { expiresIn: '1h' });
+    });
+
+    it('should let the assigned driver pick up their job', async () => {
+      Job.findById.mockResolvedValue({ _id: jobId, status: 'pending', driverInfo: { id: driverId } });
+      Job.findOneAndUpdate.mockResolvedValue({ _id: jobId, status: 'in-transit' });
+
+      const res = await request(app)
+        .patch(`/api/v1/job/${jobId}/driver-status`)
+        .set('Authorization', `Bearer ${driverToken}`)
+        .send({ status: 'in-transit' });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.success).toBe(true);
+      expect(res.body.job.status).toBe('in-transit');
+    });
+
+    it('should reject drivers updating jobs assigned to someone else', async () => {
+      Job.findById.mockResolvedValue({ _id: jobId, status: 'pending', driverInfo: { id: new mongoose.Types.ObjectId().toString() } });
+
+      const res = await request(app)
+        .patch(`/api/v1/job/${jobId}/driver-status`)
+        .set('Authorization', `Bearer ${driverToken}`)
+        .send({ status: 'in-transit' });
+
+      expect(res.statusCode).toBe(403);
+      expect(Job.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should not let drivers cancel a job', async () => {
+      Job.findById.mockResolvedValue({ _id: jobId, status: 'in-transit', driverInfo: { id: driverId } });
+
+      const res = await request(app)
+        .patch(`/api/v1/job/${jobId}/driver-status`)
+        .set('Authorization', `Bearer ${driverToken}`)
+        .send({ status: 'cancelled' });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe('Cannot change status from in-transit to cancelled');
+    });
+
+    it('should require a reason when reporting a delay', async () => {
+      const res = await request(app)
+        .patch(`/api/v1/job/${jobId}/driver-status`)
+        .set('Authorization', `Bearer ${driverToken}`)
+        .send({ status: 'delayed' });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe('A reason is required when reporting a delay');
+    });
+
+    it('should let admins use the full lifecycle', async () => {
+      Job.findById.mockResolvedValue({ _id: jobId, status: 'in-transit', driverInfo: { id: driverId } });
+      Job.findOneAndUpdate.mockResolvedValue({ _id: jobId, status: 'cancelled' });
+
+      const res = await request(app)
+        .patch(`/api/v1/job/${jobId}/driver-status`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'cancelled' });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.job.status).toBe('cancelled');
+    });
+  });
+
+  describe('POST /api/v1/job/:jobId/proof', () => {
+    let driverToken;
+    const image = Buffer.from('fake-image');
+
+    beforeAll(() => {
+      driverToken = jwt.sign({ id: driverId, role: 'driver', email: 'driver@test.com' }, process.env.JWT_SECRET, { expiresIn: '1h' });
+    });
+
+    it('should record proof of delivery and mark the job delivered', async () => {
+      Job.findById.mockResolvedValue({ _id: jobId, status: 'in-transit', driverInfo: { id: driverId }, proofOfDelivery: null });
+      Job.findOneAndUpdate.mockImplementation((filter, update) => Promise.resolve({
+        _id: jobId,
+        status: 'delivered',
+        proofOfDelivery: update.$set.proofOfDelivery
+      }));
+
+      const res = await request(app)
+        .post(`/api/v1/job/${jobId}/proof`)
+        .set('Authorization', `Bearer ${driverToken}`)
+        .field('recipientName', 'Anita Sharma')
+        .field('latitude', '28.2096')
+        .field('longitude', '83.9856')
+        .attach('signature', image, { filename: 'signature.png', contentType: 'image/png' })
+        .attach('photos', image, { filename: 'parcel.jpg', contentType: 'image/jpeg' });
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.job.status).toBe('delivered');
+      expect(res.body.proofOfDelivery.recipientName).toBe('Anita Sharma');
+      expect(res.body.proofOfDelivery.location).toEqual({ latitude: 28.2096, longitude: 83.9856 });
+      expect(res.body.proofOfDelivery.signature.url).toBe('https://cloudinary.com/test-image.jpg');
+      expect(res.body.proofOfDelivery.photos).toHaveLength(1);
+    });
+
+    it('should require a signature and at least one photo', async () => {
+      const res = await request(app)
+        .post(`/api/v1/job/${jobId}/proof`)
+        .set('Authorization', `Bearer ${driverToken}`)
+        .field('recipientName', 'Anita Sharma')
+        .field('latitude', '28.2096')
+        .field('longitude', '83.9856')
+        .attach('signature', image, { filename: 'signature.png', contentType: 'image/png' });
+
+      expect(res.statusCode).toBe(400);
+      expect(Job.findById).not.toHaveBeenCalled();
+    });
+
+    it('should reject proof for a job that cannot be delivered', async () => {
+      Job.findById.mockResolvedValue({ _id: jobId, status: 'cancelled', driverInfo: { id: driverId }, proofOfDelivery: null });
+
+      const res = await request(app)
+        .post(`/api/v1/job/${jobId}/proof`)
+        .set('Authorization', `Bearer ${driverToken}`)
+        .field('recipientName', 'Anita Sharma')
+        .field('latitude', '28.2096')
+        .field('longitude', '83.9856')
+        .attach('signature', image, { filename: 'signature.png', contentType: 'image/png' })
+        .attach('photos', image, { filename: 'parcel.jpg', contentType: 'image/jpeg' });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe('Cannot deliver a job that is cancelled');
+    });
+  });
+
+  describe('GET /api/v1/job/:jobId/proof', () => {
+    it('should return the recorded proof of delivery', async () => {
+      const proofOfDelivery = {
+        recipientName: 'Anita Sharma',
+        signature: { url: 'https://cloudinary.com/sig.png', publicId: 'sig' },
+        photos: [],
+        location: { latitude: 28.2, longitude: 83.9 }
+      };
+      Job.findById.mockReturnValue({
+        lean: jest.fn().mockResolvedValue({ _id: jobId, status: 'delivered', proofOfDelivery })
+      });
+
+      const res = await request(app)
+        .get(`/api/v1/job/${jobId}/proof`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.proofOfDelivery).toEqual(proofOfDelivery);
+    });
+
+    it('should return 404 when no proof has been recorded', async () => {
+      Job.findById.mockReturnValue({
+        lean: jest.fn().mockResolvedValue({ _id: jobId, status: 'in-transit', proofOfDelivery: null })
+      });
+
+      const res = await request(app)
+        .get(`/api/v1/job/${jobId}/proof`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(404);
+    });
+  });
+
+  describe('Multi-stop jobs', () => {
+    let driverToken;
+    const image = Buffer.from('fake-image');
+    const stopIds = [
+      '507f1f77bcf86cd799439051',
+      '507f1f77bcf86cd799439052',
+      '507f1f77bcf86cd799439053'
+    ];
+    const stopsInput = [
+      { type: 'pickup', name: 'Warehouse', phone: '111', latitude: 27.7, longitude: 85.3 },
+      { type: 'dropoff', name: 'Shop A', phone: '222', latitude: 27.71, longitude: 85.31 },
+      { type: 'dropoff', name: 'Shop B', phone: '333', latitude: 27.72, longitude: 85.32 }
+    ];
+
+    // A multi-stop job with the given stop statuses
+    const multiStopJob = (statuses, status = 'pending') => ({
+      _id: jobId,
+      status,
+      driverInfo: { id: driverId },
+      stops: stopsInput.map((stop, index) => ({ ...stop, _id: stopIds[index], status: statuses[index] }))
+    });
+
+    // Applies the $set of each stop update or status transition to a copy of the job
+    const applyUpdate = (job) => {
+      let current = job;
+      return (filter, update) => {
+        current = { ...current, stops: current.stops.map((stop) => ({ ...stop })) };
+        Object.entries(update.$set).forEach(([key, value]) => {
+          const [, index, field] = key.match(/^stops\.(\d+)\.(\w+)$/) || [];
+          if (index) current.stops[index][field] = value;
+          else current[key] = value;
+        });
+        return Promise.resolve(current);
+      };
+    };
+
+    const updateStop = (stopId, fields) => {
+      const req = request(app)
+        .patch(`/api/v1/job/${jobId}/stops/${stopId}`)
+        .set('Authorization', `Bearer ${driverToken}`);
+      Object.entries(fields).forEach(([name, value]) => req.field(name, value));
+      return req;
+    };
+
+    beforeAll(() => {
+      driverToken = jwt.sign({ id: driverId, role: 'driver', email: 'driver@test.com' }, process.env.JWT_SECRET, { expiresIn: '1h' });
+    });
+
+    beforeEach(() => {
+      Job.mockReset();
+      Job.findOneAndUpdate.mockReset();
+    });
+
+    it('should create a job from ordered stops', async () => {
+      let saved;
+      Job.mockImplementation((data) => ({
+        save: jest.fn().mockImplementation(() => Promise.resolve(saved = { _id: jobId, ...data }))
+      }));
+      User.findById.mockResolvedValue({ _id: driverId, role: 'driver', firstName: 'Hari', lastName: 'Prasad', phone: '9800000000' });
+
+      const res = await request(app)
+        .post('/api/v1/job/createJob')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ driverInfo: { id: driverId }, stops: stopsInput });
+
+      expect(res.statusCode).toBe(201);
+      expect(saved.stops).toHaveLength(3);
+      expect(saved.stops.every((stop) => stop.status === 'pending')).toBe(true);
+      expect(saved.pickupInfo.name).toBe('Warehouse');
+      expect(saved.dropoffInfo.name).toBe('Shop B');
+    });
+
+    it('should reject stops that do not start with a pickup', async () => {
+      const res = await request(app)
+        .post('/api/v1/job/createJob')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ stops: [stopsInput[1], stopsInput[0]] });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe('The first stop must be a pickup');
+    });
+
+    it('should reject stops sent together with pickupInfo', async () => {
+      const res = await request(app)
+        .post('/api/v1/job/createJob')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ stops: stopsInput, pickupInfo: stopsInput[0] });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe('Send either stops or pickupInfo and dropoffInfo, not both');
+    });
+
+    it('should complete the pickup and put the job in transit', async () => {
+      const job = multiStopJob(['pending', 'pending', 'pending']);
+      Job.findById.mockResolvedValue(job);
+      Job.findOneAndUpdate.mockImplementation(applyUpdate(job));
+
+      const res = await updateStop(stopIds[0], { status: 'completed' });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.stop.status).toBe('completed');
+      expect(res.body.stop.completedBy).toEqual({ id: driverId, role: 'driver' });
+      expect(res.body.job.status).toBe('in-transit');
+      expect(Job.findOneAndUpdate).toHaveBeenNthCalledWith(
+        1,
+        { _id: jobId, 'stops.0.status': 'pending' },
+        expect.any(Object),
+        { new: true }
+      );
+      expect(Job.findOneAndUpdate.mock.calls[1][1].$push.statusHistory).toMatchObject({
+        from: 'pending',
+        to: 'in-transit',
+        reason: 'Stop 1 (Warehouse) completed'
+      });
+    });
+
+    it('should only let the current stop change', async () => {
+      Job.findById.mockResolvedValue(multiStopJob(['completed', 'pending', 'pending'], 'in-transit'));
+
+      const res = await updateStop(stopIds[2], { status: 'arrived' });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe('Stop 2 must be completed first');
+      expect(Job.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should require proof to complete a dropoff', async () => {
+      Job.findById.mockResolvedValue(multiStopJob(['completed', 'arrived', 'pending'], 'in-transit'));
+
+      const res = await updateStop(stopIds[1], { status: 'completed', recipientName: 'Anita Sharma' });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe('Recipient name, signature and at least one photo are required');
+    });
+
+    it('should require a reason for a failed stop', async () => {
+      const res = await updateStop(stopIds[1], { status: 'failed' });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe('A reason is required when a stop fails');
+      expect(Job.findById).not.toHaveBeenCalled();
+    });
+
+    it('should deliver the job once the last stop is done', async () => {
+      const job = multiStopJob(['completed', 'failed', 'arrived'], 'in-transit');
+      Job.findById.mockResolvedValue(job);
+      Job.findOneAndUpdate.mockImplementation(applyUpdate(job));
+
+      const res = await updateStop(stopIds[2], {
+        status: 'completed',
+        recipientName: 'Anita Sharma',
+        latitude: '27.72',
+        longitude: '85.32'
+      })
+        .attach('signature', image, { filename: 'signature.png', contentType: 'image/png' })
+        .attach('photos', image, { filename: 'parcel.jpg', contentType: 'image/jpeg' });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.stop.proof.recipientName).toBe('Anita Sharma');
+      expect(res.body.stop.proof.location).toEqual({ latitude: 27.72, longitude: 85.32 });
+      expect(res.body.job.status).toBe('delivered');
+    });
+
+    it('should not let a driver update stops on another driver\'s job', async () => {
+      Job.findById.mockResolvedValue({ ...multiStopJob(['pending', 'pending', 'pending']), driverInfo: { id: adminId } });
+
+      const res = await updateStop(stopIds[0], { status: 'arrived' });
+
+      expect(res.statusCode).toBe(403);
+    });
+
+    it('should answer with a conflict when the stop changed meanwhile', async () => {
+      Job.findById.mockResolvedValue(multiStopJob(['pending', 'pending', 'pending']));
+      Job.findOneAndUpdate.mockResolvedValue(null);
+
+      const res = await updateStop(stopIds[0], { status: 'arrived' });
+
+      expect(res.statusCode).toBe(409);
+    });
+
+    it('should not deliver a job with open stops', async () => {
+      Job.findById.mockResolvedValue(multiStopJob(['completed', 'completed', 'pending'], 'in-transit'));
+
+      const res = await request(app)
+        .patch(`/api/v1/job/${jobId}/driver-status`)
+        .set('Authorization', `Bearer ${driverToken}`)
+        .send({ status: 'delivered' });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe('Complete every stop before delivering the job');
+    });
+
+    it('should reject a single proof of delivery for multi-stop jobs', async () => {
+      Job.findById.mockResolvedValue(multiStopJob(['completed', 'pending', 'pending'], 'in-transit'));
+
+      const res = await request(app)
+        .post(`/api/v1/job/${jobId}/proof`)
+        .set('Authorization', `Bearer ${driverToken}`)
+        .field('recipientName', 'Anita Sharma')
+        .field('latitude', '27.71')
+        .field('longitude', '85.31')
+        .attach('signature', image, { filename: 'signature.png', contentType: 'image/png' })
+        .attach('photos', image, { filename: 'parcel.jpg', contentType: 'image/jpeg' });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe('Multi-stop jobs are delivered stop by stop');
+    });
+  });
+
+  describe('GET /api/v1/job/:jobId/history', () => {
+    it('should return the status history of a job', async () => {
+      const history = [
+        { from: null, to: 'pending', changedBy: { id: adminId, role: 'admin' }, reason: 'Job created' },
+        { from: 'pending', to: 'in-transit', changedBy: { id: adminId, role: 'admin' }, reason: null }
+      ];
+
+      Job.findById.mockReturnValue({
+        lean: jest.fn().mockResolvedValue({ _id: jobId, status: 'in-transit', statusHistory: history })
+      });
+
+      const res = await request(app)
+        .get(`/api/v1/job/${jobId}/history`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.success).toBe(true);
+      expect(res.body.status).toBe('in-transit');
+      expect(res.body.history).toEqual(history);
+    });
+
+    it('should return 401 without token for history', async () => {
+      const res = await request(app)
+        .get(`/api/v1/job/${jobId}/history`);
+
+      expect(res.statusCode).toBe(401);
+      expect(res.body.message).toBe("No token, authorization denied");
+    });
+
+    it('should return 404 if job not found for history', async () => {
+      Job.findById.mockReturnValue({
+        lean: jest.fn().mockResolvedValue(null)
+      });
+
+      const res = await request(app)
+        .get(`/api/v1/job/${jobId}/history`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(404);
+      expect(res.body.message).toBe('Job Not Found');
+    });
+
+    it('should merge status changes and geofence events into a timeline', async () => {
+      Job.findById.mockReturnValue({
+        lean: jest.fn().mockResolvedValue({
+          _id: jobId,
+          status: 'in-transit',
+          statusHistory: [
+            { from: null, to: 'pending', changedAt: '2025-01-01T08:00:00.000Z' },
+            { from: 'pending', to: 'in-transit', changedAt: '2025-01-01T09:05:00.000Z' }
+          ],
+          geofenceEvents: [
+            { fence: 'pickup', type: 'arrival', at: '2025-01-01T08:50:00.000Z' },
+            { fence: 'pickup', type: 'departure', at: '2025-01-01T09:04:00.000Z' }
+          ]
+        })
+      });
+
+      const res = await request(app)
+        .get(`/api/v1/job/${jobId}/history`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.timeline.map((entry) => entry.kind === 'status' ? entry.to : `${entry.fence}-${entry.type}`))
+        .toEqual(['pending', 'pickup-arrival', 'pickup-departure', 'in-transit']);
+    });
+  });
+
+    describe('Geofence settings and events', () => {
+    it('should return the effective settings and filtered events', async () => {
+      Job.findById.mockReturnValue({
+        lean: jest.fn().mockResolvedValue({
+          _id: jobId,
+          geofence: { pickupRadiusM: 300, dropoffRadiusM: null, autoAdvance: null },
+          geofenceState: { pickup: false, dropoff: true },
+          geofenceEvents: [
+            { fence: 'pickup', type: 'arrival' },
+            { fence: 'pickup', type: 'departure' },
+            { fence: 'dropoff', type: 'arrival' }
+          ]
+        })
+      });
+
+      const res = await request(app)
+        .get(`/api/v1/job/${jobId}/geofence?fence=pickup`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.settings).toEqual({ pickupRadiusM: 300, dropoffRadiusM: 150, autoAdvance: false });
+      expect(res.body.state).toEqual({ pickup: false, dropoff: true });
+      expect(res.body.events).toHaveLength(2);
+    });
+
+    it('should let admins override the settings of a job', async () => {
+      Job.findByIdAndUpdate.mockReturnValue({
+        lean: jest.fn().mockResolvedValue({ _id: jobId, geofence: { pickupRadiusM: 250, autoAdvance: true } })
+      });
+
+      const res = await request(app)
+        .patch(`/api/v1/job/${jobId}/geofence`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ pickupRadiusM: 250, autoAdvance: true });
+
+      expect(res.statusCode).toBe(200);
+      expect(Job.findByIdAndUpdate).toHaveBeenCalledWith(
+        jobId,
+        { $set: { 'geofence.pickupRadiusM': 250, 'geofence.autoAdvance': true } },
+        { new: true }
+      );
+      expect(res.body.settings).toEqual({ pickupRadiusM: 250, dropoffRadiusM: 150, autoAdvance: true });
+    });
+
+    it('should reject radii outside the allowed range', async () => {
+      const res = await request(app)
+        .patch(`/api/v1/job/${jobId}/geofence`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ dropoffRadiusM: -10 });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe('dropoffRadiusM must be between 0 and 5000 metres');
+      expect(Job.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should not let drivers change geofence settings', async () => {
+      const driverToken = jwt.sign({ id: driverId, role: 'driver' }, process.env.JWT_SECRET, { expiresIn: '1h' });
+
+      const res = await request(app)
+        .patch(`/api/v1/job/${jobId}/geofence`)
+        .set('Authorization', `Bearer ${driverToken}`)
+        .send({ pickupRadiusM: 250 });
+
+      expect(res.statusCode).toBe(403);
+    });
+  });
+
+describe('PDF Generation Routes', () => {
+    describe('GET /api/v1/job/generate-pdf/:id', () => {
+      it('should generate PDF with admin token', async () => {
+        const mockJob = {
+          _id: jobId,
+          status: 'pending',
+          driverInfo: { name: 'Driver 1', phone: '123456789' },
+          pickupInfo: { name: 'Pickup', phone: '111', latitude: '27.7', longitude: '85.3' },
+          dropoffInfo: { name: 'Dropoff', phone: '222', latitude: '27.8', longitude: '85.4' },
+          note: 'Test job',
+          addOns: { fragileItems: false, heavyItem: false },
+          isUrgent: false,
+          createdAt: new Date(),
+          updatedAt: new Date()
+        };
+
+        Job.findById.mockResolvedValue(mockJob);
+
+        const res = await request(app)
+          .get(`/api/v1/job/generate-pdf/${jobId}`)
+          .set('Authorization', `Bearer ${adminToken}`);
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body.message).toBe('PDF generated successfully');
+        expect(res.body.filePath).toContain(`job-${jobId}.pdf`);
+      });
+
+      it('should generate a PDF listing the stops of a multi-stop job', async () => {
+        Job.findById.mockResolvedValue({
+          _id: jobId,
+          status: 'in-transit',
+          driverInfo: { name: 'Driver 1', phone: '123456789' },
+          pickupInfo: { name: 'Warehouse', phone: '111', latitude: 27.7, longitude: 85.3 },
+          dropoffInfo: { name: 'Shop B', phone: '333', latitude: 27.72, longitude: 85.32 },
+          stops: [
+            { type: 'pickup', name: 'Warehouse', phone: '111', latitude: 27.7, longitude: 85.3, status: 'completed', completedAt: new Date() },
+            { type: 'dropoff', name: 'Shop A', phone: '222', latitude: 27.71, longitude: 85.31, status: 'failed', failureReason: 'Shop closed' },
+            { type: 'dropoff', name: 'Shop B', phone: '333', latitude: 27.72, longitude: 85.32, status: 'pending' }
+          ],
+          addOns: {},
+          createdAt: new Date(),
+          updatedAt: new Date()
+        });
+
+        const res = await request(app)
+          .get(`/api/v1/job/generate-pdf/${jobId}`)
+          .set('Authorization', `Bearer ${adminToken}`);
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body.filePath).toContain(`job-${jobId}.pdf`);
+      });
+
+      it('should return 401 without token for PDF generation', async () => {
+        const res = await request(app)
+          .get(`/api/v1/job/generate-pdf/${jobId}`);
+
+        expect(res.statusCode).toBe(401);
+        expect(res.body.message).toBe("No token, authorization denied");
+      });
+
+      it('should return 404 if job not found for PDF', async () => {
+        Job.findById.mockResolvedValue(null);
+
+        const res = await request(app)
+          .get(`/api/v1/job/generate-pdf/${jobId}`)
+          .set('Authorization', `Bearer ${adminToken}`);
+
+        expect(res.statusCode).toBe(404);
+        expect(res.body.message).toBe("Job not found");
+      });
+    });
+
+    describe('GET /api/v1/job/getAllJobsPdf', () => {
+      it('should get all job PDFs with admin token', async () => {
+        // Mock fs operations (would need to mock fs module)
+        const res = await request(app)
+          .get('/api/v1/job/getAllJobsPdf')
+          .set('Authorization', `Bearer ${adminToken}`);
+
+        // This might return 404 if pdfs directory doesn't exist, which is expected
+        expect([200, 404]).toContain(res.statusCode);
+      });
+
+      it('should return 401 without token for getAllJobsPdf', async () => {
+        const res = await request(app)
+          .get('/api/v1/job/getAllJobsPdf');
+
+        expect(res.statusCode).toBe(401);
+        expect(res.body.message).toBe("No token, authorization denied");
+      });
+    });
+  });
+
+  describe('Authentication Edge Cases', () => {
+    it('should handle malformed Authorization header', async () => {
+      const res = await request(app)
+        .post('/api/v1/job/createJob')
+        .set('Authorization', 'InvalidFormat')
+        .send({
+          driverInfo: { id: driverId }
+        });
+
+      expect(res.statusCode).toBe(401);
+      expect(res.body.message).toBe("No token, authorization denied");
+    });
+
+    it('should handle expired token', async () => {
+      const expiredPayload = {
+        id: adminId,
         role: 'admin',
         email: 'admin@test.com'
       };
@@ -427,11 +2615,7 @@ describe('Job Controller Integration with Middleware', () => {
 
   describe('Error Handling', () => {
     it('should handle database errors gracefully', async () => {
-      Job.find.mockReturnValue({
-        sort: jest.fn().mockReturnValue({
-          lean: jest.fn().mockRejectedValue(new Error('Database connection failed'))
-        })
-      });
+      mockJobList(new Error('Database connection failed'));
 
       const res = await request(app)
         .get('/api/v1/job');
@@ -0,0 +1,139 @@
+const http = require('http');
+const request = require('supertest');
+const app = require('../../server');
+const jwt = require('jsonwebtoken');
+const Job = require('../../models/job.model');
+const { publishJobEvent } = require('../../utils/liveEvents');
+
+// Mock dependencies
+jest.mock('../../models/job.model');
+jest.mock('../../models/user.model');
+jest.mock('../../config/db');
+
+// Set test environment variables
+process.env.JWT_SECRET = 'test-jwt-secret-key';
+process.env.NODE_ENV = 'test';
+
+/**
+ * Opens an SSE connection and resolves with helpers to read events from it
+ */
+const openEventStream = (port, path) => new Promise((resolve, reject) => {
+  const req = http.get({ port, path }, (res) => {
+    let buffer = '';
+    const waiters = [];
+    res.setEncoding('utf8');
+    res.on('data', (chunk) => {
+      buffer += chunk;
+      waiters.splice(0).forEach((check) => check());
+    });
+
+    const nextEvent = (type) => new Promise((done) => {
+      const check = () => {
+        const match = buffer.match(new RegExp(`event: ${type}\\ndata: (.*)\\n\\n`));
+        if (match) {
+          buffer = buffer.slice(buffer.indexOf(match[0]) + match[0].length);
+          return done(JSON.parse(match[1]));
+        }
+        waiters.push(check);
+      };
+      check();
+    });
+
+    resolve({ res, nextEvent, close: () => req.destroy() });
+  });
+  req.on('error', reject);
+});
+
+describe('Live Update Streams', () => {
+  let server, port, adminToken, driverToken;
+  const driverId = '507f1f77bcf86cd799439012';
+  const jobId = '507f1f77bcf86cd799439013';
+
+  beforeAll((done) => {
+    adminToken = jwt.sign({ id: '507f1f77bcf86cd799439011', role: 'admin' }, process.env.JWT_SECRET, { expiresIn: '1h' });
+    driverToken = jwt.sign({ id: driverId, role: 'driver' }, process.env.JWT_SECRET, { expiresIn: '1h' });
+    server = app.listen(0, () => {
+      port = server.address().port;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should push location updates for a followed job', async () => {
+    Job.findById.mockReturnValue({
+      lean: jest.fn().mockResolvedValue({ _id: jobId, driverInfo: { id: driverId } })
+    });
+
+    const stream = await openEventStream(port, `/api/v1/stream/job/${jobId}?token=${driverToken}`);
+    expect(stream.res.statusCode).toBe(200);
+    expect(stream.res.headers['content-type']).toContain('text/event-stream');
+    await stream.nextEvent('connected');
+
+    publishJobEvent('location', { _id: 'another-job', driverInfo: { id: driverId }, status: 'in-transit' });
+    publishJobEvent('location', {
+      _id: jobId,
+      driverInfo: { id: driverId },
+      status: 'in-transit',
+      currentCoords: { latitude: '27.7', longitude: '85.3' }
+    });
+
+    const event = await stream.nextEvent('location');
+    expect(event.jobId).toBe(jobId);
+    expect(event.currentCoords).toEqual({ latitude: '27.7', longitude: '85.3' });
+    stream.close();
+  });
+
+  it('should push status changes to the active jobs stream', async () => {
+    const stream = await openEventStream(port, `/api/v1/stream/active?token=${adminToken}`);
+    await stream.nextEvent('connected');
+
+    publishJobEvent('status', { _id: jobId, driverInfo: { id: driverId }, status: 'delivered' });
+
+    const event = await stream.nextEvent('status');
+    expect(event).toEqual(expect.objectContaining({ jobId, status: 'delivered' }));
+    stream.close();
+  });
+
+  it('should not let drivers follow jobs assigned to someone else', async () => {
+    Job.findById.mockReturnValue({
+      lean: jest.fn().mockResolvedValue({ _id: jobId, driverInfo: { id: 'someone-else' } })
+    });
+
+    const res = await request(app)
+      .get(`/api/v1/stream/job/${jobId}`)
+      .set('Authorization', `Bearer ${driverToken}`);
+
+    expect(res.statusCode).toBe(403);
+  });
+
+  it('should not let drivers follow other drivers', async () => {
+    const res = await request(app)
+      .get('/api/v1/stream/driver/507f1f77bcf86cd799439099')
+      .set('Authorization', `Bearer ${driverToken}`);
+
+    expect(res.statusCode).toBe(403);
+  });
+
+  it('should restrict the active jobs stream to admins', async () => {
+    const res = await request(app)
+      .get(`/api/v1/stream/active?token=${driverToken}`);
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.message).toBe("Access denied. Admins only.");
+  });
+
+  it('should return 401 without a token', async () => {
+    const res = await request(app)
+      .get(`/api/v1/stream/job/${jobId}`);
+
+    expect(res.statusCode).toBe(401);
+    expect(res.body.message).toBe("No token, authorization denied");
+  });
+});
@@ -0,0 +1,220 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const app = require('../../server');
+const jwt = require('jsonwebtoken');
+const Job = require('../../models/job.model');
+const TrackPoint = require('../../models/trackPoint.model');
+
+// Mock dependencies
+jest.mock('../../models/job.model');
+jest.mock('../../models/user.model');
+jest.mock('../../models/trackPoint.model');
+jest.mock('../../config/db');
+
+// Set test environment variables
+process.env.JWT_SECRET = 'test-jwt-secret-key';
+process.env.NODE_ENV = 'test';
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+describe('Public Tracking Links', () => {
+  let adminToken, driverToken;
+  const adminId = '507f1f77bcf86cd799439011';
+  const driverId = '507f1f77bcf86cd799439012';
+  const jobId = '507f1f77bcf86cd799439013';
+
+  const trackedJob = (overrides = {}) => ({
+    _id: jobId,
+    status: 'in-transit',
+    isUrgent: false,
+    driverInfo: { id: driverId, name: 'Hari Prasad', phone: '9800000000' },
+    pickupInfo: { name: 'Sita Sharma', phone: '9811111111', email: 'sita@example.com', latitude: 27.7, longitude: 85.3 },
+    dropoffInfo: { name: 'Ram Thapa', phone: '9822222222', email: 'ram@example.com', latitude: 27.8, longitude: 85.4 },
+    currentCoords: { latitude: 27.75, longitude: 85.35 },
+    currentLocation: { type: 'Point', coordinates: [85.35, 27.75] },
+    lastLocationAt: new Date(),
+    statusHistory: [],
+    trackingLink: { tokenHash: sha256('secret-token'), revokedAt: null },
+    updatedAt: new Date(),
+    ...overrides
+  });
+
+  beforeAll(() => {
+    adminToken = jwt.sign({ id: adminId, role: 'admin' }, process.env.JWT_SECRET, { expiresIn: '1h' });
+    driverToken = jwt.sign({ id: driverId, role: 'driver' }, process.env.JWT_SECRET, { expiresIn: '1h' });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    TrackPoint.find.mockReturnValue({
+      sort: jest.fn().mockReturnValue({ lean: jest.fn().mockResolvedValue([]) })
+    });
+  });
+
+  describe('POST /api/v1/job/:jobId/trackingLink', () => {
+    it('should create a link and store only the token hash', async () => {
+      Job.findById.mockReturnValue({
+        lean: jest.fn().mockResolvedValue({ _id: jobId, status: 'pending', statusHistory: [] })
+      });
+      Job.findByIdAndUpdate.mockResolvedValue({});
+
+      const res = await request(app)
+        .post(`/api/v1/job/${jobId}/trackingLink`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.token).toMatch(/^[A-Za-z0-9_-]{32}$/);
+      expect(res.body.url).toMatch(new RegExp(`/api/v1/track/${res.body.token}$`));
+      expect(res.body.expiresAt).toBe(null);
+
+      const [, update] = Job.findByIdAndUpdate.mock.calls[0];
+      expect(update.trackingLink.tokenHash).toBe(sha256(res.body.token));
+      expect(update.trackingLink.createdBy).toEqual({ id: adminId, role: 'admin' });
+      expect(JSON.stringify(update)).not.toContain(res.body.token);
+    });
+
+    it('should refuse to share a job completed past the grace period', async () => {
+      Job.findById.mockReturnValue({
+        lean: jest.fn().mockResolvedValue({
+          _id: jobId,
+          status: 'delivered',
+          statusHistory: [{ from: 'in-transit', to: 'delivered', changedAt: daysAgo(30) }]
+        })
+      });
+
+      const res = await request(app)
+        .post(`/api/v1/job/${jobId}/trackingLink`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(400);
+      expect(Job.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for an unknown job', async () => {
+      Job.findById.mockReturnValue({ lean: jest.fn().mockResolvedValue(null) });
+
+      const res = await request(app)
+        .post(`/api/v1/job/${jobId}/trackingLink`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(404);
+    });
+
+    it('should only let admins create links', async () => {
+      const res = await request(app)
+        .post(`/api/v1/job/${jobId}/trackingLink`)
+        .set('Authorization', `Bearer ${driverToken}`);
+
+      expect(res.statusCode).toBe(403);
+    });
+  });
+
+  describe('DELETE /api/v1/job/:jobId/trackingLink', () => {
+    it('should revoke an active link', async () => {
+      Job.findById.mockReturnValue({
+        lean: jest.fn().mockResolvedValue({ _id: jobId, trackingLink: { tokenHash: 'abc', revokedAt: null } })
+      });
+      Job.findByIdAndUpdate.mockResolvedValue({});
+
+      const res = await request(app)
+        .delete(`/api/v1/job/${jobId}/trackingLink`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(Job.findByIdAndUpdate).toHaveBeenCalledWith(jobId, { 'trackingLink.revokedAt': expect.any(Date) });
+    });
+
+    it('should return 404 when the job has no active link', async () => {
+      Job.findById.mockReturnValue({
+        lean: jest.fn().mockResolvedValue({ _id: jobId, trackingLink: null })
+      });
+
+      const res = await request(app)
+        .delete(`/api/v1/job/${jobId}/trackingLink`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(404);
+      expect(res.body.message).toBe('Job has no active tracking link');
+    });
+  });
+
+  describe('GET /api/v1/track/:token', () => {
+    it('should return a redacted view without authentication', async () => {
+      Job.findOne.mockReturnValue({ lean: jest.fn().mockResolvedValue(trackedJob()) });
+
+      const res = await request(app).get('/api/v1/track/secret-token');
+
+      expect(res.statusCode).toBe(200);
+      expect(Job.findOne).toHaveBeenCalledWith({
+        'trackingLink.tokenHash': sha256('secret-token'),
+        'trackingLink.revokedAt': null
+      });
+      expect(res.body.tracking).toEqual(expect.objectContaining({
+        status: 'in-transit',
+        currentPosition: expect.objectContaining({ latitude: 27.75, longitude: 85.35 }),
+        sender: 'S*** S*****',
+        recipient: 'R** T****',
+        driver: 'H*** P*****',
+        progress: 50,
+        eta: expect.any(String),
+        linkExpiresAt: null
+      }));
+
+      const body = JSON.stringify(res.body);
+      ['98', '@example.com', 'Thapa', jobId, driverId].forEach((secret) => {
+        expect(body).not.toContain(secret);
+      });
+    });
+
+    it('should hide the vehicle position until the job is on the road', async () => {
+      Job.findOne.mockReturnValue({ lean: jest.fn().mockResolvedValue(trackedJob({ status: 'pending' })) });
+
+      const res = await request(app).get('/api/v1/track/secret-token');
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.tracking.currentPosition).toBe(null);
+      expect(res.body.tracking.eta).toBe(null);
+    });
+
+    it('should keep working shortly after delivery', async () => {
+      const deliveredAt = daysAgo(1);
+      Job.findOne.mockReturnValue({
+        lean: jest.fn().mockResolvedValue(trackedJob({
+          status: 'delivered',
+          statusHistory: [{ from: 'in-transit', to: 'delivered', changedAt: deliveredAt }]
+        }))
+      });
+
+      const res = await request(app).get('/api/v1/track/secret-token');
+
+      expect(res.statusCode).toBe(200);
+      expect(new Date(res.body.tracking.deliveredAt)).toEqual(deliveredAt);
+      expect(new Date(res.body.tracking.linkExpiresAt)).toEqual(new Date(deliveredAt.getTime() + 3 * 24 * 60 * 60 * 1000));
+      expect(res.body.tracking.currentPosition).toBe(null);
+    });
+
+    it('should return 410 once the grace period after delivery has passed', async () => {
+      Job.findOne.mockReturnValue({
+        lean: jest.fn().mockResolvedValue(trackedJob({
+          status: 'delivered',
+          statusHistory: [{ from: 'in-transit', to: 'delivered', changedAt: daysAgo(4) }]
+        }))
+      });
+
+      const res = await request(app).get('/api/v1/track/secret-token');
+
+      expect(res.statusCode).toBe(410);
+      expect(res.body.message).toBe('Tracking link has expired');
+    });
+
+    it('should return 404 for unknown or revoked tokens', async () => {
+      Job.findOne.mockReturnValue({ lean: jest.fn().mockResolvedValue(null) });
+
+      const res = await request(app).get('/api/v1/track/not-a-token');
+
+      expect(res.statusCode).toBe(404);
+      expect(res.body.message).toBe('Tracking link not found');
+    });
+  });
+});
@@ -0,0 +1,439 @@
+const request = require('supertest');
+const app = require('../../server');
+const jwt = require('jsonwebtoken');
+const Trip = require('../../models/trip.model');
+const Job = require('../../models/job.model');
+const User = require('../../models/user.model');
+const TrackPoint = require('../../models/trackPoint.model');
+const Vehicle = require('../../models/vehicle.model');
+
+// Mock dependencies
+jest.mock('../../models/trip.model');
+jest.mock('../../models/job.model');
+jest.mock('../../models/user.model');
+jest.mock('../../models/trackPoint.model');
+jest.mock('../../models/vehicle.model');
+jest.mock('../../config/db');
+
+// Set test environment variables
+process.env.JWT_SECRET = 'test-jwt-secret-key';
+process.env.NODE_ENV = 'test';
+
+describe('Trip Endpoints', () => {
+  let adminToken, driverToken, otherDriverToken;
+  const adminId = '507f1f77bcf86cd799439011';
+  const driverId = '507f1f77bcf86cd799439012';
+  const tripId = '507f1f77bcf86cd799439020';
+  const jobIds = ['507f1f77bcf86cd799439021', '507f1f77bcf86cd799439022'];
+  const vehicleId = '507f1f77bcf86cd799439030';
+
+  const tripDoc = (overrides = {}) => ({
+    _id: tripId,
+    driverInfo: { id: driverId, name: 'Hari Prasad', phone: '9800000000' },
+    plannedStart: '2026-03-02T06:00:00.000Z',
+    jobs: [...jobIds],
+    status: 'planned',
+    ...overrides
+  });
+
+  // Mocks Job.find(...).lean() for trip job lookups
+  const mockJobLookup = (jobs) => {
+    Job.find.mockReturnValue({ lean: jest.fn().mockResolvedValue(jobs) });
+  };
+
+  beforeAll(() => {
+    adminToken = jwt.sign({ id: adminId, role: 'admin' }, process.env.JWT_SECRET, { expiresIn: '1h' });
+    driverToken = jwt.sign({ id: driverId, role: 'driver' }, process.env.JWT_SECRET, { expiresIn: '1h' });
+    otherDriverToken = jwt.sign({ id: '507f1f77bcf86cd799439013', role: 'driver' }, process.env.JWT_SECRET, { expiresIn: '1h' });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Trip.mockReset();
+    Trip.findById.mockReset();
+    Trip.findOne.mockReset();
+    Trip.findOneAndUpdate.mockReset();
+    Trip.findByIdAndUpdate.mockReset();
+    Job.find.mockReset();
+    Job.updateMany.mockReset();
+  });
+
+  describe('POST /api/v1/trip', () => {
+    const body = {
+      driverId,
+      jobIds,
+      plannedStart: '2026-03-02T06:00:00.000Z',
+      vehicleId
+    };
+
+    beforeEach(() => {
+      Vehicle.findById.mockResolvedValue({ _id: vehicleId, plateNumber: 'BA 2 PA 1234', type: 'van', status: 'active', supports: {} });
+      User.findById.mockResolvedValue({ _id: driverId, role: 'driver', firstName: 'Hari', lastName: 'Prasad', phone: '9800000000' });
+      Trip.mockImplementation((data) => ({
+        save: jest.fn().mockResolvedValue({ _id: tripId, ...data })
+      }));
+    });
+
+    it('should create a trip and assign its unassigned jobs to the driver', async () => {
+      mockJobLookup([
+        { _id: jobIds[0], status: 'pending', driverInfo: null, tripId: null },
+        { _id: jobIds[1], status: 'pending', driverInfo: { id: driverId }, tripId: null }
+      ]);
+      Job.updateMany.mockResolvedValue({ modifiedCount: 2 });
+
+      const res = await request(app)
+        .post('/api/v1/trip')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send(body);
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.trip.jobs).toEqual(jobIds);
+      expect(res.body.trip.driverInfo).toEqual({ id: driverId, name: 'Hari Prasad', phone: '9800000000' });
+      expect(res.body.trip.vehicle).toEqual({ id: vehicleId, plateNumber: 'BA 2 PA 1234', type: 'van' });
+      expect(Job.updateMany).toHaveBeenNthCalledWith(
+        1,
+        { _id: { $in: jobIds }, tripId: null },
+        { $set: { tripId } }
+      );
+      expect(Job.updateMany).toHaveBeenNthCalledWith(
+        2,
+        { tripId },
+        { $set: { vehicleInfo: { id: vehicleId, plateNumber: 'BA 2 PA 1234', type: 'van' } } }
+      );
+      expect(Job.updateMany.mock.calls[2][0]).toEqual({ _id: { $in: jobIds }, driverInfo: null });
+      expect(Job.updateMany.mock.calls[2][1].$set.assignment).toMatchObject({ method: 'manual', reason: 'Added to trip' });
+    });
+
+    it('should reject jobs the vehicle is not fitted for', async () => {
+      mockJobLookup([
+        { _id: jobIds[0], status: 'pending', driverInfo: null, tripId: null, addOns: {} },
+        { _id: jobIds[1], status: 'pending', driverInfo: null, tripId: null, addOns: { heavyItem: true } }
+      ]);
+
+      const res = await request(app)
+        .post('/api/v1/trip')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send(body);
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe(`Job ${jobIds[1]}: Vehicle BA 2 PA 1234 can't carry heavy items`);
+      expect(Trip).not.toHaveBeenCalled();
+    });
+
+    it('should reject a vehicle in maintenance', async () => {
+      Vehicle.findById.mockResolvedValue({ _id: vehicleId, plateNumber: 'BA 2 PA 1234', type: 'van', status: 'in-maintenance' });
+
+      const res = await request(app)
+        .post('/api/v1/trip')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send(body);
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe('Vehicle BA 2 PA 1234 is in-maintenance');
+      expect(Trip).not.toHaveBeenCalled();
+    });
+
+    it('should reject jobs assigned to another driver', async () => {
+      mockJobLookup([
+        { _id: jobIds[0], status: 'pending', driverInfo: null, tripId: null },
+        { _id: jobIds[1], status: 'pending', driverInfo: { id: adminId }, tripId: null }
+      ]);
+
+      const res = await request(app)
+        .post('/api/v1/trip')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send(body);
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe(`Job ${jobIds[1]} is assigned to another driver`);
+      expect(Trip).not.toHaveBeenCalled();
+    });
+
+    it('should reject jobs already on a trip', async () => {
+      mockJobLookup([
+        { _id: jobIds[0], status: 'pending', driverInfo: null, tripId: '507f1f77bcf86cd799439099' },
+        { _id: jobIds[1], status: 'pending', driverInfo: null, tripId: null }
+      ]);
+
+      const res = await request(app)
+        .post('/api/v1/trip')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send(body);
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe(`Job ${jobIds[0]} is already on a trip`);
+    });
+
+    it('should report jobs that do not exist', async () => {
+      mockJobLookup([{ _id: jobIds[0], status: 'pending', driverInfo: null, tripId: null }]);
+
+      const res = await request(app)
+        .post('/api/v1/trip')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send(body);
+
+      expect(res.statusCode).toBe(404);
+      expect(res.body.message).toBe(`Jobs not found: ${jobIds[1]}`);
+    });
+
+    it('should undo the trip when another trip claimed a job meanwhile', async () => {
+      mockJobLookup(jobIds.map((id) => ({ _id: id, status: 'pending', driverInfo: null, tripId: null })));
+      Job.updateMany.mockResolvedValueOnce({ modifiedCount: 1 }).mockResolvedValue({ modifiedCount: 1 });
+
+      const res = await request(app)
+        .post('/api/v1/trip')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send(body);
+
+      expect(res.statusCode).toBe(409);
+      expect(Job.updateMany).toHaveBeenLastCalledWith({ tripId }, { $set: { tripId: null } });
+      expect(Trip.deleteOne).toHaveBeenCalledWith({ _id: tripId });
+    });
+
+    it('should validate the job list and planned start', async () => {
+      const duplicate = await request(app)
+        .post('/api/v1/trip')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ ...body, jobIds: [jobIds[0], jobIds[0]] });
+      const badDate = await request(app)
+        .post('/api/v1/trip')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ ...body, plannedStart: 'tomorrow-ish' });
+
+      expect(duplicate.statusCode).toBe(400);
+      expect(duplicate.body.message).toBe('jobIds must not repeat a job');
+      expect(badDate.statusCode).toBe(400);
+      expect(badDate.body.message).toBe('plannedStart must be a valid date');
+    });
+
+    it('should only let admins create trips', async () => {
+      const res = await request(app)
+        .post('/api/v1/trip')
+        .set('Authorization', `Bearer ${driverToken}`)
+        .send(body);
+
+      expect(res.statusCode).toBe(403);
+    });
+  });
+
+  describe('GET /api/v1/trip', () => {
+    it('should list trips filtered by status and driver', async () => {
+      const chain = {
+        sort: jest.fn(() => chain),
+        skip: jest.fn(() => chain),
+        limit: jest.fn(() => chain),
+        lean: jest.fn().mockResolvedValue([tripDoc()])
+      };
+      Trip.find.mockReturnValue(chain);
+      Trip.countDocuments.mockResolvedValue(1);
+
+      const res = await request(app)
+        .get(`/api/v1/trip?status=planned,in-progress&driverId=${driverId}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.trips).toHaveLength(1);
+      expect(res.body.pagination.total).toBe(1);
+      expect(Trip.find).toHaveBeenCalledWith(
+        { status: { $in: ['planned', 'in-progress'] }, 'driverInfo.id': driverId },
+        null
+      );
+      expect(chain.sort).toHaveBeenCalledWith({ plannedStart: -1, _id: -1 });
+    });
+
+    it('should reject unknown statuses', async () => {
+      const res = await request(app)
+        .get('/api/v1/trip?status=finished')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe('status must be one of planned, in-progress, completed, cancelled');
+    });
+  });
+
+  describe('GET /api/v1/trip/current', () => {
+    it('should return the driver\'s current trip with jobs in trip order', async () => {
+      Trip.findOne.mockReturnValue({
+        sort: jest.fn().mockReturnValue({ lean: jest.fn().mockResolvedValue(tripDoc({ status: 'in-progress' })) })
+      });
+      mockJobLookup([{ _id: jobIds[1], status: 'pending' }, { _id: jobIds[0], status: 'in-transit' }]);
+
+      const res = await request(app)
+        .get('/api/v1/trip/current')
+        .set('Authorization', `Bearer ${driverToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.jobs.map((job) => job._id)).toEqual(jobIds);
+      expect(Trip.findOne).toHaveBeenCalledWith({
+        'driverInfo.id': driverId,
+        status: { $in: ['planned', 'in-progress'] }
+      });
+    });
+
+    it('should return 404 when the driver has no open trip', async () => {
+      Trip.findOne.mockReturnValue({
+        sort: jest.fn().mockReturnValue({ lean: jest.fn().mockResolvedValue(null) })
+      });
+
+      const res = await request(app)
+        .get('/api/v1/trip/current')
+        .set('Authorization', `Bearer ${driverToken}`);
+
+      expect(res.statusCode).toBe(404);
+      expect(res.body.message).toBe('No current trip');
+    });
+  });
+
+  describe('GET /api/v1/trip/:tripId', () => {
+    it('should hide other drivers\' trips', async () => {
+      Trip.findById.mockReturnValue({ lean: jest.fn().mockResolvedValue(tripDoc()) });
+
+      const res = await request(app)
+        .get(`/api/v1/trip/${tripId}`)
+        .set('Authorization', `Bearer ${otherDriverToken}`);
+
+      expect(res.statusCode).toBe(404);
+    });
+  });
+
+  describe('PATCH /api/v1/trip/:tripId/jobs', () => {
+    it('should reorder the trip\'s jobs', async () => {
+      Trip.findById.mockResolvedValue(tripDoc());
+      Trip.findOneAndUpdate.mockImplementation((filter, update) => Promise.resolve(tripDoc({ jobs: update.$set.jobs })));
+
+      const res = await request(app)
+        .patch(`/api/v1/trip/${tripId}/jobs`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ jobIds: [jobIds[1], jobIds[0]] });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.trip.jobs).toEqual([jobIds[1], jobIds[0]]);
+    });
+
+    it('should reject a list with different jobs', async () => {
+      Trip.findById.mockResolvedValue(tripDoc());
+
+      const res = await request(app)
+        .patch(`/api/v1/trip/${tripId}/jobs`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ jobIds: [jobIds[0], '507f1f77bcf86cd799439029'] });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe('jobIds must list exactly the jobs on the trip');
+      expect(Trip.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('PATCH /api/v1/trip/:tripId/close', () => {
+    it('should complete a started trip and release its open jobs', async () => {
+      Trip.findById.mockResolvedValue(tripDoc({ status: 'in-progress' }));
+      Trip.findOneAndUpdate.mockImplementation((filter, update) => Promise.resolve(tripDoc(update.$set)));
+      Job.updateMany.mockResolvedValue({ modifiedCount: 1 });
+
+      const res = await request(app)
+        .patch(`/api/v1/trip/${tripId}/close`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ reason: 'End of shift' });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.trip.status).toBe('completed');
+      expect(res.body.trip.closeReason).toBe('End of shift');
+      expect(res.body.releasedJobs).toBe(1);
+      expect(Job.updateMany).toHaveBeenCalledWith(
+        { tripId, status: { $nin: ['delivered', 'cancelled'] } },
+        { $set: { tripId: null } }
+      );
+    });
+
+    it('should cancel a trip that never started', async () => {
+      Trip.findById.mockResolvedValue(tripDoc());
+      Trip.findOneAndUpdate.mockImplementation((filter, update) => Promise.resolve(tripDoc(update.$set)));
+      Job.updateMany.mockResolvedValue({ modifiedCount: 2 });
+
+      const res = await request(app)
+        .patch(`/api/v1/trip/${tripId}/close`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.trip.status).toBe('cancelled');
+    });
+
+    it('should not close a trip twice', async () => {
+      Trip.findById.mockResolvedValue(tripDoc({ status: 'completed' }));
+
+      const res = await request(app)
+        .patch(`/api/v1/trip/${tripId}/close`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe('Trip is already completed');
+    });
+  });
+
+  describe('PATCH /api/v1/trip/:tripId/location', () => {
+    it('should start the trip and update every open job with one ping', async () => {
+      Trip.findById.mockResolvedValue(tripDoc());
+      Trip.findOneAndUpdate.mockImplementation((filter, update) => Promise.resolve(tripDoc(update.$set)));
+      Job.updateMany.mockResolvedValue({ modifiedCount: 2 });
+      Job.find.mockResolvedValue(jobIds.map((id) => ({ _id: id, status: 'in-transit', driverInfo: { id: driverId } })));
+
+      const res = await request(app)
+        .patch(`/api/v1/trip/${tripId}/location`)
+        .set('Authorization', `Bearer ${driverToken}`)
+        .send({ currentCoords: { latitude: '27.7172', longitude: '85.3240' }, speed: 30 });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.trip.status).toBe('in-progress');
+      expect(res.body.trip.currentCoords).toEqual({ latitude: 27.7172, longitude: 85.324 });
+      expect(res.body.jobs).toHaveLength(2);
+      expect(Trip.findOneAndUpdate.mock.calls[0][0]).toEqual({ _id: tripId, status: 'planned' });
+      expect(Job.updateMany).toHaveBeenCalledWith(
+        { _id: { $in: jobIds }, status: { $nin: ['delivered', 'cancelled'] } },
+        {
+          $set: {
+            currentCoords: { latitude: 27.7172, longitude: 85.324 },
+            currentLocation: { type: 'Point', coordinates: [85.324, 27.7172] },
+            lastLocationAt: expect.any(Date)
+          }
+        }
+      );
+      expect(TrackPoint.create).toHaveBeenCalledTimes(2);
+      expect(TrackPoint.create).toHaveBeenCalledWith(expect.objectContaining({ jobId: jobIds[0], speed: 30 }));
+    });
+
+    it('should not move a trip closed since it was read', async () => {
+      Trip.findById.mockResolvedValue(tripDoc());
+      Trip.findOneAndUpdate.mockResolvedValue(null);
+
+      const res = await request(app)
+        .patch(`/api/v1/trip/${tripId}/location`)
+        .set('Authorization', `Bearer ${driverToken}`)
+        .send({ currentCoords: { latitude: 27.7, longitude: 85.3 } });
+
+      expect(res.statusCode).toBe(409);
+      expect(Job.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('should require valid coordinates', async () => {
+      const res = await request(app)
+        .patch(`/api/v1/trip/${tripId}/location`)
+        .set('Authorization', `Bearer ${driverToken}`)
+        .send({ currentCoords: { latitude: 'north' } });
+
+      expect(res.statusCode).toBe(400);
+      expect(Trip.findById).not.toHaveBeenCalled();
+    });
+
+    it('should not accept pings for another driver\'s trip', async () => {
+      Trip.findById.mockResolvedValue(tripDoc());
+
+      const res = await request(app)
+        .patch(`/api/v1/trip/${tripId}/location`)
+        .set('Authorization', `Bearer ${otherDriverToken}`)
+        .send({ currentCoords: { latitude: 27.7, longitude: 85.3 } });
+
+      expect(res.statusCode).toBe(404);
+      expect(Job.updateMany).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -4,6 +4,7 @@ const jwt = require('jsonwebtoken');
 const User = require('../../models/user.model');
 const bcrypt = require('bcryptjs');
 const { Parser } = require('json2csv');
+const { uploadToCloudinary, deleteFromCloudinary } = require('../../config/cloudinaryConfig');
 
 // Mock dependencies
 jest.mock('../../models/user.model');
@@ -20,13 +21,31 @@ jest.mock('../../config/cloudinaryConfig', () => ({
   uploadToCloudinary: jest.fn().mockResolvedValue({
     secure_url: 'https://cloudinary.com/test-image.jpg',
     public_id: 'test-image-id'
-  })
+  }),
+  deleteFromCloudinary: jest.fn().mockResolvedValue({ result: 'ok' })
 }));
 
 // Set test environment variables
 process.env.JWT_SECRET = 'test-jwt-secret-key';
 process.env.NODE_ENV = 'test';
 
+/**
+ * Mocks the User.find().sort().skip().limit().lean() chain of the paginated
+ * user list; pass an Error to make the query fail
+ */
+const mockUserList = (result) => {
+  const chain = {
+    sort: jest.fn(() => chain),
+    skip: jest.fn(() => chain),
+    limit: jest.fn(() => chain),
+    lean: result instanceof Error
+      ? jest.fn().mockRejectedValue(result)
+      : jest.fn().mockResolvedValue(result)
+  };
+  User.find.mockReturnValue(chain);
+  return chain;
+};
+
 describe('User Controller Integration with Middleware', () => {
   let adminToken, driverToken;
   let adminId, driverId, userId;
@@ -263,6 +282,49 @@ describe('User Controller Integration with Middleware', () => {
     });
   });
 
+  describe('PATCH /api/v1/user/location', () => {
+    it('should store the driver location as a GeoJSON point', async () => {
+      const lastLocationAt = new Date();
+      User.findByIdAndUpdate.mockReturnValue({
+        select: jest.fn().mockResolvedValue({
+          lastLocation: { type: 'Point', coordinates: [85.324, 27.7172] },
+          lastLocationAt
+        })
+      });
+
+      const res = await request(app)
+        .patch('/api/v1/user/location')
+        .set('Authorization', `Bearer ${driverToken}`)
+        .send({ latitude: 27.7172, longitude: 85.324 });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.success).toBe(true);
+      expect(User.findByIdAndUpdate).toHaveBeenCalledWith(
+        driverId,
+        { lastLocation: { type: 'Point', coordinates: [85.324, 27.7172] }, lastLocationAt: expect.any(Date) },
+        { new: true }
+      );
+    });
+
+    it('should return 400 for invalid coordinates', async () => {
+      const res = await request(app)
+        .patch('/api/v1/user/location')
+        .set('Authorization', `Bearer ${driverToken}`)
+        .send({ latitude: 120, longitude: 85.324 });
+
+      expect(res.statusCode).toBe(400);
+      expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should return 401 without authorization header', async () => {
+      const res = await request(app)
+        .patch('/api/v1/user/location')
+        .send({ latitude: 27.7172, longitude: 85.324 });
+
+      expect(res.statusCode).toBe(401);
+    });
+  });
+
   describe('PATCH /api/v1/user/changePassword', () => {
     it('should change password with valid data', async () => {
       const mockUser = {
@@ -509,14 +571,9 @@ describe('User Controller Integration with Middleware', () => {
         { _id: '2', firstName: 'Jane', lastName: 'Smith', role: 'admin' }
       ];
 
-      User.find.mockReturnValue({
-        select: jest.fn().mockReturnValue({
-          sort: jest.fn().mockReturnValue({
-            lean: jest.fn().mockResolvedValue(mockUsers)
-          })
-        })
-      });
+      mockUserList(mockUsers);
 
+      User.countDocuments.mockResolvedValueOnce(2); // matching users
       User.countDocuments.mockResolvedValueOnce(2); // total
       User.countDocuments.mockResolvedValueOnce(1); // drivers
       User.countDocuments.mockResolvedValueOnce(1); // admins
@@ -532,6 +589,15 @@ describe('User Controller Integration with Middleware', () => {
         drivers: 1,
         admins: 1
       });
+      expect(res.body.pagination).toEqual({
+        mode: 'page',
+        limit: 20,
+        sort: '-createdAt',
+        hasNextPage: false,
+        page: 1,
+        total: 2,
+        totalPages: 1
+      });
     });
 
     it('should return 401 without authorization header', async () => {
@@ -556,13 +622,7 @@ describe('User Controller Integration with Middleware', () => {
         { _id: '1', firstName: 'John', lastName: 'Doe', role: 'driver' }
       ];
 
-      User.find.mockReturnValue({
-        select: jest.fn().mockReturnValue({
-          sort: jest.fn().mockReturnValue({
-            lean: jest.fn().mockResolvedValue(mockDrivers)
-          })
-        })
-      });
+      mockUserList(mockDrivers);
 
       User.countDocuments.mockResolvedValue(1);
 
@@ -571,7 +631,7 @@ describe('User Controller Integration with Middleware', () => {
         .set('Authorization', `Bearer ${adminToken}`);
 
       expect(res.statusCode).toBe(200);
-      expect(User.find).toHaveBeenCalledWith({ role: 'driver' });
+      expect(User.find).toHaveBeenCalledWith({ role: 'driver' }, '-password');
     });
 
     it('should search users by name', async () => {
@@ -579,13 +639,7 @@ describe('User Controller Integration with Middleware', () => {
         { _id: '1', firstName: 'John', lastName: 'Doe', role: 'driver' }
       ];
 
-      User.find.mockReturnValue({
-        select: jest.fn().mockReturnValue({
-          sort: jest.fn().mockReturnValue({
-            lean: jest.fn().mockResolvedValue(mockUsers)
-          })
-        })
-      });
+      mockUserList(mockUsers);
 
       User.countDocuments.mockResolvedValue(1);
 
@@ -594,14 +648,51 @@ describe('User Controller Integration with Middleware', () => {
         .set('Authorization', `Bearer ${adminToken}`);
 
       expect(res.statusCode).toBe(200);
-      expect(User.find).toHaveBeenCalledWith({
-        $or: [
-          { firstName: expect.any(RegExp) },
-          { lastName: expect.any(RegExp) },
-          { email: expect.any(RegExp) },
-          { phone: expect.any(RegExp) }
-        ]
-      });
+      expect(User.find).toHaveBeenCalledWith({ $text: { $search: 'John' } }, '-password');
+    });
+
+    it('should find drivers by a differently formatted phone number', async () => {
+      const chain = mockUserList([]);
+      User.countDocuments.mockResolvedValue(0);
+
+      const res = await request(app)
+        .get(`/api/v1/user/getUsers?role=driver&search=${encodeURIComponent('984-123-4567')}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(User.find).toHaveBeenCalledWith(
+        { $text: { $search: '9841234567' }, role: 'driver' },
+        '-password'
+      );
+      expect(chain.sort).toHaveBeenCalledWith({ score: { $meta: 'textScore' }, _id: -1 });
+    });
+
+    it('should page, sort and narrow the user list', async () => {
+      const chain = mockUserList([]);
+      User.countDocuments.mockResolvedValue(45);
+
+      const res = await request(app)
+        .get('/api/v1/user/getUsers?page=3&limit=10&sort=lastName&fields=firstName,lastName&createdFrom=2026-01-01')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(User.find).toHaveBeenCalledWith(
+        { createdAt: { $gte: new Date('2026-01-01') } },
+        { firstName: 1, lastName: 1 }
+      );
+      expect(chain.sort).toHaveBeenCalledWith({ lastName: 1, _id: 1 });
+      expect(chain.skip).toHaveBeenCalledWith(20);
+      expect(res.body.pagination).toEqual(expect.objectContaining({ page: 3, total: 45, totalPages: 5 }));
+    });
+
+    it('should reject fields that are not exposed', async () => {
+      const res = await request(app)
+        .get('/api/v1/user/getUsers?fields=email,password')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe('Unknown fields: password');
+      expect(User.find).not.toHaveBeenCalled();
     });
   });
 
@@ -665,6 +756,191 @@ describe('User Controller Integration with Middleware', () => {
     });
   });
 
+  describe('Driver documents', () => {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const licence = {
+      type: 'licence',
+      number: '01-06-12345678',
+      expiresAt: '2030-01-15T00:00:00.000Z',
+      file: { url: 'https://cloudinary.com/old-licence.pdf', publicId: 'old-licence-id', resourceType: 'image', format: 'pdf' }
+    };
+
+    const uploadLicence = (token, id = driverId) => request(app)
+      .put(`/api/v1/user/${id}/documents/licence`)
+      .set('Authorization', `Bearer ${token}`)
+      .field('number', '01-06-12345678')
+      .field('expiresAt', '2031-01-15')
+      .attach('file', Buffer.from('%PDF-1.4 fake'), { filename: 'licence.pdf', contentType: 'application/pdf' });
+
+    it('should let a driver upload their licence as a PDF', async () => {
+      uploadToCloudinary.mockResolvedValueOnce({
+        secure_url: 'https://cloudinary.com/licence.pdf',
+        public_id: 'licence-id',
+        resource_type: 'image',
+        format: 'pdf'
+      });
+      User.findById.mockResolvedValue({ _id: driverId, role: 'driver', documents: [] });
+      User.findOneAndUpdate.mockResolvedValue({ _id: driverId });
+
+      const res = await uploadLicence(driverToken);
+
+      expect(res.statusCode).toBe(200);
+      expect(uploadToCloudinary).toHaveBeenCalledWith(expect.any(Buffer), { resourceType: 'auto' });
+      expect(res.body.document).toMatchObject({
+        type: 'licence',
+        number: '01-06-12345678',
+        expiresAt: '2031-01-15T00:00:00.000Z',
+        expired: false,
+        file: { url: 'https://cloudinary.com/licence.pdf', publicId: 'licence-id', resourceType: 'image', format: 'pdf' },
+        uploadedBy: { id: driverId, role: 'driver' }
+      });
+      const [filter, update] = User.findOneAndUpdate.mock.calls[0];
+      expect(filter).toEqual({ _id: driverId, 'documents.type': { $ne: 'licence' } });
+      expect(update.$push.documents.type).toBe('licence');
+      expect(deleteFromCloudinary).not.toHaveBeenCalled();
+    });
+
+    it('should replace an earlier document and remove its file', async () => {
+      User.findById.mockResolvedValue({ _id: driverId, role: 'driver', documents: [licence] });
+      User.findOneAndUpdate.mockResolvedValue({ _id: driverId });
+
+      const res = await uploadLicence(adminToken);
+
+      expect(res.statusCode).toBe(200);
+      expect(User.findOneAndUpdate.mock.calls[0][0]).toEqual({
+        _id: driverId,
+        documents: { $elemMatch: { type: 'licence', 'file.publicId': 'old-licence-id' } }
+      });
+      expect(User.findOneAndUpdate.mock.calls[0][1].$set['documents.$'].uploadedBy).toEqual({ id: adminId, role: 'admin' });
+      expect(deleteFromCloudinary).toHaveBeenCalledWith('old-licence-id', { resourceType: 'image' });
+    });
+
+    it('should discard the upload when the document was replaced meanwhile', async () => {
+      uploadToCloudinary.mockResolvedValueOnce({
+        secure_url: 'https://cloudinary.com/licence.pdf',
+        public_id: 'licence-id',
+        resource_type: 'image',
+        format: 'pdf'
+      });
+      User.findById.mockResolvedValue({ _id: driverId, role: 'driver', documents: [licence] });
+      User.findOneAndUpdate.mockResolvedValue(null);
+
+      const res = await uploadLicence(driverToken);
+
+      expect(res.statusCode).toBe(409);
+      expect(deleteFromCloudinary).toHaveBeenCalledTimes(1);
+      expect(deleteFromCloudinary).toHaveBeenCalledWith('licence-id', { resourceType: 'image' });
+    });
+
+    it("should not let a driver upload another driver's documents", async () => {
+      const res = await uploadLicence(driverToken, userId);
+
+      expect(res.statusCode).toBe(403);
+      expect(res.body.message).toBe('Drivers can only manage their own documents');
+      expect(uploadToCloudinary).not.toHaveBeenCalled();
+    });
+
+    it('should reject files that are neither images nor PDFs', async () => {
+      const res = await request(app)
+        .put(`/api/v1/user/${driverId}/documents/insurance`)
+        .set('Authorization', `Bearer ${driverToken}`)
+        .field('number', 'POL-1')
+        .field('expiresAt', '2031-01-15')
+        .attach('file', Buffer.from('plain text'), { filename: 'policy.txt', contentType: 'text/plain' });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe('Only JPEG, PNG or PDF documents are allowed');
+    });
+
+    it('should require a valid expiry date', async () => {
+      const res = await request(app)
+        .put(`/api/v1/user/${driverId}/documents/bluebook`)
+        .set('Authorization', `Bearer ${driverToken}`)
+        .field('number', 'BB-1')
+        .field('expiresAt', 'someday')
+        .attach('file', Buffer.from('fake image data'), 'bluebook.jpg');
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe('expiresAt must be a valid date');
+    });
+
+    it('should list documents expiring within the window, expired ones first', async () => {
+      const now = Date.now();
+      const select = jest.fn().mockReturnValue({
+        lean: jest.fn().mockResolvedValue([
+          {
+            _id: driverId,
+            firstName: 'Hari',
+            lastName: 'Prasad',
+            phone: '9800000000',
+            documents: [
+              { type: 'licence', number: 'L-1', expiresAt: new Date(now + 10 * DAY_MS) },
+              { type: 'insurance', number: 'I-1', expiresAt: new Date(now + 200 * DAY_MS) }
+            ]
+          },
+          {
+            _id: userId,
+            firstName: 'Sita',
+            lastName: 'Rai',
+            phone: '9800000001',
+            documents: [{ type: 'bluebook', number: 'B-1', expiresAt: new Date(now - 3 * DAY_MS) }]
+          }
+        ])
+      });
+      User.find.mockReturnValue({ select });
+
+      const res = await request(app)
+        .get('/api/v1/user/documents/expiring?days=30')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(User.find).toHaveBeenCalledWith({
+        role: 'driver',
+        documents: { $elemMatch: { expiresAt: { $lte: expect.any(Date) } } }
+      });
+      expect(res.body.documents.map((document) => [document.driver.name, document.type, document.expired])).toEqual([
+        ['Sita Rai', 'bluebook', true],
+        ['Hari Prasad', 'licence', false]
+      ]);
+      expect(res.body.documents[1].daysRemaining).toBe(9);
+    });
+
+    it('should reject a window outside 0 to 365 days', async () => {
+      const res = await request(app)
+        .get('/api/v1/user/documents/expiring?days=400')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe('days must be a whole number between 0 and 365');
+    });
+
+    it('should let admins delete a document and its file', async () => {
+      User.findOneAndUpdate.mockResolvedValue({ _id: driverId, documents: [licence] });
+
+      const res = await request(app)
+        .delete(`/api/v1/user/${driverId}/documents/licence`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(User.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: driverId, 'documents.type': 'licence' },
+        { $pull: { documents: { type: 'licence' } } }
+      );
+      expect(deleteFromCloudinary).toHaveBeenCalledWith('old-licence-id', { resourceType: 'image' });
+    });
+
+    it('should return 404 when deleting a document the driver does not have', async () => {
+      User.findOneAndUpdate.mockResolvedValue(null);
+
+      const res = await request(app)
+        .delete(`/api/v1/user/${driverId}/documents/insurance`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(404);
+      expect(res.body.message).toBe('Document not found');
+    });
+  });
+
   describe('Profile Validation Tests (GET /api/v1/user/getProfile/:userId)', () => {
     // Test validation that happens on the getProfile route which uses updateProfileValidation
     it('should return 400 for invalid email format in profile fetch', async () => {
@@ -723,13 +999,7 @@ describe('User Controller Integration with Middleware', () => {
     });
 
     it('should handle database errors gracefully', async () => {
-      User.find.mockReturnValue({
-        select: jest.fn().mockReturnValue({
-          sort: jest.fn().mockReturnValue({
-            lean: jest.fn().mockRejectedValue(new Error('Database connection failed'))
-          })
-        })
-      });
+      mockUserList(new Error('Database connection failed'));
 
       const res = await request(app)
         .get('/api/v1/user/getUsers')
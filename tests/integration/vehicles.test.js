@@ -0,0 +1,544 @@
+const request = require('supertest');
+const app = require('../../server');
+const jwt = require('jsonwebtoken');
+const Vehicle = require('../../models/vehicle.model');
+const Job = require('../../models/job.model');
+const User = require('../../models/user.model');
+const VehicleLog = require('../../models/vehicleLog.model');
+const { uploadToCloudinary } = require('../../config/cloudinaryConfig');
+
+// Mock dependencies
+jest.mock('../../models/vehicle.model');
+jest.mock('../../models/vehicleLog.model');
+jest.mock('../../models/job.model');
+jest.mock('../../models/user.model');
+jest.mock('../../config/db');
+jest.mock('../../config/cloudinaryConfig', () => ({
+  uploadToCloudinary: jest.fn().mockResolvedValue({
+    secure_url: 'https://cloudinary.com/receipt.jpg',
+    public_id: 'receipt-id'
+  }),
+  deleteFromCloudinary: jest.fn().mockResolvedValue({ result: 'ok' })
+}));
+
+// Set test environment variables
+process.env.JWT_SECRET = 'test-jwt-secret-key';
+process.env.NODE_ENV = 'test';
+
+describe('Vehicle Endpoints', () => {
+  let adminToken, driverToken;
+  const adminId = '507f1f77bcf86cd799439011';
+  const driverId = '507f1f77bcf86cd799439012';
+  const vehicleId = '507f1f77bcf86cd799439030';
+
+  const vehicleDoc = (overrides = {}) => ({
+    _id: vehicleId,
+    plateNumber: 'BA 2 PA 1234',
+    type: 'van',
+    capacity: { weightKg: 800, volumeM3: 6 },
+    supports: { heavyItem: true, fragileItems: false },
+    status: 'active',
+    driverInfo: null,
+    ...overrides
+  });
+
+  beforeAll(() => {
+    adminToken = jwt.sign({ id: adminId, role: 'admin' }, process.env.JWT_SECRET, { expiresIn: '1h' });
+    driverToken = jwt.sign({ id: driverId, role: 'driver' }, process.env.JWT_SECRET, { expiresIn: '1h' });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Vehicle.mockReset();
+    Vehicle.findById.mockReset();
+    Vehicle.findByIdAndUpdate.mockReset();
+    User.findById.mockReset();
+    VehicleLog.mockReset();
+    VehicleLog.mockImplementation((data) => ({
+      save: jest.fn().mockResolvedValue({ _id: '507f1f77bcf86cd799439040', ...data })
+    }));
+  });
+
+  describe('POST /api/v1/vehicle', () => {
+    it('should create a vehicle with a normalised plate number', async () => {
+      Vehicle.mockImplementation((data) => ({
+        save: jest.fn().mockResolvedValue({ _id: vehicleId, ...data })
+      }));
+
+      const res = await request(app)
+        .post('/api/v1/vehicle')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ plateNumber: ' ba 2 pa 1234 ', type: 'van', capacity: { weightKg: 800 }, supports: { heavyItem: true } });
+
+      expect(res.statusCode).toBe(201);
+      expect(Vehicle).toHaveBeenCalledWith({
+        plateNumber: 'BA 2 PA 1234',
+        type: 'van',
+        'capacity.weightKg': 800,
+        'capacity.volumeM3': null,
+        'supports.heavyItem': true,
+        'supports.fragileItems': false
+      });
+    });
+
+    it('should reject an unknown type', async () => {
+      const res = await request(app)
+        .post('/api/v1/vehicle')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ plateNumber: 'BA 2 PA 1234', type: 'boat' });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe('type must be one of bike, car, van, pickup, truck');
+      expect(Vehicle).not.toHaveBeenCalled();
+    });
+
+    it('should answer a duplicate plate number with 409', async () => {
+      Vehicle.mockImplementation(() => ({
+        save: jest.fn().mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }))
+      }));
+
+      const res = await request(app)
+        .post('/api/v1/vehicle')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ plateNumber: 'BA 2 PA 1234', type: 'van' });
+
+      expect(res.statusCode).toBe(409);
+      expect(res.body.message).toBe('A vehicle with this plate number already exists');
+    });
+
+    it('should be admin only', async () => {
+      const res = await request(app)
+        .post('/api/v1/vehicle')
+        .set('Authorization', `Bearer ${driverToken}`)
+        .send({ plateNumber: 'BA 2 PA 1234', type: 'van' });
+
+      expect(res.statusCode).toBe(403);
+    });
+  });
+
+  describe('GET /api/v1/vehicle', () => {
+    it('should filter by status, supports and assignment', async () => {
+      const chain = {
+        sort: jest.fn(() => chain),
+        skip: jest.fn(() => chain),
+        limit: jest.fn(() => chain),
+        lean: jest.fn().mockResolvedValue([vehicleDoc()])
+      };
+      Vehicle.find.mockReturnValue(chain);
+      Vehicle.countDocuments.mockResolvedValue(1);
+
+      const res = await request(app)
+        .get('/api/v1/vehicle?status=active&supports=heavyItem&assigned=false')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.vehicles).toHaveLength(1);
+      expect(Vehicle.find.mock.calls[0][0]).toEqual({
+        status: 'active',
+        'supports.heavyItem': true,
+        driverInfo: null
+      });
+    });
+
+    it('should reject an unknown supports value', async () => {
+      const res = await request(app)
+        .get('/api/v1/vehicle?supports=liquids')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe('supports must list heavyItem and/or fragileItems');
+    });
+  });
+
+  describe('GET /api/v1/vehicle/:vehicleId', () => {
+    it('should return 404 for an unknown vehicle', async () => {
+      Vehicle.findById.mockReturnValue({ lean: jest.fn().mockResolvedValue(null) });
+
+      const res = await request(app)
+        .get(`/api/v1/vehicle/${vehicleId}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(404);
+      expect(res.body.message).toBe('Vehicle Not Found');
+    });
+  });
+
+  describe('PATCH /api/v1/vehicle/:vehicleId', () => {
+    it("should update the vehicle and copy its supports to the driver", async () => {
+      Vehicle.findByIdAndUpdate.mockResolvedValue(vehicleDoc({
+        supports: { heavyItem: true, fragileItems: true },
+        driverInfo: { id: driverId, name: 'Hari Prasad', phone: '9800000000' }
+      }));
+
+      const res = await request(app)
+        .patch(`/api/v1/vehicle/${vehicleId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ supports: { fragileItems: true } });
+
+      expect(res.statusCode).toBe(200);
+      expect(Vehicle.findByIdAndUpdate).toHaveBeenCalledWith(
+        vehicleId,
+        { $set: { 'supports.fragileItems': true } },
+        { new: true, runValidators: true }
+      );
+      expect(User.findByIdAndUpdate).toHaveBeenCalledWith(driverId, {
+        vehicleCapabilities: { heavyItem: true, fragileItems: true }
+      });
+    });
+
+    it('should reject an empty update', async () => {
+      const res = await request(app)
+        .patch(`/api/v1/vehicle/${vehicleId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({});
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe('No vehicle fields to update');
+    });
+  });
+
+  describe('DELETE /api/v1/vehicle/:vehicleId', () => {
+    it('should refuse to delete a vehicle carrying open jobs', async () => {
+      Vehicle.findById.mockResolvedValue(vehicleDoc());
+      Job.countDocuments.mockResolvedValue(2);
+
+      const res = await request(app)
+        .delete(`/api/v1/vehicle/${vehicleId}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe('Vehicle is carrying 2 open job(s)');
+      expect(Vehicle.deleteOne).not.toHaveBeenCalled();
+    });
+
+    it("should delete the vehicle and clear its driver's capabilities", async () => {
+      Vehicle.findById.mockResolvedValue(vehicleDoc({ driverInfo: { id: driverId } }));
+      Job.countDocuments.mockResolvedValue(0);
+
+      const res = await request(app)
+        .delete(`/api/v1/vehicle/${vehicleId}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(Vehicle.deleteOne).toHaveBeenCalledWith({ _id: vehicleId });
+      expect(User.findByIdAndUpdate).toHaveBeenCalledWith(driverId, {
+        vehicleCapabilities: { heavyItem: false, fragileItems: false }
+      });
+    });
+  });
+
+  describe('PATCH /api/v1/vehicle/:vehicleId/driver', () => {
+    const driver = { _id: driverId, role: 'driver', firstName: 'Hari', lastName: 'Prasad', phone: '9800000000' };
+
+    it("should assign the driver, free their other vehicle and sync capabilities", async () => {
+      Vehicle.findById.mockResolvedValue(vehicleDoc());
+      User.findById.mockResolvedValue(driver);
+      Vehicle.findByIdAndUpdate.mockImplementation((id, update) => Promise.resolve(vehicleDoc(update)));
+
+      const res = await request(app)
+        .patch(`/api/v1/vehicle/${vehicleId}/driver`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ driverId });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.vehicle.driverInfo).toEqual({ id: driverId, name: 'Hari Prasad', phone: '9800000000' });
+      expect(Vehicle.updateMany).toHaveBeenCalledWith(
+        { 'driverInfo.id': driverId, _id: { $ne: vehicleId } },
+        { driverInfo: null }
+      );
+      expect(User.findByIdAndUpdate).toHaveBeenCalledWith(driverId, {
+        vehicleCapabilities: { heavyItem: true, fragileItems: false }
+      });
+    });
+
+    it('should not assign a vehicle in maintenance', async () => {
+      Vehicle.findById.mockResolvedValue(vehicleDoc({ status: 'in-maintenance' }));
+
+      const res = await request(app)
+        .patch(`/api/v1/vehicle/${vehicleId}/driver`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ driverId });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe('Cannot assign a vehicle that is in-maintenance');
+      expect(Vehicle.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should reject a user who is not a driver', async () => {
+      Vehicle.findById.mockResolvedValue(vehicleDoc());
+      User.findById.mockResolvedValue({ ...driver, role: 'admin' });
+
+      const res = await request(app)
+        .patch(`/api/v1/vehicle/${vehicleId}/driver`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ driverId });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe('Invalid or Non-driver User');
+    });
+
+    it("should unassign the vehicle and reset the driver's capabilities", async () => {
+      Vehicle.findById.mockResolvedValue(vehicleDoc({ driverInfo: { id: driverId } }));
+      Vehicle.findByIdAndUpdate.mockResolvedValue(vehicleDoc());
+
+      const res = await request(app)
+        .patch(`/api/v1/vehicle/${vehicleId}/driver`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ driverId: null });
+
+      expect(res.statusCode).toBe(200);
+      expect(Vehicle.findByIdAndUpdate).toHaveBeenCalledWith(vehicleId, { driverInfo: null }, { new: true });
+      expect(User.findByIdAndUpdate).toHaveBeenCalledWith(driverId, {
+        vehicleCapabilities: { heavyItem: false, fragileItems: false }
+      });
+    });
+  });
+
+  describe('Running cost logs', () => {
+    beforeEach(() => {
+      Vehicle.findById.mockResolvedValue(vehicleDoc());
+    });
+
+    it('should log a fuel fill-up priced from litres and keep the highest odometer reading', async () => {
+      const res = await request(app)
+        .post(`/api/v1/vehicle/${vehicleId}/fuel`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ litres: 12.5, pricePerLitre: 174, odometerKm: 15230, occurredAt: '2026-03-02T08:00:00.000Z' });
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.log).toMatchObject({
+        kind: 'fuel',
+        amount: 2175,
+        fuel: { litres: 12.5, pricePerLitre: 174 },
+        odometerKm: 15230,
+        loggedBy: { id: adminId, role: 'admin' }
+      });
+      expect(Vehicle.updateOne).toHaveBeenCalledTimes(1);
+      expect(Vehicle.updateOne).toHaveBeenCalledWith({ _id: vehicleId }, { $max: { odometerKm: 15230 } });
+    });
+
+    it('should require an odometer reading for fill-ups', async () => {
+      const res = await request(app)
+        .post(`/api/v1/vehicle/${vehicleId}/fuel`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ litres: 12.5, pricePerLitre: 174 });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe('odometerKm is required');
+      expect(VehicleLog).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for an unknown vehicle', async () => {
+      Vehicle.findById.mockResolvedValue(null);
+
+      const res = await request(app)
+        .post(`/api/v1/vehicle/${vehicleId}/fuel`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ litres: 12.5, pricePerLitre: 174, odometerKm: 15230 });
+
+      expect(res.statusCode).toBe(404);
+      expect(res.body.message).toBe('Vehicle Not Found');
+    });
+
+    it('should log a service and set the next one unless a later service was logged', async () => {
+      const res = await request(app)
+        .post(`/api/v1/vehicle/${vehicleId}/maintenance`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          description: 'Oil change',
+          amount: 3500,
+          odometerKm: 15000,
+          nextDueOdometerKm: 20000,
+          nextDueDate: '2026-09-01T00:00:00.000Z',
+          occurredAt: '2026-03-01T00:00:00.000Z'
+        });
+
+      const servicedAt = new Date('2026-03-01T00:00:00.000Z');
+      expect(res.statusCode).toBe(201);
+      expect(Vehicle.updateOne).toHaveBeenLastCalledWith(
+        { _id: vehicleId, $or: [{ nextService: null }, { 'nextService.servicedAt': { $lte: servicedAt } }] },
+        { $set: { nextService: { servicedAt, dueOdometerKm: 20000, dueDate: new Date('2026-09-01T00:00:00.000Z') } } }
+      );
+    });
+
+    it('should reject a next service reading below the current one', async () => {
+      const res = await request(app)
+        .post(`/api/v1/vehicle/${vehicleId}/maintenance`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ description: 'Oil change', amount: 3500, odometerKm: 15000, nextDueOdometerKm: 14000 });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe('nextDueOdometerKm must be above odometerKm');
+    });
+
+    it('should log an expense with its receipt image', async () => {
+      const res = await request(app)
+        .post(`/api/v1/vehicle/${vehicleId}/expenses`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .field('category', 'toll')
+        .field('amount', '150')
+        .attach('receipt', Buffer.from('fake-image'), 'receipt.jpg');
+
+      expect(res.statusCode).toBe(201);
+      expect(uploadToCloudinary).toHaveBeenCalledTimes(1);
+      expect(res.body.log).toMatchObject({
+        kind: 'expense',
+        amount: 150,
+        odometerKm: null,
+        expense: { category: 'toll', description: null },
+        receipt: { url: 'https://cloudinary.com/receipt.jpg', publicId: 'receipt-id' }
+      });
+      expect(Vehicle.updateOne).not.toHaveBeenCalled();
+    });
+
+    it("should list a vehicle's logs of one kind", async () => {
+      const chain = {
+        sort: jest.fn(() => chain),
+        skip: jest.fn(() => chain),
+        limit: jest.fn(() => chain),
+        lean: jest.fn().mockResolvedValue([])
+      };
+      VehicleLog.find.mockReturnValue(chain);
+      VehicleLog.countDocuments.mockResolvedValue(0);
+
+      const res = await request(app)
+        .get(`/api/v1/vehicle/${vehicleId}/logs?kind=fuel`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(VehicleLog.find.mock.calls[0][0]).toEqual({ kind: 'fuel', vehicleId });
+      expect(chain.sort).toHaveBeenCalledWith({ occurredAt: -1, _id: -1 });
+    });
+
+    it('should reject an invalid vehicle ID when listing logs', async () => {
+      const res = await request(app)
+        .get('/api/v1/vehicle/not-an-id/logs')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe('Invalid vehicle ID');
+      expect(VehicleLog.find).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 when listing the logs of an unknown vehicle', async () => {
+      Vehicle.findById.mockResolvedValue(null);
+
+      const res = await request(app)
+        .get(`/api/v1/vehicle/${vehicleId}/logs`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(404);
+      expect(res.body.message).toBe('Vehicle Not Found');
+      expect(VehicleLog.find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/v1/vehicle/service-reminders', () => {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    it('should list overdue services first and leave out ones not due soon', async () => {
+      const now = Date.now();
+      Vehicle.find.mockReturnValue({
+        lean: jest.fn().mockResolvedValue([
+          vehicleDoc({
+            _id: 'upcoming-by-date',
+            odometerKm: 15000,
+            nextService: { servicedAt: new Date(now - 170 * DAY_MS), dueOdometerKm: 20000, dueDate: new Date(now + 5 * DAY_MS) }
+          }),
+          vehicleDoc({
+            _id: 'overdue-by-km',
+            odometerKm: 20100,
+            nextService: { servicedAt: new Date(now - 30 * DAY_MS), dueOdometerKm: 20000, dueDate: null }
+          }),
+          vehicleDoc({
+            _id: 'not-due',
+            odometerKm: 15000,
+            nextService: { servicedAt: new Date(now - 10 * DAY_MS), dueOdometerKm: 20000, dueDate: new Date(now + 90 * DAY_MS) }
+          })
+        ])
+      });
+
+      const res = await request(app)
+        .get('/api/v1/vehicle/service-reminders')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(Vehicle.find).toHaveBeenCalledWith({ nextService: { $ne: null } });
+      expect(res.body.reminders.map((reminder) => reminder.vehicle.id)).toEqual(['overdue-by-km', 'upcoming-by-date']);
+      expect(res.body.reminders[0]).toMatchObject({ status: 'overdue', kmRemaining: -100 });
+      expect(res.body.reminders[1]).toMatchObject({ status: 'upcoming', kmRemaining: 5000, daysRemaining: 4 });
+    });
+
+    it('should reject an unknown status', async () => {
+      const res = await request(app)
+        .get('/api/v1/vehicle/service-reminders?status=soon')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe('status must be one of overdue, upcoming');
+    });
+  });
+
+  describe('GET /api/v1/vehicle/cost-per-km', () => {
+    it('should report costs per vehicle over the odometer spread', async () => {
+      VehicleLog.aggregate.mockResolvedValue([
+        {
+          _id: vehicleId,
+          vehicle: { plateNumber: 'BA 2 PA 1234', type: 'van' },
+          fuelCost: 8700,
+          maintenanceCost: 3500,
+          expenseCost: 150,
+          totalCost: 12350,
+          litres: 50,
+          minOdometerKm: 15000,
+          maxOdometerKm: 15650,
+          entries: 6
+        },
+        {
+          _id: '507f1f77bcf86cd799439031',
+          vehicle: { plateNumber: 'BA 3 PA 99', type: 'bike' },
+          fuelCost: 0,
+          maintenanceCost: 0,
+          expenseCost: 100,
+          totalCost: 100,
+          litres: 0,
+          minOdometerKm: null,
+          maxOdometerKm: null,
+          entries: 1
+        }
+      ]);
+
+      const res = await request(app)
+        .get('/api/v1/vehicle/cost-per-km?from=2026-03-01&to=2026-04-01')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.vehicles[0]).toEqual({
+        vehicleId,
+        plateNumber: 'BA 2 PA 1234',
+        type: 'van',
+        entries: 6,
+        fuelCost: 8700,
+        maintenanceCost: 3500,
+        expenseCost: 150,
+        totalCost: 12350,
+        litres: 50,
+        distanceKm: 650,
+        costPerKm: 19
+      });
+      expect(res.body.vehicles[1]).toMatchObject({ distanceKm: 0, costPerKm: null });
+      expect(VehicleLog.aggregate.mock.calls[0][0][0]).toEqual({
+        $match: { occurredAt: { $gte: new Date('2026-03-01'), $lt: new Date('2026-04-01') } }
+      });
+    });
+
+    it('should reject an invalid range', async () => {
+      const res = await request(app)
+        .get('/api/v1/vehicle/cost-per-km?from=2026-04-01&to=2026-03-01')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe('from must be before to');
+    });
+  });
+});
@@ -0,0 +1,208 @@
+/**
+ * @module utils/analytics
+ * @description Aggregation pipelines and KPI calculations for job performance reports
+ */
+const { JOB_STATUSES } = require("./jobStatus");
+const { EARTH_RADIUS_KM } = require("./geo");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 7;
+
+/**
+ * Parses the `from`/`to` report range, defaulting to the last seven days
+ * `to` is exclusive.
+ *
+ * @function parseDateRange
+ * @param {Object} query - { from, to } ISO date strings
+ * @param {Date} [now] - Reference time for the default range
+ * @returns {Object} { from, to } as Dates
+ * @throws {Error} If a date is invalid or the range is empty
+ */
+const parseDateRange = ({ from, to }, now = new Date()) => {
+    const end = to ? new Date(to) : now;
+    const start = from ? new Date(from) : new Date(end.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+        throw new Error("from and to must be valid dates");
+    }
+    if (start >= end) {
+        throw new Error("from must be before to");
+    }
+    return { from: start, to: end };
+};
+
+/**
+ * Picks the time of the first (or last) status history entry moving to `status`
+ */
+const statusChangedAt = (status, accumulator) => ({
+    [accumulator]: {
+        $map: {
+            input: { $filter: { input: { $ifNull: ["$statusHistory", []] }, cond: { $eq: ["$$this.to", status] } } },
+            in: "$$this.changedAt",
+        },
+    },
+});
+
+const countWhen = (condition) => ({ $sum: { $cond: [condition, 1, 0] } });
+
+/**
+ * Builds the Job aggregation that collects raw KPI counts for jobs created in a range
+ *
+ * @function buildJobKpiPipeline
+ * @param {Object} range - { from, to }
+ * @param {Object} [options]
+ * @param {string} [options.driverId] - Only jobs of this driver
+ * @param {boolean} [options.perDriver] - Group per assigned driver instead of overall
+ * @returns {Object[]} Aggregation pipeline
+ */
+const buildJobKpiPipeline = ({ from, to }, { driverId, perDriver = false } = {}) => {
+    const match = { createdAt: { $gte: from, $lt: to } };
+    if (driverId) {
+        match["driverInfo.id"] = driverId;
+    } else if (perDriver) {
+        match["driverInfo.id"] = { $ne: null };
+    }
+
+    const isDelivered = { $eq: ["$status", "delivered"] };
+    const hasDeadline = { $and: [isDelivered, { $ne: ["$deliveredAt", null] }, { $ne: ["$deadline", null] }] };
+
+    const group = {
+        _id: perDriver ? "$driverInfo.id" : null,
+        totalJobs: { $sum: 1 },
+        urgentJobs: countWhen({ $eq: ["$isUrgent", true] }),
+        // $avg skips the nulls of jobs that never ran from pickup to delivery
+        avgDurationMs: {
+            $avg: {
+                $cond: [
+                    { $and: [isDelivered, { $ne: ["$startedAt", null] }, { $ne: ["$deliveredAt", null] }] },
+                    { $subtract: ["$deliveredAt", "$startedAt"] },
+                    null,
+                ],
+            },
+        },
+        onTimeEligible: countWhen(hasDeadline),
+        onTime: countWhen({ $and: [hasDeadline, { $lte: ["$deliveredAt", "$deadline"] }] }),
+    };
+    JOB_STATUSES.forEach((status) => {
+        group[status] = countWhen({ $eq: ["$status", status] });
+    });
+    if (perDriver) {
+        group.driverName = { $last: "$driverInfo.name" };
+    }
+
+    return [
+        { $match: match },
+        {
+            $addFields: {
+                startedAt: statusChangedAt("in-transit", "$min"),
+                deliveredAt: statusChangedAt("delivered", "$max"),
+                // The trailing null keeps `deadline` present on unscheduled jobs, as
+                // $ne treats a missing field as different from null
+                deadline: { $ifNull: ["$promisedBy", "$deliveryWindow.latest", null] },
+            },
+        },
+        { $sort: { createdAt: 1 } },
+        { $group: group },
+    ];
+};
+
+/**
+ * Haversine distance between a breadcrumb and the previous one, as an
+ * aggregation expression
+ */
+const segmentKmExpression = () => {
+    const rad = (field) => ({ $degreesToRadians: field });
+    const halfDelta = (a, b) => ({ $divide: [{ $subtract: [rad(a), rad(b)] }, 2] });
+    const sinSquared = (expression) => ({ $pow: [{ $sin: expression }, 2] });
+    const a = {
+        $add: [
+            sinSquared(halfDelta("$latitude", "$prevLatitude")),
+            {
+                $multiply: [
+                    { $cos: rad("$latitude") },
+                    { $cos: rad("$prevLatitude") },
+                    sinSquared(halfDelta("$longitude", "$prevLongitude")),
+                ],
+            },
+        ],
+    };
+    return { $multiply: [2 * EARTH_RADIUS_KM, { $asin: { $sqrt: { $min: [1, a] } } }] };
+};
+
+/**
+ * Builds the TrackPoint aggregation that sums the distance driven in a range
+ * Consecutive breadcrumbs of each job are paired with $setWindowFields, so a
+ * gap between two jobs never counts as driving.
+ *
+ * @function buildDistancePipeline
+ * @param {Object} range - { from, to }
+ * @param {Object} [options]
+ * @param {string} [options.driverId] - Only breadcrumbs of this driver
+ * @param {boolean} [options.perDriver] - Group per driver instead of overall
+ * @returns {Object[]} Aggregation pipeline
+ */
+const buildDistancePipeline = ({ from, to }, { driverId, perDriver = false } = {}) => {
+    const match = { recordedAt: { $gte: from, $lt: to } };
+    if (driverId) {
+        match.driverId = driverId;
+    }
+
+    return [
+        { $match: match },
+        {
+            $setWindowFields: {
+                partitionBy: "$jobId",
+                sortBy: { recordedAt: 1 },
+                output: {
+                    prevLatitude: { $shift: { output: "$latitude", by: -1 } },
+                    prevLongitude: { $shift: { output: "$longitude", by: -1 } },
+                },
+            },
+        },
+        { $match: { prevLatitude: { $ne: null } } },
+        {
+            $group: {
+                _id: perDriver ? "$driverId" : null,
+                distanceKm: { $sum: segmentKmExpression() },
+            },
+        },
+    ];
+};
+
+const percentage = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 10 : null);
+
+/**
+ * Turns the raw counts of buildJobKpiPipeline into report KPIs
+ *
+ * @function toKpis
+ * @param {Object} [counts] - One group from buildJobKpiPipeline
+ * @param {number} [distanceKm] - Distance driven from buildDistancePipeline
+ * @returns {Object} KPIs with rates as percentages
+ */
+const toKpis = (counts = {}, distanceKm = 0) => {
+    const totalJobs = counts.totalJobs || 0;
+    const byStatus = {};
+    JOB_STATUSES.forEach((status) => {
+        byStatus[status] = counts[status] || 0;
+    });
+
+    return {
+        totalJobs,
+        byStatus,
+        completionRate: percentage(byStatus.delivered, totalJobs),
+        cancellationRate: percentage(byStatus.cancelled, totalJobs),
+        onTimeRate: percentage(counts.onTime || 0, counts.onTimeEligible || 0),
+        onTimeEligible: counts.onTimeEligible || 0,
+        avgPickupToDeliveryMinutes: typeof counts.avgDurationMs === "number"
+            ? Math.round(counts.avgDurationMs / 60000)
+            : null,
+        urgentShare: percentage(counts.urgentJobs || 0, totalJobs),
+        distanceKm: Math.round(distanceKm * 10) / 10,
+    };
+};
+
+module.exports = {
+    parseDateRange,
+    buildJobKpiPipeline,
+    buildDistancePipeline,
+    toKpis,
+};
@@ -0,0 +1,269 @@
+/**
+ * @module utils/delayMonitor
+ * @description Background check that flags open jobs which look like they
+ * will be late and escalates in-transit jobs to `delayed`
+ */
+const Job = require("../models/job.model");
+const TrackPoint = require("../models/trackPoint.model");
+const delayConfig = require("../config/delayConfig");
+const { haversineKm } = require("./geo");
+const { getRecentSpeeds, computeEta } = require("./eta");
+const { transitionJobStatus } = require("./jobStatus");
+
+const MONITORED_STATUSES = ["pending", "in-transit", "delayed"];
+const ACTIVE_STATUSES = ["in-transit", "delayed"];
+const MINUTE_MS = 60 * 1000;
+
+// Minutes over a threshold are weighted by how strongly they predict a late delivery
+const SEVERITY_WEIGHTS = {
+    "deadline-passed": 4,
+    "eta-past-deadline": 3,
+    "stale-location": 2,
+    "stationary": 1,
+};
+const DELAYED_REASONS = ["deadline-passed", "eta-past-deadline"];
+
+// Only what assessJob, the ETA and the status transition read
+const CHECK_PROJECTION = {
+    status: 1,
+    promisedBy: 1,
+    pickupInfo: 1,
+    dropoffInfo: 1,
+    currentCoords: 1,
+    lastLocationAt: 1,
+    "statusHistory.to": 1,
+    "statusHistory.changedAt": 1,
+    updatedAt: 1,
+    risk: 1,
+};
+
+const minutesBetween = (from, to) => Math.round((new Date(to) - new Date(from)) / MINUTE_MS);
+
+/**
+ * Works out for how long the vehicle has stayed near its latest breadcrumb
+ *
+ * @function stationaryMinutes
+ * @param {Object[]} points - Track points ordered by recordedAt
+ * @returns {number} Minutes spent within the stationary radius
+ */
+const stationaryMinutes = (points) => {
+    if (points.length < 2) {
+        return 0;
+    }
+    const latest = points[points.length - 1];
+    let since = latest;
+    for (let i = points.length - 2; i >= 0; i--) {
+        if (haversineKm(points[i], latest) * 1000 > delayConfig.stationaryRadiusM) break;
+        since = points[i];
+    }
+    return minutesBetween(since.recordedAt, latest.recordedAt);
+};
+
+/**
+ * Finds the time a job last moved into an active status, for jobs that have
+ * never reported a position
+ */
+const activeSince = (job) => {
+    const change = [...(job.statusHistory || [])].reverse().find((entry) => ACTIVE_STATUSES.includes(entry.to));
+    return change?.changedAt || job.updatedAt;
+};
+
+/**
+ * Assesses whether a job is at risk of being late
+ *
+ * @function assessJob
+ * @param {Object} job - Open job
+ * @param {Object} [options]
+ * @param {Object[]} [options.points] - Recent track points, ordered by recordedAt
+ * @param {number|null} [options.speedKmh] - Recently measured speed
+ * @param {Date} [options.now] - Reference time
+ * @returns {Object|null} { level, severity, reasons } or null if the job looks on time
+ */
+const assessJob = (job, { points = [], speedKmh = null, now = new Date() } = {}) => {
+    const reasons = [];
+    const active = ACTIVE_STATUSES.includes(job.status);
+
+    if (active) {
+        const staleFor = minutesBetween(job.lastLocationAt || activeSince(job), now);
+        if (staleFor >= delayConfig.staleAfterMinutes) {
+            reasons.push({
+                code: "stale-location",
+                message: `No location update for ${staleFor} minutes`,
+                minutesOver: staleFor - delayConfig.staleAfterMinutes,
+            });
+        }
+
+        const stoppedFor = stationaryMinutes(points);
+        if (stoppedFor >= delayConfig.stationaryAfterMinutes) {
+            reasons.push({
+                code: "stationary",
+                message: `Vehicle has not moved for ${stoppedFor} minutes`,
+                minutesOver: stoppedFor - delayConfig.stationaryAfterMinutes,
+            });
+        }
+    }
+
+    if (job.promisedBy) {
+        const promisedBy = new Date(job.promisedBy);
+        const { eta } = computeEta(job, { speedKmh, now });
+        if (promisedBy <= now) {
+            reasons.push({
+                code: "deadline-passed",
+                message: `Promised delivery time passed ${minutesBetween(promisedBy, now)} minutes ago`,
+                minutesOver: minutesBetween(promisedBy, now),
+            });
+        } else if (eta && eta > promisedBy) {
+            reasons.push({
+                code: "eta-past-deadline",
+                message: `Expected ${minutesBetween(promisedBy, eta)} minutes after the promised time`,
+                minutesOver: minutesBetween(promisedBy, eta),
+            });
+        }
+    }
+
+    if (reasons.length === 0) {
+        return null;
+    }
+
+    const severity = reasons.reduce((sum, reason) => sum + (reason.minutesOver + 1) * SEVERITY_WEIGHTS[reason.code], 0);
+    return {
+        level: reasons.some((reason) => DELAYED_REASONS.includes(reason.code)) ? "delayed" : "at-risk",
+        severity,
+        reasons,
+    };
+};
+
+/**
+ * Loads the recent breadcrumbs of several jobs, grouped per job
+ */
+const getRecentPoints = async (jobIds, now) => {
+    if (jobIds.length === 0) {
+        return new Map();
+    }
+    const since = new Date(now.getTime() - 2 * delayConfig.stationaryAfterMinutes * MINUTE_MS);
+    const points = await TrackPoint.find(
+        { jobId: { $in: jobIds }, recordedAt: { $gte: since } },
+        { jobId: 1, latitude: 1, longitude: 1, recordedAt: 1, _id: 0 }
+    ).sort({ recordedAt: 1 }).lean();
+
+    const byJob = new Map();
+    points.forEach((point) => {
+        const key = String(point.jobId);
+        if (!byJob.has(key)) byJob.set(key, []);
+        byJob.get(key).push(point);
+    });
+    return byJob;
+};
+
+/**
+ * Checks every open job once, storing or clearing its risk and escalating
+ * in-transit jobs that are expected to miss their deadline
+ * A job's risk is rewritten on every check so its severity, minute counts
+ * and checkedAt stay current; detectedAt keeps the first detection.
+ *
+ * @async
+ * @function runDelayCheck
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<Object>} { checked, atRisk, escalated }
+ */
+const runDelayCheck = async (now = new Date()) => {
+    const jobs = await Job.find({ status: { $in: MONITORED_STATUSES } }, CHECK_PROJECTION).lean();
+    const activeIds = jobs.filter((job) => ACTIVE_STATUSES.includes(job.status)).map((job) => job._id);
+    const [pointsByJob, speeds] = await Promise.all([
+        getRecentPoints(activeIds, now),
+        getRecentSpeeds(activeIds, now),
+    ]);
+
+    const operations = [];
+    const toEscalate = [];
+    let atRisk = 0;
+    jobs.forEach((job) => {
+        const key = String(job._id);
+        const assessment = assessJob(job, {
+            points: pointsByJob.get(key) || [],
+            speedKmh: speeds.get(key) ?? null,
+            now,
+        });
+
+        if (!assessment) {
+            if (job.risk) {
+                operations.push({ updateOne: { filter: { _id: job._id }, update: { $set: { risk: null } } } });
+            }
+            return;
+        }
+
+        atRisk++;
+        const risk = {
+            ...assessment,
+            detectedAt: job.risk?.detectedAt || now,
+            checkedAt: now,
+        };
+        operations.push({ updateOne: { filter: { _id: job._id }, update: { $set: { risk } } } });
+        if (delayConfig.autoEscalate && risk.level === "delayed" && job.status === "in-transit") {
+            toEscalate.push({ job, risk });
+        }
+    });
+
+    if (operations.length) {
+        await Job.bulkWrite(operations, { ordered: false });
+    }
+
+    let escalated = 0;
+    for (const { job, risk } of toEscalate) {
+        const updated = await transitionJobStatus(job, "delayed", {
+            changedBy: { id: null, role: "system" },
+            reason: risk.reasons.map((reason) => reason.message).join("; "),
+        });
+        if (updated) escalated++;
+    }
+
+    return {
+        checked: jobs.length,
+        atRisk,
+        escalated,
+    };
+};
+
+let timer = null;
+
+/**
+ * Starts running the delay check on the configured interval
+ *
+ * @function startDelayMonitor
+ * @returns {void}
+ */
+const startDelayMonitor = () => {
+    if (timer) return;
+    let running = false;
+    timer = setInterval(async () => {
+        // Skip a tick rather than overlap a slow check
+        if (running) return;
+        running = true;
+        try {
+            await runDelayCheck();
+        } catch (error) {
+            console.error("Delay check failed:", error);
+        } finally {
+            running = false;
+        }
+    }, delayConfig.checkIntervalSeconds * 1000);
+    timer.unref();
+};
+
+/**
+ * Stops the delay monitor
+ *
+ * @function stopDelayMonitor
+ * @returns {void}
+ */
+const stopDelayMonitor = () => {
+    clearInterval(timer);
+    timer = null;
+};
+
+module.exports = {
+    assessJob,
+    runDelayCheck,
+    startDelayMonitor,
+    stopDelayMonitor,
+};
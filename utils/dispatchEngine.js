@@ -0,0 +1,179 @@
+/**
+ * @module utils/dispatchEngine
+ * @description Picks a driver for unassigned jobs based on distance to the
+ * pickup, current workload, vehicle suitability and urgency
+ */
+const Job = require("../models/job.model");
+const Vehicle = require("../models/vehicle.model");
+const dispatchConfig = require("../config/dispatchConfig");
+const { findDriverCandidates } = require("./driverLocator");
+const { validLicenceFilter } = require("./driverDocuments");
+const { checkVehicleForJob, toVehicleInfo } = require("./vehicle");
+
+/**
+ * Builds the driver query conditions a job's add-ons require
+ */
+const capabilityFilter = (job) => {
+    const filter = {};
+    if (job.addOns?.heavyItem) filter["vehicleCapabilities.heavyItem"] = true;
+    if (job.addOns?.fragileItems) filter["vehicleCapabilities.fragileItems"] = true;
+    return filter;
+};
+
+/**
+ * Pairs candidates with the vehicle they are using and leaves out those
+ * whose vehicle can't take the job, e.g. one in maintenance
+ */
+const withSuitableVehicles = async (candidates, job) => {
+    const driverIds = candidates.map((candidate) => candidate.driverId);
+    const vehicles = await Vehicle.find({ "driverInfo.id": { $in: driverIds } }).lean();
+    const byDriver = new Map(vehicles.map((vehicle) => [vehicle.driverInfo.id, vehicle]));
+
+    return candidates
+        .map((candidate) => ({ candidate, vehicle: byDriver.get(candidate.driverId) || null }))
+        .filter(({ vehicle }) => !vehicle || !checkVehicleForJob(vehicle, job.addOns));
+};
+
+/**
+ * Scores a candidate for a job; lower is better.
+ * Distance counts in kilometres and every job already on the driver's plate
+ * adds `loadPenaltyKm`. Urgent jobs only count jobs the driver is actively
+ * carrying, so a close driver with queued pending work still gets them.
+ */
+const scoreCandidate = (candidate, job) => {
+    const load = job.isUrgent ? candidate.workload.active : candidate.workload.open;
+    return Math.round((candidate.distanceKm + load * dispatchConfig.loadPenaltyKm) * 100) / 100;
+};
+
+/**
+ * Explains a choice in words dispatchers can read back later
+ */
+const describeChoice = (choice, job, candidateCount) => {
+    const parts = [
+        `${choice.distanceKm} km from pickup`,
+        `${choice.workload.open} open job(s)`,
+    ];
+    const needs = Object.keys(capabilityFilter(job)).map((key) => key.split(".")[1]);
+    if (needs.length) parts.push(`vehicle supports ${needs.join(" and ")}`);
+    if (job.isUrgent) parts.push("urgent job, pending work ignored");
+    return `Best of ${candidateCount} candidate(s): ${parts.join(", ")}`;
+};
+
+/**
+ * Chooses the best driver for a job without assigning it
+ * Drivers whose licence has expired, or whose vehicle can't take the job,
+ * are never chosen. A job already put on a vehicle can only go to the
+ * driver using that vehicle, and keeps it.
+ *
+ * @async
+ * @function chooseDriver
+ * @param {Object} job - Job with pickupInfo, addOns, isUrgent and vehicleInfo
+ * @returns {Promise<Object|null>} { candidate, vehicle, score, reason } or null if nobody is available
+ */
+const chooseDriver = async (job) => {
+    let requested = null;
+    if (job.vehicleInfo) {
+        requested = await Vehicle.findById(job.vehicleInfo.id).lean();
+        if (!requested?.driverInfo || checkVehicleForJob(requested, job.addOns)) {
+            return null;
+        }
+    }
+
+    const pickup = {
+        latitude: parseFloat(job.pickupInfo.latitude),
+        longitude: parseFloat(job.pickupInfo.longitude),
+    };
+    const candidates = await findDriverCandidates(pickup, {
+        limit: Infinity,
+        driverFilter: requested
+            ? { _id: requested.driverInfo.id, ...validLicenceFilter() }
+            : { ...capabilityFilter(job), ...validLicenceFilter() },
+    });
+    if (candidates.length === 0) {
+        return null;
+    }
+
+    const suitable = requested
+        ? candidates.map((candidate) => ({ candidate, vehicle: requested }))
+        : await withSuitableVehicles(candidates, job);
+    if (suitable.length === 0) {
+        return null;
+    }
+
+    const [best] = suitable
+        .map((entry) => ({ ...entry, score: scoreCandidate(entry.candidate, job) }))
+        .sort((a, b) => a.score - b.score);
+
+    return { ...best, reason: describeChoice(best.candidate, job, suitable.length) };
+};
+
+/**
+ * Chooses a driver for an unassigned pending job and assigns it, on the
+ * vehicle the driver is using. The update only applies while the job is
+ * still unassigned and pending, so a concurrent manual assignment wins.
+ *
+ * @async
+ * @function autoAssignJob
+ * @param {Object} job - The unassigned job
+ * @param {Object} assignedBy - Who triggered dispatch ({ id, role })
+ * @returns {Promise<Object>} { job, assigned, reason }
+ */
+const autoAssignJob = async (job, assignedBy) => {
+    const choice = await chooseDriver(job);
+    if (!choice) {
+        return { job, assigned: false, reason: "No suitable driver is available" };
+    }
+
+    const { candidate, vehicle, score, reason } = choice;
+    const updatedJob = await Job.findOneAndUpdate(
+        { _id: job._id, driverInfo: null, status: "pending" },
+        {
+            $set: {
+                driverInfo: { id: candidate.driverId, name: candidate.name, phone: candidate.phone },
+                vehicleInfo: vehicle ? toVehicleInfo(vehicle) : null,
+                assignment: {
+                    method: "auto",
+                    reason,
+                    distanceKm: candidate.distanceKm,
+                    score,
+                    assignedBy,
+                    assignedAt: new Date(),
+                },
+            },
+        },
+        { new: true }
+    );
+
+    if (!updatedJob) {
+        return { job, assigned: false, reason: "Job was assigned or changed by another request" };
+    }
+    return { job: updatedJob, assigned: true, reason };
+};
+
+/**
+ * Runs dispatch for every unassigned pending job, urgent jobs first and then
+ * oldest first. Jobs are assigned one at a time so each choice sees the
+ * workload created by the previous ones.
+ *
+ * @async
+ * @function dispatchUnassignedJobs
+ * @param {Object} assignedBy - Who triggered dispatch ({ id, role })
+ * @returns {Promise<Object[]>} One result per job, as returned by autoAssignJob
+ */
+const dispatchUnassignedJobs = async (assignedBy) => {
+    const jobs = await Job.find({ driverInfo: null, status: "pending" })
+        .sort({ isUrgent: -1, createdAt: 1 })
+        .lean();
+
+    const results = [];
+    for (const job of jobs) {
+        results.push(await autoAssignJob(job, assignedBy));
+    }
+    return results;
+};
+
+module.exports = {
+    chooseDriver,
+    autoAssignJob,
+    dispatchUnassignedJobs,
+};
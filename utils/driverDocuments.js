@@ -0,0 +1,110 @@
+/**
+ * @module utils/driverDocuments
+ * @description Driver licence, bluebook and insurance documents: validation,
+ * expiry checks and the licence rule for assigning jobs
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Documents a driver can hold, one of each
+ * @constant {string[]}
+ */
+const DOCUMENT_TYPES = ["licence", "bluebook", "insurance"];
+
+/**
+ * Validates the details sent with a document
+ *
+ * @function parseDocumentInput
+ * @param {Object} input - { number, expiresAt }
+ * @returns {Object} { number, expiresAt }
+ * @throws {Error} If the number is missing or the expiry date is invalid
+ */
+const parseDocumentInput = ({ number, expiresAt } = {}) => {
+    if (typeof number !== "string" || !number.trim()) {
+        throw new Error("number is required");
+    }
+    const expiry = new Date(expiresAt);
+    if (!expiresAt || isNaN(expiry.getTime())) {
+        throw new Error("expiresAt must be a valid date");
+    }
+    return { number: number.trim(), expiresAt: expiry };
+};
+
+/**
+ * A document with how long it has left
+ *
+ * @function describeDocument
+ * @param {Object} document - Stored document
+ * @param {Date} [now] - Reference time
+ * @returns {Object} The document with `expired` and whole `daysRemaining`
+ */
+const describeDocument = (document, now = new Date()) => {
+    const expiresAt = new Date(document.expiresAt);
+    return {
+        ...document,
+        expired: expiresAt <= now,
+        daysRemaining: Math.floor((expiresAt - now) / DAY_MS),
+    };
+};
+
+/**
+ * Why a driver can't be given jobs, if their licence has expired
+ * Drivers who haven't uploaded a licence yet are not blocked.
+ *
+ * @function checkDriverLicence
+ * @param {Object} driver - User with optional documents
+ * @param {Date} [now] - Reference time
+ * @returns {string|null} Error message, or null when the driver may take jobs
+ */
+const checkDriverLicence = (driver, now = new Date()) => {
+    const licence = (driver.documents || []).find((document) => document.type === "licence");
+    if (!licence || new Date(licence.expiresAt) > now) return null;
+    return `Driver's licence expired on ${new Date(licence.expiresAt).toISOString().slice(0, 10)}`;
+};
+
+/**
+ * Driver query conditions leaving out drivers whose licence has expired,
+ * for the dispatch engine
+ *
+ * @function validLicenceFilter
+ * @param {Date} [now] - Reference time
+ * @returns {Object} Query conditions
+ */
+const validLicenceFilter = (now = new Date()) => ({
+    documents: { $not: { $elemMatch: { type: "licence", expiresAt: { $lte: now } } } },
+});
+
+/**
+ * Lists the documents of drivers that expire before a date, including
+ * those already expired, soonest first
+ *
+ * @function listExpiringDocuments
+ * @param {Object[]} drivers - Drivers with their documents
+ * @param {Object} options
+ * @param {Date} options.until - Documents expiring on or before this date are listed
+ * @param {string} [options.type] - Only documents of this type
+ * @param {Date} [options.now] - Reference time
+ * @returns {Object[]} { driver, type, number, expiresAt, expired, daysRemaining, file }
+ */
+const listExpiringDocuments = (drivers, { until, type, now = new Date() }) => drivers
+    .flatMap((driver) => (driver.documents || [])
+        .filter((document) => (!type || document.type === type) && new Date(document.expiresAt) <= until)
+        .map((document) => ({
+            driver: {
+                id: String(driver._id),
+                name: `${driver.firstName} ${driver.lastName}`,
+                phone: driver.phone,
+            },
+            ...describeDocument(document, now),
+        })))
+    .sort((a, b) => new Date(a.expiresAt) - new Date(b.expiresAt));
+
+module.exports = {
+    DOCUMENT_TYPES,
+    parseDocumentInput,
+    describeDocument,
+    checkDriverLicence,
+    validLicenceFilter,
+    listExpiringDocuments,
+};
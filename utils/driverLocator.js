@@ -0,0 +1,155 @@
+/**
+ * @module utils/driverLocator
+ * @description Ranks drivers by distance from a point using their last known
+ * position and current workload
+ */
+const Job = require("../models/job.model");
+const User = require("../models/user.model");
+const dispatchConfig = require("../config/dispatchConfig");
+const { haversineKm, fromGeoPoint } = require("./geo");
+
+const ACTIVE_STATUSES = ["in-transit", "delayed"];
+const OPEN_STATUSES = ["pending", ...ACTIVE_STATUSES];
+
+/**
+ * Counts open jobs per driver
+ *
+ * @async
+ * @function getDriverWorkloads
+ * @param {string[]} driverIds - Drivers to count jobs for
+ * @returns {Promise<Map<string, Object>>} Map of driver id to { pending, active, open }
+ */
+const getDriverWorkloads = async (driverIds) => {
+    const counts = await Job.aggregate([
+        { $match: { "driverInfo.id": { $in: driverIds }, status: { $in: OPEN_STATUSES } } },
+        {
+            $group: {
+                _id: "$driverInfo.id",
+                pending: { $sum: { $cond: [{ $eq: ["$status", "pending"] }, 1, 0] } },
+                active: { $sum: { $cond: [{ $in: ["$status", ACTIVE_STATUSES] }, 1, 0] } },
+                open: { $sum: 1 },
+            },
+        },
+    ]);
+
+    return new Map(counts.map(({ _id, pending, active, open }) => [String(_id), { pending, active, open }]));
+};
+
+/**
+ * Finds each driver's most recently reported job position
+ *
+ * @async
+ * @function getLatestJobPositions
+ * @param {string[]} driverIds - Drivers to look up
+ * @returns {Promise<Map<string, Object>>} Map of driver id to { location, at }
+ */
+const getLatestJobPositions = async (driverIds) => {
+    const positions = await Job.aggregate([
+        { $match: { "driverInfo.id": { $in: driverIds }, currentLocation: { $ne: null } } },
+        { $sort: { lastLocationAt: -1, updatedAt: -1 } },
+        {
+            $group: {
+                _id: "$driverInfo.id",
+                location: { $first: "$currentLocation" },
+                at: { $first: { $ifNull: ["$lastLocationAt", "$updatedAt"] } },
+            },
+        },
+    ]);
+
+    return new Map(positions.map(({ _id, location, at }) => [String(_id), { location, at }]));
+};
+
+/**
+ * Picks the fresher of a driver's own location ping and their latest job position
+ */
+const resolvePosition = (driver, jobPosition) => {
+    const ping = driver.lastLocation
+        ? { ...fromGeoPoint(driver.lastLocation), at: driver.lastLocationAt, source: "ping" }
+        : null;
+    const fromJob = jobPosition
+        ? { ...fromGeoPoint(jobPosition.location), at: jobPosition.at, source: "job" }
+        : null;
+
+    if (ping && fromJob) {
+        return new Date(ping.at || 0) >= new Date(fromJob.at || 0) ? ping : fromJob;
+    }
+    return ping || fromJob;
+};
+
+/**
+ * Finds a driver's last known position, from their own location pings or
+ * their jobs, whichever is fresher
+ *
+ * @async
+ * @function getDriverPosition
+ * @param {Object} driver - Driver with _id, lastLocation and lastLocationAt
+ * @returns {Promise<Object|null>} { latitude, longitude, at, source } or null if unknown
+ */
+const getDriverPosition = async (driver) => {
+    const driverId = String(driver._id);
+    const jobPositions = await getLatestJobPositions([driverId]);
+    return resolvePosition(driver, jobPositions.get(driverId));
+};
+
+/**
+ * Ranks drivers by great-circle distance from a point
+ * Drivers without a known position, and drivers whose in-transit/delayed
+ * job count has reached `maxActiveJobs`, are left out.
+ *
+ * @async
+ * @function findDriverCandidates
+ * @param {Object} point - { latitude, longitude } to measure from
+ * @param {Object} [options]
+ * @param {number} [options.maxActiveJobs] - Load at which a driver is excluded
+ * @param {number} [options.limit] - Maximum number of candidates to return
+ * @param {Object} [options.driverFilter] - Extra conditions on the driver query
+ * @returns {Promise<Object[]>} Candidates sorted by distance, closest first
+ */
+const findDriverCandidates = async (point, {
+    maxActiveJobs = dispatchConfig.maxActiveJobsPerDriver,
+    limit = dispatchConfig.candidateLimit,
+    driverFilter = {},
+} = {}) => {
+    const drivers = await User.find({ ...driverFilter, role: "driver" })
+        .select("firstName lastName phone lastLocation lastLocationAt")
+        .lean();
+    if (drivers.length === 0) {
+        return [];
+    }
+
+    const driverIds = drivers.map((driver) => String(driver._id));
+    const [workloads, jobPositions] = await Promise.all([
+        getDriverWorkloads(driverIds),
+        getLatestJobPositions(driverIds),
+    ]);
+
+    const candidates = [];
+    drivers.forEach((driver) => {
+        const driverId = String(driver._id);
+        const workload = workloads.get(driverId) || { pending: 0, active: 0, open: 0 };
+        const position = resolvePosition(driver, jobPositions.get(driverId));
+        if (!position || workload.active >= maxActiveJobs) {
+            return;
+        }
+
+        candidates.push({
+            driverId,
+            name: `${driver.firstName} ${driver.lastName}`,
+            phone: driver.phone,
+            distanceKm: Math.round(haversineKm(point, position) * 100) / 100,
+            position,
+            workload,
+        });
+    });
+
+    return candidates
+        .sort((a, b) => a.distanceKm - b.distanceKm || a.workload.open - b.workload.open)
+        .slice(0, limit);
+};
+
+module.exports = {
+    OPEN_STATUSES,
+    getDriverWorkloads,
+    getDriverPosition,
+    findDriverCandidates,
+};
@@ -0,0 +1,169 @@
+/**
+ * @module utils/eta
+ * @description Remaining distance, progress and ETA for jobs, based on
+ * great-circle distances and recent breadcrumb speed
+ */
+const TrackPoint = require("../models/trackPoint.model");
+const trackingConfig = require("../config/trackingConfig");
+const { haversineKm, toGeoPoint, fromGeoPoint } = require("./geo");
+
+const ACTIVE_STATUSES = ["in-transit", "delayed"];
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * Reads a { latitude, longitude } pair, accepting numeric strings
+ */
+const toPoint = (coords) => fromGeoPoint(toGeoPoint(coords?.latitude, coords?.longitude));
+
+/**
+ * Measures speed from breadcrumbs ordered by time
+ * Speeds reported by the device are preferred; otherwise the distance
+ * covered between the first and last point is divided by the time taken.
+ *
+ * @function measureSpeedKmh
+ * @param {Object[]} points - Track points ordered by recordedAt
+ * @returns {number|null} Speed in km/h, or null if it cannot be measured
+ */
+const measureSpeedKmh = (points) => {
+    const reported = points.map((point) => point.speed).filter((speed) => typeof speed === "number" && speed >= 0);
+    if (reported.length) {
+        return reported.reduce((sum, speed) => sum + speed, 0) / reported.length;
+    }
+    if (points.length < 2) {
+        return null;
+    }
+
+    let distanceKm = 0;
+    for (let i = 1; i < points.length; i++) {
+        distanceKm += haversineKm(points[i - 1], points[i]);
+    }
+    const hours = (new Date(points[points.length - 1].recordedAt) - new Date(points[0].recordedAt)) / 3600000;
+    return hours > 0 ? distanceKm / hours : null;
+};
+
+/**
+ * Looks up the recent measured speed of several jobs at once
+ *
+ * @async
+ * @function getRecentSpeeds
+ * @param {Array} jobIds - Jobs to measure
+ * @param {Date} [now] - Reference time for the speed window
+ * @returns {Promise<Map<string, number>>} Map of job id to km/h, for jobs that could be measured
+ */
+const getRecentSpeeds = async (jobIds, now = new Date()) => {
+    if (jobIds.length === 0) {
+        return new Map();
+    }
+    const since = new Date(now.getTime() - trackingConfig.speedWindowMinutes * 60000);
+    const points = await TrackPoint.find(
+        { jobId: { $in: jobIds }, recordedAt: { $gte: since } },
+        { jobId: 1, latitude: 1, longitude: 1, speed: 1, recordedAt: 1, _id: 0 }
+    ).sort({ recordedAt: 1 }).lean();
+
+    const byJob = new Map();
+    points.forEach((point) => {
+        const key = String(point.jobId);
+        if (!byJob.has(key)) byJob.set(key, []);
+        byJob.get(key).push(point);
+    });
+
+    const speeds = new Map();
+    byJob.forEach((jobPoints, key) => {
+        const speed = measureSpeedKmh(jobPoints);
+        if (speed !== null) speeds.set(key, speed);
+    });
+    return speeds;
+};
+
+/**
+ * Computes progress and ETA for a job
+ * Pending jobs report the full distance and no ETA, completed jobs report
+ * no remaining distance, and active jobs need a current position.
+ *
+ * @function computeEta
+ * @param {Object} job - Job with status, pickupInfo, dropoffInfo and currentCoords
+ * @param {Object} [options]
+ * @param {number|null} [options.speedKmh] - Measured speed; the configured average is used if missing or too slow
+ * @param {Date} [options.now] - Reference time for the ETA
+ * @returns {Object} { distanceTotal, distanceRemaining, progress, speedKmh, etaSource, eta } in km, percent and km/h
+ */
+const computeEta = (job, { speedKmh = null, now = new Date() } = {}) => {
+    const pickup = toPoint(job.pickupInfo);
+    const dropoff = toPoint(job.dropoffInfo);
+    const result = {
+        distanceTotal: pickup && dropoff ? round(haversineKm(pickup, dropoff)) : null,
+        distanceRemaining: null,
+        progress: null,
+        speedKmh: null,
+        etaSource: null,
+        eta: null,
+    };
+
+    if (job.status === "delivered") {
+        return { ...result, distanceRemaining: 0, progress: 100 };
+    }
+    if (job.status === "pending") {
+        return { ...result, distanceRemaining: result.distanceTotal, progress: 0 };
+    }
+
+    const current = toPoint(job.currentCoords);
+    if (!ACTIVE_STATUSES.includes(job.status) || !current || !dropoff) {
+        return result;
+    }
+
+    const remaining = haversineKm(current, dropoff);
+    result.distanceRemaining = round(remaining);
+    if (result.distanceTotal !== null) {
+        result.progress = result.distanceTotal > 0
+            ? Math.min(100, Math.max(0, Math.round((1 - remaining / result.distanceTotal) * 100)))
+            : 100;
+    }
+
+    const measured = speedKmh !== null && speedKmh >= trackingConfig.minSpeedKmh;
+    const speed = measured ? speedKmh : trackingConfig.averageSpeedKmh;
+    result.speedKmh = round(speed, 1);
+    result.etaSource = measured ? "breadcrumbs" : "average";
+    result.eta = new Date(now.getTime() + (remaining / speed) * 3600000);
+    return result;
+};
+
+/**
+ * Computes progress and ETA for a single job, measuring its recent speed
+ *
+ * @async
+ * @function getJobEta
+ * @param {Object} job - Job with _id, status and coordinates
+ * @returns {Promise<Object>} Fields as returned by computeEta
+ */
+const getJobEta = async (job) => {
+    const now = new Date();
+    const speeds = await getRecentSpeeds(ACTIVE_STATUSES.includes(job.status) ? [job._id] : [], now);
+    return computeEta(job, { speedKmh: speeds.get(String(job._id)) ?? null, now });
+};
+
+/**
+ * Adds progress and ETA fields to jobs, measuring speed for active ones
+ *
+ * @async
+ * @function withEta
+ * @param {Object[]} jobs - Plain job objects
+ * @returns {Promise<Object[]>} The jobs with the fields of computeEta merged in
+ */
+const withEta = async (jobs) => {
+    const now = new Date();
+    const activeIds = jobs.filter((job) => ACTIVE_STATUSES.includes(job.status)).map((job) => job._id);
+    const speeds = await getRecentSpeeds(activeIds, now);
+    return jobs.map((job) => ({
+        ...job,
+        ...computeEta(job, { speedKmh: speeds.get(String(job._id)) ?? null, now }),
+    }));
+};
+
+module.exports = {
+    measureSpeedKmh,
+    getRecentSpeeds,
+    computeEta,
+    getJobEta,
+    withEta,
+};
@@ -0,0 +1,117 @@
+/**
+ * @module utils/geo
+ * @description Coordinate parsing and GeoJSON helpers
+ */
+
+/**
+ * Earth's equatorial radius as used by MongoDB to convert distances to
+ * radians for `$centerSphere`
+ * @constant {number}
+ */
+const MONGO_EARTH_RADIUS_KM = 6378.1;
+
+/**
+ * Mean Earth radius used for great-circle distances
+ * @constant {number}
+ */
+const EARTH_RADIUS_KM = 6371;
+
+const isValidLatitude = (value) => typeof value === "number" && !isNaN(value) && value >= -90 && value <= 90;
+const isValidLongitude = (value) => typeof value === "number" && !isNaN(value) && value >= -180 && value <= 180;
+
+/**
+ * Builds a GeoJSON Point from a latitude/longitude pair
+ *
+ * @function toGeoPoint
+ * @param {number|string} latitude
+ * @param {number|string} longitude
+ * @returns {Object|null} GeoJSON Point ([longitude, latitude]) or null if the pair is invalid
+ */
+const toGeoPoint = (latitude, longitude) => {
+    if (latitude === null || latitude === undefined || longitude === null || longitude === undefined) {
+        return null;
+    }
+    const lat = parseFloat(latitude);
+    const lon = parseFloat(longitude);
+    if (!isValidLatitude(lat) || !isValidLongitude(lon)) {
+        return null;
+    }
+    return { type: "Point", coordinates: [lon, lat] };
+};
+
+/**
+ * Parses a "latitude,longitude" string
+ *
+ * @function parseLatLng
+ * @param {string} value - e.g. "27.7172,85.3240"
+ * @returns {Object|null} { latitude, longitude } or null if invalid
+ */
+const parseLatLng = (value) => {
+    if (typeof value !== "string") return null;
+    const parts = value.split(",");
+    if (parts.length !== 2) return null;
+    const point = toGeoPoint(parts[0].trim(), parts[1].trim());
+    return point ? { latitude: point.coordinates[1], longitude: point.coordinates[0] } : null;
+};
+
+/**
+ * Parses a polygon given as "lat,lng;lat,lng;..." into a closed GeoJSON Polygon
+ *
+ * @function parsePolygon
+ * @param {string} value - At least three vertices separated by semicolons
+ * @returns {Object|null} GeoJSON Polygon or null if invalid
+ */
+const parsePolygon = (value) => {
+    if (typeof value !== "string") return null;
+    const vertices = value.split(";").map(parseLatLng);
+    if (vertices.length < 3 || vertices.some((vertex) => !vertex)) return null;
+
+    const ring = vertices.map(({ latitude, longitude }) => [longitude, latitude]);
+    const [first, last] = [ring[0], ring[ring.length - 1]];
+    if (first[0] !== last[0] || first[1] !== last[1]) {
+        ring.push(first);
+    }
+    if (ring.length < 4) return null;
+    return { type: "Polygon", coordinates: [ring] };
+};
+
+/**
+ * Great-circle (haversine) distance between two points
+ *
+ * @function haversineKm
+ * @param {Object} from - { latitude, longitude }
+ * @param {Object} to - { latitude, longitude }
+ * @returns {number} Distance in kilometres
+ */
+const haversineKm = (from, to) => {
+    const toRadians = (degrees) => (degrees * Math.PI) / 180;
+    const dLat = toRadians(to.latitude - from.latitude);
+    const dLon = toRadians(to.longitude - from.longitude);
+    const a = Math.sin(dLat / 2) ** 2
+        + Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+/**
+ * Converts a GeoJSON Point back to a { latitude, longitude } pair
+ *
+ * @function fromGeoPoint
+ * @param {Object} point - GeoJSON Point
+ * @returns {Object|null} { latitude, longitude } or null if there is no point
+ */
+const fromGeoPoint = (point) => {
+    if (!point || !Array.isArray(point.coordinates) || point.coordinates.length !== 2) {
+        return null;
+    }
+    return { latitude: point.coordinates[1], longitude: point.coordinates[0] };
+};
+
+module.exports = {
+    MONGO_EARTH_RADIUS_KM,
+    EARTH_RADIUS_KM,
+    haversineKm,
+    fromGeoPoint,
+    toGeoPoint,
+    parseLatLng,
+    parsePolygon,
+};
@@ -0,0 +1,172 @@
+/**
+ * @module utils/geofence
+ * @description Arrival and departure detection around a job's pickup and
+ * dropoff points
+ */
+const Job = require("../models/job.model");
+const geofenceConfig = require("../config/geofenceConfig");
+const { haversineKm, toGeoPoint, fromGeoPoint } = require("./geo");
+const { transitionJobStatus } = require("./jobStatus");
+
+const FENCES = {
+    pickup: "pickupInfo",
+    dropoff: "dropoffInfo",
+};
+
+// A vehicle only counts as having left once it is this much further out than
+// the radius, so GPS jitter at the edge doesn't produce a stream of events
+const EXIT_MARGIN = 1.2;
+
+/**
+ * Resolves a job's geofence settings, filling gaps with the configured defaults
+ *
+ * @function getGeofenceSettings
+ * @param {Object} job - Job with an optional `geofence` override
+ * @returns {Object} { pickupRadiusM, dropoffRadiusM, autoAdvance }
+ */
+const getGeofenceSettings = (job) => {
+    const overrides = job.geofence || {};
+    return {
+        pickupRadiusM: overrides.pickupRadiusM ?? geofenceConfig.pickupRadiusM,
+        dropoffRadiusM: overrides.dropoffRadiusM ?? geofenceConfig.dropoffRadiusM,
+        autoAdvance: overrides.autoAdvance ?? geofenceConfig.autoAdvance,
+    };
+};
+
+/**
+ * Validates geofence settings sent by a client
+ * Missing fields are left out; `null` clears an override.
+ *
+ * @function parseGeofenceSettings
+ * @param {Object} input - { pickupRadiusM, dropoffRadiusM, autoAdvance }
+ * @returns {Object} The validated settings
+ * @throws {Error} If a radius or the autoAdvance flag is invalid
+ */
+const parseGeofenceSettings = (input = {}) => {
+    const settings = {};
+    ["pickupRadiusM", "dropoffRadiusM"].forEach((key) => {
+        if (input[key] === undefined) return;
+        if (input[key] === null) {
+            settings[key] = null;
+            return;
+        }
+        const radius = Number(input[key]);
+        if (isNaN(radius) || radius <= 0 || radius > geofenceConfig.maxRadiusM) {
+            throw new Error(`${key} must be between 0 and ${geofenceConfig.maxRadiusM} metres`);
+        }
+        settings[key] = radius;
+    });
+    if (input.autoAdvance !== undefined) {
+        if (input.autoAdvance !== null && typeof input.autoAdvance !== "boolean") {
+            throw new Error("autoAdvance must be true, false or null");
+        }
+        settings.autoAdvance = input.autoAdvance;
+    }
+    return settings;
+};
+
+/**
+ * Compares a new position with the job's last known fence state
+ *
+ * @function detectGeofenceEvents
+ * @param {Object} job - Job with pickupInfo, dropoffInfo, geofence and geofenceState
+ * @param {Object} point - New { latitude, longitude }
+ * @param {Date} [at] - When the position was recorded
+ * @returns {Object} { events, state } - events crossed and the resulting state
+ */
+const detectGeofenceEvents = (job, point, at = new Date()) => {
+    const settings = getGeofenceSettings(job);
+    const state = {
+        pickup: Boolean(job.geofenceState?.pickup),
+        dropoff: Boolean(job.geofenceState?.dropoff),
+    };
+    const events = [];
+
+    Object.entries(FENCES).forEach(([fence, key]) => {
+        const centre = fromGeoPoint(toGeoPoint(job[key]?.latitude, job[key]?.longitude));
+        if (!centre) return;
+
+        const radiusM = settings[`${fence}RadiusM`];
+        const distanceM = Math.round(haversineKm(centre, point) * 1000);
+        const inside = state[fence] ? distanceM <= radiusM * EXIT_MARGIN : distanceM <= radiusM;
+        if (inside === state[fence]) return;
+
+        state[fence] = inside;
+        events.push({
+            fence,
+            type: inside ? "arrival" : "departure",
+            latitude: point.latitude,
+            longitude: point.longitude,
+            distanceM,
+            at,
+        });
+    });
+
+    return { events, state };
+};
+
+/**
+ * Records the geofence events a new position triggers and, when enabled,
+ * moves a pending job to in-transit as it leaves the pickup fence
+ * The update only applies if the fence state hasn't changed in the meantime,
+ * so concurrent pings cannot record the same crossing twice.
+ *
+ * @async
+ * @function applyGeofences
+ * @param {Object} job - Job after its position was updated
+ * @param {Object} point - The new { latitude, longitude }
+ * @returns {Promise<Object>} The latest version of the job
+ */
+const applyGeofences = async (job, point) => {
+    const { events, state } = detectGeofenceEvents(job, point);
+    if (events.length === 0) {
+        return job;
+    }
+
+    const previous = job.geofenceState || {};
+    const updatedJob = await Job.findOneAndUpdate(
+        {
+            _id: job._id,
+            "geofenceState.pickup": previous.pickup ? true : { $ne: true },
+            "geofenceState.dropoff": previous.dropoff ? true : { $ne: true },
+        },
+        {
+            $set: { geofenceState: state },
+            $push: { geofenceEvents: { $each: events } },
+        },
+        { new: true }
+    );
+    if (!updatedJob) {
+        return job;
+    }
+
+    const leftPickup = events.some((event) => event.fence === "pickup" && event.type === "departure");
+    if (leftPickup && updatedJob.status === "pending" && getGeofenceSettings(updatedJob).autoAdvance) {
+        const advancedJob = await transitionJobStatus(updatedJob, "in-transit", {
+            changedBy: { id: null, role: "system" },
+            reason: "Left the pickup geofence",
+        });
+        return advancedJob || updatedJob;
+    }
+    return updatedJob;
+};
+
+/**
+ * Merges status changes and geofence events into one chronological timeline
+ *
+ * @function buildTimeline
+ * @param {Object} job - Job with statusHistory and geofenceEvents
+ * @returns {Object[]} Entries of { kind: "status" | "geofence", at, ... }, oldest first
+ */
+const buildTimeline = (job) => [
+    ...(job.statusHistory || []).map((entry) => ({ kind: "status", at: entry.changedAt, ...entry })),
+    ...(job.geofenceEvents || []).map((event) => ({ kind: "geofence", ...event })),
+].sort((a, b) => new Date(a.at) - new Date(b.at));
+
+module.exports = {
+    getGeofenceSettings,
+    parseGeofenceSettings,
+    detectGeofenceEvents,
+    applyGeofences,
+    buildTimeline,
+};
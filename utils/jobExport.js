@@ -0,0 +1,186 @@
+/**
+ * @module utils/jobExport
+ * @description Streams that turn job documents into CSV, newline-delimited
+ * JSON or a GeoJSON FeatureCollection for exports
+ */
+const { Transform } = require("stream");
+const { Transform: CsvTransform, formatters } = require("json2csv");
+
+/**
+ * Supported export formats. `excel` is CSV with a byte order mark, CRLF line
+ * endings and text cells Excel won't reinterpret (phone numbers keep their
+ * leading zeros and "+"). Neither CSV flavour lets a cell run as a formula.
+ * @constant {Object<string, Object>}
+ */
+const EXPORT_FORMATS = {
+    csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+    excel: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+    ndjson: { contentType: "application/x-ndjson; charset=utf-8", extension: "ndjson" },
+    geojson: { contentType: "application/geo+json; charset=utf-8", extension: "geojson" },
+};
+
+/**
+ * Fields left out of exports: tracking link hashes are secrets and phone
+ * keys are only there for search
+ * @constant {Object}
+ */
+const EXPORT_PROJECTION = { trackingLink: 0, phoneKeys: 0, __v: 0 };
+
+const contactFields = (prefix, key) => [
+    { label: `${prefix}Name`, value: `${key}.name` },
+    { label: `${prefix}Phone`, value: `${key}.phone` },
+    { label: `${prefix}Email`, value: `${key}.email` },
+    { label: `${prefix}Latitude`, value: `${key}.latitude` },
+    { label: `${prefix}Longitude`, value: `${key}.longitude` },
+];
+
+/**
+ * CSV columns with driverInfo, vehicleInfo, pickupInfo and dropoffInfo flattened, named
+ * like the bulk import columns where they overlap
+ * @constant {Object[]}
+ */
+const CSV_FIELDS = [
+    { label: "id", value: "_id" },
+    { label: "status", value: "status" },
+    { label: "isUrgent", value: "isUrgent" },
+    { label: "driverId", value: "driverInfo.id" },
+    { label: "driverName", value: "driverInfo.name" },
+    { label: "driverPhone", value: "driverInfo.phone" },
+    { label: "vehicleId", value: "vehicleInfo.id" },
+    { label: "vehiclePlate", value: "vehicleInfo.plateNumber" },
+    { label: "vehicleType", value: "vehicleInfo.type" },
+    ...contactFields("pickup", "pickupInfo"),
+    ...contactFields("dropoff", "dropoffInfo"),
+    { label: "note", value: "note" },
+    { label: "fragileItems", value: "addOns.fragileItems" },
+    { label: "heavyItem", value: "addOns.heavyItem" },
+    { label: "pickupEarliest", value: "pickupWindow.earliest" },
+    { label: "pickupLatest", value: "pickupWindow.latest" },
+    { label: "deliveryEarliest", value: "deliveryWindow.earliest" },
+    { label: "deliveryLatest", value: "deliveryWindow.latest" },
+    { label: "promisedBy", value: "promisedBy" },
+    { label: "createdAt", value: "createdAt" },
+    { label: "updatedAt", value: "updatedAt" },
+];
+
+/**
+ * Builds a GeoJSON Feature for a job's pickup, dropoff or stop point
+ */
+const toFeature = (job, role, contact, extra = {}) => {
+    const latitude = parseFloat(contact?.latitude);
+    const longitude = parseFloat(contact?.longitude);
+    if (!contact || isNaN(latitude) || isNaN(longitude)) {
+        return null;
+    }
+    return {
+        type: "Feature",
+        geometry: { type: "Point", coordinates: [longitude, latitude] },
+        properties: {
+            jobId: String(job._id),
+            role,
+            name: contact.name,
+            phone: contact.phone,
+            status: job.status,
+            isUrgent: job.isUrgent,
+            driverName: job.driverInfo?.name || null,
+            vehiclePlate: job.vehicleInfo?.plateNumber || null,
+            ...extra,
+        },
+    };
+};
+
+/**
+ * The Features of a job: one per stop on multi-stop jobs, otherwise its
+ * pickup and dropoff
+ */
+const jobFeatures = (job) => (job.stops?.length
+    ? job.stops.map((stop, index) => toFeature(job, stop.type, stop, { stopNumber: index + 1, stopStatus: stop.status }))
+    : [toFeature(job, "pickup", job.pickupInfo), toFeature(job, "dropoff", job.dropoffInfo)]);
+
+const FEATURE_COLLECTION_START = '{"type":"FeatureCollection","features":[';
+
+/**
+ * Streams a FeatureCollection with the Features of every job
+ */
+const createGeoJsonTransform = () => {
+    let started = false;
+    let featureCount = 0;
+    return new Transform({
+        writableObjectMode: true,
+        transform(job, encoding, callback) {
+            let chunk = started ? "" : FEATURE_COLLECTION_START;
+            started = true;
+            jobFeatures(job)
+                .filter(Boolean)
+                .forEach((feature) => {
+                    chunk += `${featureCount ? "," : ""}${JSON.stringify(feature)}`;
+                    featureCount += 1;
+                });
+            callback(null, chunk || undefined);
+        },
+        flush(callback) {
+            callback(null, `${started ? "" : FEATURE_COLLECTION_START}]}`);
+        },
+    });
+};
+
+// Cells starting like a formula are run by spreadsheet apps when the file is opened
+const FORMULA_START = /^[=@\t\r]/;
+const SIGN_START = /^[+-]/;
+// Signed numbers and phone numbers such as +977-1-4412345 can't call anything
+const NUMBER_OR_PHONE = /^[+-][\d\s().-]*$/;
+
+/**
+ * Whether a text cell could run as a formula in a spreadsheet app
+ */
+const looksLikeFormula = (value) => FORMULA_START.test(value)
+    || (SIGN_START.test(value) && !NUMBER_OR_PHONE.test(value));
+
+/**
+ * Quotes text cells for plain CSV, prefixing an apostrophe to text that
+ * would otherwise be read as a formula; numbers and phone numbers are
+ * written as they are so the file still round-trips through the import
+ */
+const csvStringFormatter = () => {
+    const quote = formatters.string();
+    return (value) => quote(looksLikeFormula(value) ? `'${value}` : value);
+};
+
+/**
+ * Creates the stream that writes job documents in an export format
+ *
+ * @function createExportTransform
+ * @param {string} format - One of the EXPORT_FORMATS keys
+ * @returns {Transform} Stream taking job objects and producing text
+ */
+const createExportTransform = (format) => {
+    if (format === "ndjson") {
+        return new Transform({
+            writableObjectMode: true,
+            transform(job, encoding, callback) {
+                callback(null, `${JSON.stringify(job)}\n`);
+            },
+        });
+    }
+    if (format === "geojson") {
+        return createGeoJsonTransform();
+    }
+
+    const excel = format === "excel";
+    return new CsvTransform({
+        fields: CSV_FIELDS,
+        withBOM: excel,
+        eol: excel ? "\r\n" : "\n",
+        // Excel's ="..." text cells can't be formulas either
+        formatters: excel
+            ? { string: formatters.stringExcel, header: formatters.string() }
+            : { string: csvStringFormatter(), header: formatters.string() },
+    }, { objectMode: true });
+};
+
+module.exports = {
+    EXPORT_FORMATS,
+    EXPORT_PROJECTION,
+    CSV_FIELDS,
+    createExportTransform,
+};
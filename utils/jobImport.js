@@ -0,0 +1,158 @@
+/**
+ * @module utils/jobImport
+ * @description Reads bulk job imports from CSV or JSON files into job
+ * inputs as accepted by POST /job/createJob
+ */
+const path = require("path");
+const { parse } = require("csv-parse/sync");
+
+/**
+ * Most rows accepted in one import
+ * @constant {number}
+ */
+const MAX_IMPORT_ROWS = 1000;
+
+/**
+ * CSV columns, one per createJob field. Only the pickup and dropoff name,
+ * phone and coordinates are required; a row without `driverId` is left to
+ * the dispatch engine and one without `vehicleId` uses the driver's vehicle.
+ * @constant {string[]}
+ */
+const CSV_COLUMNS = [
+    "driverId", "driverName", "driverPhone", "vehicleId",
+    "pickupName", "pickupPhone", "pickupEmail", "pickupLatitude", "pickupLongitude",
+    "dropoffName", "dropoffPhone", "dropoffEmail", "dropoffLatitude", "dropoffLongitude",
+    "status", "note", "isUrgent", "fragileItems", "heavyItem",
+    "pickupEarliest", "pickupLatest", "deliveryEarliest", "deliveryLatest", "promisedBy",
+];
+
+const TRUE_VALUES = ["true", "yes", "1"];
+const FALSE_VALUES = ["false", "no", "0"];
+
+/**
+ * Reads a yes/no column; empty cells are left unset
+ */
+const toBoolean = (value, column) => {
+    if (!value) return undefined;
+    const normalized = value.toLowerCase();
+    if (TRUE_VALUES.includes(normalized)) return true;
+    if (FALSE_VALUES.includes(normalized)) return false;
+    throw new Error(`${column} must be true or false`);
+};
+
+/**
+ * Reads a coordinate column; unparseable values are kept so coordinate
+ * validation reports them
+ */
+const toCoordinate = (value) => {
+    const number = parseFloat(value);
+    return isNaN(number) ? value : number;
+};
+
+/**
+ * Builds a pickup/dropoff contact from its prefixed columns
+ */
+const toLocation = (row, prefix) => ({
+    name: row[`${prefix}Name`] || undefined,
+    phone: row[`${prefix}Phone`] || undefined,
+    email: row[`${prefix}Email`] || undefined,
+    latitude: toCoordinate(row[`${prefix}Latitude`]),
+    longitude: toCoordinate(row[`${prefix}Longitude`]),
+});
+
+/**
+ * Builds a time window from its earliest/latest columns; an empty pair means no window
+ */
+const toWindow = (earliest, latest) => (earliest || latest ? { earliest, latest } : undefined);
+
+/**
+ * Converts one CSV row into a createJob input
+ *
+ * @function csvRowToJobInput
+ * @param {Object} row - Row keyed by column name
+ * @returns {Object} Job input
+ * @throws {Error} If a yes/no column holds anything else
+ */
+const csvRowToJobInput = (row) => ({
+    driverInfo: row.driverId
+        ? { id: row.driverId, name: row.driverName || undefined, phone: row.driverPhone || undefined }
+        : null,
+    vehicleId: row.vehicleId || undefined,
+    pickupInfo: toLocation(row, "pickup"),
+    dropoffInfo: toLocation(row, "dropoff"),
+    status: row.status || undefined,
+    note: row.note || undefined,
+    isUrgent: toBoolean(row.isUrgent, "isUrgent"),
+    addOns: {
+        fragileItems: toBoolean(row.fragileItems, "fragileItems"),
+        heavyItem: toBoolean(row.heavyItem, "heavyItem"),
+    },
+    pickupWindow: toWindow(row.pickupEarliest, row.pickupLatest),
+    deliveryWindow: toWindow(row.deliveryEarliest, row.deliveryLatest),
+    promisedBy: row.promisedBy || undefined,
+});
+
+/**
+ * Reads the rows of an uploaded import file
+ * CSV files need a header row naming CSV_COLUMNS; JSON files hold an array
+ * of createJob bodies, or an object with a `jobs` array. Rows that can't be
+ * converted come back as `{ error }` so they are reported with the others.
+ *
+ * @function readImportFile
+ * @param {Object} file - Multer file with `originalname` and `buffer`
+ * @returns {Object[]} One { input } or { error } per row, in file order
+ * @throws {Error} If the file can't be read or holds no or too many rows
+ */
+const readImportFile = (file) => {
+    const text = file.buffer.toString("utf8");
+    const isJson = path.extname(file.originalname).toLowerCase() === ".json";
+
+    let rows;
+    try {
+        if (isJson) {
+            const data = JSON.parse(text);
+            rows = Array.isArray(data) ? data : data?.jobs;
+        } else {
+            rows = parse(text, { columns: true, skip_empty_lines: true, trim: true, bom: true });
+        }
+    } catch (error) {
+        throw new Error(`Could not read the file: ${error.message}`);
+    }
+
+    if (!Array.isArray(rows)) {
+        throw new Error("JSON imports must be an array of jobs or { jobs: [...] }");
+    }
+    if (rows.length === 0) {
+        throw new Error("The file has no jobs");
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+        throw new Error(`Imports are limited to ${MAX_IMPORT_ROWS} jobs per file`);
+    }
+
+    if (!isJson) {
+        const unknown = Object.keys(rows[0]).filter((column) => !CSV_COLUMNS.includes(column));
+        if (unknown.length) {
+            throw new Error(`Unknown columns: ${unknown.join(", ")}`);
+        }
+    }
+
+    return rows.map((row) => {
+        if (isJson) {
+            return row && typeof row === "object" && !Array.isArray(row)
+                ? { input: row }
+                : { error: "Each job must be an object" };
+        }
+        try {
+            return { input: csvRowToJobInput(row) };
+        } catch (error) {
+            return { error: error.message };
+        }
+    });
+};
+
+module.exports = {
+    MAX_IMPORT_ROWS,
+    CSV_COLUMNS,
+    csvRowToJobInput,
+    readImportFile,
+};
@@ -0,0 +1,211 @@
+/**
+ * @module utils/jobInput
+ * @description Validation of new jobs, shared by single job creation and
+ * bulk import
+ */
+const mongoose = require("mongoose");
+const User = require("../models/user.model");
+const Vehicle = require("../models/vehicle.model");
+const { parseGeofenceSettings } = require("./geofence");
+const { parseJobSchedule } = require("./timeWindow");
+const { parseStops, routeEnds } = require("./jobStops");
+const { checkVehicleForJob, toVehicleInfo } = require("./vehicle");
+const { checkDriverLicence } = require("./driverDocuments");
+
+/**
+ * Builds an error for invalid client input; `status` tells callers to
+ * answer with a 400 rather than a server error
+ */
+const invalidInput = (message) => Object.assign(new Error(message), { status: 400 });
+
+/**
+ * Checks if coordinates are within Nepal's geographical boundaries
+ *
+ * @function isWithinNepal
+ * @param {number|string} lat
+ * @param {number|string} lon
+ * @returns {boolean}
+ */
+const isWithinNepal = (lat, lon) => {
+    const latitude = parseFloat(lat);
+    const longitude = parseFloat(lon);
+
+    if (isNaN(latitude) || isNaN(longitude)) return false;
+
+    return (
+        latitude >= 26.347 &&
+        latitude <= 30.447 &&
+        longitude >= 80.058 &&
+        longitude <= 88.201
+    );
+};
+
+/**
+ * Validates that both pickup and dropoff locations are within Nepal
+ *
+ * @function validateNepalCoordinates
+ * @param {Object} pickupInfo - { latitude, longitude }
+ * @param {Object} dropoffInfo - { latitude, longitude }
+ * @throws {Error} If either location is missing or outside Nepal
+ */
+const validateNepalCoordinates = (pickupInfo, dropoffInfo) => {
+    const pickupValid = isWithinNepal(pickupInfo?.latitude, pickupInfo?.longitude);
+    const dropoffValid = isWithinNepal(dropoffInfo?.latitude, dropoffInfo?.longitude);
+
+    if (!pickupValid || !dropoffValid) {
+        throw new Error("Pickup or Dropoff coordinates must be within Nepal.");
+    }
+};
+
+/**
+ * Validates a new job sent by a client and builds the document to store
+ * Jobs sent without a driver, or with `autoAssign: true`, are left
+ * unassigned for the dispatch engine; drivers whose licence has expired
+ * can't be given jobs. Multi-stop jobs send `stops` instead
+ * of pickupInfo and dropoffInfo. The job goes on `vehicleId`, which must
+ * not be another driver's, or else on the vehicle its driver is using; it
+ * must be active and able to carry its add-ons. Errors carrying `status` 400 are client mistakes;
+ * coordinate errors are plain errors, as createJob has always reported them.
+ *
+ * @async
+ * @function prepareJob
+ * @param {Object} input - Job fields as accepted by POST /job/createJob
+ * @param {Object} createdBy - Who is creating the job ({ id, role })
+ * @param {Object} [options]
+ * @param {Function} [options.findDriver] - Looks a user up by id; lets bulk imports reuse lookups
+ * @param {Function} [options.findVehicle] - Looks a vehicle up by a filter, likewise
+ * @returns {Promise<Object>} { job, autoAssign } with the fields for a new Job
+ * @throws {Error} If the input is invalid
+ */
+const prepareJob = async (input, createdBy, {
+    findDriver = (id) => User.findById(id),
+    findVehicle = (filter) => Vehicle.findOne(filter),
+} = {}) => {
+    const {
+        driverInfo,
+        currentCoords,
+        status,
+        note,
+        addOns,
+        isUrgent,
+        autoAssign,
+        geofence,
+        promisedBy,
+        pickupWindow,
+        deliveryWindow,
+        vehicleId,
+    } = input;
+    let { pickupInfo, dropoffInfo } = input;
+    const shouldAutoAssign = autoAssign === true || !driverInfo;
+
+    let assignedDriver = null;
+    if (shouldAutoAssign) {
+        if (status && status !== "pending") {
+            throw invalidInput("Jobs without a driver must start as pending");
+        }
+    } else {
+        if (!mongoose.Types.ObjectId.isValid(driverInfo.id)) {
+            throw invalidInput("Invalid driver ID");
+        }
+
+        const driver = await findDriver(driverInfo.id);
+        if (!driver || driver.role !== "driver") {
+            throw invalidInput("Invalid or Non-driver User");
+        }
+        const licenceProblem = checkDriverLicence(driver);
+        if (licenceProblem) {
+            throw invalidInput(licenceProblem);
+        }
+
+        assignedDriver = {
+            id: driverInfo.id,
+            name: driverInfo.name || `${driver.firstName} ${driver.lastName}`,
+            phone: driverInfo.phone || driver.phone,
+        };
+    }
+
+    let vehicle = null;
+    if (vehicleId) {
+        if (!mongoose.Types.ObjectId.isValid(vehicleId)) {
+            throw invalidInput("Invalid vehicle ID");
+        }
+        vehicle = await findVehicle({ _id: vehicleId });
+        if (!vehicle) {
+            throw invalidInput("Vehicle not found");
+        }
+        if (assignedDriver && vehicle.driverInfo && String(vehicle.driverInfo.id) !== String(assignedDriver.id)) {
+            throw invalidInput(`Vehicle ${vehicle.plateNumber} is assigned to another driver`);
+        }
+    } else if (assignedDriver) {
+        vehicle = await findVehicle({ "driverInfo.id": String(assignedDriver.id) });
+    }
+    const vehicleProblem = vehicle && checkVehicleForJob(vehicle, addOns);
+    if (vehicleProblem) {
+        throw invalidInput(vehicleProblem);
+    }
+
+    let stops = [];
+    if (input.stops !== undefined) {
+        if (pickupInfo || dropoffInfo) {
+            throw invalidInput("Send either stops or pickupInfo and dropoffInfo, not both");
+        }
+        try {
+            stops = parseStops(input.stops);
+        } catch (error) {
+            throw invalidInput(error.message);
+        }
+        ({ pickupInfo, dropoffInfo } = routeEnds(stops));
+        stops.forEach((stop, index) => {
+            if (!isWithinNepal(stop.latitude, stop.longitude)) {
+                throw new Error(`Stop ${index + 1} coordinates must be within Nepal.`);
+            }
+        });
+    }
+
+    validateNepalCoordinates(pickupInfo, dropoffInfo);
+
+    if (promisedBy !== undefined && promisedBy !== null && isNaN(new Date(promisedBy).getTime())) {
+        throw invalidInput("promisedBy must be a valid date");
+    }
+
+    let geofenceSettings;
+    let schedule;
+    try {
+        geofenceSettings = parseGeofenceSettings(geofence);
+        schedule = parseJobSchedule({ pickupWindow, deliveryWindow });
+    } catch (error) {
+        throw invalidInput(error.message);
+    }
+
+    const job = {
+        driverInfo: assignedDriver,
+        assignment: assignedDriver ? { method: "manual", assignedBy: createdBy } : null,
+        vehicleInfo: vehicle ? toVehicleInfo(vehicle) : null,
+        pickupInfo,
+        dropoffInfo,
+        stops,
+        currentCoords,
+        status,
+        statusHistory: [{
+            from: null,
+            to: status || "pending",
+            changedBy: createdBy,
+            reason: "Job created",
+        }],
+        note,
+        addOns,
+        isUrgent,
+        pickupWindow: schedule.pickupWindow,
+        deliveryWindow: schedule.deliveryWindow,
+        promisedBy: promisedBy ?? schedule.deliveryWindow?.latest ?? null,
+        geofence: geofenceSettings,
+    };
+
+    return { job, autoAssign: shouldAutoAssign };
+};
+
+module.exports = {
+    isWithinNepal,
+    validateNepalCoordinates,
+    prepareJob,
+};
@@ -0,0 +1,78 @@
+/**
+ * @module utils/jobLocation
+ * @description Applies a driver's location ping to a job: current
+ * coordinates, breadcrumb trail, geofences and live subscribers
+ */
+const TrackPoint = require("../models/trackPoint.model");
+const { toGeoPoint, fromGeoPoint } = require("./geo");
+const { applyGeofences } = require("./geofence");
+const { publishJobEvent } = require("./liveEvents");
+
+/**
+ * Parses an optional numeric reading sent by the device
+ */
+const toNumberOrNull = (value) => {
+    const number = parseFloat(value);
+    return isNaN(number) ? null : number;
+};
+
+/**
+ * Builds the job update for a ping's coordinates
+ * Unparseable coordinates are stored as sent, without a GeoJSON location.
+ *
+ * @function buildLocationUpdate
+ * @param {Object} currentCoords - { latitude, longitude } sent by the device
+ * @returns {Object} { currentLocation, update } where currentLocation is null for invalid coordinates
+ */
+const buildLocationUpdate = (currentCoords) => {
+    const currentLocation = toGeoPoint(currentCoords?.latitude, currentCoords?.longitude);
+    if (!currentLocation) {
+        return { currentLocation: null, update: { currentCoords } };
+    }
+    return {
+        currentLocation,
+        update: {
+            currentCoords: {
+                latitude: currentLocation.coordinates[1],
+                longitude: currentLocation.coordinates[0],
+            },
+            currentLocation,
+            lastLocationAt: new Date(),
+        },
+    };
+};
+
+/**
+ * Records a ping on a job whose coordinates were already updated: stores
+ * the breadcrumb, checks the geofences and publishes the new location
+ *
+ * @async
+ * @function recordJobLocation
+ * @param {Object} job - Job after its coordinates were updated
+ * @param {Object|null} currentLocation - GeoJSON point from buildLocationUpdate
+ * @param {Object} [readings] - Optional { speed, heading, accuracy } from the device
+ * @returns {Promise<Object>} The latest version of the job
+ */
+const recordJobLocation = async (job, currentLocation, { speed, heading, accuracy } = {}) => {
+    let updatedJob = job;
+    if (currentLocation) {
+        await TrackPoint.create({
+            jobId: job._id,
+            driverId: job.driverInfo?.id || null,
+            latitude: currentLocation.coordinates[1],
+            longitude: currentLocation.coordinates[0],
+            speed: toNumberOrNull(speed),
+            heading: toNumberOrNull(heading),
+            accuracy: toNumberOrNull(accuracy),
+        });
+        updatedJob = await applyGeofences(job, fromGeoPoint(currentLocation));
+    }
+
+    publishJobEvent("location", updatedJob);
+    return updatedJob;
+};
+
+module.exports = {
+    buildLocationUpdate,
+    recordJobLocation,
+};
@@ -0,0 +1,109 @@
+/**
+ * @module utils/jobStatus
+ * @description Job lifecycle rules: the statuses a job can be in and the
+ * transitions allowed between them
+ */
+const Job = require("../models/job.model");
+const { publishJobEvent } = require("./liveEvents");
+
+/**
+ * Every status a job can hold, in lifecycle order
+ * @constant {string[]}
+ */
+const JOB_STATUSES = ["pending", "in-transit", "delayed", "delivered", "cancelled"];
+
+/**
+ * Allowed status transitions keyed by the current status.
+ * `delivered` and `cancelled` are terminal.
+ * @constant {Object<string, string[]>}
+ */
+const STATUS_TRANSITIONS = {
+    "pending": ["in-transit", "cancelled"],
+    "in-transit": ["delayed", "delivered", "cancelled"],
+    "delayed": ["in-transit", "delivered", "cancelled"],
+    "delivered": [],
+    "cancelled": [],
+};
+
+/**
+ * The subset of transitions a driver may make on their own job:
+ * picking up, reporting a delay (and resuming), and delivering
+ * @constant {Object<string, string[]>}
+ */
+const DRIVER_TRANSITIONS = {
+    "pending": ["in-transit"],
+    "in-transit": ["delayed", "delivered"],
+    "delayed": ["in-transit", "delivered"],
+};
+
+/**
+ * Checks whether a job may move from one status to another
+ *
+ * @function canTransition
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean} True if the transition is allowed
+ */
+const canTransition = (from, to) => {
+    return (STATUS_TRANSITIONS[from] || []).includes(to);
+};
+
+/**
+ * Checks whether a driver may move their job from one status to another
+ *
+ * @function canDriverTransition
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean} True if the transition is allowed for drivers
+ */
+const canDriverTransition = (from, to) => {
+    return (DRIVER_TRANSITIONS[from] || []).includes(to);
+};
+
+/**
+ * Moves a job to a new status and appends the change to its status history.
+ * The update is conditional on the job still having the status it was read
+ * with, so two concurrent requests can't both apply a transition.
+ *
+ * @async
+ * @function transitionJobStatus
+ * @param {Object} job - Job document (or lean object) as currently stored
+ * @param {string} to - Status to move the job to
+ * @param {Object} [options]
+ * @param {Object} [options.changedBy] - Who made the change ({ id, role })
+ * @param {string} [options.reason] - Optional reason for the change
+ * @param {Object} [options.set] - Other fields to set in the same update
+ * @returns {Promise<Object|null>} The updated job, or null if its status changed in the meantime
+ */
+const transitionJobStatus = async (job, to, { changedBy = {}, reason = null, set = {} } = {}) => {
+    const updatedJob = await Job.findOneAndUpdate(
+        { _id: job._id, status: job.status },
+        {
+            $set: { ...set, status: to },
+            $push: {
+                statusHistory: {
+                    from: job.status,
+                    to,
+                    changedBy,
+                    reason,
+                    changedAt: new Date(),
+                },
+            },
+        },
+        { new: true }
+    );
+
+    if (updatedJob) {
+        publishJobEvent("status", updatedJob);
+    }
+    return updatedJob;
+};
+
+module.exports = {
+    JOB_STATUSES,
+    STATUS_TRANSITIONS,
+    DRIVER_TRANSITIONS,
+    canTransition,
+    canDriverTransition,
+    transitionJobStatus,
+};
@@ -0,0 +1,154 @@
+/**
+ * @module utils/jobStops
+ * @description Ordered stops on multi-stop jobs: validation, the order they
+ * are worked in, and the job status they imply
+ */
+
+/**
+ * Statuses a stop can hold; `completed` and `failed` are final
+ * @constant {string[]}
+ */
+const STOP_STATUSES = ["pending", "arrived", "completed", "failed"];
+const OPEN_STOP_STATUSES = ["pending", "arrived"];
+
+/**
+ * Allowed stop status changes keyed by the current status
+ * @constant {Object<string, string[]>}
+ */
+const STOP_TRANSITIONS = {
+    "pending": ["arrived", "completed", "failed"],
+    "arrived": ["completed", "failed"],
+};
+
+/**
+ * Most stops a job can have
+ * @constant {number}
+ */
+const MAX_STOPS = 25;
+
+/**
+ * Validates the stops sent for a new job
+ * Stops are worked in the order given: the first must be a pickup and there
+ * must be at least one dropoff after it.
+ *
+ * @function parseStops
+ * @param {Object[]} input - Stops with type, name, phone, optional email and note, latitude and longitude
+ * @returns {Object[]} Stops ready to store, all pending
+ * @throws {Error} If the list or a stop is invalid
+ */
+const parseStops = (input) => {
+    if (!Array.isArray(input) || input.length < 2) {
+        throw new Error("stops must be a list of at least two stops");
+    }
+    if (input.length > MAX_STOPS) {
+        throw new Error(`A job can have at most ${MAX_STOPS} stops`);
+    }
+
+    const stops = input.map((stop, index) => {
+        const label = `Stop ${index + 1}`;
+        if (!stop || !["pickup", "dropoff"].includes(stop.type)) {
+            throw new Error(`${label} needs a type of pickup or dropoff`);
+        }
+        if (!stop.name || !stop.phone) {
+            throw new Error(`${label} needs a name and phone`);
+        }
+        return {
+            type: stop.type,
+            name: stop.name,
+            phone: stop.phone,
+            email: stop.email,
+            note: stop.note,
+            latitude: parseFloat(stop.latitude),
+            longitude: parseFloat(stop.longitude),
+            status: "pending",
+        };
+    });
+
+    if (stops[0].type !== "pickup") {
+        throw new Error("The first stop must be a pickup");
+    }
+    if (!stops.some((stop) => stop.type === "dropoff")) {
+        throw new Error("stops must include at least one dropoff");
+    }
+    return stops;
+};
+
+/**
+ * The pickup and dropoff that bound a multi-stop route, stored as the job's
+ * pickupInfo and dropoffInfo so ETA, geofences and dispatch keep working
+ *
+ * @function routeEnds
+ * @param {Object[]} stops - Stops in order
+ * @returns {Object} { pickupInfo, dropoffInfo }
+ */
+const routeEnds = (stops) => {
+    const toContact = ({ name, phone, email, latitude, longitude }) => ({ name, phone, email, latitude, longitude });
+    const dropoffs = stops.filter((stop) => stop.type === "dropoff");
+    return {
+        pickupInfo: toContact(stops.find((stop) => stop.type === "pickup")),
+        dropoffInfo: toContact(dropoffs[dropoffs.length - 1]),
+    };
+};
+
+/**
+ * Index of the stop the driver is working on: the first one still open
+ *
+ * @function currentStopIndex
+ * @param {Object[]} stops - Stops in order
+ * @returns {number} Index of the current stop, or -1 once every stop is done
+ */
+const currentStopIndex = (stops) => stops.findIndex((stop) => OPEN_STOP_STATUSES.includes(stop.status));
+
+/**
+ * Checks whether a stop may move from one status to another
+ *
+ * @function canTransitionStop
+ * @param {string} from - Current stop status
+ * @param {string} to - Requested stop status
+ * @returns {boolean}
+ */
+const canTransitionStop = (from, to) => (STOP_TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Whether a job still has stops to work
+ *
+ * @function hasOpenStops
+ * @param {Object} job - Job with optional stops
+ * @returns {boolean}
+ */
+const hasOpenStops = (job) => (job.stops || []).some((stop) => OPEN_STOP_STATUSES.includes(stop.status));
+
+/**
+ * Works out the job status its stops imply
+ * A pending job goes in transit once a stop is completed, and a job in
+ * transit is delivered once every stop is done and at least one dropoff was
+ * completed. When every dropoff failed the status is left for a dispatcher.
+ *
+ * @function statusFromStops
+ * @param {string} status - The job's current status
+ * @param {Object[]} stops - The job's stops
+ * @returns {string|null} Status to move the job to, or null to leave it
+ */
+const statusFromStops = (status, stops) => {
+    if (!stops || stops.length === 0) return null;
+
+    if (status === "pending") {
+        return stops.some((stop) => stop.status === "completed") ? "in-transit" : null;
+    }
+    if (currentStopIndex(stops) === -1 && status !== "delivered") {
+        const delivered = stops.some((stop) => stop.type === "dropoff" && stop.status === "completed");
+        return delivered ? "delivered" : null;
+    }
+    return null;
+};
+
+module.exports = {
+    STOP_STATUSES,
+    MAX_STOPS,
+    parseStops,
+    routeEnds,
+    currentStopIndex,
+    canTransitionStop,
+    hasOpenStops,
+    statusFromStops,
+};
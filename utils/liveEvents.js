@@ -0,0 +1,46 @@
+/**
+ * @module utils/liveEvents
+ * @description In-process publish/subscribe hub for live job updates.
+ * Controllers publish when a job's location, status or driver changes and the
+ * streaming endpoints forward those events to subscribed clients.
+ */
+const { EventEmitter } = require("events");
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+/**
+ * Publishes a change to a job to every subscriber
+ *
+ * @function publishJobEvent
+ * @param {string} type - Event type ("location", "status" or "assignment")
+ * @param {Object} job - The job after the change
+ * @returns {void}
+ */
+const publishJobEvent = (type, job) => {
+    emitter.emit("job", {
+        type,
+        jobId: String(job._id),
+        driverId: job.driverInfo?.id ? String(job.driverInfo.id) : null,
+        status: job.status,
+        currentCoords: job.currentCoords || null,
+        at: new Date().toISOString(),
+    });
+};
+
+/**
+ * Registers a listener for job events
+ *
+ * @function subscribe
+ * @param {Function} listener - Called with each published event
+ * @returns {Function} Call to unsubscribe
+ */
+const subscribe = (listener) => {
+    emitter.on("job", listener);
+    return () => emitter.off("job", listener);
+};
+
+module.exports = {
+    publishJobEvent,
+    subscribe,
+};
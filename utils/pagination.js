@@ -0,0 +1,223 @@
+/**
+ * @module utils/pagination
+ * @description Page/limit and cursor pagination, whitelisted sorting, date
+ * range filters and field selection for list endpoints
+ */
+const mongoose = require("mongoose");
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+// Header carrying the metadata of list endpoints that return a bare array
+const PAGINATION_HEADER = "X-Pagination";
+
+/**
+ * Encodes the position after a document as an opaque cursor
+ */
+const encodeCursor = (doc, sortKey) => {
+    const value = sortKey.split(".").reduce((current, key) => current?.[key], doc);
+    const payload = {
+        v: value instanceof Date ? value.toISOString() : value ?? null,
+        d: value instanceof Date,
+        id: String(doc._id),
+    };
+    return Buffer.from(JSON.stringify(payload)).toString("base64url");
+};
+
+/**
+ * Decodes a cursor back into { value, id }
+ */
+const decodeCursor = (cursor) => {
+    try {
+        const { v, d, id } = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+        if (!mongoose.Types.ObjectId.isValid(id)) throw new Error();
+        return { value: d ? new Date(v) : v, id: new mongoose.Types.ObjectId(id) };
+    } catch (error) {
+        throw new Error("Invalid cursor");
+    }
+};
+
+/**
+ * Parses pagination, sorting and field selection query parameters
+ * `sort` takes one whitelisted key, prefixed with "-" for descending order.
+ * Sending `cursor` (or `paginate=cursor` for the first page) switches from
+ * page/limit to cursor pagination.
+ *
+ * @function parseListOptions
+ * @param {Object} query - Request query
+ * @param {Object} options
+ * @param {string[]} options.sortKeys - Keys clients may sort by
+ * @param {string} [options.defaultSort] - Sort used when none is given
+ * @param {string[]} [options.fieldKeys] - Fields clients may select
+ * @returns {Object} { mode, page, limit, skip, sortKey, sort, cursor, projection }
+ * @throws {Error} If a parameter is invalid
+ */
+const parseListOptions = (query, { sortKeys, defaultSort = "-createdAt", fieldKeys = [] }) => {
+    const limit = query.limit === undefined ? DEFAULT_LIMIT : parseInt(query.limit, 10);
+    if (isNaN(limit) || limit < 1 || limit > MAX_LIMIT) {
+        throw new Error(`limit must be between 1 and ${MAX_LIMIT}`);
+    }
+
+    const sortParam = query.sort || defaultSort;
+    const direction = sortParam.startsWith("-") ? -1 : 1;
+    const sortKey = sortParam.replace(/^-/, "");
+    if (!sortKeys.includes(sortKey)) {
+        throw new Error(`sort must be one of ${sortKeys.join(", ")}`);
+    }
+
+    let projection = null;
+    if (query.fields) {
+        const fields = query.fields.split(",").map((field) => field.trim()).filter(Boolean);
+        const unknown = fields.filter((field) => !fieldKeys.includes(field));
+        if (unknown.length) {
+            throw new Error(`Unknown fields: ${unknown.join(", ")}`);
+        }
+        projection = {};
+        fields.forEach((field) => {
+            projection[field] = 1;
+        });
+    }
+
+    const useCursor = Boolean(query.cursor) || query.paginate === "cursor";
+    const page = useCursor ? null : parseInt(query.page || 1, 10);
+    if (!useCursor && (isNaN(page) || page < 1)) {
+        throw new Error("page must be a positive number");
+    }
+
+    if (projection) {
+        // Cursors are built from the sort key, so it is always returned
+        projection[sortKey] = 1;
+    }
+
+    return {
+        mode: useCursor ? "cursor" : "page",
+        page,
+        limit,
+        skip: useCursor ? 0 : (page - 1) * limit,
+        sortKey,
+        direction,
+        // _id breaks ties so pages never overlap
+        sort: { [sortKey]: direction, _id: direction },
+        cursor: query.cursor ? decodeCursor(query.cursor) : null,
+        projection,
+    };
+};
+
+/**
+ * Builds the condition that continues a listing after a cursor
+ * MongoDB sorts documents without a value (null or missing) before all
+ * others ascending and after them descending, so nullable keys such as
+ * promisedBy need their own conditions to cross that boundary.
+ *
+ * @function buildCursorFilter
+ * @param {Object} options - Result of parseListOptions
+ * @returns {Object|null} Query condition, or null on the first page
+ */
+const buildCursorFilter = ({ cursor, sortKey, direction }) => {
+    if (!cursor) return null;
+    const after = direction === 1 ? "$gt" : "$lt";
+
+    if (cursor.value === null) {
+        const conditions = [{ [sortKey]: null, _id: { [after]: cursor.id } }];
+        if (direction === 1) {
+            conditions.push({ [sortKey]: { $ne: null } });
+        }
+        return { $or: conditions };
+    }
+
+    const conditions = [
+        { [sortKey]: { [after]: cursor.value } },
+        { [sortKey]: cursor.value, _id: { [after]: cursor.id } },
+    ];
+    if (direction === -1) {
+        conditions.push({ [sortKey]: null });
+    }
+    return { $or: conditions };
+};
+
+/**
+ * Builds date range conditions from `<prefix>From` / `<prefix>To` parameters,
+ * e.g. createdFrom/createdTo for createdAt
+ *
+ * @function buildDateRangeFilter
+ * @param {Object} query - Request query
+ * @param {Object} fields - Map of parameter prefix to document field, e.g. { created: "createdAt" }
+ * @returns {Object} Query conditions (empty when no range was given)
+ * @throws {Error} If a date is invalid
+ */
+const buildDateRangeFilter = (query, fields) => {
+    const filter = {};
+    Object.entries(fields).forEach(([prefix, field]) => {
+        const range = {};
+        [["From", "$gte"], ["To", "$lte"]].forEach(([suffix, operator]) => {
+            const param = query[`${prefix}${suffix}`];
+            if (!param) return;
+            const date = new Date(param);
+            if (isNaN(date.getTime())) {
+                throw new Error(`${prefix}${suffix} must be a valid date`);
+            }
+            range[operator] = date;
+        });
+        if (Object.keys(range).length) {
+            filter[field] = range;
+        }
+    });
+    return filter;
+};
+
+/**
+ * Runs a paginated find and builds the response metadata
+ *
+ * @async
+ * @function paginate
+ * @param {mongoose.Model} Model - Model to query
+ * @param {Object} query - Filter conditions
+ * @param {Object} options - Result of parseListOptions
+ * @param {Object|string} [baseProjection] - Projection applied when no fields were selected
+ * @returns {Promise<Object>} { docs, pagination }
+ */
+const paginate = async (Model, query, options, baseProjection = null) => {
+    const cursorFilter = buildCursorFilter(options);
+    const filter = cursorFilter ? { $and: [query, cursorFilter] } : query;
+
+    const [found, total] = await Promise.all([
+        Model.find(filter, options.projection || baseProjection)
+            .sort(options.sort)
+            .skip(options.skip)
+            .limit(options.limit + 1)
+            .lean(),
+        // Counting on every page is what makes deep cursor listings slow, so
+        // cursor mode skips it
+        options.mode === "page" ? Model.countDocuments(query) : null,
+    ]);
+
+    const hasNextPage = found.length > options.limit;
+    const docs = hasNextPage ? found.slice(0, options.limit) : found;
+    const pagination = {
+        mode: options.mode,
+        limit: options.limit,
+        sort: `${options.direction === -1 ? "-" : ""}${options.sortKey}`,
+        hasNextPage,
+    };
+
+    if (options.mode === "page") {
+        Object.assign(pagination, {
+            page: options.page,
+            total,
+            totalPages: Math.ceil(total / options.limit),
+        });
+    } else {
+        pagination.nextCursor = hasNextPage ? encodeCursor(docs[docs.length - 1], options.sortKey) : null;
+    }
+
+    return { docs, pagination };
+};
+
+module.exports = {
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    PAGINATION_HEADER,
+    parseListOptions,
+    buildCursorFilter,
+    buildDateRangeFilter,
+    paginate,
+};
@@ -0,0 +1,276 @@
+/**
+ * @module utils/routeOptimizer
+ * @description Orders a driver's pickups and dropoffs without a mapping
+ * service: nearest neighbour to build a route, then 2-opt and or-opt moves
+ * to improve it, on great-circle distances. Each job's pickup stays before its dropoff and
+ * multi-stop jobs keep their stop order.
+ */
+const routeConfig = require("../config/routeConfig");
+const trackingConfig = require("../config/trackingConfig");
+const { haversineKm } = require("./geo");
+
+const ACTIVE_STATUSES = ["in-transit", "delayed"];
+const OPEN_STOP_STATUSES = ["pending", "arrived"];
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * Builds one route stop
+ */
+const toRouteStop = (job, key, type, contact, window, after) => ({
+    id: `${job._id}:${key}`,
+    jobId: String(job._id),
+    type,
+    name: contact.name,
+    phone: contact.phone,
+    latitude: parseFloat(contact.latitude),
+    longitude: parseFloat(contact.longitude),
+    window: window?.earliest || window?.latest
+        ? { earliest: window.earliest ? new Date(window.earliest) : null, latest: window.latest ? new Date(window.latest) : null }
+        : null,
+    isUrgent: Boolean(job.isUrgent),
+    after,
+});
+
+/**
+ * Lists the stops still to visit for a driver's open jobs
+ * Pending jobs need their pickup and dropoff, jobs already in transit only
+ * their dropoff. Multi-stop jobs contribute their open stops, each after the
+ * one before it. Dropoffs are due by the end of the delivery window, or
+ * `promisedBy` when there is none; on multi-stop jobs that applies to the
+ * last dropoff. Stops without usable coordinates are left out, with the
+ * stops of the same job that follow them.
+ *
+ * @function buildRouteStops
+ * @param {Object[]} jobs - Open jobs
+ * @returns {Object[]} Stops with { id, jobId, type, name, phone, latitude, longitude, window, isUrgent, after }
+ */
+const buildRouteStops = (jobs) => {
+    const stops = [];
+    jobs.forEach((job) => {
+        const deliveryWindow = {
+            earliest: job.deliveryWindow?.earliest,
+            latest: job.deliveryWindow?.latest || job.promisedBy,
+        };
+
+        if (job.stops?.length) {
+            const lastDropoff = job.stops.map((stop) => stop.type).lastIndexOf("dropoff");
+            let previous = null;
+            job.stops.forEach((stop, index) => {
+                if (!OPEN_STOP_STATUSES.includes(stop.status)) return;
+                const window = index === lastDropoff ? deliveryWindow : null;
+                const routeStop = toRouteStop(job, `stop-${index + 1}`, stop.type, stop, window, previous);
+                stops.push(routeStop);
+                previous = routeStop.id;
+            });
+            return;
+        }
+
+        if (ACTIVE_STATUSES.includes(job.status)) {
+            stops.push(toRouteStop(job, "dropoff", "dropoff", job.dropoffInfo, deliveryWindow, null));
+            return;
+        }
+        const pickup = toRouteStop(job, "pickup", "pickup", job.pickupInfo, job.pickupWindow, null);
+        stops.push(pickup, toRouteStop(job, "dropoff", "dropoff", job.dropoffInfo, deliveryWindow, pickup.id));
+    });
+    // A stop without usable coordinates takes the stops that wait on it along,
+    // or they could never be reached
+    const dropped = new Set();
+    return stops.filter((stop) => {
+        if (isNaN(stop.latitude) || isNaN(stop.longitude) || dropped.has(stop.after)) {
+            dropped.add(stop.id);
+            return false;
+        }
+        return true;
+    });
+};
+
+/**
+ * Drives one leg: travel, wait for the window to open, then check lateness
+ */
+const visit = (position, time, stop, settings) => {
+    const legKm = position ? haversineKm(position, stop) : 0;
+    let arrival = time + (legKm / settings.speedKmh) * 3600000;
+    if (stop.window?.earliest && arrival < stop.window.earliest.getTime()) {
+        arrival = stop.window.earliest.getTime();
+    }
+    const lateMinutes = stop.window?.latest ? Math.max(0, (arrival - stop.window.latest.getTime()) / 60000) : 0;
+    return { legKm, arrival, lateMinutes, departure: arrival + settings.serviceMinutes * 60000 };
+};
+
+/**
+ * Scores a whole route: distance, plus penalties for late stops and for
+ * urgent stops reached later rather than sooner
+ */
+const evaluateRoute = (route, start, startTime, settings) => {
+    let position = start;
+    let time = startTime;
+    let distanceKm = 0;
+    let lateMinutes = 0;
+    let urgentWaitHours = 0;
+    const legs = route.map((stop) => {
+        const leg = visit(position, time, stop, settings);
+        distanceKm += leg.legKm;
+        lateMinutes += leg.lateMinutes;
+        if (stop.isUrgent) urgentWaitHours += (leg.arrival - startTime) / 3600000;
+        position = stop;
+        time = leg.departure;
+        return leg;
+    });
+    const cost = distanceKm
+        + lateMinutes * settings.latePenaltyKmPerMinute
+        + urgentWaitHours * settings.urgentPenaltyKmPerHour;
+    return { legs, distanceKm, lateMinutes, cost, finishedAt: time };
+};
+
+/**
+ * Whether every stop comes after the stop it depends on
+ */
+const respectsOrder = (route) => {
+    const seen = new Set();
+    return route.every((stop) => {
+        if (stop.after && !seen.has(stop.after)) return false;
+        seen.add(stop.id);
+        return true;
+    });
+};
+
+/**
+ * Builds a first route by repeatedly driving to the cheapest reachable stop
+ * Urgent stops count as half as far, and stops reached late pay the late
+ * penalty; ties go to urgent stops, then the earliest deadline.
+ */
+const nearestNeighbour = (stops, start, startTime, settings) => {
+    const route = [];
+    const visited = new Set();
+    let remaining = [...stops];
+    let position = start;
+    let time = startTime;
+
+    while (remaining.length) {
+        const scored = remaining
+            .filter((stop) => !stop.after || visited.has(stop.after))
+            .map((stop) => {
+                const leg = visit(position, time, stop, settings);
+                const score = leg.legKm * (stop.isUrgent ? 0.5 : 1) + leg.lateMinutes * settings.latePenaltyKmPerMinute;
+                return { stop, leg, score };
+            })
+            .sort((a, b) => a.score - b.score
+                || Number(b.stop.isUrgent) - Number(a.stop.isUrgent)
+                || (a.stop.window?.latest?.getTime() ?? Infinity) - (b.stop.window?.latest?.getTime() ?? Infinity));
+
+        const { stop, leg } = scored[0];
+        route.push(stop);
+        visited.add(stop.id);
+        remaining = remaining.filter((other) => other !== stop);
+        position = stop;
+        time = leg.departure;
+    }
+    return route;
+};
+
+/**
+ * Candidate routes one move away: every segment reversed (2-opt) and every
+ * run of up to three stops moved elsewhere (or-opt), which is what lets a
+ * pickup and its dropoff move forward together
+ */
+function* neighbours(route) {
+    for (let i = 0; i < route.length - 1; i++) {
+        for (let k = i + 1; k < route.length; k++) {
+            yield [...route.slice(0, i), ...route.slice(i, k + 1).reverse(), ...route.slice(k + 1)];
+        }
+    }
+    for (let length = 1; length <= 3; length++) {
+        for (let i = 0; i + length <= route.length; i++) {
+            const segment = route.slice(i, i + length);
+            const rest = [...route.slice(0, i), ...route.slice(i + length)];
+            for (let j = 0; j <= rest.length; j++) {
+                if (j === i) continue;
+                yield [...rest.slice(0, j), ...segment, ...rest.slice(j)];
+            }
+        }
+    }
+}
+
+/**
+ * Improves a route with 2-opt and or-opt moves while they lower its cost
+ * and keep every pickup before its dropoff, stopping with the best route so
+ * far once `maxImprovementMs` has passed
+ */
+const improveRoute = (route, start, startTime, settings) => {
+    const deadline = Date.now() + settings.maxImprovementMs;
+    let best = route;
+    let bestCost = evaluateRoute(best, start, startTime, settings).cost;
+    let improved = true;
+    let passes = 0;
+
+    while (improved && passes < settings.maxImprovementPasses) {
+        improved = false;
+        passes += 1;
+        for (const candidate of neighbours(best)) {
+            if (Date.now() > deadline) return best;
+            if (!respectsOrder(candidate)) continue;
+            const { cost } = evaluateRoute(candidate, start, startTime, settings);
+            if (cost < bestCost - 1e-9) {
+                best = candidate;
+                bestCost = cost;
+                improved = true;
+                break;
+            }
+        }
+    }
+    return best;
+};
+
+/**
+ * Computes a visiting order for a set of stops
+ *
+ * @function optimizeRoute
+ * @param {Object[]} stops - Stops from buildRouteStops
+ * @param {Object} [options]
+ * @param {Object|null} [options.start] - { latitude, longitude } the driver leaves from; without one the first stop costs nothing to reach
+ * @param {Date} [options.startTime] - When the driver leaves, for ETAs and time windows
+ * @param {number} [options.speedKmh] - Average speed used for ETAs
+ * @returns {Object} { stops, totalDistanceKm, estimatedDurationMinutes, lateStops } with each
+ * stop's sequence, legKm, cumulativeKm, eta and lateMinutes
+ */
+const optimizeRoute = (stops, {
+    start = null,
+    startTime = new Date(),
+    speedKmh = trackingConfig.averageSpeedKmh,
+} = {}) => {
+    const settings = { ...routeConfig, speedKmh };
+    const startMs = startTime.getTime();
+
+    const firstRoute = nearestNeighbour(stops, start, startMs, settings);
+    const route = stops.length <= settings.maxImprovedStops
+        ? improveRoute(firstRoute, start, startMs, settings)
+        : firstRoute;
+    const { legs, distanceKm, finishedAt } = evaluateRoute(route, start, startMs, settings);
+
+    let cumulativeKm = 0;
+    const ordered = route.map(({ after, ...stop }, index) => {
+        const leg = legs[index];
+        cumulativeKm += leg.legKm;
+        return {
+            sequence: index + 1,
+            ...stop,
+            legKm: round(leg.legKm),
+            cumulativeKm: round(cumulativeKm),
+            eta: new Date(leg.arrival),
+            lateMinutes: Math.round(leg.lateMinutes),
+        };
+    });
+
+    return {
+        stops: ordered,
+        totalDistanceKm: round(distanceKm),
+        estimatedDurationMinutes: route.length ? Math.round((finishedAt - startMs) / 60000) : 0,
+        lateStops: ordered.filter((stop) => stop.lateMinutes > 0).length,
+    };
+};
+
+module.exports = {
+    buildRouteStops,
+    optimizeRoute,
+};
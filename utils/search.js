@@ -0,0 +1,119 @@
+/**
+ * @module utils/search
+ * @description Full-text search helpers: phone number normalisation and
+ * `$text` queries for the job and user text indexes
+ */
+
+/**
+ * Country calling code stripped from phone numbers so local and
+ * international formats of a number share one search key
+ * @constant {string}
+ */
+const COUNTRY_CODE = "977";
+
+/**
+ * Longest search string accepted
+ * @constant {number}
+ */
+const MAX_SEARCH_LENGTH = 100;
+
+const PHONE_PATTERN = /^\+?[\d\s().-]{7,}$/;
+const EMAIL_PATTERN = /^[^\s@"]+@[^\s@"]+$/;
+
+/**
+ * Normalises a phone number to its digits without the country code or the
+ * trunk prefix, e.g. "+977 984-123-4567" and "9841234567" both become
+ * "9841234567", and "01-4412345" and "+977 1 4412345" both become "14412345"
+ *
+ * @function normalizePhone
+ * @param {string} phone - Phone number in any format
+ * @returns {string|null} Digits of the national number, or null if there are none
+ */
+const normalizePhone = (phone) => {
+    if (phone === null || phone === undefined) return null;
+    let digits = String(phone).replace(/\D/g, "").replace(/^0+/, "");
+    if (digits.startsWith(COUNTRY_CODE) && digits.length > 10) {
+        digits = digits.slice(COUNTRY_CODE.length).replace(/^0+/, "");
+    }
+    return digits || null;
+};
+
+/**
+ * Builds the `$text` condition for a search string
+ * Phone numbers are searched by their normalised key and e-mail addresses
+ * as one phrase; anything else is matched word by word. Only whole words
+ * and whole numbers match, not parts of them: the text index has no prefix
+ * or substring matching. The string is never compiled as a regular expression.
+ *
+ * @function buildTextSearch
+ * @param {string} search - Search string from the query
+ * @returns {Object|null} Query condition, or null for an empty search
+ * @throws {Error} If the search string is too long
+ */
+const buildTextSearch = (search) => {
+    const term = String(search ?? "").trim();
+    if (!term) return null;
+    if (term.length > MAX_SEARCH_LENGTH) {
+        throw new Error(`search must be at most ${MAX_SEARCH_LENGTH} characters`);
+    }
+
+    if (PHONE_PATTERN.test(term)) {
+        return { $text: { $search: normalizePhone(term) } };
+    }
+    if (EMAIL_PATTERN.test(term)) {
+        return { $text: { $search: `"${term}"` } };
+    }
+    return { $text: { $search: term } };
+};
+
+/**
+ * Orders a page-mode listing by text relevance, best match first
+ * Cursor pagination needs a stable sort key, so cursor listings and
+ * listings with an explicit `sort` keep their order.
+ *
+ * @function sortByRelevance
+ * @param {Object} options - Result of parseListOptions
+ * @param {Object} query - Request query
+ * @returns {Object} Options to pass to paginate
+ */
+const sortByRelevance = (options, query) => {
+    if (query.sort || options.mode !== "page") {
+        return options;
+    }
+    return {
+        ...options,
+        sortKey: "relevance",
+        direction: 1,
+        sort: { score: { $meta: "textScore" }, _id: -1 },
+    };
+};
+
+/**
+ * Keeps a stored phone key in sync with a phone field changed through a
+ * query update (findOneAndUpdate, updateOne, ...), for use in query middleware
+ *
+ * @function syncPhoneKeyOnUpdate
+ * @param {Object} update - The query's update document
+ * @param {string} phonePath - Path of the phone, e.g. "driverInfo.phone"
+ * @param {string} keyPath - Path of the stored key, e.g. "phoneKeys.driver"
+ */
+const syncPhoneKeyOnUpdate = (update, phonePath, keyPath) => {
+    if (!update) return;
+    const $set = update.$set || update;
+    const [parent, field] = phonePath.split(".");
+
+    if (field && parent in $set) {
+        $set[keyPath] = normalizePhone($set[parent]?.[field]);
+    } else if (phonePath in $set) {
+        $set[keyPath] = normalizePhone($set[phonePath]);
+    }
+};
+
+module.exports = {
+    COUNTRY_CODE,
+    MAX_SEARCH_LENGTH,
+    normalizePhone,
+    buildTextSearch,
+    sortByRelevance,
+    syncPhoneKeyOnUpdate,
+};
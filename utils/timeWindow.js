@@ -0,0 +1,148 @@
+/**
+ * @module utils/timeWindow
+ * @description Scheduled pickup and delivery windows on jobs
+ */
+const timeConfig = require("../config/timeConfig");
+
+const OPEN_STATUSES = ["pending", "in-transit", "delayed"];
+const DUE_VALUES = ["today", "tomorrow", "overdue"];
+
+// Jobs still waiting to be picked up or delivered, per window
+const WINDOW_FIELDS = {
+    pickup: { field: "pickupWindow", statuses: ["pending"] },
+    delivery: { field: "deliveryWindow", statuses: OPEN_STATUSES },
+};
+
+/**
+ * Validates an { earliest, latest } window sent by a client
+ *
+ * @function parseTimeWindow
+ * @param {Object|null|undefined} input - Window with ISO date strings
+ * @param {string} name - Field name used in error messages
+ * @returns {Object|null} { earliest, latest } as Dates, or null if no window was given
+ * @throws {Error} If a date is missing or invalid, or the window ends before it starts
+ */
+const parseTimeWindow = (input, name) => {
+    if (input === undefined || input === null) {
+        return null;
+    }
+    const earliest = new Date(input.earliest);
+    const latest = new Date(input.latest);
+    if (!input.earliest || !input.latest || isNaN(earliest.getTime()) || isNaN(latest.getTime())) {
+        throw new Error(`${name} needs valid earliest and latest dates`);
+    }
+    if (earliest > latest) {
+        throw new Error(`${name} must not end before it starts`);
+    }
+    return { earliest, latest };
+};
+
+/**
+ * Validates a job's pickup and delivery windows together
+ *
+ * @function parseJobSchedule
+ * @param {Object} input - { pickupWindow, deliveryWindow } from the request body
+ * @returns {Object} { pickupWindow, deliveryWindow }, each a window or null
+ * @throws {Error} If a window is invalid or delivery must end before pickup can start
+ */
+const parseJobSchedule = ({ pickupWindow, deliveryWindow } = {}) => {
+    const schedule = {
+        pickupWindow: parseTimeWindow(pickupWindow, "pickupWindow"),
+        deliveryWindow: parseTimeWindow(deliveryWindow, "deliveryWindow"),
+    };
+    if (schedule.pickupWindow && schedule.deliveryWindow
+        && schedule.deliveryWindow.latest < schedule.pickupWindow.earliest) {
+        throw new Error("deliveryWindow must not end before pickupWindow starts");
+    }
+    return schedule;
+};
+
+/**
+ * How far a time zone is ahead of UTC at an instant, in milliseconds
+ */
+const zoneOffsetMs = (date, timeZone) => {
+    const parts = new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "numeric",
+        day: "numeric",
+        hour: "numeric",
+        minute: "numeric",
+        second: "numeric",
+    }).formatToParts(date);
+    const part = (type) => Number(parts.find((entry) => entry.type === type).value);
+    const wallClock = Date.UTC(part("year"), part("month") - 1, part("day"), part("hour"), part("minute"), part("second"));
+    return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * Start of the calendar day `offsetDays` from `now`, in the business time
+ * zone (Asia/Kathmandu unless configured otherwise)
+ *
+ * @function startOfDay
+ * @param {Date} now - Reference time
+ * @param {number} [offsetDays] - Days to move forward (or back, if negative)
+ * @param {string} [timeZone] - IANA time zone the day is counted in
+ * @returns {Date}
+ */
+const startOfDay = (now, offsetDays = 0, timeZone = timeConfig.timeZone) => {
+    const local = new Date(new Date(now).getTime() + zoneOffsetMs(new Date(now), timeZone));
+    const midnight = Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate() + offsetDays);
+    // The offset at midnight itself, in case the zone changes its clocks that day
+    const guess = new Date(midnight - zoneOffsetMs(new Date(now), timeZone));
+    return new Date(midnight - zoneOffsetMs(guess, timeZone));
+};
+
+/**
+ * Builds the query conditions for the `due` job list filter
+ * "today" and "tomorrow" match windows ending on that calendar day in the
+ * business time zone; "overdue" matches jobs still open after their window ended.
+ *
+ * @function buildDueFilter
+ * @param {Object} params
+ * @param {string} [params.due] - today, tomorrow or overdue
+ * @param {string} [params.dueBy] - Window to check: delivery (default) or pickup
+ * @param {Date} [now] - Reference time
+ * @returns {Object|null} Query conditions, or null when no filter was requested
+ * @throws {Error} If `due` or `dueBy` is not recognised
+ */
+const buildDueFilter = ({ due, dueBy = "delivery" }, now = new Date()) => {
+    if (!due) return null;
+    if (!DUE_VALUES.includes(due)) {
+        throw new Error("due must be one of today, tomorrow or overdue");
+    }
+    const window = WINDOW_FIELDS[dueBy];
+    if (!window) {
+        throw new Error("dueBy must be pickup or delivery");
+    }
+
+    const latest = `${window.field}.latest`;
+    if (due === "overdue") {
+        return { [latest]: { $lt: now }, status: { $in: window.statuses } };
+    }
+    const offset = due === "today" ? 0 : 1;
+    return { [latest]: { $gte: startOfDay(now, offset), $lt: startOfDay(now, offset + 1) } };
+};
+
+/**
+ * Formats a window for reports
+ *
+ * @function formatTimeWindow
+ * @param {Object|null} window - { earliest, latest }
+ * @returns {string}
+ */
+const formatTimeWindow = (window) => {
+    if (!window || !window.earliest || !window.latest) {
+        return "Not scheduled";
+    }
+    return `${new Date(window.earliest).toLocaleString()} - ${new Date(window.latest).toLocaleString()}`;
+};
+
+module.exports = {
+    parseTimeWindow,
+    parseJobSchedule,
+    startOfDay,
+    buildDueFilter,
+    formatTimeWindow,
+};
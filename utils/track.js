@@ -0,0 +1,88 @@
+/**
+ * @module utils/track
+ * @description Helpers for shaping a job's GPS breadcrumb trail for output
+ */
+
+/**
+ * Thins a trail down to at most `maxPoints` evenly spaced points,
+ * always keeping the first and last point
+ *
+ * @function downsampleTrack
+ * @param {Object[]} points - Track points ordered by time
+ * @param {number} maxPoints - Maximum number of points to return
+ * @returns {Object[]} The downsampled trail
+ */
+const downsampleTrack = (points, maxPoints) => {
+    if (!maxPoints || maxPoints < 2 || points.length <= maxPoints) {
+        return points;
+    }
+
+    const step = (points.length - 1) / (maxPoints - 1);
+    const sampled = [];
+    for (let i = 0; i < maxPoints; i++) {
+        sampled.push(points[Math.round(i * step)]);
+    }
+    return sampled;
+};
+
+/**
+ * Converts a trail into a GeoJSON LineString feature
+ *
+ * @function toGeoJSONLineString
+ * @param {Object[]} points - Track points ordered by time
+ * @param {Object} [properties] - Extra properties for the feature
+ * @returns {Object} GeoJSON Feature with a LineString geometry
+ */
+const toGeoJSONLineString = (points, properties = {}) => ({
+    type: "Feature",
+    geometry: {
+        type: "LineString",
+        coordinates: points.map((point) => [point.longitude, point.latitude]),
+    },
+    properties: {
+        ...properties,
+        pointCount: points.length,
+        startedAt: points.length ? points[0].recordedAt : null,
+        endedAt: points.length ? points[points.length - 1].recordedAt : null,
+        timestamps: points.map((point) => point.recordedAt),
+    },
+});
+
+const escapeXml = (value) => String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+/**
+ * Converts a trail into a GPX 1.1 document with a single track segment
+ *
+ * @function toGPX
+ * @param {Object[]} points - Track points ordered by time
+ * @param {string} name - Name of the track
+ * @returns {string} GPX XML document
+ */
+const toGPX = (points, name) => {
+    const trackPoints = points.map((point) => {
+        const time = point.recordedAt ? `<time>${new Date(point.recordedAt).toISOString()}</time>` : "";
+        return `      <trkpt lat="${point.latitude}" lon="${point.longitude}">${time}</trkpt>`;
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<gpx version="1.1" creator="LogiTracker" xmlns="http://www.topografix.com/GPX/1/1">',
+        "  <trk>",
+        `    <name>${escapeXml(name)}</name>`,
+        "    <trkseg>",
+        ...trackPoints,
+        "    </trkseg>",
+        "  </trk>",
+        "</gpx>",
+    ].join("\n");
+};
+
+module.exports = {
+    downsampleTrack,
+    toGeoJSONLineString,
+    toGPX,
+};
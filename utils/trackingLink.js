@@ -0,0 +1,118 @@
+/**
+ * @module utils/trackingLink
+ * @description Tokens for customer-facing tracking links and the redacted
+ * job view they expose
+ */
+const crypto = require("crypto");
+const trackingConfig = require("../config/trackingConfig");
+const { fromGeoPoint } = require("./geo");
+
+const TERMINAL_STATUSES = ["delivered", "cancelled"];
+const MOVING_STATUSES = ["in-transit", "delayed"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Hashes a tracking token for storage and lookup
+ *
+ * @function hashTrackingToken
+ * @param {string} token - Raw token from the link
+ * @returns {string} Hex encoded SHA-256 digest
+ */
+const hashTrackingToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+
+/**
+ * Generates a new random tracking token
+ *
+ * @function generateTrackingToken
+ * @returns {Object} { token, tokenHash } - the token goes in the link, only the hash is stored
+ */
+const generateTrackingToken = () => {
+    const token = crypto.randomBytes(24).toString("base64url");
+    return { token, tokenHash: hashTrackingToken(token) };
+};
+
+/**
+ * Finds when a job was delivered or cancelled
+ */
+const getCompletedAt = (job) => {
+    if (!TERMINAL_STATUSES.includes(job.status)) {
+        return null;
+    }
+    const change = [...(job.statusHistory || [])].reverse().find((entry) => entry.to === job.status);
+    return new Date(change?.changedAt || job.proofOfDelivery?.capturedAt || job.updatedAt);
+};
+
+/**
+ * Works out when a job's tracking link stops working
+ * Links stay valid while the job is open and for a configurable number of
+ * days after it is delivered or cancelled.
+ *
+ * @function getTrackingLinkExpiry
+ * @param {Object} job - Job with status and statusHistory
+ * @returns {Date|null} Expiry time, or null while the job is still open
+ */
+const getTrackingLinkExpiry = (job) => {
+    const completedAt = getCompletedAt(job);
+    if (!completedAt) {
+        return null;
+    }
+    return new Date(completedAt.getTime() + trackingConfig.linkDaysAfterCompletion * DAY_MS);
+};
+
+/**
+ * Masks a person's name for public display, e.g. "Ram Thapa" -> "R** T****"
+ *
+ * @function maskName
+ * @param {string} name
+ * @returns {string|null}
+ */
+const maskName = (name) => {
+    if (!name || typeof name !== "string") {
+        return null;
+    }
+    return name
+        .trim()
+        .split(/\s+/)
+        .map((word) => word[0] + "*".repeat(word.length - 1))
+        .join(" ");
+};
+
+/**
+ * Builds the redacted view of a job shown on public tracking links
+ * Phones, emails, addresses and ids are never included, and the vehicle
+ * position is only shared while the job is on the road.
+ *
+ * @function toTrackingView
+ * @param {Object} job - Job document
+ * @param {Object} [estimate] - Progress and ETA as computed by utils/eta
+ * @returns {Object} Public tracking view
+ */
+const toTrackingView = (job, estimate = {}) => {
+    const moving = MOVING_STATUSES.includes(job.status);
+    const position = moving ? fromGeoPoint(job.currentLocation) : null;
+
+    return {
+        status: job.status,
+        isUrgent: Boolean(job.isUrgent),
+        currentPosition: position
+            ? { ...position, updatedAt: job.lastLocationAt || null }
+            : null,
+        eta: moving ? estimate.eta ?? null : null,
+        progress: estimate.progress ?? null,
+        distanceRemaining: estimate.distanceRemaining ?? null,
+        sender: maskName(job.pickupInfo?.name),
+        recipient: maskName(job.dropoffInfo?.name),
+        driver: maskName(job.driverInfo?.name),
+        deliveredAt: job.status === "delivered" ? getCompletedAt(job) : null,
+        linkExpiresAt: getTrackingLinkExpiry(job),
+        updatedAt: job.updatedAt || null,
+    };
+};
+
+module.exports = {
+    hashTrackingToken,
+    generateTrackingToken,
+    getTrackingLinkExpiry,
+    maskName,
+    toTrackingView,
+};
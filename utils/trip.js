@@ -0,0 +1,105 @@
+/**
+ * @module utils/trip
+ * @description Rules for trips: which jobs can be grouped on one driver's
+ * run and the order they are worked in
+ */
+const mongoose = require("mongoose");
+const { checkVehicleForJob } = require("./vehicle");
+
+/**
+ * Trip statuses; `completed` and `cancelled` are closed
+ * @constant {string[]}
+ */
+const TRIP_STATUSES = ["planned", "in-progress", "completed", "cancelled"];
+
+/**
+ * Statuses of trips that still carry jobs
+ * @constant {string[]}
+ */
+const OPEN_TRIP_STATUSES = ["planned", "in-progress"];
+
+/**
+ * Most jobs one trip can carry
+ * @constant {number}
+ */
+const MAX_TRIP_JOBS = 50;
+
+const FINISHED_JOB_STATUSES = ["delivered", "cancelled"];
+
+/**
+ * Validates the ordered job ids sent for a trip
+ *
+ * @function parseTripJobIds
+ * @param {string[]} input - Job ids in the order they will be worked
+ * @returns {string[]} The ids
+ * @throws {Error} If the list is empty, too long, has duplicates or invalid ids
+ */
+const parseTripJobIds = (input) => {
+    if (!Array.isArray(input) || input.length === 0) {
+        throw new Error("jobIds must be a non-empty list of job IDs");
+    }
+    if (input.length > MAX_TRIP_JOBS) {
+        throw new Error(`A trip can carry at most ${MAX_TRIP_JOBS} jobs`);
+    }
+    const ids = input.map(String);
+    if (ids.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+        throw new Error("jobIds contains an invalid job ID");
+    }
+    if (new Set(ids).size !== ids.length) {
+        throw new Error("jobIds must not repeat a job");
+    }
+    return ids;
+};
+
+/**
+ * Finds the first reason the given jobs can't go on a trip for a driver:
+ * finished jobs, jobs already on a trip, jobs assigned to someone else and
+ * jobs the trip's vehicle can't carry
+ *
+ * @function checkTripJobs
+ * @param {Object[]} jobs - The jobs to group
+ * @param {string} driverId - The trip's driver
+ * @param {Object|null} [vehicle] - The trip's vehicle
+ * @returns {string|null} Error message, or null when every job can be added
+ */
+const checkTripJobs = (jobs, driverId, vehicle = null) => {
+    for (const job of jobs) {
+        if (FINISHED_JOB_STATUSES.includes(job.status)) {
+            return `Job ${job._id} is already ${job.status}`;
+        }
+        if (job.tripId) {
+            return `Job ${job._id} is already on a trip`;
+        }
+        if (job.driverInfo && String(job.driverInfo.id) !== String(driverId)) {
+            return `Job ${job._id} is assigned to another driver`;
+        }
+        const vehicleError = vehicle && checkVehicleForJob(vehicle, job.addOns);
+        if (vehicleError) {
+            return `Job ${job._id}: ${vehicleError}`;
+        }
+    }
+    return null;
+};
+
+/**
+ * Puts a trip's jobs in the order of its sequence
+ *
+ * @function orderTripJobs
+ * @param {Object} trip - Trip with its ordered `jobs` ids
+ * @param {Object[]} jobs - The trip's jobs in any order
+ * @returns {Object[]} The jobs in trip order
+ */
+const orderTripJobs = (trip, jobs) => {
+    const byId = new Map(jobs.map((job) => [String(job._id), job]));
+    return trip.jobs.map((id) => byId.get(String(id))).filter(Boolean);
+};
+
+module.exports = {
+    TRIP_STATUSES,
+    OPEN_TRIP_STATUSES,
+    MAX_TRIP_JOBS,
+    FINISHED_JOB_STATUSES,
+    parseTripJobIds,
+    checkTripJobs,
+    orderTripJobs,
+};
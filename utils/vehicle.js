@@ -0,0 +1,126 @@
+/**
+ * @module utils/vehicle
+ * @description Vehicle input validation and the checks that decide which
+ * jobs a vehicle can carry
+ */
+
+/**
+ * Kinds of vehicle in the fleet
+ * @constant {string[]}
+ */
+const VEHICLE_TYPES = ["bike", "car", "van", "pickup", "truck"];
+
+/**
+ * Vehicle statuses; only active vehicles take new work
+ * @constant {string[]}
+ */
+const VEHICLE_STATUSES = ["active", "in-maintenance"];
+
+const SUPPORT_LABELS = {
+    heavyItem: "heavy items",
+    fragileItems: "fragile items",
+};
+
+/**
+ * Reads an optional non-negative capacity figure
+ */
+const toCapacity = (value, name) => {
+    if (value === undefined || value === null || value === "") return null;
+    const number = parseFloat(value);
+    if (isNaN(number) || number < 0) {
+        throw new Error(`${name} must be a non-negative number`);
+    }
+    return number;
+};
+
+/**
+ * Validates the fields of a new vehicle, or of an update with `partial`
+ *
+ * @function parseVehicleInput
+ * @param {Object} input - { plateNumber, type, capacity: { weightKg, volumeM3 }, supports: { fragileItems, heavyItem }, status, note }
+ * @param {Object} [options]
+ * @param {boolean} [options.partial] - Only validate the fields that were sent
+ * @returns {Object} Fields to store; nested fields use dot paths on updates
+ * @throws {Error} If a field is missing or invalid
+ */
+const parseVehicleInput = (input = {}, { partial = false } = {}) => {
+    const fields = {};
+    const has = (key) => input[key] !== undefined;
+
+    if (!partial || has("plateNumber")) {
+        if (typeof input.plateNumber !== "string" || !input.plateNumber.trim()) {
+            throw new Error("plateNumber is required");
+        }
+        fields.plateNumber = input.plateNumber.trim().toUpperCase();
+    }
+    if (!partial || has("type")) {
+        if (!VEHICLE_TYPES.includes(input.type)) {
+            throw new Error(`type must be one of ${VEHICLE_TYPES.join(", ")}`);
+        }
+        fields.type = input.type;
+    }
+    if (has("status")) {
+        if (!VEHICLE_STATUSES.includes(input.status)) {
+            throw new Error(`status must be one of ${VEHICLE_STATUSES.join(", ")}`);
+        }
+        fields.status = input.status;
+    }
+    if (has("note")) {
+        fields.note = input.note || null;
+    }
+
+    ["weightKg", "volumeM3"].forEach((key) => {
+        if (input.capacity?.[key] !== undefined || !partial) {
+            fields[`capacity.${key}`] = toCapacity(input.capacity?.[key], `capacity.${key}`);
+        }
+    });
+    Object.keys(SUPPORT_LABELS).forEach((key) => {
+        const value = input.supports?.[key];
+        if (value !== undefined && typeof value !== "boolean") {
+            throw new Error(`supports.${key} must be true or false`);
+        }
+        if (value !== undefined || !partial) {
+            fields[`supports.${key}`] = value === true;
+        }
+    });
+
+    return fields;
+};
+
+/**
+ * Finds the first reason a vehicle can't take a job: being in maintenance
+ * or lacking support for the job's add-ons
+ *
+ * @function checkVehicleForJob
+ * @param {Object} vehicle - Vehicle with plateNumber, status and supports
+ * @param {Object} [addOns] - The job's { fragileItems, heavyItem }
+ * @returns {string|null} Error message, or null when the vehicle is suitable
+ */
+const checkVehicleForJob = (vehicle, addOns = {}) => {
+    if (vehicle.status !== "active") {
+        return `Vehicle ${vehicle.plateNumber} is ${vehicle.status}`;
+    }
+    const missing = Object.keys(SUPPORT_LABELS).find((key) => addOns?.[key] && !vehicle.supports?.[key]);
+    return missing ? `Vehicle ${vehicle.plateNumber} can't carry ${SUPPORT_LABELS[missing]}` : null;
+};
+
+/**
+ * The vehicle summary stored on jobs and trips
+ *
+ * @function toVehicleInfo
+ * @param {Object} vehicle - Vehicle document
+ * @returns {Object} { id, plateNumber, type }
+ */
+const toVehicleInfo = (vehicle) => ({
+    id: String(vehicle._id),
+    plateNumber: vehicle.plateNumber,
+    type: vehicle.type,
+});
+
+module.exports = {
+    VEHICLE_TYPES,
+    VEHICLE_STATUSES,
+    parseVehicleInput,
+    checkVehicleForJob,
+    toVehicleInfo,
+};
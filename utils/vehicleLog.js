@@ -0,0 +1,218 @@
+/**
+ * @module utils/vehicleLog
+ * @description Validation of fuel, maintenance and expense logs, service
+ * reminders and the cost-per-km report
+ */
+const mongoose = require("mongoose");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Kinds of vehicle log
+ * @constant {string[]}
+ */
+const LOG_KINDS = ["fuel", "maintenance", "expense"];
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * Reads an optional non-negative number; multipart forms send numbers as text
+ */
+const toAmount = (value, name, { required = false } = {}) => {
+    if (value === undefined || value === null || value === "") {
+        if (required) throw new Error(`${name} is required`);
+        return null;
+    }
+    const number = parseFloat(value);
+    if (isNaN(number) || number < 0) {
+        throw new Error(`${name} must be a non-negative number`);
+    }
+    return number;
+};
+
+/**
+ * Reads an optional date
+ */
+const toDate = (value, name) => {
+    if (value === undefined || value === null || value === "") return null;
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        throw new Error(`${name} must be a valid date`);
+    }
+    return date;
+};
+
+/**
+ * Validates a log sent for a vehicle and builds the fields to store
+ * Fuel fill-ups and services need an odometer reading; a fill-up's amount is
+ * worked out from its litres and price per litre. A service can set when
+ * the next one is due, by reading, by date or both.
+ *
+ * @function parseLogInput
+ * @param {string} kind - fuel, maintenance or expense
+ * @param {Object} input - Request body
+ * @param {Date} [now] - Default for `occurredAt`
+ * @returns {Object} Log fields without vehicleId, loggedBy and receipt
+ * @throws {Error} If a field is missing or invalid
+ */
+const parseLogInput = (kind, input = {}, now = new Date()) => {
+    const occurredAt = toDate(input.occurredAt, "occurredAt") || now;
+    const odometerKm = toAmount(input.odometerKm, "odometerKm", { required: kind !== "expense" });
+    const fields = { kind, occurredAt, odometerKm, note: input.note || null };
+
+    if (kind === "fuel") {
+        const litres = toAmount(input.litres, "litres", { required: true });
+        const pricePerLitre = toAmount(input.pricePerLitre, "pricePerLitre", { required: true });
+        if (litres === 0) {
+            throw new Error("litres must be more than zero");
+        }
+        return { ...fields, amount: round(litres * pricePerLitre), fuel: { litres, pricePerLitre } };
+    }
+
+    const amount = toAmount(input.amount, "amount", { required: true });
+
+    if (kind === "maintenance") {
+        if (!input.description) {
+            throw new Error("description is required");
+        }
+        const nextDueOdometerKm = toAmount(input.nextDueOdometerKm, "nextDueOdometerKm");
+        const nextDueDate = toDate(input.nextDueDate, "nextDueDate");
+        if (nextDueOdometerKm !== null && nextDueOdometerKm <= odometerKm) {
+            throw new Error("nextDueOdometerKm must be above odometerKm");
+        }
+        if (nextDueDate && nextDueDate <= occurredAt) {
+            throw new Error("nextDueDate must be after the service");
+        }
+        return {
+            ...fields,
+            amount,
+            service: { description: input.description, nextDueOdometerKm, nextDueDate },
+        };
+    }
+
+    if (!input.category) {
+        throw new Error("category is required");
+    }
+    return {
+        ...fields,
+        amount,
+        expense: { category: input.category, description: input.description || null },
+    };
+};
+
+/**
+ * Works out whether a vehicle's next service is overdue or coming up
+ * A service is overdue once its date has passed or the odometer has reached
+ * its reading, and upcoming when either is within the configured margin.
+ *
+ * @function serviceReminder
+ * @param {Object} vehicle - Vehicle with nextService and odometerKm
+ * @param {Object} options
+ * @param {Date} options.now - Reference time
+ * @param {number} options.dueSoonDays - Days ahead that count as upcoming
+ * @param {number} options.dueSoonKm - Kilometres ahead that count as upcoming
+ * @returns {Object|null} { status, dueDate, dueOdometerKm, daysRemaining, kmRemaining }, or null when nothing is due soon
+ */
+const serviceReminder = (vehicle, { now, dueSoonDays, dueSoonKm }) => {
+    const { nextService, odometerKm } = vehicle;
+    if (!nextService) return null;
+
+    const dueDate = nextService.dueDate ? new Date(nextService.dueDate) : null;
+    const daysRemaining = dueDate ? Math.floor((dueDate - now) / DAY_MS) : null;
+    const kmRemaining = nextService.dueOdometerKm !== null && odometerKm !== null && odometerKm !== undefined
+        ? round(nextService.dueOdometerKm - odometerKm, 1)
+        : null;
+
+    let status = null;
+    if ((dueDate && dueDate <= now) || (kmRemaining !== null && kmRemaining <= 0)) {
+        status = "overdue";
+    } else if ((daysRemaining !== null && daysRemaining < dueSoonDays) || (kmRemaining !== null && kmRemaining <= dueSoonKm)) {
+        status = "upcoming";
+    }
+    if (!status) return null;
+
+    return {
+        status,
+        dueDate,
+        dueOdometerKm: nextService.dueOdometerKm,
+        daysRemaining,
+        kmRemaining,
+    };
+};
+
+const sumWhenKind = (kind) => ({ $sum: { $cond: [{ $eq: ["$kind", kind] }, "$amount", 0] } });
+
+/**
+ * Builds the VehicleLog aggregation that totals running costs per vehicle
+ * for logs in a range, with the spread of odometer readings logged in it
+ *
+ * @function buildCostPipeline
+ * @param {Object} range - { from, to }; `to` is exclusive
+ * @param {Object} [options]
+ * @param {string} [options.vehicleId] - Only this vehicle
+ * @returns {Object[]} Aggregation pipeline
+ */
+const buildCostPipeline = ({ from, to }, { vehicleId } = {}) => {
+    const match = { occurredAt: { $gte: from, $lt: to } };
+    if (vehicleId) {
+        match.vehicleId = new mongoose.Types.ObjectId(vehicleId);
+    }
+
+    return [
+        { $match: match },
+        {
+            $group: {
+                _id: "$vehicleId",
+                fuelCost: sumWhenKind("fuel"),
+                maintenanceCost: sumWhenKind("maintenance"),
+                expenseCost: sumWhenKind("expense"),
+                totalCost: { $sum: "$amount" },
+                litres: { $sum: { $ifNull: ["$fuel.litres", 0] } },
+                // $min and $max skip logs without a reading
+                minOdometerKm: { $min: "$odometerKm" },
+                maxOdometerKm: { $max: "$odometerKm" },
+                entries: { $sum: 1 },
+            },
+        },
+        { $lookup: { from: "vehicles", localField: "_id", foreignField: "_id", as: "vehicle" } },
+        { $unwind: { path: "$vehicle", preserveNullAndEmptyArrays: true } },
+        { $sort: { totalCost: -1 } },
+    ];
+};
+
+/**
+ * Turns one row of the cost aggregation into a report entry
+ * Distance is the spread of the odometer readings logged in the range, so
+ * cost per km is only given once a vehicle has two different readings.
+ *
+ * @function toCostReport
+ * @param {Object} row - Output row of buildCostPipeline
+ * @returns {Object} Costs in NPR, litres, distanceKm and costPerKm
+ */
+const toCostReport = (row) => {
+    const distanceKm = typeof row.minOdometerKm === "number" && typeof row.maxOdometerKm === "number"
+        ? round(row.maxOdometerKm - row.minOdometerKm, 1)
+        : 0;
+
+    return {
+        vehicleId: String(row._id),
+        plateNumber: row.vehicle?.plateNumber || null,
+        type: row.vehicle?.type || null,
+        entries: row.entries,
+        fuelCost: round(row.fuelCost),
+        maintenanceCost: round(row.maintenanceCost),
+        expenseCost: round(row.expenseCost),
+        totalCost: round(row.totalCost),
+        litres: round(row.litres),
+        distanceKm,
+        costPerKm: distanceKm > 0 ? round(row.totalCost / distanceKm) : null,
+    };
+};
+
+module.exports = {
+    LOG_KINDS,
+    parseLogInput,
+    serviceReminder,
+    buildCostPipeline,
+    toCostReport,
+};